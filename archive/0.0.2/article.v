@@ -0,0 +1,467 @@
+(* Coq code of "The Links Theory 0.0.2" (article.md), extracted by scripts/extract-coq.mjs. *)
+(* Do not edit: fix the code in article.md and extract again. *)
+
+(* article.md, lines 318-366: Definitions of associative networks *)
+Require Import PeanoNat.
+Require Import Coq.Init.Nat.
+Require Import Vector.
+Require Import List.
+Require Import Coq.Init.Datatypes.
+Import ListNotations.
+Import VectorNotations.
+
+(* Set of vector references: L ⊆ ℕ₀ *)
+Definition L := nat.
+
+(* Default value for L: zero *)
+Definition LDefault : L := 0.
+
+(* Set of vectors of references of length n ∈ ℕ₀: Vn ⊆ Lⁿ *)
+Definition Vn (n : nat) := t L n.
+
+(* Default value for Vn *)
+Definition VnDefault (n : nat) : Vn n := Vector.const LDefault n.
+
+(* Set of all associations: A = L × Vn *)
+Definition A (n : nat) := prod L (Vn n).
+
+(* Associative network of vectors of length n (or n-dimensional associative network) from the family of functions {anetvⁿ : L → Vn} *)
+Definition ANetVf (n : nat) := L -> Vn n.
+
+(* Associative network of vectors of length n (or n-dimensional associative network) as a sequence *)
+Definition ANetVl (n : nat) := list (Vn n).
+
+(* Nested ordered pairs *)
+Definition NP := list L.
+
+(* Associative network of nested ordered pairs: anetl : L → NP *)
+Definition ANetLf := L -> NP.
+
+(* Associative network of nested ordered pairs as a sequence of nested ordered pairs *)
+Definition ANetLl := list NP.
+
+(* Duplet of references *)
+Definition D := prod L L.
+
+(* Default value for D: a pair of two LDefault values, used to denote an empty duplet *)
+Definition DDefault : D := (LDefault, LDefault).
+
+(* Associative network of duplets (or two-dimensional associative network): anetd : L → L² *)
+Definition ANetDf := L -> D.
+
+(* Associative network of duplets (or two-dimensional associative network) as a sequence of duplets *)
+Definition ANetDl := list D.
+
+(* article.md, lines 372-542: Functions for converting associative network *)
+(* Function to convert Vn to NP *)
+Fixpoint VnToNP {n : nat} (v : Vn n) : NP :=
+ match v with
+ | Vector.nil _ => List.nil
+ | Vector.cons _ h _ t => List.cons h (VnToNP t)
+ end.
+
+(* Function to convert ANetVf to ANetLf *)
+Definition ANetVfToANetLf {n : nat} (a: ANetVf n) : ANetLf :=
+ fun id => VnToNP (a id).
+
+(* Function to convert ANetVl to ANetLl *)
+Definition ANetVlToANetLl {n: nat} (net: ANetVl n) : ANetLl :=
+ map VnToNP net.
+
+(* Function to convert NP to Vn, returning an option *)
+Fixpoint NPToVnOption (n: nat) (p: NP) : option (Vn n) :=
+ match n, p with
+ | 0, List.nil => Some (Vector.nil nat)
+ | S n', List.cons f p' =>
+ match NPToVnOption n' p' with
+ | None => None
+ | Some t => Some (Vector.cons nat f n' t)
+ end
+ | _, _ => None
+ end.
+
+(* Function to convert NP to Vn using VnDefault *)
+Definition NPToVn (n: nat) (p: NP) : Vn n :=
+ match NPToVnOption n p with
+ | None => VnDefault n
+ | Some t => t
+ end.
+
+(* Function to convert ANetLf to ANetVf *)
+Definition ANetLfToANetVf { n: nat } (net: ANetLf) : ANetVf n :=
+ fun id => match NPToVnOption n (net id) with
+ | Some t => t
+ | None => VnDefault n
+ end.
+
+(* Function to convert ANetLl to ANetVl *)
+Definition ANetLlToANetVl {n: nat} (net : ANetLl) : ANetVl n :=
+ map (NPToVn n) net.
+
+(* Function to convert NP to ANetDl with an index offset *)
+Fixpoint NPToANetDl_ (offset: nat) (np: NP) : ANetDl :=
+ match np with
+ | nil => nil
+ | cons h nil => cons (h, offset) nil
+ | cons h t => cons (h, S offset) (NPToANetDl_ (S offset) t)
+ end.
+
+(* Function to convert NP to ANetDl *)
+Definition NPToANetDl (np: NP) : ANetDl := NPToANetDl_ 0 np.
+
+(* Function to append NP to the tail of ANetDl *)
+Definition AddNPToANetDl (anet: ANetDl) (np: NP) : ANetDl :=
+ app anet (NPToANetDl_ (length anet) np).
+
+(* Function that removes the head of anetd and returns the tail starting at offset *)
+Fixpoint ANetDl_behead (anet: ANetDl) (offset : nat) : ANetDl :=
+ match offset with
+ | 0 => anet
+ | S n' =>
+ match anet with
+ | nil => nil
+ | cons h t => ANetDl_behead t n'
+ end
+ end.
+
+(* Function to convert ANetDl to NP with indexing starting at the beginning of ANetDl from offset *)
+Fixpoint ANetDlToNP_ (anet: ANetDl) (offset: nat) (index: nat): NP :=
+ match anet with
+ | nil => nil
+ | cons (x, next_index) tail_anet =>
+ if offset =? index then
+ cons x (ANetDlToNP_ tail_anet (S offset) next_index)
+ else
+ ANetDlToNP_ tail_anet (S offset) index
+ end.
+
+(* Function to read NP from ANetDl by the duplet index *)
+Definition ANetDl_readNP (anet: ANetDl) (index: nat) : NP :=
+ ANetDlToNP_ anet 0 index.
+
+(* Function to convert ANetDl to NP starting from the head of the anet list *)
+Definition ANetDlToNP (anet: ANetDl) : NP := ANetDl_readNP anet 0.
+
+(*
+ Now everything is ready for converting the associative network of nested ordered pairs anetl : L → NP
+ into the associative network of duplets anetd : L → L².
+
+ This conversion can be done in different ways: either preserving the original references to vectors
+ or with reindexing. Reindexing can be omitted if one writes an additional function for the duplet associative network
+ that returns the nested ordered pair by its reference.
+*)
+
+(* Function to add ANetLl to ANetDl *)
+Fixpoint AddANetLlToANetDl (anetd: ANetDl) (anetl: ANetLl) : ANetDl :=
+ match anetl with
+ | nil => anetd
+ | cons h t => AddANetLlToANetDl (AddNPToANetDl anetd h) t
+ end.
+
+(* Function to convert ANetLl to ANetDl *)
+Definition ANetLlToANetDl (anetl: ANetLl) : ANetDl :=
+ match anetl with
+ | nil => nil
+ | cons h t => AddANetLlToANetDl (NPToANetDl h) t
+ end.
+
+(* Function to find NP in the tail of ANetDl starting at offset by its ordinal number.
+ Returns the NP offset. *)
+Fixpoint ANetDl_offsetNP_ (anet: ANetDl) (offset: nat) (index: nat) : nat :=
+ match anet with
+ | nil => offset + (length anet)
+ | cons (_, next_index) tail_anet =>
+ match index with
+ | O => offset
+ | S index' =>
+ if offset =? next_index then
+ ANetDl_offsetNP_ tail_anet (S offset) index'
+ else
+ ANetDl_offsetNP_ tail_anet (S offset) index
+ end
+ end.
+
+(* Function to find NP in ANetDl by its ordinal number.
+ Returns the NP offset. *)
+Definition ANetDl_offsetNP (anet: ANetDl) (index: nat) : nat :=
+ ANetDl_offsetNP_ anet 0 index.
+
+(* Function to convert ANetVl to ANetDl *)
+Definition ANetVlToANetDl {n : nat} (anetv: ANetVl n) : ANetDl :=
+ ANetLlToANetDl (ANetVlToANetLl anetv).
+
+(*
+ Now everything is ready for converting the duplet associative network anetd : L → L²
+ into the associative network of nested ordered pairs anetl : L → NP.
+
+ We will perform this conversion while preserving the original references to vectors.
+ Reindexing can be omitted because there is the function ANetDl_offsetNP for the duplet associative network
+ that returns the offset of the nested ordered pair by its reference.
+*)
+
+(* Function that removes the first NP from ANetDl and returns the tail *)
+Fixpoint ANetDl_beheadNP (anet: ANetDl) (offset: nat) : ANetDl :=
+ match anet with
+ | nil => nil
+ | cons (_, next_index) tail_anet =>
+ if offset =? next_index then (* end of NP *)
+ tail_anet
+ else (* NP not ended yet *)
+ ANetDl_beheadNP tail_anet (S offset)
+ end.
+
+(* Function to convert NP and ANetDl with an offset into ANetLl *)
+Fixpoint ANetDlToANetLl_ (anetd: ANetDl) (np: NP) (offset: nat) : ANetLl :=
+ match anetd with
+ | nil => nil (* discard NP even if incomplete *)
+ | cons (x, next_index) tail_anet =>
+ if offset =? next_index then (* end of NP, move to the next NP *)
+ cons (app np (cons x nil)) (ANetDlToANetLl_ tail_anet nil (S offset))
+ else (* NP not finished yet, continue parsing the duplet network *)
+ ANetDlToANetLl_ tail_anet (app np (cons x nil)) (S offset)
+ end.
+
+(* Function to convert ANetDl to ANetLl *)
+Definition ANetDlToANetLl (anetd: ANetDl) : ANetLl :=
+ ANetDlToANetLl_ anetd nil LDefault.
+
+(* article.md, lines 548-568: Predicates of equivalence for associative networks *)
+(* The definition ANetVf_equiv introduces a predicate for the equivalence of two associative networks of vectors of length n,
+ anet1 and anet2 of type ANetVf.
+
+ This predicate describes the property of "equivalence" for such networks.
+ It asserts that anet1 and anet2 are considered "equivalent" if, for every reference id, the vector associated with id in anet1
+ exactly matches the vector associated with the same id in anet2.
+*)
+Definition ANetVf_equiv {n: nat} (anet1: ANetVf n) (anet2: ANetVf n) : Prop :=
+ forall id, anet1 id = anet2 id.
+
+(* The definition ANetVl_equiv_Vl introduces a predicate for the equivalence of two associative networks of vectors of length n,
+ anet1 and anet2 of type ANetVl.
+*)
+Definition ANetVl_equiv_Vl {n: nat} (anet1: ANetVl n) (anet2: ANetVl n) : Prop :=
+ anet1 = anet2.
+
+(* Equivalence predicate for associative networks of duplets ANetDf *)
+Definition ANetDf_equiv (anet1: ANetDf) (anet2: ANetDf) : Prop := forall id, anet1 id = anet2 id.
+
+(* Equivalence predicate for associative networks of duplets ANetDl *)
+Definition ANetDl_equiv (anet1: ANetDl) (anet2: ANetDl) : Prop := anet1 = anet2.
+
+(* article.md, lines 574-649: Lemmas of equivalence of associative networks *)
+(* Lemma on preservation of vector length in the associative network *)
+Lemma Vn_dim_preserved : forall {l: nat} (t: Vn l), List.length (VnToNP t) = l.
+Proof.
+ intros l t.
+ induction t.
+ - simpl. reflexivity.
+ - simpl. rewrite IHt. reflexivity.
+Qed.
+
+(* Lemma on the mutual inversion of the functions NPToVnOption and VnToNP
+
+ H_inverse proves that every Vn vector can be converted losslessly to an NP
+ using VnToNP and then back to Vn using NPToVnOption.
+
+ Formally, forall n: nat, forall t: Vn n, NPToVnOption n (VnToNP t) = Some t states that
+ for every natural number n and each Vn vector of length n,
+ we can convert Vn to NP using VnToNP,
+ then convert the result back to Vn using NPToVnOption n,
+ and ultimately obtain the same Vn vector we started with.
+
+ This property is very important because it guarantees that these two functions
+ form an inverse pair on the set of convertible vectors Vn and NP.
+ When you apply both functions to values in this set, you end up with the original value.
+ This means that no information is lost during the transformations,
+ so you can freely convert between Vn and NP as required in implementations or proofs.
+*)
+Lemma H_inverse: forall n: nat, forall t: Vn n, NPToVnOption n (VnToNP t) = Some t.
+Proof.
+ intros n.
+ induction t as [| h n' t' IH].
+ - simpl. reflexivity.
+ - simpl. rewrite IH. reflexivity.
+Qed.
+
+(*
+ The Wrapping and Recovery Theorem for the Associative Network of Vectors:
+
+ Let an associative network of vectors of length n be given, denoted as anetvⁿ : L → Vⁿ.
+ Define an operation that maps this network to the associative network of nested ordered pairs anetl : L → NP,
+ where NP = {(∅,∅) | (l, np), l ∈ L, np ∈ NP}.
+ Then define the inverse mapping from the associative network of nested ordered pairs back to the associative network of vectors of length n.
+
+ The theorem states:
+
+ For any associative network of vectors of length n, anetvⁿ, applying the transformation to the associative network
+ of nested ordered pairs and then the inverse transformation back to the associative network of vectors of length n
+ recovers the original network anetvⁿ.
+ In other words:
+
+ ∀ anetvⁿ : L → Vⁿ, inverse(forward(anetvⁿ)) = anetvⁿ.
+*)
+Theorem anetf_equiv_after_transforms : forall {n: nat} (anet: ANetVf n),
+ ANetVf_equiv anet (fun id => match NPToVnOption n ((ANetVfToANetLf anet) id) with
+ | Some t => t
+ | None => anet id
+ end).
+Proof.
+ intros n net id.
+ unfold ANetVfToANetLf.
+ simpl.
+ rewrite H_inverse.
+ reflexivity.
+Qed.
+
+(* Lemma on preservation of the length of NP lists in the duplet associative network *)
+Lemma NP_dim_preserved : forall (offset: nat) (np: NP),
+ length np = length (NPToANetDl_ offset np).
+Proof.
+ intros offset np.
+ generalize dependent offset.
+ induction np as [| n np' IHnp']; intros offset.
+ - simpl. reflexivity.
+ - destruct np' as [| m np'']; simpl; simpl in IHnp'.
+ + reflexivity.
+ + rewrite IHnp' with (offset := S offset). reflexivity.
+Qed.
+
+(* article.md, lines 655-792: Examples of conversions between associative networks *)
+(* Notation for list notation *)
+Notation "{ }" := (nil) (at level 0).
+Notation "{ x , .. , y }" := (cons x .. (cons y nil) ..) (at level 0).
+
+(* Three-dimensional associative network *)
+Definition complexExampleNet : ANetVf 3 :=
+ fun id => match id with
+ | 0 => [0; 0; 0]
+ | 1 => [1; 1; 2]
+ | 2 => [2; 4; 0]
+ | 3 => [3; 0; 5]
+ | 4 => [4; 1; 1]
+ | S _ => [0; 0; 0]
+ end.
+
+(* Vectors of references *)
+Definition exampleTuple0 : Vn 0 := [].
+Definition exampleTuple1 : Vn 1 := [0].
+Definition exampleTuple4 : Vn 4 := [3; 2; 1; 0].
+
+(* Conversion of vectors of references into nested ordered pairs (lists) *)
+Definition nestedPair0 := VnToNP exampleTuple0.
+Definition nestedPair1 := VnToNP exampleTuple1.
+Definition nestedPair4 := VnToNP exampleTuple4.
+
+Compute nestedPair0. (* Expected result: { } *)
+Compute nestedPair1. (* Expected result: {0} *)
+Compute nestedPair4. (* Expected result: {3, 2, 1, 0} *)
+
+(* Computing the values of the converted function of the three-dimensional associative network *)
+Compute (ANetVfToANetLf complexExampleNet) 0. (* Expected result: {0, 0, 0} *)
+Compute (ANetVfToANetLf complexExampleNet) 1. (* Expected result: {1, 1, 2} *)
+Compute (ANetVfToANetLf complexExampleNet) 2. (* Expected result: {2, 4, 0} *)
+Compute (ANetVfToANetLf complexExampleNet) 3. (* Expected result: {3, 0, 5} *)
+Compute (ANetVfToANetLf complexExampleNet) 4. (* Expected result: {4, 1, 1} *)
+Compute (ANetVfToANetLf complexExampleNet) 5. (* Expected result: {0, 0, 0} *)
+
+(* Associative network of nested ordered pairs *)
+Definition testPairsNet : ANetLf :=
+ fun id => match id with
+ | 0 => {5, 0, 8}
+ | 1 => {7, 1, 2}
+ | 2 => {2, 4, 5}
+ | 3 => {3, 1, 5}
+ | 4 => {4, 2, 1}
+ | S _ => {0, 0, 0}
+ end.
+
+(* Converted associative network of nested ordered pairs into a three-dimensional associative network (dimensions must match) *)
+Definition testTuplesNet : ANetVf 3 :=
+ ANetLfToANetVf testPairsNet.
+
+(* Computing the values of the converted function of the associative network of nested ordered pairs *)
+Compute testTuplesNet 0. (* Expected result: [5; 0; 8] *)
+Compute testTuplesNet 1. (* Expected result: [7; 1; 2] *)
+Compute testTuplesNet 2. (* Expected result: [2; 4; 5] *)
+Compute testTuplesNet 3. (* Expected result: [3; 1; 5] *)
+Compute testTuplesNet 4. (* Expected result: [4; 2; 1] *)
+Compute testTuplesNet 5. (* Expected result: [0; 0; 0] *)
+
+(* Conversion of nested ordered pairs into the associative network of duplets *)
+Compute NPToANetDl { 121, 21, 1343 }.
+(* Should return: {(121, 1), (21, 2), (1343, 2)} *)
+
+(* Adding nested ordered pairs to the associative network of duplets *)
+Compute AddNPToANetDl {(121, 1), (21, 2), (1343, 2)} {12, 23, 34}.
+(* Expected result: {(121, 1), (21, 2), (1343, 2), (12, 4), (23, 5), (34, 5)} *)
+
+(* Conversion of the associative network of duplets into nested ordered pairs *)
+Compute ANetDlToNP {(121, 1), (21, 2), (1343, 2)}.
+(* Expected result: {121, 21, 1343} *)
+
+Compute ANetDlToNP {(121, 1), (21, 2), (1343, 2), (12, 4), (23, 5), (34, 5)}.
+(* Expected result: {121, 21, 1343} *)
+
+(* Reading nested ordered pairs from the associative network of duplets by the duplet index (start of the nested ordered pair) *)
+Compute ANetDl_readNP {(121, 1), (21, 2), (1343, 2), (12, 4), (23, 5), (34, 5)} 0.
+(* Expected result: {121, 21, 1343} *)
+
+Compute ANetDl_readNP {(121, 1), (21, 2), (1343, 2), (12, 4), (23, 5), (34, 5)} 3.
+(* Expected result: {12, 23, 34} *)
+
+(* Defining an associative network of nested ordered pairs *)
+Definition test_anetl := { {121, 21, 1343}, {12, 23}, {34}, {121, 21, 1343}, {12, 23}, {34} }.
+
+(* Converted associative network of nested ordered pairs into the associative network of duplets *)
+Definition test_anetd := ANetLlToANetDl test_anetl.
+
+(* Computing the converted associative network of nested ordered pairs into the associative network of duplets *)
+Compute test_anetd.
+(* Expected result:
+ {(121, 1), (21, 2), (1343, 2),
+ (12, 4), (23, 4),
+ (34, 5),
+ (121, 7), (21, 8), (1343, 8),
+ (12, 10), (23, 10),
+ (34, 11)} *)
+
+(* Converting the associative network of nested ordered pairs into the associative network of duplets and back into test_anetl *)
+Compute ANetDlToANetLl test_anetd.
+(* Expected result:
+ {{121, 21, 1343}, {12, 23}, {34}, {121, 21, 1343}, {12, 23}, {34}} *)
+
+(* Computing the offset of nested ordered pairs in the associative network of duplets by their ordinal number *)
+Compute ANetDl_offsetNP test_anetd 0. (* Expected result: 0 *)
+Compute ANetDl_offsetNP test_anetd 1. (* Expected result: 3 *)
+Compute ANetDl_offsetNP test_anetd 2. (* Expected result: 5 *)
+Compute ANetDl_offsetNP test_anetd 3. (* Expected result: 6 *)
+Compute ANetDl_offsetNP test_anetd 4. (* Expected result: 9 *)
+Compute ANetDl_offsetNP test_anetd 5. (* Expected result: 11 *)
+Compute ANetDl_offsetNP test_anetd 6. (* Expected result: 12 *)
+Compute ANetDl_offsetNP test_anetd 7. (* Expected result: 12 *)
+
+(* Defining a three-dimensional associative network as a sequence of vectors of length 3 *)
+Definition test_anetv : ANetVl 3 :=
+ { [0; 0; 0], [1; 1; 2], [2; 4; 0], [3; 0; 5], [4; 1; 1], [0; 0; 0] }.
+
+(* Converted three-dimensional associative network into the associative network of duplets via the associative network of nested ordered pairs *)
+Definition test_anetdl : ANetDl := ANetVlToANetDl test_anetv.
+
+(* Computing the three-dimensional associative network converted into the associative network of duplets via the associative network of nested ordered pairs *)
+Compute test_anetdl.
+(* Expected result:
+{ (0, 1), (0, 2), (0, 2),
+ (1, 4), (1, 5), (2, 5),
+ (2, 7), (4, 8), (0, 8),
+ (3, 10), (0, 11), (5, 11),
+ (4, 13), (1, 14), (1, 14),
+ (0, 16), (0, 17), (0, 17)} *)
+
+(* Converted three-dimensional associative network into the associative network of duplets via the associative network of nested ordered pairs and then back into a three-dimensional associative network *)
+Definition result_TuplesNet : ANetVl 3 :=
+ ANetLlToANetVl (ANetDlToANetLl test_anetdl).
+
+(* Final check of the equivalence of associative networks *)
+Compute result_TuplesNet.
+(* Expected result:
+ { [0; 0; 0], [1; 1; 2], [2; 4; 0], [3; 0; 5], [4; 1; 1], [0; 0; 0] } *)
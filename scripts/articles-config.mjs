@@ -3,6 +3,11 @@
  *
  * This configuration is used by the generalized download and verification scripts
  * to work with all articles in the archive.
+ *
+ * `source` selects how an article is fetched (see source-adapters.mjs):
+ * - `habr`: the Habr article page (default)
+ * - `webarchive`: the web.archive.org copy of `url` (optionally pinned with `archiveTimestamp`)
+ * - `markdown`: a Markdown file, e.g. on GitHub (blob URLs are read raw)
  */
 
 export const ARTICLES = {
@@ -11,6 +16,7 @@ export const ARTICLES = {
     title: 'Math introduction to Deep Theory',
     url: 'https://habr.com/en/companies/deepfoundation/articles/658705/',
     language: 'en',
+    source: 'habr',
     archivePath: 'archive/0.0.0',
     markdownFile: 'article.md',
     screenshotFile: 'article.png',
@@ -25,6 +31,7 @@ export const ARTICLES = {
     titleEnglish: 'Deep Theory of Links 0.0.1',
     url: 'https://habr.com/ru/companies/deepfoundation/articles/804617/',
     language: 'ru',
+    source: 'habr',
     archivePath: 'archive/0.0.1',
     markdownFile: 'article.md',
     screenshotFile: 'article.png',
@@ -38,6 +45,7 @@ export const ARTICLES = {
     title: 'The Links Theory 0.0.2',
     url: 'https://habr.com/en/articles/895896/',
     language: 'en',
+    source: 'habr',
     archivePath: 'archive/0.0.2',
     markdownFile: 'article.md',
     screenshotFile: 'article.png',
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Dead-link and citation audit for archived articles
+ *
+ * Lists every link of each article.md by kind (anchor, local file, external,
+ * citation), checks anchors against the headings and local files against the
+ * archive folder, and with --online requests every external URL. Broken external
+ * links get a suggested Web Archive replacement with --wayback.
+ *
+ * Usage:
+ *   node scripts/audit-links.mjs [versions...] [options]
+ *   node scripts/audit-links.mjs --all
+ *
+ * Examples:
+ *   node scripts/audit-links.mjs --all                      # Offline: anchors and local files
+ *   node scripts/audit-links.mjs 0.0.2 --online --wayback   # Also request external URLs
+ *   node scripts/audit-links.mjs --all --format json --output link-audit.json
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule, SHARED_OPTIONS, UsageError } from './cli.mjs';
+import { auditLinks, auditExternalLinks, summarizeAudit } from './link-audit.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * Describe where a link is, for console output
+ */
+function describeLink(entry) {
+  const text = entry.text.length > 40 ? entry.text.substring(0, 40) + '...' : entry.text;
+  return `line ${entry.line} [${text}](${entry.href})`;
+}
+
+/**
+ * Audit the links of a single article
+ */
+async function auditArticle(article, options) {
+  const archivePath = join(ROOT_DIR, article.archivePath);
+  const markdownFile = options.downloaded ? 'downloaded.md' : article.markdownFile;
+  const markdownPath = join(archivePath, markdownFile);
+
+  console.log(`\n🔗 Auditing links: ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+
+  if (!existsSync(markdownPath)) {
+    console.log(`   ❌ File not found: ${markdownPath}`);
+    return { success: false, details: 'File not found' };
+  }
+
+  const entries = auditLinks(readFileSync(markdownPath, 'utf-8'), { archiveDir: archivePath });
+
+  if (options.online) {
+    console.log('   🌐 Checking external links...');
+    await auditExternalLinks(entries, {
+      timeout: options.timeout,
+      wayback: options.wayback,
+      onProgress: (url, result) => {
+        if (options.verbose) console.log(`   ${result.ok ? '✅' : '❌'} ${result.status ?? '---'} ${url}`);
+      }
+    });
+  }
+
+  const summary = summarizeAudit(entries);
+  console.log(`   Links: ${summary.total} (${summary.kinds.external} external, ${summary.kinds.anchor} anchors, ${summary.kinds.local} local, ${summary.citations} citations)`);
+
+  if (options.verbose) {
+    for (const entry of entries.filter(e => e.status !== 'broken')) {
+      const icon = entry.status === 'ok' ? '✅' : '⚪';
+      console.log(`   ${icon} ${entry.kind}${entry.citation ? ' (citation)' : ''}: ${describeLink(entry)}`);
+    }
+  }
+
+  for (const entry of entries.filter(e => e.status === 'broken')) {
+    console.log(`   ❌ ${entry.kind}${entry.citation ? ' (citation)' : ''}: ${describeLink(entry)} — ${entry.details}`);
+    if (entry.suggestion) {
+      console.log(`      💡 Wayback: ${entry.suggestion}`);
+    }
+  }
+
+  const status = options.online
+    ? `${summary.ok} ok, ${summary.broken} broken`
+    : `${summary.ok} ok, ${summary.broken} broken, ${summary.unchecked} external not checked (use --online)`;
+  console.log(`   ${summary.broken === 0 ? '✅' : '❌'} ${status}`);
+
+  return {
+    success: summary.broken === 0,
+    details: `${summary.total} links, ${summary.broken} broken`,
+    file: markdownFile,
+    summary,
+    links: entries
+  };
+}
+
+export const linksCommand = {
+  name: 'links',
+  script: 'audit-links.mjs',
+  description: 'Audit the links and citations of archived articles (anchors, local files, external URLs).',
+  banner: '🚀 Link Audit Script',
+  options: [
+    SHARED_OPTIONS.downloaded,
+    { name: 'online', type: 'boolean', description: 'Request every external URL (requires network)' },
+    { name: 'wayback', type: 'boolean', description: 'Suggest Web Archive replacements for broken external links' },
+    { name: 'timeout', type: 'number', value: '<ms>', default: 15000, description: 'Timeout of each request' },
+    { name: 'format', type: 'string', value: '<format>', choices: ['text', 'json'], default: 'text', description: 'Report format: text or json' },
+    { name: 'output', type: 'string', value: '<file>', description: 'Write the JSON report to a file instead of stdout' }
+  ],
+  examples: ['--all', '0.0.2 --online --wayback', '--all --format json --output link-audit.json'],
+  validate(options) {
+    if (options.wayback && !options.online) {
+      throw new UsageError('--wayback requires --online');
+    }
+    if (options.output && options.format !== 'json') {
+      throw new UsageError('--output requires --format json');
+    }
+  },
+  writesToStdout(options) {
+    return options.format === 'json' && !options.output;
+  },
+  runArticle: auditArticle,
+  after(results, options) {
+    if (options.format !== 'json') return;
+
+    const report = JSON.stringify({
+      online: options.online,
+      articles: results.map(result => ({
+        version: result.article.version,
+        file: result.file || null,
+        success: result.success,
+        summary: result.summary || null,
+        links: result.links || [],
+        ...(!result.links && { error: result.details })
+      }))
+    }, null, 2) + '\n';
+
+    if (!options.output) {
+      process.stdout.write(report);
+    } else if (options.dryRun) {
+      console.log(`📝 [DRY RUN] Would save report: ${options.output}`);
+    } else {
+      writeFileSync(options.output, report, 'utf-8');
+      console.log(`📝 Report saved: ${options.output}`);
+    }
+  }
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(linksCommand);
+}
@@ -0,0 +1,307 @@
+/**
+ * Bibliography of archived articles
+ *
+ * Reads the references section at the end of an article (`Ссылки`,
+ * `References`, ...) into structured entries and links every in-text citation
+ * `[[n]](url)` to entry n. Entries are numbered by their position in the
+ * section (or by an explicit `1.` / `[1]` prefix). Inconsistencies are reported
+ * as issues:
+ * - `unreferenced-citation`  a citation without entry n
+ * - `unused-reference`       an entry no citation points to
+ * - `url-mismatch`           a citation whose URL differs from its entry's URL
+ *
+ * The bibliography exports as BibTeX and CSL-JSON.
+ */
+
+import { parseMarkdownBlocks } from './markdown-blocks.mjs';
+import { extractMarkdownLinks } from './content-alignment.mjs';
+
+const REFERENCES_HEADING_PATTERN = /^(?:ссылки|источники|литература|список литературы|references|bibliography|sources)$/i;
+const CITATION_TEXT_PATTERN = /^\[(\d+)\]$/;
+const ENTRY_MARKER_PATTERN = /^\s*(?:[-*+]|(\d+)[.)])(?:\s+(.*))?$/;
+const LINK_PATTERN = /\[((?:[^\[\]]|\[[^\]]*\])*)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/;
+const QUOTED_TITLE_PATTERN = /[“"«]([^”"»]+)[”"»]/;
+const LOCATOR_PATTERN = /^(?:paragraph|page|pages|section|chapter|definition|p\.|pp\.|§|параграф|страница|стр\.|раздел|глава|определение)\b/i;
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s?#]+)/;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const BIBTEX_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Find the references section: its heading and the lines up to the next
+ * heading of the same or a higher level (or a horizontal rule)
+ */
+export function findReferencesSection(markdownText) {
+  const blocks = parseMarkdownBlocks(markdownText);
+  const index = blocks.findLastIndex(block =>
+    block.type === 'heading' && REFERENCES_HEADING_PATTERN.test(block.content.replace(/[*:]/g, '').trim())
+  );
+  if (index < 0) return null;
+
+  const heading = blocks[index];
+  const end = blocks.slice(index + 1).find(block =>
+    (block.type === 'heading' && block.level <= heading.level) || block.type === 'hr'
+  );
+  return {
+    heading: heading.content,
+    line: heading.line,
+    startLine: heading.line + 1,
+    endLine: end ? end.line - 1 : markdownText.split('\n').length
+  };
+}
+
+/**
+ * Split the references section into entry texts with their line and number
+ *
+ * List items (including loose items whose text follows on the next lines) and
+ * plain paragraphs are entries; images are skipped.
+ */
+function splitEntries(lines, section) {
+  const entries = [];
+  let current = null;
+
+  for (let index = section.startLine - 1; index < section.endLine; index++) {
+    const line = lines[index];
+    const marker = line.match(ENTRY_MARKER_PATTERN);
+    if (marker) {
+      current = { number: marker[1] ? Number(marker[1]) : null, text: (marker[2] || '').trim(), line: index + 1, listItem: true };
+      entries.push(current);
+    } else if (line.trim() === '') {
+      // A blank line ends a paragraph entry; loose list items continue
+      if (current && !current.listItem) current = null;
+    } else if (/^!\[/.test(line.trim())) {
+      continue;
+    } else if (current) {
+      if (current.text === '') current.line = index + 1;
+      current.text = `${current.text} ${line.trim()}`.trim();
+    } else {
+      current = { number: null, text: line.trim(), line: index + 1, listItem: false };
+      entries.push(current);
+    }
+  }
+
+  return entries.filter(entry => entry.text !== '').map((entry, position) => {
+    const explicit = entry.text.match(/^\[(\d+)\]\s*/);
+    return {
+      number: explicit ? Number(explicit[1]) : entry.number ?? position + 1,
+      line: entry.line,
+      raw: explicit ? entry.text.slice(explicit[0].length) : entry.text
+    };
+  });
+}
+
+/**
+ * Parse a personal name written "Family, Given" or "Given Family"
+ */
+function parseName(name) {
+  const trimmed = name.replace(/^[\s,]+|[\s,]+$/g, '');
+  const comma = trimmed.indexOf(',');
+  if (comma >= 0) {
+    return { family: trimmed.slice(0, comma).trim(), given: trimmed.slice(comma + 1).trim() };
+  }
+  const words = trimmed.split(/\s+/);
+  return words.length > 1
+    ? { family: words[words.length - 1], given: words.slice(0, -1).join(' ') }
+    : { family: trimmed, given: '' };
+}
+
+/**
+ * Parse the authors of a reference
+ *
+ * `(year)` style ("Family, Given; Family, Given (2010).") lists every author
+ * before the year; otherwise the first segment that is not a locator is a
+ * single author written "Given Family".
+ */
+function parseAuthors(beforeYear, segments) {
+  if (beforeYear !== null) {
+    const names = beforeYear.split(/\s*(?:;|&|\band\b|\bи\b)\s*/).filter(name => name.replace(/[\s,.]/g, '') !== '');
+    const apaStyle = names.length > 1 || /^[^,]+,\s*(?:\p{Lu}\.\s*)+,?$/u.test(names[0] || '');
+    if (apaStyle) return { authors: names.map(parseName), rest: [] };
+  }
+
+  const index = segments.findIndex(segment => !LOCATOR_PATTERN.test(segment));
+  if (index < 0) return { authors: [], rest: [] };
+  return { authors: [parseName(segments[index])], rest: segments.slice(index + 1) };
+}
+
+/**
+ * Parse a reference entry into structured fields
+ *
+ * Returns `{ title, authors: [{ family, given }], year, month, url, doi,
+ * locator, note, type }` (missing fields are null); `type` is a CSL type.
+ */
+export function parseReference(text) {
+  const link = text.match(LINK_PATTERN);
+  const url = link ? link[2] : null;
+  const plain = link ? text.replace(LINK_PATTERN, link[1]) : text;
+
+  // Title: the quoted part, or the link text; what follows it in the link is the locator
+  const quoted = plain.match(QUOTED_TITLE_PATTERN);
+  const title = (quoted ? quoted[1] : link ? link[1] : '').replace(/[.,\s]+$/, '') || null;
+  let locator = null;
+  if (quoted && link && link[1].includes(quoted[0])) {
+    locator = link[1].slice(link[1].indexOf(quoted[0]) + quoted[0].length).replace(/^[\s,.]+|[\s,]+$/g, '') || null;
+  }
+  const titleText = quoted ? quoted[0] : link ? link[1] : '';
+  const withoutTitle = titleText ? plain.replace(titleText, '\u0000') : plain;
+
+  // Date: "(2010)" or "June 1970"
+  const parenthesizedYear = withoutTitle.match(/\((\d{4})\)/);
+  const datedYear = withoutTitle.match(/(?:(\p{L}+)\s+)?\b(1[5-9]\d\d|20\d\d)\b/u);
+  const year = parenthesizedYear ? Number(parenthesizedYear[1]) : datedYear ? Number(datedYear[2]) : null;
+  const monthIndex = datedYear && datedYear[1] ? MONTHS.indexOf(datedYear[1].toLowerCase()) : -1;
+
+  const beforeYear = parenthesizedYear ? withoutTitle.slice(0, parenthesizedYear.index) : null;
+  const segments = withoutTitle
+    .replace(/\(\d{4}\)\.?/, ',')
+    .replace(datedYear && !parenthesizedYear ? datedYear[0] : /$^/, '')
+    .split(/\u0000|,/)
+    .map(segment => segment.trim().replace(/\.$/, '').trim())
+    .filter(segment => segment !== '' && !(locator && locator.includes(segment)));
+  if (!locator) {
+    const locators = segments.filter(segment => LOCATOR_PATTERN.test(segment));
+    if (locators.length > 0) locator = locators.join(', ');
+  }
+  const { authors, rest } = parseAuthors(beforeYear, segments);
+  const note = rest.filter(segment => !LOCATOR_PATTERN.test(segment)).join(', ') || null;
+
+  const doi = url ? (decodeURIComponent(url).match(DOI_PATTERN) || [])[1] || null : null;
+  let type = 'document';
+  if (doi) type = 'article-journal';
+  else if (url && /books\.google\.|isbn/i.test(url)) type = 'book';
+
+  return {
+    title,
+    authors,
+    year,
+    month: monthIndex >= 0 ? monthIndex + 1 : null,
+    url,
+    doi,
+    locator,
+    note,
+    type
+  };
+}
+
+/**
+ * Extract the bibliography of an article with its citations and issues
+ *
+ * Returns `{ section, references, citations, issues }`: references are parsed
+ * entries with `number`, `line`, `raw` and `citedAt` (citation lines),
+ * citations `{ number, href, line, section }` and issues `{ type, number, line,
+ * message }`.
+ */
+export function extractBibliography(markdownText) {
+  const lines = markdownText.replace(/\r\n/g, '\n').split('\n');
+  const section = findReferencesSection(markdownText);
+  const references = section
+    ? splitEntries(lines, section).map(entry => ({ number: entry.number, line: entry.line, raw: entry.raw, ...parseReference(entry.raw), citedAt: [] }))
+    : [];
+
+  const inSection = (line) => section && line >= section.startLine && line <= section.endLine;
+  const citations = extractMarkdownLinks(markdownText)
+    .filter(link => CITATION_TEXT_PATTERN.test(link.text) && !inSection(link.line))
+    .map(link => ({ number: Number(link.text.match(CITATION_TEXT_PATTERN)[1]), href: link.href, line: link.line, section: link.section }));
+
+  const issues = [];
+  for (const citation of citations) {
+    const reference = references.find(entry => entry.number === citation.number);
+    if (!reference) {
+      issues.push({ type: 'unreferenced-citation', number: citation.number, line: citation.line, message: `citation [${citation.number}] has no reference entry` });
+      continue;
+    }
+    reference.citedAt.push(citation.line);
+    if (reference.url && citation.href !== reference.url) {
+      issues.push({ type: 'url-mismatch', number: citation.number, line: citation.line, message: `citation [${citation.number}] links to ${citation.href}, reference ${citation.number} to ${reference.url}` });
+    }
+  }
+  for (const reference of references) {
+    if (reference.citedAt.length === 0) {
+      issues.push({ type: 'unused-reference', number: reference.number, line: reference.line, message: `reference ${reference.number} is never cited` });
+    }
+  }
+
+  return { section, references, citations, issues };
+}
+
+/**
+ * Citation keys: first author's family name and year (`codd1970`), with
+ * `a`, `b`, ... suffixes for duplicates and `ref<n>` when there is no author
+ */
+export function citationKeys(references) {
+  const keys = references.map(reference => {
+    const family = reference.authors[0]?.family.normalize('NFD').replace(/[^A-Za-z]/g, '').toLowerCase();
+    return family ? `${family}${reference.year ?? ''}` : `ref${reference.number}`;
+  });
+  return keys.map((key, index) => {
+    const total = keys.filter(other => other === key).length;
+    if (total === 1) return key;
+    const position = keys.slice(0, index).filter(other => other === key).length;
+    return key + String.fromCharCode(97 + position);
+  });
+}
+
+/**
+ * Escape text for a BibTeX field
+ */
+function escapeBibtex(text) {
+  return text
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([&%$#_{}])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}');
+}
+
+/**
+ * Export references as BibTeX
+ */
+export function toBibTeX(references, { version = null } = {}) {
+  const keys = citationKeys(references);
+  const entryTypes = { 'article-journal': 'article', 'book': 'book' };
+
+  const entries = references.map((reference, index) => {
+    const fields = [];
+    if (reference.authors.length > 0) {
+      fields.push(['author', reference.authors.map(author => author.given ? `${author.family}, ${author.given}` : author.family).join(' and ')]);
+    }
+    if (reference.title) fields.push(['title', `{${escapeBibtex(reference.title)}}`, true]);
+    if (reference.year) fields.push(['year', String(reference.year)]);
+    if (reference.month) fields.push(['month', BIBTEX_MONTHS[reference.month - 1], true]);
+    if (reference.doi) fields.push(['doi', reference.doi, true]);
+    if (reference.url) fields.push(['url', reference.url, true]);
+    const note = [reference.note, reference.locator].filter(Boolean).join('; ');
+    if (note) fields.push(['note', note]);
+
+    const body = fields.map(([name, value, raw]) => {
+      const text = raw || name === 'year' ? value : escapeBibtex(value);
+      return name === 'month' ? `  ${name} = ${text}` : `  ${name} = {${text}}`;
+    });
+    return `@${entryTypes[reference.type] || 'misc'}{${keys[index]},\n${body.join(',\n')}\n}`;
+  });
+
+  const header = version ? `% Bibliography of The Links Theory ${version}\n\n` : '';
+  return header + entries.join('\n\n') + (entries.length > 0 ? '\n' : '');
+}
+
+/**
+ * Export references as CSL-JSON items
+ */
+export function toCslJson(references) {
+  const keys = citationKeys(references);
+  return references.map((reference, index) => {
+    const item = { id: keys[index], type: reference.type };
+    if (reference.title) item.title = reference.title;
+    if (reference.authors.length > 0) {
+      item.author = reference.authors.map(author => author.given ? { family: author.family, given: author.given } : { literal: author.family });
+    }
+    if (reference.year) {
+      item.issued = { 'date-parts': [reference.month ? [reference.year, reference.month] : [reference.year]] };
+    }
+    if (reference.doi) item.DOI = reference.doi;
+    if (reference.url) item.URL = reference.url;
+    const note = [reference.note, reference.locator].filter(Boolean).join('; ');
+    if (note) item.note = note;
+    item['citation-number'] = reference.number;
+    return item;
+  });
+}
@@ -0,0 +1,211 @@
+/**
+ * Structural diff between two lists of Markdown blocks
+ *
+ * Blocks (see markdown-blocks.mjs) are aligned with a longest common subsequence
+ * over their normalized keys. Unmatched blocks between two aligned ones are then
+ * paired by type and text similarity: a pair above the threshold is reported as
+ * `changed`, the rest as `removed` (only on the left) or `added` (only on the right).
+ * Pairs keep the order of both documents, so operations are in document order
+ * on either side.
+ */
+
+import { blockKey, normalizeBlockText } from './markdown-blocks.mjs';
+
+/**
+ * Split block text into comparable tokens (words, numbers and LaTeX commands)
+ */
+function tokenize(text) {
+  return normalizeBlockText(text).match(/\\?[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Dice coefficient between the token multisets of two texts (0..1)
+ */
+export function textSimilarity(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (tokensA.length === 0 && tokensB.length === 0) {
+    return normalizeBlockText(a) === normalizeBlockText(b) ? 1 : 0;
+  }
+
+  const counts = new Map();
+  for (const token of tokensA) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  let common = 0;
+  for (const token of tokensB) {
+    const count = counts.get(token) || 0;
+    if (count > 0) {
+      common++;
+      counts.set(token, count - 1);
+    }
+  }
+  return (2 * common) / (tokensA.length + tokensB.length);
+}
+
+/**
+ * Longest common subsequence of two key arrays, as pairs of matching indexes
+ */
+function longestCommonSubsequence(keysA, keysB) {
+  const n = keysA.length;
+  const m = keysB.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = keysA[i] === keysB[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (keysA[i] === keysB[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Pair unmatched blocks of one gap into changed/removed/added operations
+ *
+ * The most similar blocks are paired first; a pair that would cross an earlier
+ * one (a later left block with an earlier right block, or the reverse) is not
+ * made, as moved blocks cannot be shown in the order of both documents.
+ */
+function pairGap(leftBlocks, rightBlocks, threshold) {
+  const candidates = [];
+  leftBlocks.forEach((left, li) => {
+    rightBlocks.forEach((right, ri) => {
+      if (left.type !== right.type) return;
+      const similarity = textSimilarity(left.content, right.content);
+      if (similarity >= threshold) {
+        candidates.push({ li, ri, similarity });
+      }
+    });
+  });
+  candidates.sort((a, b) => b.similarity - a.similarity);
+
+  const leftPaired = new Map();
+  const rightUsed = new Set();
+  const crosses = (candidate) => [...leftPaired.values()].some(pair =>
+    (pair.li < candidate.li) !== (pair.ri < candidate.ri));
+  for (const candidate of candidates) {
+    if (leftPaired.has(candidate.li) || rightUsed.has(candidate.ri) || crosses(candidate)) continue;
+    leftPaired.set(candidate.li, candidate);
+    rightUsed.add(candidate.ri);
+  }
+
+  // Emit in document order: right-only blocks before the left block they precede
+  // (pairs do not cross, so paired right blocks come in order too)
+  const ops = [];
+  let nextRight = 0;
+  const flushAdded = (upTo) => {
+    for (; nextRight < upTo; nextRight++) {
+      if (!rightUsed.has(nextRight)) {
+        ops.push({ op: 'added', right: rightBlocks[nextRight] });
+      }
+    }
+  };
+  leftBlocks.forEach((left, li) => {
+    const pair = leftPaired.get(li);
+    if (pair) {
+      flushAdded(pair.ri);
+      ops.push({ op: 'changed', left, right: rightBlocks[pair.ri], similarity: pair.similarity });
+      nextRight = pair.ri + 1;
+    } else {
+      ops.push({ op: 'removed', left });
+    }
+  });
+  flushAdded(rightBlocks.length);
+  return ops;
+}
+
+/**
+ * Diff two block lists
+ *
+ * Returns operations in document order, each `{ op, left?, right?, similarity? }`
+ * where `op` is one of `equal`, `changed`, `removed`, `added`.
+ */
+export function diffBlocks(leftBlocks, rightBlocks, { threshold = 0.5 } = {}) {
+  const pairs = longestCommonSubsequence(leftBlocks.map(blockKey), rightBlocks.map(blockKey));
+  const ops = [];
+  let i = 0;
+  let j = 0;
+
+  for (const [pi, pj] of [...pairs, [leftBlocks.length, rightBlocks.length]]) {
+    ops.push(...pairGap(leftBlocks.slice(i, pi), rightBlocks.slice(j, pj), threshold));
+    if (pi < leftBlocks.length) {
+      ops.push({ op: 'equal', left: leftBlocks[pi], right: rightBlocks[pj], similarity: 1 });
+    }
+    i = pi + 1;
+    j = pj + 1;
+  }
+
+  return ops;
+}
+
+/**
+ * Summarize diff operations: counts per operation and per block type, plus a score
+ *
+ * The score is the share of blocks on both sides that are matched, with changed
+ * blocks counted by their similarity (1 = identical documents, 0 = nothing in common).
+ */
+export function summarizeDiff(ops) {
+  const counts = { equal: 0, changed: 0, removed: 0, added: 0 };
+  const byType = {};
+  let leftTotal = 0;
+  let rightTotal = 0;
+  let matched = 0;
+
+  for (const entry of ops) {
+    counts[entry.op]++;
+    const type = (entry.left || entry.right).type;
+    byType[type] = byType[type] || { equal: 0, changed: 0, removed: 0, added: 0 };
+    byType[type][entry.op]++;
+    if (entry.left) leftTotal++;
+    if (entry.right) rightTotal++;
+    if (entry.op === 'equal' || entry.op === 'changed') {
+      matched += 2 * entry.similarity;
+    }
+  }
+
+  const total = leftTotal + rightTotal;
+  return {
+    counts,
+    byType,
+    leftTotal,
+    rightTotal,
+    score: total > 0 ? matched / total : 1
+  };
+}
+
+/**
+ * Group diff operations by section heading (left-side section when available)
+ */
+export function groupBySection(ops) {
+  const sections = [];
+  let current = null;
+
+  for (const entry of ops) {
+    const block = entry.left || entry.right;
+    const name = block.section || '(preamble)';
+    if (!current || current.name !== name) {
+      current = { name, ops: [] };
+      sections.push(current);
+    }
+    current.ops.push(entry);
+  }
+
+  return sections;
+}
@@ -0,0 +1,259 @@
+/**
+ * Shared command line handling for the archive scripts
+ *
+ * Every script describes itself as a command: its options, help text and a
+ * `runArticle(article, options)` function. The same command runs standalone
+ * (`node scripts/diff.mjs 0.0.2`) and as a subcommand of the unified CLI
+ * (`meta-theory diff 0.0.2`), with the same parsing and exit codes:
+ *
+ *   0  every selected article succeeded (or help was shown)
+ *   1  at least one article failed
+ *   2  usage error (unknown option, missing value, unknown or no version)
+ */
+
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { getArticle, getAllArticles } from './articles-config.mjs';
+
+export const EXIT_SUCCESS = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+/**
+ * Error in the command line arguments
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Options shared by all commands
+ */
+export const COMMON_OPTIONS = [
+  { name: 'all', type: 'boolean', description: 'Process all articles' },
+  { name: 'dry-run', type: 'boolean', description: 'Show what would be done without writing files' },
+  { name: 'verbose', alias: 'v', type: 'boolean', description: 'Show detailed output' },
+  { name: 'help', alias: 'h', type: 'boolean', description: 'Show this help' }
+];
+
+/**
+ * Options used by several commands, defined once so they mean the same everywhere
+ */
+export const SHARED_OPTIONS = {
+  downloaded: {
+    name: 'downloaded',
+    type: 'boolean',
+    description: 'Use downloaded.md instead of article.md'
+  },
+  fromSnapshot: {
+    name: 'from-snapshot',
+    type: 'boolean',
+    description: 'Read the saved HTML snapshot instead of the live page (offline)'
+  }
+};
+
+/**
+ * Convert an option name to its key in the parsed options (`dry-run` -> `dryRun`)
+ */
+function optionKey(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse command line arguments for a command
+ *
+ * Returns the options keyed by camelCase name, with positional arguments in
+ * `versions`. Throws UsageError for unknown options and missing values.
+ */
+export function parseCommandArgs(args, command) {
+  const specs = [...COMMON_OPTIONS, ...(command.options || [])];
+  const byFlag = new Map();
+  const options = { versions: [] };
+
+  for (const spec of specs) {
+    byFlag.set(`--${spec.name}`, spec);
+    if (spec.alias) byFlag.set(`-${spec.alias}`, spec);
+    options[optionKey(spec.name)] = spec.default ?? (spec.type === 'boolean' ? false : null);
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('-')) {
+      options.versions.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+    const spec = byFlag.get(flag);
+    if (!spec) {
+      throw new UsageError(`Unknown option: ${flag}`);
+    }
+
+    const key = optionKey(spec.name);
+    if (spec.type === 'boolean') {
+      options[key] = true;
+      continue;
+    }
+
+    const value = inlineValue ?? args[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+      throw new UsageError(`Option --${spec.name} requires a value`);
+    }
+    if (spec.type === 'number') {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new UsageError(`Option --${spec.name} expects a number, got: ${value}`);
+      }
+      options[key] = number;
+    } else {
+      if (spec.choices && !spec.choices.includes(value)) {
+        throw new UsageError(`Option --${spec.name} must be one of: ${spec.choices.join(', ')}`);
+      }
+      options[key] = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Select the articles named on the command line (or all of them with --all)
+ */
+export function selectArticles(options) {
+  if (options.all) {
+    return getAllArticles();
+  }
+  if (options.versions.length === 0) {
+    throw new UsageError('Please specify a version or use --all');
+  }
+  return options.versions.map(version => {
+    try {
+      return getArticle(version);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  });
+}
+
+/**
+ * Format the help text of a command
+ */
+export function formatHelp(command, prog) {
+  const specs = [...(command.options || []), ...COMMON_OPTIONS];
+  const flags = specs.map(spec => {
+    let flag = `--${spec.name}`;
+    if (spec.type !== 'boolean') flag += ` ${spec.value || '<value>'}`;
+    if (spec.alias) flag += `, -${spec.alias}`;
+    return { flag, description: spec.description + (spec.default !== undefined && spec.type !== 'boolean' ? ` (default: ${spec.default})` : '') };
+  });
+  const width = Math.max(...flags.map(f => f.flag.length)) + 2;
+
+  return `
+Usage: ${prog} [versions...] [options]
+
+${command.description}
+
+Options:
+${flags.map(f => `  ${f.flag.padEnd(width)}${f.description}`).join('\n')}
+
+Examples:
+${(command.examples || []).map(example => `  ${prog} ${example}`).join('\n')}
+`;
+}
+
+/**
+ * Run a command: parse arguments, process each selected article, print a summary
+ *
+ * `runArticle(article, options)` returns `{ success, details? }` (or a boolean);
+ * thrown errors count as a failure of that article. `after(results, options)`
+ * runs once all articles are processed. When `writesToStdout(options)` is true
+ * the command prints a machine-readable report, so progress messages go to
+ * stderr instead of stdout. Resolves to the exit code.
+ */
+export async function runCommand(command, args = process.argv.slice(2), { prog = `node scripts/${command.script}` } = {}) {
+  let options;
+  let articles;
+  try {
+    options = parseCommandArgs(args, command);
+    if (options.help) {
+      console.log(formatHelp(command, prog));
+      return EXIT_SUCCESS;
+    }
+    articles = selectArticles(options);
+    if (command.validate) command.validate(options);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`Error: ${error.message}`);
+    console.error(formatHelp(command, prog));
+    return EXIT_USAGE;
+  }
+
+  const log = console.log;
+  if (command.writesToStdout && command.writesToStdout(options)) {
+    console.log = console.error;
+  }
+
+  const results = [];
+  try {
+    console.log(command.banner);
+    console.log('='.repeat(command.banner.length));
+    if (options.dryRun) {
+      console.log('⚠️  DRY RUN MODE - No files will be created\n');
+    }
+    if (command.before) command.before(options);
+
+    for (const article of articles) {
+      try {
+        const result = await command.runArticle(article, options);
+        results.push({ article, ...(typeof result === 'boolean' ? { success: result } : result) });
+      } catch (error) {
+        console.error(`\n❌ Error processing ${article.version}:`, error.message);
+        results.push({ article, success: false, details: error.message });
+      }
+    }
+
+    // Print overall summary
+    if (articles.length > 1) {
+      console.log('\n' + '='.repeat(70));
+      console.log('📊 OVERALL SUMMARY');
+      console.log('='.repeat(70));
+      for (const result of results) {
+        console.log(`   ${result.success ? '✅' : '❌'} ${result.article.version}: ${result.details || result.article.title}`);
+      }
+    }
+
+    console.log('\n' + '='.repeat(70));
+  } finally {
+    console.log = log;
+  }
+
+  if (command.after) await command.after(results, options);
+  return results.every(r => r.success) ? EXIT_SUCCESS : EXIT_FAILURE;
+}
+
+/**
+ * Check whether a module is the script Node was started with
+ */
+export function isMainModule(moduleUrl) {
+  if (!process.argv[1]) return false;
+  try {
+    return realpathSync(process.argv[1]) === realpathSync(fileURLToPath(moduleUrl));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run a command as the main script and exit with its code
+ */
+export function runMain(command) {
+  runCommand(command)
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('❌ Error:', error);
+      process.exit(EXIT_FAILURE);
+    });
+}
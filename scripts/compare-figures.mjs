@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Perceptual comparison of archived figures with the original page
+ *
+ * Hashes every archived figure image (images/figure-N.*) and the figures of
+ * the live page (or of its offline snapshot with --from-snapshot) with a
+ * perceptual hash, pairs them by figure number and reports figures that were
+ * changed, are missing from the page or were added to it. The hashes of the
+ * archived figures are stored in images/metadata.json (`perceptualHash`).
+ *
+ * Usage:
+ *   node scripts/compare-figures.mjs [versions...] [options]
+ *   node scripts/compare-figures.mjs --all
+ *
+ * Examples:
+ *   node scripts/compare-figures.mjs 0.0.2                   # Compare with the live page
+ *   node scripts/compare-figures.mjs --all --from-snapshot    # Compare with the snapshots (offline)
+ *   node scripts/compare-figures.mjs 0.0.1 --threshold 5      # Stricter comparison
+ */
+
+import { chromium } from 'playwright';
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule, SHARED_OPTIONS, UsageError } from './cli.mjs';
+import { openArticlePage, extractPageFigures } from './snapshot.mjs';
+import { readImageMetadata, writeImageMetadata } from './image-metadata.mjs';
+import { HASH_BITS, DEFAULT_THRESHOLD, hashImage, compareFigureHashes } from './perceptual-hash.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+const FIGURE_FILE_PATTERN = /^figure-(\d+)\.(?:png|jpe?g)$/i;
+
+/**
+ * Archived figure images: metadata entries with a figure number, plus
+ * figure-N files that are not in the metadata
+ */
+function findArchivedFigures(archivePath, imagesDir) {
+  const figures = readImageMetadata(archivePath, imagesDir)
+    .filter(entry => entry.figure !== null && existsSync(join(archivePath, entry.path)))
+    .map(entry => ({ figure: entry.figure, path: entry.path }));
+
+  const imagesPath = join(archivePath, imagesDir);
+  for (const name of existsSync(imagesPath) ? readdirSync(imagesPath) : []) {
+    const match = name.match(FIGURE_FILE_PATTERN);
+    if (match && !figures.some(figure => figure.figure === Number(match[1]))) {
+      figures.push({ figure: Number(match[1]), path: `${imagesDir}/${name}` });
+    }
+  }
+  return figures.sort((a, b) => a.figure - b.figure);
+}
+
+/**
+ * Read the bytes of a page figure: from disk for snapshots, over HTTP otherwise
+ */
+async function readFigureBytes(page, src) {
+  if (src.startsWith('file:')) {
+    return readFileSync(fileURLToPath(src));
+  }
+  const response = await page.context().request.get(src, { timeout: 30000 });
+  if (!response.ok()) {
+    throw new Error(`HTTP ${response.status()}`);
+  }
+  return response.body();
+}
+
+/**
+ * Describe a comparison for console output
+ */
+function describeComparison(comparison) {
+  const label = `Figure ${comparison.figure}`;
+  switch (comparison.status) {
+    case 'same':
+      return `✅ ${label}: same (${comparison.distance}/${HASH_BITS} bits differ)`;
+    case 'changed':
+      return `❌ ${label}: changed (${comparison.distance}/${HASH_BITS} bits differ, ${comparison.archived.hash} → ${comparison.fresh.hash})`;
+    case 'missing':
+      return `⚠️  ${label}: archived (${comparison.archived.path}) but not on the page`;
+    case 'new':
+      return `⚠️  ${label}: on the page but not archived (${comparison.fresh.src})`;
+    default:
+      return `❌ ${label}: ${comparison.archived?.error || comparison.fresh?.error}`;
+  }
+}
+
+/**
+ * Compare the archived figures of a single article with the page
+ */
+async function compareArticleFigures(article, options) {
+  const archivePath = join(ROOT_DIR, article.archivePath);
+
+  console.log(`\n🔍 Comparing figures: ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+  console.log(`   Source: ${options.fromSnapshot ? 'offline snapshot' : 'live page'}`);
+
+  const archived = findArchivedFigures(archivePath, article.imagesDir);
+  if (archived.length === 0) {
+    console.log('   ⚠️  No archived figures (download them with: node scripts/download.mjs --images)');
+    return { success: true, details: 'no figures' };
+  }
+
+  const fresh = [];
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const context = await browser.newContext({
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    });
+    const hashPage = await context.newPage();
+
+    for (const figure of archived) {
+      try {
+        Object.assign(figure, await hashImage(hashPage, readFileSync(join(archivePath, figure.path))));
+      } catch (error) {
+        figure.error = `cannot decode ${figure.path}: ${error.message}`;
+      }
+    }
+
+    const page = await context.newPage();
+    await openArticlePage(page, article, { fromSnapshot: options.fromSnapshot, verbose: options.verbose });
+    for (const figure of await extractPageFigures(page, article)) {
+      try {
+        fresh.push({ figure: figure.figure, src: figure.src, ...await hashImage(hashPage, await readFigureBytes(page, figure.src)) });
+      } catch (error) {
+        fresh.push({ figure: figure.figure, src: figure.src, error: `cannot load ${figure.src}: ${error.message}` });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const comparisons = compareFigureHashes(archived, fresh, { threshold: options.threshold });
+  const counts = { same: 0, changed: 0, missing: 0, new: 0, error: 0 };
+  for (const comparison of comparisons) {
+    counts[comparison.status]++;
+    if (comparison.status !== 'same' || options.verbose) {
+      console.log(`   ${describeComparison(comparison)}`);
+    }
+  }
+  console.log(`   Figures: ${counts.same} same, ${counts.changed} changed, ${counts.missing} not on the page, ${counts.new} not archived, ${counts.error} errors`);
+
+  const hashed = archived.filter(figure => figure.hash);
+  if (options.dryRun) {
+    console.log(`   📝 [DRY RUN] Would store ${hashed.length} hashes in ${article.imagesDir}/metadata.json`);
+  } else if (hashed.length > 0) {
+    writeImageMetadata(archivePath, hashed.map(figure => ({ path: figure.path, figure: figure.figure, perceptualHash: figure.hash })), article.imagesDir);
+    console.log(`   ✅ Stored ${hashed.length} hashes in ${article.imagesDir}/metadata.json`);
+  }
+
+  return {
+    success: counts.changed === 0 && counts.error === 0,
+    details: `${counts.same}/${comparisons.length} figures unchanged`,
+    comparisons
+  };
+}
+
+export const compareFiguresCommand = {
+  name: 'compare-figures',
+  script: 'compare-figures.mjs',
+  description: 'Compare archived figures with the page using perceptual hashes.',
+  banner: '🚀 Figure Comparison Script',
+  options: [
+    SHARED_OPTIONS.fromSnapshot,
+    { name: 'threshold', type: 'number', value: '<bits>', default: DEFAULT_THRESHOLD, description: `Maximum number of differing hash bits (of ${HASH_BITS}) for an unchanged figure` }
+  ],
+  examples: ['0.0.2', '--all --from-snapshot', '0.0.1 --threshold 5'],
+  validate(options) {
+    if (options.threshold < 0 || options.threshold > HASH_BITS) {
+      throw new UsageError(`--threshold must be between 0 and ${HASH_BITS}`);
+    }
+  },
+  runArticle: compareArticleFigures
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(compareFiguresCommand);
+}
@@ -0,0 +1,243 @@
+/**
+ * Full-coverage alignment of web page content against archived Markdown
+ *
+ * Every paragraph, list item and figure caption of the original page is matched
+ * to a unit of the Markdown file: a paragraph, blockquote, table or heading, a
+ * single list item or a figure caption (links are aligned the same way by
+ * link-preservation.mjs). Matching is ordered: the items of one category are
+ * aligned with a monotone dynamic program, so the n-th paragraph of the page can
+ * only match at or after the unit matched by the (n-1)-th one. An item without a
+ * match is a gap, located between the Markdown lines of its aligned neighbours.
+ *
+ * The score of an item against a unit is the share of the item's words found in
+ * the unit (1 when the start of the item appears verbatim), so Markdown-only
+ * additions such as formulas and link targets do not lower it.
+ */
+
+import { parseMarkdownBlocks, normalizeBlockText } from './markdown-blocks.mjs';
+
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+/;
+// Link targets may contain balanced parentheses (e.g. Wikipedia URLs)
+const LINK_PATTERN = /\[((?:[^\[\]]|\[[^\]]*\])*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\)/g;
+const IMAGE_PATTERN = /!\[(?:[^\[\]]|\[[^\]]*\])*\]\([^)\s]+(?:\s+"[^"]*")?\)/g;
+
+// Unit types a web paragraph or list item can match
+const TEXT_UNIT_TYPES = new Set(['paragraph', 'list-item', 'blockquote', 'table', 'heading', 'figure']);
+
+/**
+ * Normalize text for matching: drop link targets and formatting, lowercase
+ */
+function normalizeForMatch(text) {
+  return normalizeBlockText(text.replace(LINK_PATTERN, '$1').replace(/[[\]]/g, ' '));
+}
+
+/**
+ * Prepare text for scoring: normalized string and set of words
+ */
+function prepare(text) {
+  const normalized = normalizeForMatch(text);
+  return { normalized, words: new Set(normalized.match(/[\p{L}\p{N}]+/gu) || []) };
+}
+
+/**
+ * Score a prepared item against a prepared unit (0..1)
+ */
+function matchScore(item, unit) {
+  if (item.normalized.length > 20 && unit.normalized.includes(item.normalized.substring(0, 50))) {
+    return 1;
+  }
+  if (item.words.size === 0) {
+    return item.normalized === unit.normalized ? 1 : 0;
+  }
+  let found = 0;
+  for (const word of item.words) {
+    if (unit.words.has(word)) found++;
+  }
+  return found / item.words.size;
+}
+
+/**
+ * Split Markdown into matchable units with their line range and section
+ *
+ * Units are `{ type, text, line, endLine, section }` with `type` one of
+ * paragraph, list-item, blockquote, table, heading and figure (its caption).
+ */
+export function buildMarkdownUnits(markdownText) {
+  const lines = markdownText.replace(/\r\n/g, '\n').split('\n');
+  const units = [];
+
+  for (const block of parseMarkdownBlocks(markdownText)) {
+    const unit = { line: block.line, endLine: block.endLine, section: block.section };
+    if (block.type === 'list') {
+      // Locate each item on its first line within the block
+      let cursor = block.line - 1;
+      for (const item of block.items) {
+        const firstLine = item.split('\n')[0];
+        while (cursor < block.endLine - 1 && !(LIST_ITEM_PATTERN.test(lines[cursor]) && lines[cursor].includes(firstLine))) {
+          cursor++;
+        }
+        units.push({ ...unit, type: 'list-item', text: item, line: cursor + 1, endLine: cursor + item.split('\n').length });
+        cursor++;
+      }
+    } else if (block.type === 'figure') {
+      units.push({ ...unit, type: 'figure', text: block.caption || block.alt });
+    } else if (TEXT_UNIT_TYPES.has(block.type)) {
+      units.push({ ...unit, type: block.type, text: block.content });
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Extract inline links with their line number and section
+ *
+ * Images are skipped, including links inside their alt text (rendered as text),
+ * and so are code blocks.
+ */
+export function extractMarkdownLinks(markdownText) {
+  const lines = markdownText.replace(/\r\n/g, '\n').split('\n');
+  const links = [];
+
+  for (const block of parseMarkdownBlocks(markdownText)) {
+    if (block.type === 'code') continue;
+    for (let index = block.line - 1; index < block.endLine; index++) {
+      for (const match of lines[index].replace(IMAGE_PATTERN, '').matchAll(LINK_PATTERN)) {
+        links.push({ text: match[1], href: match[2], line: index + 1, endLine: index + 1, section: block.section });
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Ordered alignment of items to units
+ *
+ * Maximizes the total score of matched pairs with scores of at least
+ * `threshold`, keeping matches in order. With `shared`, consecutive items may
+ * match the same unit (the Markdown can merge paragraphs); otherwise every unit
+ * matches at most one item. Returns, per item, `{ unit, score, bestUnit, bestScore }`: the
+ * aligned unit (-1 when unmatched) and its score, and the best-scoring unit
+ * regardless of order (to tell reordered content from missing content).
+ */
+export function alignOrdered(itemTexts, unitTexts, { threshold = 0.6, shared = false } = {}) {
+  const items = itemTexts.map(prepare);
+  const units = unitTexts.map(prepare);
+  const n = items.length;
+  const m = units.length;
+
+  const scores = new Float32Array(n * m);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < m; j++) {
+      scores[i * m + j] = matchScore(items[i], units[j]);
+    }
+  }
+
+  // best[i][j]: best total score aligning items i.. with units j..
+  const width = m + 1;
+  const next = shared ? 0 : 1;
+  const best = new Float64Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      const score = scores[i * m + j];
+      best[i * width + j] = Math.max(
+        best[i * width + j + 1],
+        best[(i + 1) * width + j],
+        score >= threshold ? score + best[(i + 1) * width + j + next] : 0
+      );
+    }
+  }
+
+  // Follow an optimal path, skipping units before giving up on an item
+  const result = [];
+  let j = 0;
+  for (let i = 0; i < n; i++) {
+    let unit = -1;
+    for (; j < m; j++) {
+      const score = scores[i * m + j];
+      if (score >= threshold && best[i * width + j] === score + best[(i + 1) * width + j + next]) {
+        unit = j;
+        j += next;
+        break;
+      }
+      if (best[i * width + j] !== best[i * width + j + 1]) break;
+    }
+
+    let bestUnit = -1;
+    for (let k = 0; k < m; k++) {
+      if (bestUnit < 0 || scores[i * m + k] > scores[i * m + bestUnit]) bestUnit = k;
+    }
+    const bestScore = bestUnit >= 0 ? scores[i * m + bestUnit] : 0;
+    result.push({ unit, score: unit >= 0 ? scores[i * m + unit] : bestScore, bestUnit, bestScore });
+  }
+  return result;
+}
+
+/**
+ * Locate the gap left by an unmatched item of an alignment
+ *
+ * The gap lies between the units matched by the nearest aligned neighbours.
+ * Returns `{ line, section?, details }` with `line` the first Markdown line where
+ * the item was expected; details mention where the item was found when it only
+ * matches out of order.
+ */
+export function locateGap(alignment, index, units, { threshold = 0.6 } = {}) {
+  const before = alignment.slice(0, index).reverse().find(other => other.unit >= 0);
+  const after = alignment.slice(index + 1).find(other => other.unit >= 0);
+  const previous = before ? units[before.unit] : null;
+  const next = after ? units[after.unit] : null;
+  const gap = { line: previous ? previous.endLine + 1 : 1 };
+  if (previous) gap.section = previous.section;
+
+  let range = previous ? `after line ${previous.endLine}` : 'at the start';
+  if (previous && next && next.line <= previous.endLine) {
+    range = `on line ${previous.endLine}`;
+  } else if (next) {
+    range += ` and before line ${next.line}`;
+  }
+  gap.details = `missing ${range}${gap.section ? ` (section "${gap.section}")` : ''}`;
+
+  const match = alignment[index];
+  if (match.bestScore >= threshold) {
+    gap.details += `; out of order, found at line ${units[match.bestUnit].line}`;
+  }
+  return gap;
+}
+
+/**
+ * Turn an alignment into checks, locating every gap in the Markdown
+ */
+function alignmentChecks(category, items, units, options) {
+  const alignment = alignOrdered(items, units.map(unit => unit.text), options);
+
+  return alignment.map((match, index) => {
+    const check = { category, text: items[index], passed: match.unit >= 0, matchRate: match.score };
+    if (match.unit >= 0) {
+      check.line = units[match.unit].line;
+      check.section = units[match.unit].section;
+      return check;
+    }
+    return { ...check, ...locateGap(alignment, index, units, options) };
+  });
+}
+
+/**
+ * Check every paragraph, list item and figure caption of the web page
+ *
+ * `webContent` holds `paragraphs`, `listItems` and `figureCaptions` in page
+ * order (links are checked with their targets by link-preservation.mjs).
+ * Returns checks `{ category, text, passed, matchRate, line, section?, details? }`
+ * (categories paragraph, list-item and figure-caption) where `line` is the
+ * matched Markdown line or, for a gap, the first line where the missing content
+ * was expected.
+ */
+export function verifyCoverage(webContent, markdownText, { threshold = 0.6 } = {}) {
+  const units = buildMarkdownUnits(markdownText);
+  const figures = units.filter(unit => unit.type === 'figure');
+
+  return [
+    ...alignmentChecks('paragraph', webContent.paragraphs || [], units, { threshold, shared: true }),
+    ...alignmentChecks('list-item', webContent.listItems || [], units, { threshold, shared: true }),
+    ...alignmentChecks('figure-caption', webContent.figureCaptions || [], figures, { threshold })
+  ];
+}
@@ -0,0 +1,284 @@
+/**
+ * Coq code blocks of archived articles
+ *
+ * Collects the Coq code of an article (```coq fences, or untagged fences whose
+ * content is Coq vernacular) into a single .v file, keeping a map from .v
+ * lines back to article.md lines so every problem can be reported where it
+ * has to be fixed.
+ *
+ * Problems are found in two ways:
+ * - statically (no Coq installation needed): converter artifacts such as
+ *   fences wrapped in backticks, pasted URLs, qualified names split by spaces,
+ *   unterminated comments and unfinished or admitted proofs;
+ * - by type checking with a `compile(text)` function (coqc, see
+ *   extract-coq.mjs). Coq stops at the first error, so a failing proof is
+ *   admitted (or a failing declaration removed) and the file compiled again
+ *   until it passes, which yields every failing lemma in one run.
+ */
+
+import { parseMarkdownBlocks } from './markdown-blocks.mjs';
+
+const COQ_LANGUAGES = new Set(['coq', 'rocq', 'v']);
+const VERNACULAR_PATTERN = /^\s*(?:Require|From|Definition|Fixpoint|Inductive|Lemma|Theorem|Proof\.|Qed\.)\b/m;
+const DECLARATION_PATTERN = /^\s*(Lemma|Theorem|Corollary|Proposition|Fact|Remark|Example|Definition|Fixpoint|CoFixpoint|Inductive|CoInductive|Record|Structure|Class|Instance|Notation|Compute|Check|Eval|Require|Import|Export|From)\b\s*([^\s:({]*)/;
+const PROOF_KINDS = new Set(['Lemma', 'Theorem', 'Corollary', 'Proposition', 'Fact', 'Remark', 'Example']);
+const PROOF_END_PATTERN = /(?:^|\s)(Qed|Defined|Admitted|Abort)\.\s*$/;
+const COMMAND_KINDS = new Set(['Notation', 'Compute', 'Check', 'Eval', 'Require', 'Import', 'Export', 'From']);
+
+/**
+ * Check whether a code block contains Coq
+ */
+export function isCoqBlock(block) {
+  if (COQ_LANGUAGES.has(block.language.toLowerCase())) return true;
+  return !block.language && VERNACULAR_PATTERN.test(stripBacktickWrapper(block.content).text);
+}
+
+/**
+ * Remove the backticks the converter wraps around some fenced code (`...`)
+ *
+ * Only the characters are removed, so lines keep their numbers.
+ */
+function stripBacktickWrapper(code) {
+  const trimmed = code.trim();
+  if (trimmed.length > 1 && trimmed.startsWith('`') && trimmed.endsWith('`') && !trimmed.startsWith('``')) {
+    const start = code.indexOf('`');
+    const end = code.lastIndexOf('`');
+    return { text: code.slice(0, start) + code.slice(start + 1, end) + code.slice(end + 1), wrapped: true };
+  }
+  return { text: code, wrapped: false };
+}
+
+/**
+ * Extract the Coq code blocks of an article in document order
+ *
+ * Returns `{ code, line, endLine, section, wrapped }` where `line` is the
+ * article.md line of the first code line and `wrapped` marks blocks whose
+ * backtick wrapper was removed.
+ */
+export function extractCoqBlocks(markdownText) {
+  return parseMarkdownBlocks(markdownText)
+    .filter(block => block.type === 'code' && isCoqBlock(block))
+    .map(block => {
+      const { text, wrapped } = stripBacktickWrapper(block.content);
+      return { code: text, line: block.line + 1, endLine: block.endLine - 1, section: block.section, wrapped };
+    });
+}
+
+/**
+ * Build the .v file from the extracted blocks
+ *
+ * Each block is preceded by a comment naming its lines in the article.
+ * Returns `{ text, lineMap }` where `lineMap[i]` is the article.md line of
+ * .v line i + 1 (null for the generated comments).
+ */
+export function buildCoqFile(blocks, { title = '', source = 'article.md' } = {}) {
+  const lines = [
+    `(* Coq code of ${title ? `"${title}" ` : ''}(${source}), extracted by scripts/extract-coq.mjs. *)`,
+    `(* Do not edit: fix the code in ${source} and extract again. *)`
+  ];
+  const lineMap = [null, null];
+
+  for (const block of blocks) {
+    lines.push('', `(* ${source}, lines ${block.line}-${block.endLine}${block.section ? `: ${block.section}` : ''} *)`);
+    lineMap.push(null, null);
+    block.code.split('\n').forEach((line, index) => {
+      lines.push(line);
+      lineMap.push(block.line + index);
+    });
+  }
+
+  return { text: lines.join('\n') + '\n', lineMap };
+}
+
+/**
+ * Replace comments and string literals with spaces (newlines kept)
+ *
+ * Coq comments nest; an unterminated comment is reported through
+ * `unterminatedAt` (the offset where it starts).
+ */
+export function maskComments(text) {
+  let masked = '';
+  let depth = 0;
+  let inString = false;
+  let unterminatedAt = null;
+  const blank = (char) => (char === '\n' ? '\n' : ' ');
+
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (inString) {
+      if (text[i] === '"' && text[i + 1] === '"') {
+        masked += '  ';
+        i++;
+      } else {
+        if (text[i] === '"') inString = false;
+        masked += text[i] === '"' ? '"' : blank(text[i]);
+      }
+    } else if (pair === '(*') {
+      if (depth === 0) unterminatedAt = i;
+      depth++;
+      masked += '  ';
+      i++;
+    } else if (depth > 0 && pair === '*)') {
+      depth--;
+      masked += '  ';
+      i++;
+    } else if (depth > 0) {
+      masked += blank(text[i]);
+    } else {
+      if (text[i] === '"') inString = true;
+      masked += text[i];
+    }
+  }
+
+  return { text: masked, unterminatedAt: depth > 0 ? unterminatedAt : null };
+}
+
+/**
+ * Find the declarations of a .v file with their line ranges
+ *
+ * Returns `{ kind, name, line, endLine, proof }` (1-based lines) where
+ * `proof` is `{ line, endLine, end }` for lemmas with a Proof ... Qed block
+ * (`end` is Qed/Defined/Admitted/Abort, or null when the proof is unfinished).
+ */
+export function findCoqDeclarations(text) {
+  const lines = maskComments(text).text.split('\n');
+  const declarations = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(DECLARATION_PATTERN);
+    if (!match) continue;
+    const name = COMMAND_KINDS.has(match[1]) ? lines[i].trim().slice(match[1].length).trim() : match[2];
+    const declaration = { kind: match[1], name: name.replace(/\.$/, ''), line: i + 1, endLine: i + 1, proof: null };
+
+    if (PROOF_KINDS.has(declaration.kind)) {
+      let j = i;
+      while (j + 1 < lines.length && !/^\s*Proof\b/.test(lines[j]) && !DECLARATION_PATTERN.test(lines[j + 1])) j++;
+      if (/^\s*Proof\b/.test(lines[j])) {
+        let end = j;
+        while (end < lines.length && !PROOF_END_PATTERN.test(lines[end]) && (end === j || !DECLARATION_PATTERN.test(lines[end]))) end++;
+        const endMatch = end < lines.length ? lines[end].match(PROOF_END_PATTERN) : null;
+        declaration.proof = { line: j + 1, endLine: endMatch ? end + 1 : end, end: endMatch ? endMatch[1] : null };
+      }
+    }
+    declarations.push(declaration);
+  }
+
+  // A declaration ends where its proof ends, or right before the next one
+  declarations.forEach((declaration, index) => {
+    const next = declarations[index + 1];
+    declaration.endLine = declaration.proof ? declaration.proof.endLine : (next ? next.line - 1 : lines.length);
+  });
+  return declarations;
+}
+
+/**
+ * Check the extracted code without Coq
+ *
+ * Returns `{ severity, line, message }` problems with article.md lines.
+ */
+export function lintCoqBlocks(blocks) {
+  const problems = [];
+
+  for (const block of blocks) {
+    if (block.wrapped) {
+      problems.push({ severity: 'warning', line: block.line, message: 'Code block is wrapped in backticks (converter artifact, removed in the .v file)' });
+    }
+
+    const masked = maskComments(block.code);
+    const lines = masked.text.split('\n');
+    lines.forEach((line, index) => {
+      const articleLine = block.line + index;
+      const url = line.match(/https?:\/\/\S+/);
+      if (url) {
+        problems.push({ severity: 'error', line: articleLine, message: `URL inside Coq code (pasted link?): ${url[0]}` });
+      }
+      if (line.includes('`')) {
+        problems.push({ severity: 'error', line: articleLine, message: 'Stray backtick in Coq code' });
+      }
+      const split = /^\s*(?:Require|Import|Export|From)\b/.test(line) && line.match(/\b[A-Z]\w*(?:\.\s+[A-Z]\w*)+\./);
+      if (split) {
+        problems.push({ severity: 'error', line: articleLine, message: `Qualified name split by spaces: "${split[0]}" (should be "${split[0].replace(/\s+/g, '')}")` });
+      }
+    });
+    if (masked.unterminatedAt !== null) {
+      const line = block.line + block.code.slice(0, masked.unterminatedAt).split('\n').length - 1;
+      problems.push({ severity: 'error', line, message: 'Unterminated comment' });
+    }
+
+    for (const declaration of findCoqDeclarations(block.code)) {
+      if (!declaration.proof) continue;
+      const line = block.line + declaration.line - 1;
+      if (declaration.proof.end === null) {
+        problems.push({ severity: 'error', line, message: `Proof of ${declaration.name} is not finished (no Qed.)` });
+      } else if (declaration.proof.end === 'Admitted' || declaration.proof.end === 'Abort') {
+        problems.push({ severity: 'warning', line, message: `Proof of ${declaration.name} is not complete (${declaration.proof.end}.)` });
+      }
+    }
+  }
+
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Parse coqc error messages into `{ line, message }` (1-based .v lines)
+ */
+export function parseCoqErrors(output) {
+  const errors = [];
+  const pattern = /^File "[^"]*", line (\d+), characters \d+-\d+:\n((?:(?!File ").*\n?)*)/gm;
+  let match;
+  while ((match = pattern.exec(output)) !== null) {
+    const message = match[2].trim();
+    if (/^Warning\b/.test(message)) continue;
+    errors.push({ line: Number(match[1]), message: message.replace(/^Error:\s*/, '').replace(/\s+/g, ' ') });
+  }
+  return errors;
+}
+
+/**
+ * Blank out lines [from, to] (1-based), keeping line numbers
+ */
+function blankLines(lines, from, to, replacement = '') {
+  for (let line = from; line <= to; line++) {
+    lines[line - 1] = line === from ? replacement : '';
+  }
+}
+
+/**
+ * Type check a .v file, collecting every failing declaration
+ *
+ * `compile(text)` resolves to `{ ok, errors: [{ line, message }] }`. After an
+ * error inside a proof the proof is replaced by `Admitted.`; after an error
+ * elsewhere the declaration is removed (so later uses of it fail too and are
+ * reported). Returns `{ ok, failures: [{ kind, name, line, message, proof }], fatal }`
+ * with .v lines; `fatal` is an error outside any declaration, which stops
+ * the check.
+ */
+export async function typeCheckCoq(text, compile, { maxRounds = 100 } = {}) {
+  const lines = text.split('\n');
+  const failures = [];
+
+  for (let round = 0; round < maxRounds; round++) {
+    const result = await compile(lines.join('\n'));
+    if (result.ok) {
+      return { ok: failures.length === 0, failures, fatal: null };
+    }
+
+    const error = result.errors[0] || { line: null, message: 'coqc failed without an error location' };
+    const declaration = error.line === null
+      ? null
+      : findCoqDeclarations(lines.join('\n')).find(candidate => candidate.line <= error.line && error.line <= candidate.endLine);
+    if (!declaration) {
+      return { ok: false, failures, fatal: error };
+    }
+
+    const inProof = declaration.proof && error.line >= declaration.proof.line;
+    failures.push({ kind: declaration.kind, name: declaration.name, line: declaration.line, message: error.message, proof: Boolean(inProof) });
+    if (inProof) {
+      blankLines(lines, declaration.proof.line, declaration.proof.endLine, 'Admitted.');
+    } else {
+      blankLines(lines, declaration.line, declaration.endLine);
+    }
+  }
+
+  return { ok: false, failures, fatal: { line: null, message: `Still failing after ${maxRounds} rounds` } };
+}
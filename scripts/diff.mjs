@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Structural diff between the curated article.md and the generated downloaded.md
+ *
+ * Both files are parsed into blocks (headings, paragraphs, formulas, figures, code,
+ * lists, ...) and aligned. The report lists added, removed and changed blocks per
+ * section, and a similarity score for the whole document, so curators can see
+ * exactly what the converter still gets wrong.
+ *
+ * Usage:
+ *   node scripts/diff.mjs [versions...] [options]
+ *   node scripts/diff.mjs --all
+ *
+ * Examples:
+ *   node scripts/diff.mjs 0.0.2              # Diff article.md against downloaded.md
+ *   node scripts/diff.mjs 0.0.1 --verbose    # Show the text of every difference
+ *   node scripts/diff.mjs --all --html       # Also write diff-report.html per version
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule } from './cli.mjs';
+import { parseMarkdownBlocks } from './markdown-blocks.mjs';
+import { diffBlocks, summarizeDiff, groupBySection } from './block-diff.mjs';
+import { escapeHtml } from './html-escape.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+const HTML_REPORT_FILE = 'diff-report.html';
+
+/**
+ * Shorten block text for one-line console output
+ */
+function preview(block, length = 80) {
+  const text = (block.content || block.src || block.type).replace(/\s+/g, ' ').trim();
+  return text.length > length ? text.substring(0, length) + '...' : text;
+}
+
+/**
+ * Render the diff as a side-by-side HTML report
+ */
+function renderHtmlReport(article, options, sections, summary) {
+  const cell = (block) => block
+    ? `<td class="line">${block.line}</td><td><span class="type">${block.type}</span><pre>${escapeHtml(block.content || block.src || '')}</pre></td>`
+    : '<td class="line"></td><td></td>';
+
+  const rows = [];
+  for (const section of sections) {
+    const differences = section.ops.filter(entry => entry.op !== 'equal').length;
+    rows.push(`<tr class="section"><th colspan="4">${escapeHtml(section.name)} <small>(${differences} differences)</small></th></tr>`);
+    for (const entry of section.ops) {
+      const similarity = entry.op === 'changed' ? ` title="${(entry.similarity * 100).toFixed(0)}% similar"` : '';
+      rows.push(`<tr class="${entry.op}"${similarity}>${cell(entry.left)}${cell(entry.right)}</tr>`);
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Diff: ${escapeHtml(article.title)} (${article.version})</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; }
+  table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+  td, th { border: 1px solid #d0d7de; padding: 4px 8px; vertical-align: top; }
+  td.line { width: 3em; color: #6e7781; text-align: right; }
+  th { text-align: left; background: #f6f8fa; }
+  pre { white-space: pre-wrap; word-break: break-word; margin: 0; font-size: 13px; }
+  .type { font-size: 11px; color: #6e7781; }
+  tr.removed td { background: #ffebe9; }
+  tr.added td { background: #dafbe1; }
+  tr.changed td { background: #fff8c5; }
+  tr.equal { display: ${options.verbose ? 'table-row' : 'none'}; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(article.title)} (${article.version})</h1>
+<p><code>${escapeHtml(options.left)}</code> ↔ <code>${escapeHtml(options.right)}</code></p>
+<p>Score: <strong>${(summary.score * 100).toFixed(1)}%</strong> —
+${summary.counts.equal} equal, ${summary.counts.changed} changed, ${summary.counts.removed} removed, ${summary.counts.added} added</p>
+<table>
+<colgroup><col style="width:3em"><col><col style="width:3em"><col></colgroup>
+<tr><th colspan="2">${escapeHtml(options.left)}</th><th colspan="2">${escapeHtml(options.right)}</th></tr>
+${rows.join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Diff the two markdown files of a single article
+ */
+function diffArticle(article, options) {
+  const archivePath = join(ROOT_DIR, article.archivePath);
+  const leftPath = join(archivePath, options.left);
+  const rightPath = join(archivePath, options.right);
+
+  console.log(`\n🔀 Diffing ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+  console.log(`   ${options.left} ↔ ${options.right}`);
+
+  for (const [file, path] of [[options.left, leftPath], [options.right, rightPath]]) {
+    if (!existsSync(path)) {
+      console.log(`   ❌ File not found: ${path}`);
+      return { success: false, details: `File not found: ${file}` };
+    }
+  }
+
+  const leftBlocks = parseMarkdownBlocks(readFileSync(leftPath, 'utf-8'));
+  const rightBlocks = parseMarkdownBlocks(readFileSync(rightPath, 'utf-8'));
+  const ops = diffBlocks(leftBlocks, rightBlocks, { threshold: options.threshold });
+  const summary = summarizeDiff(ops);
+  const sections = groupBySection(ops);
+
+  for (const section of sections) {
+    const differences = section.ops.filter(entry => entry.op !== 'equal');
+    if (differences.length === 0) continue;
+
+    console.log(`\n📑 ${section.name}`);
+    for (const entry of differences) {
+      if (entry.op === 'removed') {
+        console.log(`   ➖ ${entry.left.type} (line ${entry.left.line}): "${preview(entry.left)}"`);
+      } else if (entry.op === 'added') {
+        console.log(`   ➕ ${entry.right.type} (line ${entry.right.line}): "${preview(entry.right)}"`);
+      } else {
+        console.log(`   ✏️  ${entry.left.type} (lines ${entry.left.line} → ${entry.right.line}, ${(entry.similarity * 100).toFixed(0)}% similar)`);
+        if (options.verbose) {
+          console.log(`      - ${preview(entry.left, 200)}`);
+          console.log(`      + ${preview(entry.right, 200)}`);
+        }
+      }
+    }
+  }
+
+  console.log('\n' + '─'.repeat(70));
+  console.log('📊 DIFF SUMMARY');
+  console.log('─'.repeat(70));
+  console.log(`   Blocks: ${summary.leftTotal} in ${options.left}, ${summary.rightTotal} in ${options.right}`);
+  console.log(`   ✅ Equal: ${summary.counts.equal}`);
+  console.log(`   ✏️  Changed: ${summary.counts.changed}`);
+  console.log(`   ➖ Removed: ${summary.counts.removed}`);
+  console.log(`   ➕ Added: ${summary.counts.added}`);
+  for (const [type, typeCounts] of Object.entries(summary.byType)) {
+    const differences = typeCounts.changed + typeCounts.removed + typeCounts.added;
+    if (differences > 0) {
+      console.log(`      ${type}: ${typeCounts.changed} changed, ${typeCounts.removed} removed, ${typeCounts.added} added`);
+    }
+  }
+  console.log(`   Score: ${(summary.score * 100).toFixed(1)}%`);
+
+  if (options.html) {
+    const reportPath = join(archivePath, HTML_REPORT_FILE);
+    if (options.dryRun) {
+      console.log(`   📝 [DRY RUN] Would save HTML report: ${reportPath}`);
+    } else {
+      writeFileSync(reportPath, renderHtmlReport(article, options, sections, summary), 'utf-8');
+      console.log(`   ✅ HTML report saved: ${reportPath}`);
+    }
+  }
+
+  return { success: true, details: `${(summary.score * 100).toFixed(1)}% similar`, score: summary.score, counts: summary.counts };
+}
+
+export const diffCommand = {
+  name: 'diff',
+  script: 'diff.mjs',
+  description: 'Structural diff between two markdown files of each archived article.',
+  banner: '🚀 Article Diff Script',
+  options: [
+    { name: 'html', type: 'boolean', description: `Write a side-by-side ${HTML_REPORT_FILE} into the archive folder` },
+    { name: 'left', type: 'string', value: '<file>', default: 'article.md', description: 'Left file in the archive folder' },
+    { name: 'right', type: 'string', value: '<file>', default: 'downloaded.md', description: 'Right file in the archive folder' },
+    { name: 'threshold', type: 'number', value: '<0..1>', default: 0.5, description: 'Minimum similarity to report a block as changed' }
+  ],
+  examples: ['0.0.2', '0.0.1 --verbose', '--all --html'],
+  runArticle: diffArticle
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(diffCommand);
+}
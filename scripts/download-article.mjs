@@ -3,8 +3,8 @@
 /**
  * Script to download article content from web pages and convert to markdown
  *
- * This script extracts article content from Habr and converts it to markdown format.
- * It handles:
+ * This script extracts article content from its source (Habr by default, see
+ * source-adapters.mjs) and converts it to markdown format. It handles:
  * - Title extraction
  * - Headings (h2, h3, h4)
  * - Paragraphs with inline links
@@ -15,560 +15,82 @@
  * - Links preservation
  * - LaTeX math formulas (extracted from img.formula elements' `source` attribute)
  *
+ * The conversion itself lives in markdown-converter.mjs so that it can also run in
+ * Node on saved snapshots (--from-snapshot) and be covered by tests.
+ *
  * FORMULA EXTRACTION:
  * Habr renders formulas as SVG/PNG images with class "formula". The original LaTeX
  * source code is stored in the `source` attribute of these img elements. This script
  * automatically extracts and converts them to proper LaTeX markdown format ($...$).
  *
  * Usage:
- *   node scripts/download-article.mjs [version]
+ *   node scripts/download-article.mjs [versions...] [options]
  *   node scripts/download-article.mjs --all
  *
  * Examples:
  *   node scripts/download-article.mjs 0.0.1
  *   node scripts/download-article.mjs --all
+ *   node scripts/download-article.mjs --all --downloaded --from-snapshot
  */
 
 import { chromium } from 'playwright';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { writeFileSync, readFileSync, mkdirSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { getArticle, getAllArticles } from './articles-config.mjs';
+import { runMain, isMainModule, SHARED_OPTIONS } from './cli.mjs';
+import { openArticlePage, getSnapshotHtmlPath } from './snapshot.mjs';
+import { extractArticleFromHtml, contentToMarkdown } from './markdown-converter.mjs';
+import { getSourceAdapter, getPageSelectors } from './source-adapters.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, '..');
 
 /**
- * Parse command line arguments
+ * Extract article content from its source
+ *
+ * Returns `{ title, elements }`, or `{ title, markdown }` for Markdown sources.
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    version: null,
-    all: false,
-    dryRun: false,
-    verbose: false,
-    outputFile: 'article.md'  // Default output file, can be changed with --downloaded
-  };
-
-  for (const arg of args) {
-    if (arg === '--all') {
-      options.all = true;
-    } else if (arg === '--dry-run') {
-      options.dryRun = true;
-    } else if (arg === '--verbose' || arg === '-v') {
-      options.verbose = true;
-    } else if (arg === '--downloaded') {
-      options.outputFile = 'downloaded.md';
-    } else if (!arg.startsWith('-')) {
-      options.version = arg;
+export async function extractArticleContent(article, verbose = false, fromSnapshot = false) {
+  // Snapshots are plain HTML files, so they are converted in Node without a browser
+  if (fromSnapshot) {
+    const snapshotPath = getSnapshotHtmlPath(article);
+    if (!existsSync(snapshotPath)) {
+      throw new Error(`Snapshot not found: ${snapshotPath}. Capture it with: node scripts/download.mjs ${article.version} --snapshot`);
     }
+    if (verbose) console.log('   Loading snapshot:', snapshotPath);
+    const selectors = getPageSelectors(article);
+    return extractArticleFromHtml(readFileSync(snapshotPath, 'utf-8'), {
+      bodySelector: selectors.body,
+      titleSelector: selectors.title
+    });
   }
 
-  return options;
-}
-
-/**
- * Extract article content from web page and convert to markdown
- */
-async function extractArticleContent(article, verbose = false) {
-  if (verbose) console.log('   Loading web page:', article.url);
-
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    viewport: { width: 1920, height: 1080 },
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  });
-  const page = await context.newPage();
-
-  // Navigate to the page
-  await page.goto(article.url, {
-    waitUntil: 'domcontentloaded',
-    timeout: 120000
-  });
-
-  // Wait for article body to appear
-  await page.waitForSelector('.article-formatted-body', { timeout: 30000 });
-
-  // Scroll through the page to trigger lazy loading
-  await page.evaluate(async () => {
-    const scrollHeight = document.documentElement.scrollHeight;
-    const viewportHeight = window.innerHeight;
-    const scrollSteps = Math.ceil(scrollHeight / viewportHeight);
-
-    for (let i = 0; i < scrollSteps; i++) {
-      window.scrollTo(0, i * viewportHeight);
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    window.scrollTo(0, 0);
-  });
-
-  // Wait for dynamic content
-  await page.waitForTimeout(2000);
-
-  // Extract article content as structured data with HTML processing
-  const content = await page.evaluate(() => {
-    const articleBody = document.querySelector('.article-formatted-body');
-    if (!articleBody) return null;
-
-    // Get article title
-    const titleEl = document.querySelector('article h1');
-    const title = titleEl ? titleEl.innerText.trim() : '';
-
-    /**
-     * Convert an HTML element to markdown, preserving links and formatting
-     */
-    function nodeToMarkdown(node, context = {}) {
-      if (node.nodeType === Node.TEXT_NODE) {
-        return node.textContent;
-      }
-
-      if (node.nodeType !== Node.ELEMENT_NODE) return '';
-
-      const tag = node.tagName.toLowerCase();
-
-      // Skip script, style, etc.
-      if (['script', 'style', 'noscript', 'svg'].includes(tag)) return '';
-
-      // Handle links
-      if (tag === 'a') {
-        const href = node.getAttribute('href');
-        const text = nodeToMarkdownChildren(node);
-        if (href && text) {
-          return `[${text}](${href})`;
-        }
-        return text;
-      }
-
-      // Handle bold
-      if (tag === 'strong' || tag === 'b') {
-        const text = nodeToMarkdownChildren(node);
-        return text ? `**${text}**` : '';
-      }
-
-      // Handle italic
-      if (tag === 'em' || tag === 'i') {
-        const text = nodeToMarkdownChildren(node);
-        return text ? `*${text}*` : '';
-      }
-
-      // Handle inline code
-      if (tag === 'code' && !node.closest('pre')) {
-        const text = node.textContent;
-        return text ? `\`${text}\`` : '';
-      }
-
-      // Handle line breaks
-      if (tag === 'br') {
-        return '\n';
-      }
-
-      // Handle subscript/superscript (common in math)
-      if (tag === 'sub') {
-        return `₍${node.textContent}₎`;
-      }
-      if (tag === 'sup') {
-        return `^${node.textContent}`;
-      }
-
-      // Handle formula images (Habr stores LaTeX in `source` attribute)
-      if (tag === 'img' && node.classList.contains('formula')) {
-        const source = node.getAttribute('source');
-        if (source) {
-          // Inline formula - wrap in single $
-          return `$${source}$`;
-        }
-        // Fallback to alt text
-        const alt = node.getAttribute('alt');
-        if (alt) {
-          return `$${alt}$`;
-        }
-        return '';
-      }
-
-      // Handle math elements (KaTeX/MathJax)
-      if (node.classList.contains('katex') || node.classList.contains('math') ||
-          tag === 'mjx-container' || node.classList.contains('MathJax')) {
-        const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
-        if (annotation) {
-          return annotation.textContent;
-        }
-        // Try to get the LaTeX from data attributes
-        const tex = node.getAttribute('data-tex') || node.getAttribute('data-latex');
-        if (tex) return tex;
-        // Fallback to text content cleaned up
-        return node.textContent.trim();
-      }
-
-      // Handle spans (just process children)
-      if (tag === 'span') {
-        return nodeToMarkdownChildren(node);
-      }
-
-      // Default: process children
-      return nodeToMarkdownChildren(node);
-    }
-
-    function nodeToMarkdownChildren(node) {
-      let result = '';
-      for (const child of node.childNodes) {
-        result += nodeToMarkdown(child);
-      }
-      return result;
-    }
-
-    // Process all elements in order
-    const elements = [];
-    let figureIndex = 0;
-
-    const processElement = (node) => {
-      if (node.nodeType !== Node.ELEMENT_NODE) return;
-
-      const tag = node.tagName.toLowerCase();
-
-      // Skip certain elements
-      if (['script', 'style', 'noscript'].includes(tag)) return;
-
-      // Handle headings
-      if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag)) {
-        elements.push({
-          type: 'heading',
-          level: parseInt(tag[1]),
-          content: nodeToMarkdownChildren(node).trim()
-        });
-        return;
-      }
-
-      // Handle paragraphs
-      if (tag === 'p') {
-        const content = nodeToMarkdownChildren(node).trim();
-        if (content) {
-          elements.push({
-            type: 'paragraph',
-            content: content
-          });
-        }
-        return;
-      }
-
-      // Handle code blocks
-      if (tag === 'pre') {
-        const codeEl = node.querySelector('code');
-        // Get innerHTML and convert <br> to newlines, then strip remaining HTML
-        let codeHTML = codeEl ? codeEl.innerHTML : node.innerHTML;
-        // Convert <br> and <br/> to newlines
-        let code = codeHTML.replace(/<br\s*\/?>/gi, '\n');
-        // Strip remaining HTML tags
-        const temp = document.createElement('div');
-        temp.innerHTML = code;
-        code = temp.textContent || temp.innerText;
-        const language = codeEl?.className?.match(/language-(\w+)/)?.[1] || '';
-        elements.push({
-          type: 'code',
-          language,
-          content: code.trim()
-        });
-        return;
-      }
-
-      // Handle blockquotes
-      if (tag === 'blockquote') {
-        const content = nodeToMarkdownChildren(node).trim();
-
-        // Check if the blockquote contains only a formula (common pattern in articles)
-        // Pattern: starts and ends with $ and mostly contains LaTeX content
-        // Allow for some whitespace around the formula
-        const formulaOnlyMatch = content.match(/^\s*\$([^$]+)\$\s*$/);
-        if (formulaOnlyMatch) {
-          // This is a formula-only blockquote, preserve as blockquote with block formula
-          // Output will be: > $$formula$$
-          const formula = formulaOnlyMatch[1].trim();
-          elements.push({
-            type: 'blockquote-math',
-            content: formula
-          });
-          return;
-        }
-
-        elements.push({
-          type: 'blockquote',
-          content: content
-        });
-        return;
-      }
-
-      // Handle unordered lists
-      if (tag === 'ul') {
-        const items = Array.from(node.querySelectorAll(':scope > li')).map(li =>
-          nodeToMarkdownChildren(li).trim()
-        );
-        elements.push({
-          type: 'unordered-list',
-          items: items.filter(item => item)
-        });
-        return;
-      }
-
-      // Handle ordered lists
-      if (tag === 'ol') {
-        const items = Array.from(node.querySelectorAll(':scope > li')).map(li =>
-          nodeToMarkdownChildren(li).trim()
-        );
-        elements.push({
-          type: 'ordered-list',
-          items: items.filter(item => item)
-        });
-        return;
-      }
-
-      // Handle figures (images with captions)
-      if (tag === 'figure') {
-        figureIndex++;
-        const img = node.querySelector('img');
-        const figcaption = node.querySelector('figcaption');
-        if (img) {
-          elements.push({
-            type: 'figure',
-            index: figureIndex,
-            src: img.src,
-            alt: img.alt || '',
-            caption: figcaption ? nodeToMarkdownChildren(figcaption).trim() : ''
-          });
-        }
-        return;
-      }
-
-      // Handle standalone images (but not formula images - those are inline)
-      if (tag === 'img' && !node.closest('figure')) {
-        // Check if this is a formula image - handle as block formula if standalone
-        if (node.classList.contains('formula')) {
-          const source = node.getAttribute('source');
-          if (source) {
-            // Standalone formula - treat as block formula
-            elements.push({
-              type: 'math-block',
-              content: source
-            });
-            return;
-          }
-        }
-        // Regular image
-        elements.push({
-          type: 'image',
-          src: node.src,
-          alt: node.alt || ''
-        });
-        return;
-      }
-
-      // Handle horizontal rules
-      if (tag === 'hr') {
-        elements.push({ type: 'hr' });
-        return;
-      }
-
-      // Handle div elements that might contain math blocks
-      if (tag === 'div') {
-        // Check for math block
-        const mathEl = node.querySelector('.katex-display, .math-display, mjx-container[display="true"]');
-        if (mathEl) {
-          const annotation = mathEl.querySelector('annotation[encoding="application/x-tex"]');
-          const tex = annotation ? annotation.textContent :
-                     (mathEl.getAttribute('data-tex') || mathEl.textContent);
-          if (tex) {
-            elements.push({
-              type: 'math-block',
-              content: tex.trim()
-            });
-          }
-          return;
-        }
-
-        // For other divs, process children
-        for (const child of node.children) {
-          processElement(child);
-        }
-        return;
-      }
-
-      // For other block elements, try to process children
-      if (['section', 'article', 'main', 'aside', 'header', 'footer', 'details'].includes(tag)) {
-        for (const child of node.children) {
-          processElement(child);
-        }
-      }
-    };
-
-    for (const child of articleBody.children) {
-      processElement(child);
-    }
-
-    return { title, elements };
-  });
-
-  await browser.close();
+  const adapter = getSourceAdapter(article);
 
-  return content;
-}
-
-/**
- * Post-process markdown to fix formatting issues
- */
-function postProcessMarkdown(markdown) {
-  let result = markdown;
-
-  // Fix spacing around inline LaTeX formulas
-  // Pattern: word$formula$word should become word $formula$ word
-  // We need to run multiple passes to handle all cases
-
-  // Pass 1: Add space after formula when followed by word character
-  // Match: $formula$word -> $formula$ word
-  result = result.replace(/(\$[^$\n]+\$)([a-zA-Zа-яА-ЯёЁ])/g, (match, formula, nextChar) => {
-    return formula + ' ' + nextChar;
-  });
-
-  // Pass 2: Add space before formula when preceded by word character
-  // Match: word$formula$ -> word $formula$
-  result = result.replace(/([a-zA-Zа-яА-ЯёЁ])(\$[^$\n]+\$)/g, (match, prevChar, formula) => {
-    return prevChar + ' ' + formula;
-  });
-
-  // Fix multiple inline formulas on the same line (common pattern from inline extraction)
-  // Pattern: $formula1$$formula2$ -> $formula1$\n\n$formula2$
-  result = result.replace(/(\$[^$\n]+\$)\$([^$\n]+\$)/g, (match, formula1, formula2) => {
-    return formula1 + '\n\n$' + formula2;
-  });
-
-  // Note: We removed the "clean up whitespace inside formulas" regexes because they
-  // were incorrectly matching and removing spaces BETWEEN formula and adjacent text.
-  // The formulas from the source already have correct internal spacing.
-
-  // Fix double spaces (but not in code blocks)
-  result = result.replace(/([^\n`])  +/g, (match, char) => {
-    return char + ' ';
-  });
-
-  // Fix stray standalone $ signs that might have been left from parsing
-  // Pattern: $\n\n$ or just a standalone $ on its own line should be removed
-  result = result.replace(/^\$\s*$/gm, '');
-
-  return result;
-}
-
-/**
- * Convert extracted content to markdown
- */
-function contentToMarkdown(content, article) {
-  if (!content) return '';
-
-  const lines = [];
-
-  // Add title
-  if (content.title) {
-    lines.push(`# ${content.title}`);
-    lines.push('');
+  // Sources that need no rendering are fetched and parsed directly
+  if (!adapter.usesBrowser) {
+    if (verbose) console.log(`   Fetching (${adapter.name}):`, await adapter.resolveUrl(article));
+    return adapter.extract(article);
   }
 
-  let imageIndex = 1;
-
-  for (const element of content.elements) {
-    switch (element.type) {
-      case 'heading':
-        const prefix = '#'.repeat(element.level);
-        lines.push(`${prefix} ${element.content}`);
-        lines.push('');
-        break;
-
-      case 'paragraph':
-        if (element.content) {
-          lines.push(element.content);
-          lines.push('');
-        }
-        break;
-
-      case 'code':
-        lines.push('```' + (element.language || ''));
-        lines.push(element.content);
-        lines.push('```');
-        lines.push('');
-        break;
-
-      case 'blockquote':
-        const quoteLines = element.content.split('\n');
-        for (const line of quoteLines) {
-          lines.push(`> ${line}`);
-        }
-        lines.push('');
-        break;
-
-      case 'unordered-list':
-        for (const item of element.items) {
-          // Handle multi-line list items
-          const itemLines = item.split('\n');
-          lines.push(`- ${itemLines[0]}`);
-          for (let i = 1; i < itemLines.length; i++) {
-            lines.push(`  ${itemLines[i]}`);
-          }
-        }
-        lines.push('');
-        break;
-
-      case 'ordered-list':
-        element.items.forEach((item, i) => {
-          const itemLines = item.split('\n');
-          lines.push(`${i + 1}. ${itemLines[0]}`);
-          for (let j = 1; j < itemLines.length; j++) {
-            lines.push(`   ${itemLines[j]}`);
-          }
-        });
-        lines.push('');
-        break;
-
-      case 'figure':
-        // Use local image path with figure number
-        const figureMatch = element.caption.match(/(?:Figure|Рис\.?|Рисунок)\s*(\d+)/i);
-        const figNum = figureMatch ? figureMatch[1] : element.index;
-        const ext = element.src.includes('.jpeg') || element.src.includes('.jpg') ? 'jpg' : 'png';
-
-        // Use alt text from caption if available
-        const altText = element.caption || `Figure ${figNum}`;
-        lines.push(`![${altText}](images/figure-${figNum}.${ext})`);
-        if (element.caption) {
-          // Use italic for caption like the original articles
-          lines.push(`*${element.caption}*`);
-        }
-        lines.push('');
-        break;
-
-      case 'image':
-        // Use local path format
-        const imgExt = element.src.includes('.jpeg') || element.src.includes('.jpg') ? 'jpg' : 'png';
-        lines.push(`![${element.alt}](images/image-${String(imageIndex).padStart(2, '0')}.${imgExt})`);
-        lines.push('');
-        imageIndex++;
-        break;
-
-      case 'math-block':
-        lines.push('$$' + element.content + '$$');
-        lines.push('');
-        break;
+  if (verbose) console.log('   Loading web page:', await adapter.resolveUrl(article));
 
-      case 'blockquote-math':
-        // Formula in a blockquote - preserve blockquote formatting with block formula
-        lines.push('> $$' + element.content + '$$');
-        lines.push('');
-        break;
-
-      case 'hr':
-        lines.push('---');
-        lines.push('');
-        break;
-    }
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const context = await browser.newContext({
+      viewport: { width: 1920, height: 1080 },
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    });
+    const page = await context.newPage();
+
+    await openArticlePage(page, article);
+
+    // Extract article content as structured data with HTML processing
+    return await adapter.extract(article, { page });
+  } finally {
+    await browser.close();
   }
-
-  const rawMarkdown = lines.join('\n').trim() + '\n';
-  return postProcessMarkdown(rawMarkdown);
 }
 
 /**
@@ -576,13 +98,18 @@ function contentToMarkdown(content, article) {
  */
 async function downloadArticle(article, options) {
   const archivePath = join(ROOT_DIR, article.archivePath);
-  const outputFileName = options.outputFile || article.markdownFile;
+  const outputFileName = options.downloaded ? 'downloaded.md' : article.markdownFile;
   const markdownPath = join(archivePath, outputFileName);
+  const adapter = getSourceAdapter(article);
 
   console.log(`\n📥 Downloading ${article.title} (${article.version})`);
   console.log('='.repeat(70));
-  console.log(`   URL: ${article.url}`);
+  console.log(`   URL: ${options.fromSnapshot ? article.url : await adapter.resolveUrl(article)}`);
+  console.log(`   Adapter: ${adapter.name} (${adapter.description})`);
   console.log(`   Target: ${markdownPath}`);
+  if (options.fromSnapshot) {
+    console.log('   Source: saved HTML snapshot');
+  }
 
   // Ensure archive directory exists
   if (!existsSync(archivePath)) {
@@ -592,23 +119,28 @@ async function downloadArticle(article, options) {
 
   // Extract content from web page
   console.log('   Extracting content from web page...');
-  const content = await extractArticleContent(article, options.verbose);
+  const content = await extractArticleContent(article, options.verbose, options.fromSnapshot);
 
   if (!content) {
     console.error('   ❌ Failed to extract article content');
-    return { success: false, error: 'Failed to extract content' };
+    return { success: false, details: 'Failed to extract content' };
   }
 
-  console.log(`   ✅ Extracted ${content.elements.length} elements`);
-
-  // Convert to markdown
-  console.log('   Converting to markdown...');
-  const markdown = contentToMarkdown(content, article);
+  // Markdown sources need no conversion
+  let markdown;
+  if (content.markdown !== undefined) {
+    console.log(`   ✅ Fetched ${content.markdown.split('\n').length} lines of markdown`);
+    markdown = content.markdown;
+  } else {
+    console.log(`   ✅ Extracted ${content.elements.length} elements`);
+    console.log('   Converting to markdown...');
+    markdown = contentToMarkdown(content);
+  }
 
   if (options.dryRun) {
     console.log('   [DRY RUN] Would save markdown file');
     console.log(`   Preview (first 500 chars):\n${markdown.substring(0, 500)}...`);
-    return { success: true, dryRun: true };
+    return { success: true, details: 'dry run' };
   }
 
   // Save markdown file
@@ -616,79 +148,22 @@ async function downloadArticle(article, options) {
   console.log(`   ✅ Saved ${markdownPath}`);
   console.log(`   File size: ${(markdown.length / 1024).toFixed(1)} KB`);
 
-  return { success: true, path: markdownPath, size: markdown.length };
+  return { success: true, details: `${(markdown.length / 1024).toFixed(1)} KB`, path: markdownPath, size: markdown.length };
 }
 
-/**
- * Main function
- */
-async function main() {
-  const options = parseArgs();
-
-  // Show help if no version specified
-  if (!options.all && !options.version) {
-    console.log(`
-Usage: node scripts/download-article.mjs [version] [options]
-
-Options:
-  --all         Download all articles
-  --downloaded  Save as downloaded.md instead of article.md
-  --dry-run     Show what would be done without making changes
-  --verbose     Show detailed output
-
-Examples:
-  node scripts/download-article.mjs 0.0.1
-  node scripts/download-article.mjs --all
-  node scripts/download-article.mjs --all --downloaded
-  node scripts/download-article.mjs 0.0.2 --dry-run
-`);
-    process.exit(0);
-  }
-
-  // Get articles to process
-  let articles = [];
-  if (options.all) {
-    articles = getAllArticles();
-  } else if (options.version) {
-    articles = [getArticle(options.version)];
-  }
-
-  console.log('🚀 Article Download Script');
-  console.log('==========================');
-  if (options.dryRun) {
-    console.log('⚠️  DRY RUN MODE - No files will be created\n');
-  }
-
-  const results = [];
-
-  for (const article of articles) {
-    try {
-      const result = await downloadArticle(article, options);
-      results.push({ article, ...result });
-    } catch (error) {
-      console.error(`\n❌ Error downloading ${article.version}:`, error.message);
-      results.push({ article, success: false, error: error.message });
-    }
-  }
-
-  // Print summary
-  console.log('\n' + '='.repeat(70));
-  console.log('📊 DOWNLOAD SUMMARY');
-  console.log('='.repeat(70));
-
-  for (const result of results) {
-    const status = result.success ? '✅' : '❌';
-    const details = result.success
-      ? (result.dryRun ? 'dry run' : `${(result.size / 1024).toFixed(1)} KB`)
-      : result.error;
-    console.log(`   ${status} ${result.article.version}: ${details}`);
-  }
-
-  console.log('\n' + '='.repeat(70));
-  process.exit(results.every(r => r.success) ? 0 : 1);
+export const downloadCommand = {
+  name: 'download',
+  script: 'download-article.mjs',
+  description: 'Download articles from their source and convert them to markdown.',
+  banner: '🚀 Article Download Script',
+  options: [
+    { ...SHARED_OPTIONS.downloaded, description: 'Save as downloaded.md instead of article.md' },
+    { ...SHARED_OPTIONS.fromSnapshot, description: 'Convert the saved HTML snapshot instead of the live page' }
+  ],
+  examples: ['0.0.1', '--all', '--all --downloaded', '0.0.2 --dry-run', '--all --downloaded --from-snapshot'],
+  runArticle: downloadArticle
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(downloadCommand);
 }
-
-main().catch(error => {
-  console.error('❌ Error:', error);
-  process.exit(1);
-});
@@ -10,7 +10,7 @@
  * 4. Updates markdown to reference local paths
  *
  * Usage:
- *   node scripts/download-markdown-images.mjs [version]
+ *   node scripts/download-markdown-images.mjs [versions...] [options]
  *   node scripts/download-markdown-images.mjs --all
  *
  * Examples:
@@ -23,39 +23,13 @@ import { fileURLToPath } from 'url';
 import { dirname, join, extname, basename } from 'path';
 import https from 'https';
 import http from 'http';
-import { getArticle, getAllArticles } from './articles-config.mjs';
+import { runMain, isMainModule } from './cli.mjs';
+import { writeImageMetadata, inspectImage } from './image-metadata.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, '..');
 
-/**
- * Parse command line arguments
- */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    version: null,
-    all: false,
-    dryRun: false,
-    verbose: false
-  };
-
-  for (const arg of args) {
-    if (arg === '--all') {
-      options.all = true;
-    } else if (arg === '--dry-run') {
-      options.dryRun = true;
-    } else if (arg === '--verbose' || arg === '-v') {
-      options.verbose = true;
-    } else if (!arg.startsWith('-')) {
-      options.version = arg;
-    }
-  }
-
-  return options;
-}
-
 /**
  * Download a file from URL with retry logic
  */
@@ -188,7 +162,7 @@ async function processArticle(article, options) {
   // Check if markdown file exists
   if (!existsSync(markdownPath)) {
     console.log(`   ❌ Markdown file not found: ${markdownPath}`);
-    return { success: false, error: 'Markdown file not found' };
+    return { success: false, details: 'Markdown file not found' };
   }
 
   // Read markdown file
@@ -205,7 +179,7 @@ async function processArticle(article, options) {
 
   if (externalImages.length === 0) {
     console.log('   ✅ No external images to download - article already uses local images or has no images');
-    return { success: true, downloaded: 0 };
+    return { success: true, details: 'no external images', downloaded: 0, total: 0 };
   }
 
   console.log(`   Found ${externalImages.length} external images to download`);
@@ -245,7 +219,9 @@ async function processArticle(article, options) {
 
       replacements.push({
         from: image.fullMatch,
-        to: `![${image.altText}](${relativePath})`
+        to: `![${image.altText}](${relativePath})`,
+        image,
+        relativePath
       });
     } catch (err) {
       console.error(`       ❌ Failed: ${err.message}`);
@@ -265,19 +241,14 @@ async function processArticle(article, options) {
     console.log('   ✅ Markdown file updated');
   }
 
-  // Save metadata
+  // Save metadata (merged with the figure entries of download.mjs)
   if (downloadedCount > 0 && !options.dryRun) {
-    const metadata = replacements.map((r, i) => ({
-      index: i + 1,
-      originalUrl: externalImages[i].url,
-      altText: externalImages[i].altText,
-      localPath: r.to.match(/\(([^)]+)\)/)[1]
-    }));
-
-    writeFileSync(
-      join(imagesDir, 'metadata.json'),
-      JSON.stringify(metadata, null, 2)
-    );
+    const metadata = replacements.map(({ image, relativePath }) => {
+      const { size, format, width, height } = inspectImage(join(archivePath, relativePath));
+      return { path: relativePath, alt: image.altText, sourceUrl: image.url, format, width, height, size };
+    });
+
+    writeImageMetadata(archivePath, metadata, article.imagesDir);
     console.log('   ✅ Metadata saved');
   }
 
@@ -285,88 +256,28 @@ async function processArticle(article, options) {
 
   return {
     success: true,
+    details: `${downloadedCount}/${externalImages.length} images`,
     downloaded: downloadedCount,
     total: externalImages.length,
     replacements: replacements.length
   };
 }
 
-/**
- * Main function
- */
-async function main() {
-  const options = parseArgs();
-
-  // Show help if no version specified
-  if (!options.all && !options.version) {
-    console.log(`
-Usage: node scripts/download-markdown-images.mjs [version] [options]
-
-Options:
-  --all       Process all articles
-  --dry-run   Show what would be done without making changes
-  --verbose   Show detailed output
-
-Examples:
-  node scripts/download-markdown-images.mjs 0.0.0
-  node scripts/download-markdown-images.mjs --all
-  node scripts/download-markdown-images.mjs 0.0.1 --dry-run
-`);
-    process.exit(0);
-  }
-
-  // Get articles to process
-  let articles = [];
-  if (options.all) {
-    articles = getAllArticles();
-  } else if (options.version) {
-    articles = [getArticle(options.version)];
+export const markdownImagesCommand = {
+  name: 'markdown-images',
+  script: 'download-markdown-images.mjs',
+  description: 'Download the external images of archived markdown and point it at the local copies.',
+  banner: '🚀 Download Markdown Images Script',
+  options: [],
+  examples: ['0.0.0', '--all', '0.0.1 --dry-run'],
+  runArticle: processArticle,
+  after(results) {
+    const totalDownloaded = results.reduce((sum, result) => sum + (result.downloaded || 0), 0);
+    const totalImages = results.reduce((sum, result) => sum + (result.total || 0), 0);
+    console.log(`   Total: ${totalDownloaded}/${totalImages} images downloaded`);
   }
+};
 
-  console.log('🚀 Download Markdown Images Script');
-  console.log('===================================');
-  if (options.dryRun) {
-    console.log('⚠️  DRY RUN MODE - No changes will be made\n');
-  }
-
-  const results = [];
-
-  for (const article of articles) {
-    try {
-      const result = await processArticle(article, options);
-      results.push({ article, ...result });
-    } catch (error) {
-      console.error(`\n❌ Error processing ${article.version}:`, error.message);
-      results.push({ article, success: false, error: error.message });
-    }
-  }
-
-  // Print summary
-  console.log('\n' + '='.repeat(70));
-  console.log('📊 OVERALL SUMMARY');
-  console.log('='.repeat(70));
-
-  let totalDownloaded = 0;
-  let totalImages = 0;
-
-  for (const result of results) {
-    const status = result.success ? '✅' : '❌';
-    const details = result.downloaded !== undefined
-      ? `${result.downloaded}/${result.total} images`
-      : result.error;
-    console.log(`   ${status} ${result.article.version}: ${details}`);
-
-    if (result.downloaded) totalDownloaded += result.downloaded;
-    if (result.total) totalImages += result.total;
-  }
-
-  console.log('\n' + '='.repeat(70));
-  console.log(`   Total: ${totalDownloaded}/${totalImages} images downloaded`);
-
-  process.exit(results.every(r => r.success) ? 0 : 1);
+if (isMainModule(import.meta.url)) {
+  runMain(markdownImagesCommand);
 }
-
-main().catch(error => {
-  console.error('❌ Error:', error);
-  process.exit(1);
-});
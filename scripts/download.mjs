@@ -3,54 +3,42 @@
 /**
  * Generalized script to download article content and images
  *
+ * The actions are also available as `meta-theory images|screenshot|snapshot`.
+ *
  * Usage:
- *   node scripts/download.mjs [version] [--images] [--screenshot]
+ *   node scripts/download.mjs [versions...] [--images] [--screenshot] [--snapshot]
  *
  * Examples:
  *   node scripts/download.mjs 0.0.2 --images     # Download images for 0.0.2
  *   node scripts/download.mjs 0.0.1 --screenshot # Capture screenshot for 0.0.1
+ *   node scripts/download.mjs 0.0.0 --screenshot --diff  # Compare a new screenshot with article.png
+ *   node scripts/download.mjs 0.0.2 --screenshot --sections  # One screenshot per section
  *   node scripts/download.mjs --all --images     # Download images for all articles
+ *   node scripts/download.mjs --all --snapshot   # Save offline HTML snapshots for all articles
  */
 
 import { chromium } from 'playwright';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, rmSync, statSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import https from 'https';
 import http from 'http';
 import fs from 'fs';
-import { getArticle, getAllArticles } from './articles-config.mjs';
+import { runMain, isMainModule, UsageError } from './cli.mjs';
+import { captureSnapshot, extractPageFigures, scrollToLoadLazyContent } from './snapshot.mjs';
+import { writeImageMetadata, inspectImage } from './image-metadata.mjs';
+import { decodePng, encodePng } from './png.mjs';
+import { DEFAULT_TOLERANCE, diffImages, renderDiffImage } from './visual-diff.mjs';
+import { SCREENSHOT_TILES_DIR, TILE_INDEX_FILE, DEFAULT_TILE_HEIGHT, planTiles } from './screenshot-tiles.mjs';
+import { getSourceAdapter, getPageSelectors } from './source-adapters.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, '..');
 
-/**
- * Parse command line arguments
- */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    version: null,
-    all: false,
-    images: false,
-    screenshot: false
-  };
-
-  for (const arg of args) {
-    if (arg === '--all') {
-      options.all = true;
-    } else if (arg === '--images') {
-      options.images = true;
-    } else if (arg === '--screenshot') {
-      options.screenshot = true;
-    } else if (!arg.startsWith('-')) {
-      options.version = arg;
-    }
-  }
-
-  return options;
-}
+// Written next to article.png by --diff (not part of the archive)
+const NEW_SCREENSHOT_FILE = 'screenshot-new.png';
+const SCREENSHOT_DIFF_FILE = 'screenshot-diff.png';
 
 /**
  * Download a file from URL
@@ -89,77 +77,58 @@ function downloadFile(url, filepath) {
 /**
  * Download figure images from an article
  */
-async function downloadImages(article) {
+async function downloadImages(article, options = {}) {
   const archivePath = join(ROOT_DIR, article.archivePath);
   const imagesDir = join(archivePath, article.imagesDir);
 
   // Ensure images directory exists
-  if (!existsSync(imagesDir)) {
+  if (!options.dryRun && !existsSync(imagesDir)) {
     mkdirSync(imagesDir, { recursive: true });
   }
 
+  getPageSelectors(article);  // Fails early for sources that are not HTML pages
+  const url = await getSourceAdapter(article).resolveUrl(article);
+
   console.log(`\n📥 Downloading images for ${article.title} (${article.version})`);
-  console.log(`   URL: ${article.url}`);
+  console.log(`   URL: ${url}`);
   console.log(`   Target: ${imagesDir}`);
 
   const browser = await chromium.launch({ headless: true });
-  const page = await browser.newPage();
-
-  console.log('   Navigating to article...');
-  await page.goto(article.url, {
-    waitUntil: 'networkidle',
-    timeout: 60000
-  });
-
-  // Scroll to load all content
-  console.log('   Scrolling to load lazy images...');
-  await page.evaluate(async () => {
-    const scrollHeight = document.documentElement.scrollHeight;
-    const viewportHeight = window.innerHeight;
-    const scrollSteps = Math.ceil(scrollHeight / viewportHeight);
-    for (let i = 0; i < scrollSteps; i++) {
-      window.scrollTo(0, i * viewportHeight);
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    window.scrollTo(0, 0);
-  });
-
-  await page.waitForTimeout(2000);
-
-  // Extract figure images (those within <figure> elements)
-  console.log('   Extracting figure images...');
-  const figures = await page.$$eval('.article-formatted-body figure', elements =>
-    elements.map(figure => {
-      const img = figure.querySelector('img');
-      const figcaption = figure.querySelector('figcaption');
-      if (!img) return null;
+  let figures;
+  try {
+    const page = await browser.newPage();
+
+    console.log('   Navigating to article...');
+    await page.goto(url, {
+      waitUntil: 'networkidle',
+      timeout: 60000
+    });
 
-      // Extract figure number from caption (try multiple languages)
-      const captionText = figcaption?.innerText || '';
-      // Match "Figure X", "Рис. X", "Рисунок X"
-      const figureMatch = captionText.match(/(?:Figure|Рис\.?|Рисунок)\s*(\d+)/i);
-      const figureNum = figureMatch ? parseInt(figureMatch[1]) : null;
+    // Scroll to load all content
+    console.log('   Scrolling to load lazy images...');
+    await scrollToLoadLazyContent(page);
+    await page.waitForTimeout(2000);
 
-      return {
-        figureNum,
-        src: img.src,
-        alt: img.alt,
-        caption: captionText
-      };
-    }).filter(f => f !== null && f.src && !f.src.includes('.svg'))
-  );
+    // Extract figure images (those within <figure> elements)
+    console.log('   Extracting figure images...');
+    figures = await extractPageFigures(page, article);
+  } finally {
+    await browser.close();
+  }
 
   console.log(`   Found ${figures.length} figure images`);
 
-  await browser.close();
+  if (options.dryRun) {
+    for (const figure of figures) {
+      console.log(`   📝 [DRY RUN] Would download Figure ${figure.figure}: ${figure.src}`);
+    }
+    return figures;
+  }
 
   // Download each figure image
   const downloadedImages = [];
-  let sequentialNum = 0;
   for (const figure of figures) {
-    sequentialNum++;
-    // Use figure number from caption if available, otherwise use sequential number
-    const figNum = figure.figureNum || sequentialNum;
+    const figNum = figure.figure;
 
     const ext = figure.src.includes('.jpeg') || figure.src.includes('.jpg') ? 'jpg' : 'png';
     const filename = `figure-${figNum}.${ext}`;
@@ -169,10 +138,17 @@ async function downloadImages(article) {
 
     try {
       await downloadFile(figure.src, filepath);
+      const { size, format, width, height } = inspectImage(filepath);
       downloadedImages.push({
-        figureNum: figNum,
-        filename,
-        caption: figure.caption
+        path: `${article.imagesDir}/${filename}`,
+        figure: figNum,
+        caption: figure.caption,
+        alt: figure.alt,
+        sourceUrl: figure.src,
+        format,
+        width,
+        height,
+        size
       });
       console.log(`     ✓ Saved as ${filename}`);
     } catch (err) {
@@ -180,12 +156,9 @@ async function downloadImages(article) {
     }
   }
 
-  // Save image metadata
+  // Save image metadata (merged with the entries of download-markdown-images.mjs)
   if (downloadedImages.length > 0) {
-    writeFileSync(
-      join(imagesDir, 'metadata.json'),
-      JSON.stringify(downloadedImages, null, 2)
-    );
+    writeImageMetadata(archivePath, downloadedImages, article.imagesDir);
   }
 
   console.log(`\n   ✅ Downloaded ${downloadedImages.length} images for ${article.version}`);
@@ -193,17 +166,44 @@ async function downloadImages(article) {
 }
 
 /**
- * Capture a screenshot of the article
+ * Capture a screenshot of the article (into article.png unless `screenshotPath` is given)
  */
-async function captureScreenshot(article) {
-  const archivePath = join(ROOT_DIR, article.archivePath);
-  const screenshotPath = join(archivePath, article.screenshotFile);
+async function captureScreenshot(article, options = {}, screenshotPath = join(ROOT_DIR, article.archivePath, article.screenshotFile)) {
+  getPageSelectors(article);  // Fails early for sources that are not HTML pages
+  const url = await getSourceAdapter(article).resolveUrl(article);
 
   console.log(`\n📸 Capturing screenshot for ${article.title} (${article.version})`);
-  console.log(`   URL: ${article.url}`);
+  console.log(`   URL: ${url}`);
   console.log(`   Target: ${screenshotPath}`);
 
+  if (options.dryRun) {
+    console.log('   📝 [DRY RUN] Would capture a full-page screenshot');
+    return null;
+  }
+
   const browser = await chromium.launch({ headless: true });
+  try {
+    const page = await loadPageForScreenshot(browser, url);
+
+    // Take full page screenshot
+    console.log('   Taking screenshot...');
+    await page.screenshot({
+      path: screenshotPath,
+      fullPage: true
+    });
+  } finally {
+    await browser.close();
+  }
+
+  const stats = fs.statSync(screenshotPath);
+  console.log(`   ✅ Screenshot saved: ${(stats.size / 1024 / 1024).toFixed(1)} MB`);
+  return stats.size;
+}
+
+/**
+ * Open the article at the screenshot viewport with all lazy content loaded
+ */
+async function loadPageForScreenshot(browser, url) {
   const context = await browser.newContext({
     viewport: { width: 1920, height: 1080 },
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
@@ -211,7 +211,7 @@ async function captureScreenshot(article) {
   const page = await context.newPage();
 
   console.log('   Navigating to article...');
-  await page.goto(article.url, {
+  await page.goto(url, {
     waitUntil: 'networkidle',
     timeout: 60000
   });
@@ -219,16 +219,7 @@ async function captureScreenshot(article) {
   // Multi-pass scrolling to load all lazy content
   console.log('   Loading all content (3-pass scroll)...');
   for (let pass = 0; pass < 3; pass++) {
-    await page.evaluate(async () => {
-      const scrollHeight = document.documentElement.scrollHeight;
-      const viewportHeight = window.innerHeight;
-      const scrollSteps = Math.ceil(scrollHeight / viewportHeight);
-      for (let i = 0; i < scrollSteps; i++) {
-        window.scrollTo(0, i * viewportHeight);
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
-      window.scrollTo(0, 0);
-    });
+    await scrollToLoadLazyContent(page, 200);
     await page.waitForTimeout(1000);
   }
 
@@ -236,71 +227,287 @@ async function captureScreenshot(article) {
   console.log('   Waiting for images to load...');
   await page.waitForTimeout(3000);
 
-  // Take full page screenshot
-  console.log('   Taking screenshot...');
-  await page.screenshot({
-    path: screenshotPath,
-    fullPage: true
-  });
+  return page;
+}
 
-  await browser.close();
+/**
+ * Capture the article body as tiles or per-section screenshots (see screenshot-tiles.mjs)
+ */
+async function captureScreenshotTiles(article, options = {}) {
+  const selectors = getPageSelectors(article);
+  const url = await getSourceAdapter(article).resolveUrl(article);
+  const tilesPath = join(ROOT_DIR, article.archivePath, SCREENSHOT_TILES_DIR);
+  const mode = options.sections ? 'sections' : 'tiles';
+
+  console.log(`\n📸 Capturing ${mode === 'sections' ? 'section screenshots' : 'screenshot tiles'} for ${article.title} (${article.version})`);
+  console.log(`   URL: ${url}`);
+  console.log(`   Target: ${tilesPath}`);
+
+  if (options.dryRun) {
+    console.log(`   📝 [DRY RUN] Would capture the article body ${mode === 'sections' ? 'section by section' : 'as tiles'} (at most ${options.tileHeight}px high) and write ${TILE_INDEX_FILE}`);
+    return null;
+  }
 
-  const stats = fs.statSync(screenshotPath);
-  console.log(`   ✅ Screenshot saved: ${(stats.size / 1024 / 1024).toFixed(1)} MB`);
+  const browser = await chromium.launch({ headless: true });
+  let layout;
+  let plan;
+  try {
+    const page = await loadPageForScreenshot(browser, url);
+    layout = await page.evaluate((bodySelector) => {
+      const body = document.querySelector(bodySelector);
+      if (!body) return null;
+      const rect = body.getBoundingClientRect();
+      return {
+        x: Math.floor(rect.left + window.scrollX),
+        y: Math.floor(rect.top + window.scrollY),
+        width: Math.ceil(rect.width),
+        height: Math.ceil(rect.height),
+        headings: Array.from(body.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(heading => ({
+          text: heading.innerText,
+          level: Number(heading.tagName[1]),
+          y: Math.floor(heading.getBoundingClientRect().top + window.scrollY)
+        }))
+      };
+    }, selectors.body);
+    if (!layout) {
+      throw new Error(`Article body not found (${selectors.body})`);
+    }
+
+    plan = planTiles(layout, { mode, tileHeight: options.tileHeight });
+
+    // Replace the screenshots of an earlier capture
+    rmSync(tilesPath, { recursive: true, force: true });
+    mkdirSync(tilesPath, { recursive: true });
+
+    console.log(`   Taking ${plan.tiles.length} screenshots...`);
+    for (const tile of plan.tiles) {
+      await page.screenshot({
+        path: join(tilesPath, tile.file),
+        fullPage: true,
+        clip: { x: tile.x, y: tile.y, width: tile.width, height: tile.height }
+      });
+      if (options.verbose) {
+        console.log(`     ✓ ${tile.file} (${tile.height}px: ${tile.sections.join(', ')})`);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const tiles = plan.tiles.map(tile => ({ ...tile, size: statSync(join(tilesPath, tile.file)).size }));
+  const index = {
+    version: article.version,
+    url,
+    capturedAt: new Date().toISOString(),
+    mode,
+    tileHeight: options.tileHeight,
+    body: { x: layout.x, y: layout.y, width: layout.width, height: layout.height },
+    sections: plan.sections,
+    tiles
+  };
+  writeFileSync(join(tilesPath, TILE_INDEX_FILE), JSON.stringify(index, null, 2) + '\n');
+
+  const totalSize = tiles.reduce((sum, tile) => sum + tile.size, 0);
+  const largest = Math.max(...tiles.map(tile => tile.size));
+  console.log(`   ✅ ${tiles.length} screenshots saved (${(totalSize / 1024 / 1024).toFixed(1)} MB, largest ${(largest / 1024).toFixed(0)} KB), ${plan.sections.length} sections`);
+  console.log(`   ✅ Index saved: ${join(tilesPath, TILE_INDEX_FILE)}`);
+  return tiles.length;
 }
 
 /**
- * Main function
+ * Capture a new screenshot and compare it with the archived one
+ *
+ * The new screenshot is saved as screenshot-new.png and the highlighted
+ * differences as screenshot-diff.png; the archived screenshot is kept.
  */
-async function main() {
-  const options = parseArgs();
-
-  // Show help if no action specified
-  if (!options.images && !options.screenshot) {
-    console.log(`
-Usage: node scripts/download.mjs [version] [options]
-
-Options:
-  --images      Download figure images from the article
-  --screenshot  Capture a full-page screenshot
-  --all         Apply to all articles
-
-Examples:
-  node scripts/download.mjs 0.0.2 --images
-  node scripts/download.mjs 0.0.1 --screenshot
-  node scripts/download.mjs --all --images
-`);
-    process.exit(0);
+async function compareScreenshot(article, options = {}) {
+  const archivePath = join(ROOT_DIR, article.archivePath);
+  const archivedPath = join(archivePath, article.screenshotFile);
+  const newPath = join(archivePath, NEW_SCREENSHOT_FILE);
+  const diffPath = join(archivePath, SCREENSHOT_DIFF_FILE);
+
+  if (!existsSync(archivedPath)) {
+    console.log(`\n   ❌ No archived screenshot to compare with: ${archivedPath}`);
+    return { success: false, details: 'no archived screenshot' };
   }
 
-  // Get articles to process
-  let articles = [];
-  if (options.all) {
-    articles = getAllArticles();
-  } else if (options.version) {
-    articles = [getArticle(options.version)];
-  } else {
-    console.error('Error: Please specify a version or use --all');
-    process.exit(1);
+  const size = await captureScreenshot(article, options, newPath);
+  if (size === null) {
+    console.log(`   📝 [DRY RUN] Would compare with ${article.screenshotFile} and save ${SCREENSHOT_DIFF_FILE}`);
+    return { success: true, details: 'dry run' };
   }
 
-  console.log('🚀 Download Script');
-  console.log('==================');
+  console.log(`   Comparing with ${article.screenshotFile}...`);
+  const before = decodePng(readFileSync(archivedPath));
+  const after = decodePng(readFileSync(newPath));
+  const diff = diffImages(before, after, { tolerance: options.tolerance });
+  const percent = diff.changedRatio * 100;
 
-  for (const article of articles) {
-    try {
-      if (options.images) {
-        await downloadImages(article);
-      }
-      if (options.screenshot) {
-        await captureScreenshot(article);
-      }
-    } catch (error) {
-      console.error(`\n❌ Error processing ${article.version}:`, error.message);
-    }
+  if (diff.sizeChanged) {
+    console.log(`   📐 Size changed: ${before.width}x${before.height} → ${after.width}x${after.height}`);
+  }
+  console.log(`   Changed area: ${percent.toFixed(2)}% (${diff.changedPixels} of ${diff.totalPixels} pixels, ${diff.regions.length} regions)`);
+  const shown = options.verbose ? diff.regions : diff.regions.slice(0, 10);
+  for (const region of shown) {
+    console.log(`      y ${region.y}–${region.y + region.height}, x ${region.x}–${region.x + region.width}: ${region.changedPixels} pixels`);
+  }
+  if (shown.length < diff.regions.length) {
+    console.log(`      ... ${diff.regions.length - shown.length} more regions (use --verbose)`);
+  }
+
+  writeFileSync(diffPath, encodePng(renderDiffImage(before, after, diff)));
+  console.log(`   🖼️  Diff image saved: ${diffPath}`);
+
+  const changed = percent > options.maxChange;
+  console.log(changed
+    ? `   ❌ The page changed (more than ${options.maxChange}%); new screenshot: ${newPath}`
+    : `   ✅ The page is unchanged (at most ${options.maxChange}% differs)`);
+
+  return {
+    success: !changed,
+    details: `${percent.toFixed(2)}% changed`,
+    changedRatio: diff.changedRatio,
+    regions: diff.regions
+  };
+}
+
+/**
+ * Save an offline HTML snapshot of the article body and its images
+ */
+async function saveSnapshot(article, options = {}) {
+  console.log(`\n💾 Saving HTML snapshot for ${article.title} (${article.version})`);
+  console.log(`   URL: ${await getSourceAdapter(article).resolveUrl(article)}`);
+
+  if (options.dryRun) {
+    console.log('   📝 [DRY RUN] Would save the article HTML and its assets');
+    return null;
   }
 
-  console.log('\n✅ Done!');
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const context = await browser.newContext({
+      viewport: { width: 1920, height: 1080 },
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    });
+    const page = await context.newPage();
+
+    console.log('   Loading article and downloading assets...');
+    const result = await captureSnapshot(page, article, { verbose: true });
+    console.log(`   Target: ${result.path}`);
+    console.log(`   ✅ Snapshot saved: ${(result.size / 1024).toFixed(1)} KB, ${result.assets} assets`);
+    if (result.failedAssets > 0) {
+      console.log(`   ⚠️  ${result.failedAssets} assets could not be downloaded`);
+    }
+    return result;
+  } finally {
+    await browser.close();
+  }
 }
 
-main().catch(console.error);
+export const imagesCommand = {
+  name: 'images',
+  script: 'download.mjs --images',
+  description: 'Download figure images of the articles into their images folder.',
+  banner: '🚀 Image Download Script',
+  examples: ['0.0.2', '--all', '0.0.1 --dry-run'],
+  async runArticle(article, options) {
+    const images = await downloadImages(article, options);
+    return { success: true, details: `${images.length} images` };
+  }
+};
+
+export const screenshotCommand = {
+  name: 'screenshot',
+  script: 'download.mjs --screenshot',
+  description: 'Capture full-page screenshots of the articles.',
+  banner: '🚀 Screenshot Script',
+  options: [
+    { name: 'diff', type: 'boolean', description: `Compare a new screenshot with the archived one (writes ${NEW_SCREENSHOT_FILE} and ${SCREENSHOT_DIFF_FILE})` },
+    { name: 'tolerance', type: 'number', value: '<0..255>', default: DEFAULT_TOLERANCE, description: 'Maximum channel difference of an unchanged pixel (with --diff)' },
+    { name: 'max-change', type: 'number', value: '<percent>', default: 1, description: 'Changed area above which the page counts as edited (with --diff)' },
+    { name: 'tiles', type: 'boolean', description: `Capture the article body as fixed-height tiles in ${SCREENSHOT_TILES_DIR}/ instead of one full-page PNG` },
+    { name: 'sections', type: 'boolean', description: `Capture one screenshot per section in ${SCREENSHOT_TILES_DIR}/, named by heading anchor` },
+    { name: 'tile-height', type: 'number', value: '<px>', default: DEFAULT_TILE_HEIGHT, description: 'Maximum height of a tile or section screenshot (with --tiles/--sections)' }
+  ],
+  examples: ['0.0.2', '--all', '0.0.0 --diff', '--all --diff --max-change 0.5', '0.0.2 --tiles', '--all --sections --tile-height 3000'],
+  validate(options) {
+    if (options.tolerance < 0 || options.tolerance > 255) {
+      throw new UsageError('--tolerance must be between 0 and 255');
+    }
+    if (options.maxChange < 0 || options.maxChange > 100) {
+      throw new UsageError('--max-change must be between 0 and 100');
+    }
+    if ([options.diff, options.tiles, options.sections].filter(Boolean).length > 1) {
+      throw new UsageError('Please specify only one of --diff, --tiles and --sections');
+    }
+    if (!Number.isInteger(options.tileHeight) || options.tileHeight < 1) {
+      throw new UsageError('--tile-height must be a positive whole number');
+    }
+  },
+  async runArticle(article, options) {
+    if (options.diff) {
+      return compareScreenshot(article, options);
+    }
+    if (options.tiles || options.sections) {
+      const count = await captureScreenshotTiles(article, options);
+      return { success: true, details: count === null ? 'dry run' : `${count} screenshots` };
+    }
+    const size = await captureScreenshot(article, options);
+    return { success: true, details: size === null ? 'dry run' : `${(size / 1024 / 1024).toFixed(1)} MB` };
+  }
+};
+
+export const snapshotCommand = {
+  name: 'snapshot',
+  script: 'download.mjs --snapshot',
+  description: 'Save the article HTML and its images for offline use.',
+  banner: '🚀 Snapshot Script',
+  examples: ['0.0.2', '--all'],
+  async runArticle(article, options) {
+    const result = await saveSnapshot(article, options);
+    if (!result) return { success: true, details: 'dry run' };
+    return { success: result.failedAssets === 0, details: `${result.assets} assets, ${result.failedAssets} failed` };
+  }
+};
+
+/**
+ * Standalone script: any combination of the three actions
+ */
+const downloadAssetsCommand = {
+  name: 'download-assets',
+  script: 'download.mjs',
+  description: 'Download images, screenshots and HTML snapshots of the articles.',
+  banner: '🚀 Download Script',
+  options: [
+    { name: 'images', type: 'boolean', description: 'Download figure images from the article' },
+    { name: 'screenshot', type: 'boolean', description: 'Capture a full-page screenshot' },
+    { name: 'snapshot', type: 'boolean', description: 'Save the article HTML and its images for offline use' },
+    ...screenshotCommand.options
+  ],
+  examples: ['0.0.2 --images', '0.0.1 --screenshot', '0.0.0 --screenshot --diff', '0.0.2 --screenshot --tiles', '--all --images', '--all --snapshot'],
+  validate(options) {
+    if (!options.images && !options.screenshot && !options.snapshot) {
+      throw new UsageError('Please specify --images, --screenshot and/or --snapshot');
+    }
+    screenshotCommand.validate(options);
+  },
+  async runArticle(article, options) {
+    const actions = [
+      [options.images, imagesCommand],
+      [options.screenshot, screenshotCommand],
+      [options.snapshot, snapshotCommand]
+    ];
+    const results = [];
+    for (const [enabled, command] of actions) {
+      if (enabled) results.push(await command.runArticle(article, options));
+    }
+    return {
+      success: results.every(r => r.success),
+      details: results.map(r => r.details).join(', ')
+    };
+  }
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(downloadAssetsCommand);
+}
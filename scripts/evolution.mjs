@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Cross-version theory evolution report (0.0.0 → 0.0.1 → 0.0.2)
+ *
+ * Compares consecutive versions from the ARTICLES registry: aligns their sections,
+ * definitions and formulas, and prints a changelog-style Markdown report of which
+ * definitions were introduced, renamed, changed or dropped between versions.
+ *
+ * Usage:
+ *   node scripts/evolution.mjs [versions...] [options]
+ *
+ * Examples:
+ *   node scripts/evolution.mjs --all                # All versions in registry order
+ *   node scripts/evolution.mjs 0.0.1 0.0.2          # A single step
+ *   node scripts/evolution.mjs --all --output EVOLUTION.md
+ *   node scripts/evolution.mjs --all --format json
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule, UsageError } from './cli.mjs';
+import { compareVersions } from './theory-evolution.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * Read the markdown file of an article
+ */
+function readArticleMarkdown(article) {
+  const markdownPath = join(ROOT_DIR, article.archivePath, article.markdownFile);
+  if (!existsSync(markdownPath)) {
+    throw new Error(`Markdown file not found: ${markdownPath}`);
+  }
+  return readFileSync(markdownPath, 'utf-8');
+}
+
+/**
+ * Format a definition for the report
+ */
+function formatDefinition(definition) {
+  const where = `${definition.section || '(preamble)'}, line ${definition.line}`;
+  if (definition.kind === 'coq') {
+    return `Coq \`${definition.coqKind} ${definition.name}\` — ${where}`;
+  }
+  return `\`${definition.source}\` — ${where}`;
+}
+
+/**
+ * Render one version step as Markdown
+ */
+function renderStep(step, oldArticle, newArticle, verbose) {
+  const lines = [];
+  const { sections, definitions, formulas } = step;
+
+  lines.push(`## ${step.from} → ${step.to}`);
+  lines.push('');
+  lines.push(`${oldArticle.title} (${oldArticle.language}) → ${newArticle.title} (${newArticle.language})`);
+  lines.push('');
+
+  lines.push('### Sections');
+  lines.push('');
+  lines.push(`- Aligned: ${sections.matched.length}, added: ${sections.added.length}, removed: ${sections.removed.length}`);
+  for (const match of sections.matched) {
+    if (verbose || match.old.heading !== match.new.heading) {
+      lines.push(`- ${match.old.heading || '(preamble)'} → ${match.new.heading || '(preamble)'} (${(match.similarity * 100).toFixed(0)}%)`);
+    }
+  }
+  for (const section of sections.added) {
+    lines.push(`- Added: ${section.heading || '(preamble)'} (line ${section.line})`);
+  }
+  for (const section of sections.removed) {
+    lines.push(`- Removed: ${section.heading || '(preamble)'} (line ${section.line})`);
+  }
+  lines.push('');
+
+  lines.push('### Definitions');
+  lines.push('');
+  lines.push(`- Kept: ${definitions.kept.length}, introduced: ${definitions.introduced.length}, renamed: ${definitions.renamed.length}, changed: ${definitions.changed.length}, dropped: ${definitions.dropped.length}`);
+  lines.push('');
+
+  const groups = [
+    ['Introduced', definitions.introduced.map(d => `- ${formatDefinition(d)}`)],
+    ['Renamed', definitions.renamed.map(r => `- \`${r.old.name}\` → \`${r.new.name}\`: ${formatDefinition(r.new)}`)],
+    ['Changed', definitions.changed.map(c => `- \`${c.old.source}\` → ${formatDefinition(c.new)}`)],
+    ['Dropped', definitions.dropped.map(d => `- ${formatDefinition(d)}`)]
+  ];
+  if (verbose) {
+    groups.push(['Kept', definitions.kept.map(k => `- ${formatDefinition(k.new)}`)]);
+  }
+  for (const [title, items] of groups) {
+    if (items.length === 0) continue;
+    lines.push(`#### ${title}`);
+    lines.push('');
+    lines.push(...items);
+    lines.push('');
+  }
+
+  lines.push('### Formulas');
+  lines.push('');
+  lines.push(`- Kept: ${formulas.kept.length}, introduced: ${formulas.introduced.length}, dropped: ${formulas.dropped.length}`);
+  if (verbose) {
+    for (const formula of formulas.introduced) {
+      lines.push(`- Introduced: \`${formula.latex}\` (line ${formula.line})`);
+    }
+    for (const formula of formulas.dropped) {
+      lines.push(`- Dropped: \`${formula.latex}\` (line ${formula.line})`);
+    }
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert a step to plain JSON (sections carry Set fingerprints)
+ */
+function stepToJson(step) {
+  const section = s => ({ heading: s.heading, level: s.level, line: s.line });
+  return {
+    ...step,
+    sections: {
+      matched: step.sections.matched.map(m => ({ old: section(m.old), new: section(m.new), similarity: m.similarity })),
+      added: step.sections.added.map(section),
+      removed: step.sections.removed.map(section)
+    }
+  };
+}
+
+/**
+ * Compare the consecutive articles and write the report
+ */
+function writeReport(results, options) {
+  if (!results.every(result => result.success)) return;
+
+  const articles = results.map(result => result.article);
+  const steps = [];
+  for (let i = 1; i < articles.length; i++) {
+    steps.push(compareVersions(articles[i - 1], results[i - 1].markdown, articles[i], results[i].markdown));
+  }
+
+  let report;
+  if (options.format === 'json') {
+    report = JSON.stringify(steps.map(stepToJson), null, 2) + '\n';
+  } else {
+    report = ['# Theory evolution', '', ...steps.map((step, i) =>
+      renderStep(step, articles[i], articles[i + 1], options.verbose)
+    )].join('\n');
+  }
+
+  if (!options.output) {
+    process.stdout.write(report);
+  } else if (options.dryRun) {
+    console.log(`📝 [DRY RUN] Would save evolution report: ${options.output}`);
+  } else {
+    writeFileSync(options.output, report, 'utf-8');
+    console.log(`✅ Evolution report saved: ${options.output}`);
+    for (const step of steps) {
+      const d = step.definitions;
+      console.log(`   ${step.from} → ${step.to}: ${d.introduced.length} introduced, ${d.renamed.length} renamed, ${d.changed.length} changed, ${d.dropped.length} dropped`);
+    }
+  }
+}
+
+export const evolutionCommand = {
+  name: 'evolution',
+  script: 'evolution.mjs',
+  description: 'Report how sections, definitions and formulas evolve between consecutive versions.',
+  banner: '🚀 Theory Evolution Script',
+  options: [
+    { name: 'format', type: 'string', value: '<format>', choices: ['markdown', 'json'], default: 'markdown', description: 'Report format: markdown or json' },
+    { name: 'output', alias: 'o', type: 'string', value: '<file>', description: 'Write the report to a file instead of stdout' }
+  ],
+  examples: ['--all', '0.0.1 0.0.2', '--all --output EVOLUTION.md', '--all --format json'],
+  validate(options) {
+    if (!options.all && options.versions.length < 2) {
+      throw new UsageError('Please specify at least two versions to compare');
+    }
+  },
+  writesToStdout(options) {
+    return !options.output;
+  },
+  runArticle(article) {
+    const markdown = readArticleMarkdown(article);
+    return { success: true, details: `${markdown.split('\n').length} lines`, markdown };
+  },
+  after: writeReport
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(evolutionCommand);
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Links Notation export of archived articles
+ *
+ * Extracts the article content from its source (from the saved HTML snapshot
+ * with --from-snapshot, or from the archived article.md with --from-markdown)
+ * and writes its blocks and their containment and reference relations as
+ * links (see lino.mjs) to archive/<version>/article.lino. Articles whose
+ * source is Markdown are read with markdownToContent() like article.md.
+ *
+ * Usage:
+ *   node scripts/export-lino.mjs [versions...] [options]
+ *   node scripts/export-lino.mjs --all
+ *
+ * Examples:
+ *   node scripts/export-lino.mjs --all                   # Export from the live pages
+ *   node scripts/export-lino.mjs --all --from-markdown   # Export the archived Markdown
+ *   node scripts/export-lino.mjs --all --from-snapshot   # Export offline from snapshots
+ *   node scripts/export-lino.mjs 0.0.2 --dry-run         # Count links only
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule, SHARED_OPTIONS, UsageError } from './cli.mjs';
+import { extractArticleContent } from './download-article.mjs';
+import { articleToLinks, formatLino, markdownToContent } from './lino.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+const LINO_FILE = 'article.lino';
+
+/**
+ * Read the content of an article from the selected source
+ *
+ * Returns `{ title, elements }`, or null when the archived Markdown file is missing.
+ */
+async function readArticleContent(article, options) {
+  if (options.fromMarkdown) {
+    const markdownPath = join(ROOT_DIR, article.archivePath, article.markdownFile);
+    if (!existsSync(markdownPath)) return null;
+    return markdownToContent(readFileSync(markdownPath, 'utf-8'));
+  }
+
+  const content = await extractArticleContent(article, options.verbose, options.fromSnapshot);
+  if (content && content.markdown !== undefined) {
+    // Markdown sources have no element list of their own
+    const { title, elements } = markdownToContent(content.markdown);
+    return { title: content.title || title, elements };
+  }
+  return content;
+}
+
+/**
+ * Export the structure of a single article
+ */
+async function exportArticleLino(article, options) {
+  const linoPath = join(ROOT_DIR, article.archivePath, LINO_FILE);
+
+  console.log(`\n🔗 Links Notation: ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+  if (options.fromSnapshot) {
+    console.log('   Source: saved HTML snapshot');
+  } else if (options.fromMarkdown) {
+    console.log(`   Source: archived ${article.markdownFile}`);
+  }
+
+  const content = await readArticleContent(article, options);
+  if (!content) {
+    console.error('   ❌ Failed to extract article content');
+    return { success: false, details: 'Failed to extract content' };
+  }
+
+  const links = articleToLinks(content);
+  const blocks = links.filter(link => link.id !== null).length;
+  const relations = links.length - blocks;
+  console.log(`   ${content.elements.length} elements: ${blocks} blocks, ${relations} relations`);
+
+  if (options.dryRun) {
+    console.log(`   📝 [DRY RUN] Would save: ${linoPath}`);
+  } else {
+    writeFileSync(linoPath, formatLino(links), 'utf-8');
+    console.log(`   ✅ Saved: ${linoPath}`);
+  }
+
+  return { success: true, details: `${blocks} blocks, ${relations} relations` };
+}
+
+export const linoCommand = {
+  name: 'lino',
+  script: 'export-lino.mjs',
+  description: `Export the blocks of articles and their relations as Links Notation (${LINO_FILE}).`,
+  banner: '🚀 Links Notation Export Script',
+  options: [
+    { ...SHARED_OPTIONS.fromSnapshot, description: 'Read the saved HTML snapshot instead of the live page' },
+    { name: 'from-markdown', type: 'boolean', description: 'Read the archived article.md instead of the live page (offline)' }
+  ],
+  examples: ['--all', '--all --from-markdown', '--all --from-snapshot', '0.0.2 --dry-run'],
+  validate(options) {
+    if (options.fromSnapshot && options.fromMarkdown) {
+      throw new UsageError('--from-snapshot and --from-markdown cannot be combined');
+    }
+  },
+  runArticle: exportArticleLino
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(linoCommand);
+}
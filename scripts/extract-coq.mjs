@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Coq code extraction and compile check
+ *
+ * Collects the Coq code blocks of article.md in order into article.v next to
+ * it (see coq-blocks.mjs), checks the code for converter artifacts and, when
+ * coqc is installed, type checks the file and reports every lemma or
+ * definition that fails, with its line in article.md. Articles without Coq
+ * code are skipped.
+ *
+ * Usage:
+ *   node scripts/extract-coq.mjs [versions...] [options]
+ *   node scripts/extract-coq.mjs --all
+ *
+ * Examples:
+ *   node scripts/extract-coq.mjs 0.0.1                        # Extract and check 0.0.1
+ *   node scripts/extract-coq.mjs --all --strict               # Also fail on warnings
+ *   node scripts/extract-coq.mjs 0.0.2 --coqc ~/.opam/default/bin/coqc
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdtempSync, rmSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule } from './cli.mjs';
+import { extractCoqBlocks, buildCoqFile, lintCoqBlocks, parseCoqErrors, typeCheckCoq } from './coq-blocks.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+const COQ_FILE = 'article.v';
+const COMPILE_TIMEOUT = 300000;
+
+/**
+ * Get the version line of a Coq compiler, or null when it is not installed
+ */
+function findCoqc(coqc) {
+  const result = spawnSync(coqc, ['--version'], { encoding: 'utf-8', timeout: 30000 });
+  if (result.error || result.status !== 0) return null;
+  return result.stdout.trim().split('\n')[0];
+}
+
+/**
+ * Compile a .v text with coqc in a temporary directory (no .vo/.glob files in the archive)
+ */
+function compileWithCoqc(coqc) {
+  return async (text) => {
+    const dir = mkdtempSync(join(tmpdir(), 'coq-'));
+    try {
+      writeFileSync(join(dir, COQ_FILE), text);
+      const result = spawnSync(coqc, ['-q', COQ_FILE], { cwd: dir, encoding: 'utf-8', timeout: COMPILE_TIMEOUT });
+      if (result.error) {
+        throw new Error(`coqc failed: ${result.error.message}`);
+      }
+      return { ok: result.status === 0, errors: parseCoqErrors(`${result.stdout}\n${result.stderr}`) };
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Extract and check the Coq code of a single article
+ */
+async function extractArticleCoq(article, options) {
+  const archivePath = join(ROOT_DIR, article.archivePath);
+  const markdownPath = join(archivePath, article.markdownFile);
+  const coqPath = join(archivePath, COQ_FILE);
+
+  console.log(`\n🐓 Coq code: ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+
+  if (!existsSync(markdownPath)) {
+    console.log(`   ❌ Markdown file not found: ${markdownPath}`);
+    return { success: false, details: 'markdown not found' };
+  }
+
+  const blocks = extractCoqBlocks(readFileSync(markdownPath, 'utf-8'));
+  if (blocks.length === 0) {
+    console.log('   No Coq code blocks');
+    return { success: true, details: 'no Coq code' };
+  }
+
+  const { text, lineMap } = buildCoqFile(blocks, { title: article.title, source: article.markdownFile });
+  console.log(`   ${blocks.length} code blocks, ${text.split('\n').length - 1} lines`);
+  if (options.dryRun) {
+    console.log(`   📝 [DRY RUN] Would write ${coqPath}`);
+  } else {
+    writeFileSync(coqPath, text);
+    console.log(`   ✅ Saved: ${coqPath}`);
+  }
+
+  let errors = 0;
+  let warnings = 0;
+  for (const problem of lintCoqBlocks(blocks)) {
+    if (problem.severity === 'error') errors++;
+    else warnings++;
+    console.log(`   ${problem.severity === 'error' ? '❌' : '⚠️ '} ${article.markdownFile}:${problem.line}: ${problem.message}`);
+  }
+
+  let checked = 'not type checked';
+  const coqcVersion = findCoqc(options.coqc);
+  if (!coqcVersion) {
+    console.log(`   ⚠️  ${options.coqc} not found, type check skipped (install Coq or pass --coqc <path>)`);
+  } else {
+    console.log(`   Type checking with ${coqcVersion}...`);
+    const result = await typeCheckCoq(text, compileWithCoqc(options.coqc));
+    const where = (line) => (lineMap[line - 1] ? `${article.markdownFile}:${lineMap[line - 1]}` : `${COQ_FILE}:${line}`);
+    for (const failure of result.failures) {
+      errors++;
+      console.log(`   ❌ ${where(failure.line)}: ${failure.kind} ${failure.name} fails${failure.proof ? ' (proof)' : ''}: ${failure.message}`);
+    }
+    if (result.fatal) {
+      errors++;
+      console.log(`   ❌ ${result.fatal.line ? where(result.fatal.line) : COQ_FILE}: ${result.fatal.message}`);
+    }
+    if (result.ok) {
+      console.log('   ✅ Type check passed');
+    }
+    checked = result.ok ? 'type checked' : `${result.failures.length} failing declarations`;
+  }
+
+  console.log(`   Problems: ${errors} errors, ${warnings} warnings`);
+  return {
+    success: errors === 0 && (!options.strict || warnings === 0),
+    details: `${blocks.length} blocks, ${checked}, ${errors} errors, ${warnings} warnings`
+  };
+}
+
+export const coqCommand = {
+  name: 'coq',
+  script: 'extract-coq.mjs',
+  description: `Extract the Coq code blocks into ${COQ_FILE} and type check them with coqc.`,
+  banner: '🚀 Coq Extraction Script',
+  options: [
+    { name: 'coqc', type: 'string', value: '<path>', default: 'coqc', description: 'Coq compiler to type check with' },
+    { name: 'strict', type: 'boolean', description: 'Also fail on warnings (converter artifacts, admitted proofs)' }
+  ],
+  examples: ['0.0.1', '--all --strict', '0.0.2 --coqc ~/.opam/default/bin/coqc'],
+  runArticle: extractArticleCoq
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(coqCommand);
+}
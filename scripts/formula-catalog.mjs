@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Formula catalog for archived articles
+ *
+ * Writes archive/<version>/formulas.json listing every formula of the article
+ * with its kind (inline, block or blockquote), section heading and line number,
+ * and optionally renders all catalogs into a standalone archive/formulas.html
+ * index page (formulas rendered with KaTeX).
+ *
+ * Usage:
+ *   node scripts/formula-catalog.mjs [versions...] [options]
+ *   node scripts/formula-catalog.mjs --all
+ *
+ * Examples:
+ *   node scripts/formula-catalog.mjs 0.0.2         # Write archive/0.0.2/formulas.json
+ *   node scripts/formula-catalog.mjs --all --html  # All catalogs plus the index page
+ *   node scripts/formula-catalog.mjs --all --dry-run
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import katex from 'katex';
+import { runMain, isMainModule } from './cli.mjs';
+import { buildFormulaCatalog } from './formulas.mjs';
+import { escapeHtml } from './html-escape.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+const CATALOG_FILE = 'formulas.json';
+const INDEX_FILE = join('archive', 'formulas.html');
+
+/**
+ * Render the formula index page for a list of catalogs
+ */
+function renderIndexPage(catalogs) {
+  const toc = catalogs.map(catalog =>
+    `<li><a href="#v${escapeHtml(catalog.version)}">${escapeHtml(catalog.title)}</a> (${catalog.total} formulas)</li>`
+  );
+
+  const body = [];
+  for (const catalog of catalogs) {
+    body.push(`<h2 id="v${escapeHtml(catalog.version)}">${escapeHtml(catalog.title)} <small>${escapeHtml(catalog.version)}</small></h2>`);
+    body.push(`<p><a href="${escapeHtml(catalog.url)}">Original</a> · <a href="${escapeHtml(catalog.version)}/${escapeHtml(catalog.markdownFile)}">${escapeHtml(catalog.markdownFile)}</a> · ${catalog.counts.inline} inline, ${catalog.counts.block} block, ${catalog.counts.blockquote} blockquote</p>`);
+
+    let section = null;
+    for (const formula of catalog.formulas) {
+      if (formula.section !== section) {
+        if (section !== null) body.push('</table>');
+        section = formula.section;
+        body.push(`<h3>${escapeHtml(section || '(preamble)')}</h3>`);
+        body.push('<table>');
+      }
+      const rendered = katex.renderToString(formula.latex, {
+        displayMode: formula.kind !== 'inline',
+        throwOnError: false,
+        strict: 'ignore'
+      });
+      body.push(`<tr id="v${escapeHtml(catalog.version)}-${formula.id}"><td class="id">${formula.id}</td><td class="math">${rendered}</td><td><code>${escapeHtml(formula.latex)}</code><br><small>${formula.kind}, line ${formula.line}</small></td></tr>`);
+    }
+    if (section !== null) body.push('</table>');
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Formula index</title>
+<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css">
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; }
+  table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+  td { border: 1px solid #d0d7de; padding: 4px 8px; vertical-align: middle; }
+  td.id { width: 3em; color: #6e7781; text-align: right; }
+  td.math { width: 45%; overflow-x: auto; }
+  code { white-space: pre-wrap; word-break: break-word; font-size: 13px; }
+  small { color: #6e7781; }
+</style>
+</head>
+<body>
+<h1>Formula index</h1>
+<ul>
+${toc.join('\n')}
+</ul>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build (and save) the formula catalog of a single article
+ */
+function catalogArticle(article, options) {
+  const markdownPath = join(ROOT_DIR, article.archivePath, article.markdownFile);
+  const catalogPath = join(ROOT_DIR, article.archivePath, CATALOG_FILE);
+
+  console.log(`\n🧮 Cataloging formulas: ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+
+  if (!existsSync(markdownPath)) {
+    console.log(`   ❌ File not found: ${markdownPath}`);
+    return { success: false, details: 'File not found' };
+  }
+
+  const catalog = buildFormulaCatalog(article, readFileSync(markdownPath, 'utf-8'));
+  console.log(`   Formulas: ${catalog.total} (${catalog.counts.inline} inline, ${catalog.counts.block} block, ${catalog.counts.blockquote} blockquote)`);
+
+  if (options.verbose) {
+    for (const formula of catalog.formulas) {
+      console.log(`   ${String(formula.id).padStart(3)}. line ${formula.line} [${formula.kind}] ${formula.latex.replace(/\s+/g, ' ')}`);
+    }
+  }
+
+  if (options.dryRun) {
+    console.log(`   📝 [DRY RUN] Would save: ${catalogPath}`);
+  } else {
+    writeFileSync(catalogPath, JSON.stringify(catalog, null, 2) + '\n', 'utf-8');
+    console.log(`   ✅ Catalog saved: ${catalogPath}`);
+  }
+
+  return { success: true, details: `${catalog.total} formulas`, catalog };
+}
+
+export const formulasCommand = {
+  name: 'formulas',
+  script: 'formula-catalog.mjs',
+  description: `Write the formula catalog (${CATALOG_FILE}) of archived articles and the ${INDEX_FILE} index page.`,
+  banner: '🚀 Formula Catalog Script',
+  options: [
+    { name: 'html', type: 'boolean', description: `Also write the standalone index page ${INDEX_FILE}` }
+  ],
+  examples: ['0.0.2', '--all --html', '--all --dry-run'],
+  runArticle: catalogArticle,
+  after(results, options) {
+    const catalogs = results.filter(r => r.success).map(r => r.catalog);
+    if (!options.html || catalogs.length === 0) return;
+
+    const indexPath = join(ROOT_DIR, INDEX_FILE);
+    if (options.dryRun) {
+      console.log(`📝 [DRY RUN] Would save index page: ${indexPath}`);
+    } else {
+      writeFileSync(indexPath, renderIndexPage(catalogs), 'utf-8');
+      console.log(`✅ Index page saved: ${indexPath}`);
+    }
+  }
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(formulasCommand);
+}
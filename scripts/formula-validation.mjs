@@ -0,0 +1,128 @@
+/**
+ * Offline validation of LaTeX formulas with KaTeX
+ *
+ * Every formula extracted from an archived Markdown file is rendered with KaTeX
+ * (display mode for `$$...$$`). Parse errors are reported with the Markdown line
+ * they occur on, KaTeX strict-mode warnings are collected, and the source is
+ * checked against constructs that GitHub's math rendering is known to mishandle.
+ */
+
+import katex from 'katex';
+import { extractFormulas } from './formulas.mjs';
+
+/**
+ * Constructs that render on Habr/KaTeX but not (or differently) on GitHub
+ */
+export const GITHUB_RULES = [
+  {
+    id: 'markdown-escape',
+    pattern: /\\[!-/:-@[-`{-~]/,
+    message: 'Backslash before punctuation is read as a Markdown escape on GitHub (e.g. \\{ renders as {); use \\lbrace/\\rbrace or double the backslash'
+  },
+  {
+    id: 'unsupported-command',
+    pattern: /\\(?:href|url|require|label|ref|eqref|includegraphics|htmlClass|htmlId|htmlStyle|htmlData)\b/,
+    message: 'Command is not available in GitHub math'
+  }
+];
+
+/**
+ * Render a single formula with KaTeX
+ *
+ * Returns `{ error, warnings }`: `error` is `{ message, position }` for a parse
+ * error (position is the character offset in the LaTeX source, when known) or
+ * null, and `warnings` lists KaTeX strict-mode warnings as `{ code, message }`.
+ */
+export function renderFormula(latex, { displayMode = false } = {}) {
+  const warnings = [];
+  try {
+    katex.renderToString(latex, {
+      displayMode,
+      throwOnError: true,
+      strict: (code, message) => {
+        warnings.push({ code, message });
+        return 'ignore';
+      }
+    });
+    return { error: null, warnings };
+  } catch (error) {
+    if (!(error instanceof katex.ParseError)) throw error;
+    return {
+      error: { message: error.rawMessage || error.message, position: error.position ?? null },
+      warnings
+    };
+  }
+}
+
+/**
+ * Check a formula against GitHub rules
+ *
+ * `lineText` is the Markdown line the formula starts on; it is used to flag
+ * `$$...$$` sharing a line with other text, which GitHub does not render as
+ * display math.
+ */
+export function checkGithubCompatibility(formula, lineText = '') {
+  const issues = [];
+  for (const rule of GITHUB_RULES) {
+    const match = formula.latex.match(rule.pattern);
+    if (match) {
+      issues.push({ rule: rule.id, message: `${rule.message}: ${match[0]}` });
+    }
+  }
+
+  if (formula.kind !== 'inline') {
+    const before = lineText.slice(0, formula.column - 1).replace(/^[\s>]*/, '');
+    const closing = lineText.indexOf('$$', formula.column + 1);
+    const after = closing === -1 ? '' : lineText.slice(closing + 2).trim();
+    if (before || after) {
+      issues.push({ rule: 'display-inline', message: 'Display formula ($$...$$) shares its line with text; GitHub only renders $$ blocks on their own lines' });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate every formula of a Markdown document
+ *
+ * Returns one entry per formula: the formula fields from extractFormulas()
+ * plus `error` (with the Markdown `line` of the error), `warnings` and `github`.
+ */
+export function validateMarkdownFormulas(markdownText) {
+  const lines = markdownText.replace(/\r\n/g, '\n').split('\n');
+
+  return extractFormulas(markdownText).map(formula => {
+    const lineText = lines[formula.line - 1] || '';
+    const { error, warnings } = renderFormula(formula.latex, { displayMode: formula.kind !== 'inline' });
+
+    let located = null;
+    if (error) {
+      // Formulas written as "$$\n...\n$$" start on the line after the delimiter
+      const startsOnNextLine = lineText.slice(formula.column - 1).trim() === '$$';
+      const before = error.position === null ? '' : formula.latex.slice(0, error.position);
+      located = {
+        ...error,
+        line: formula.line + (startsOnNextLine ? 1 : 0) + (before.match(/\n/g) || []).length
+      };
+    }
+
+    return {
+      ...formula,
+      error: located,
+      warnings,
+      github: checkGithubCompatibility(formula, lineText)
+    };
+  });
+}
+
+/**
+ * Summarize validation results
+ */
+export function summarizeValidation(results) {
+  return {
+    total: results.length,
+    errors: results.filter(r => r.error).length,
+    warnings: results.reduce((sum, r) => sum + r.warnings.length, 0),
+    github: results.reduce((sum, r) => sum + r.github.length, 0)
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * LaTeX formula extraction from archived Markdown articles
+ *
+ * Finds every `$...$` (inline) and `$$...$$` (block) formula outside of code,
+ * with its 1-based line and column, the section heading it appears under, and
+ * whether it sits inside a blockquote (`> $$...$$`, the articles' display style).
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Replace code (fenced blocks and inline backticks) with spaces, keeping offsets
+ */
+function maskCode(text) {
+  const blank = (match) => match.replace(/[^\n]/g, ' ');
+  return text
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, blank)
+    .replace(/`[^`\n]+`/g, blank);
+}
+
+/**
+ * Extract all formulas from markdown text
+ *
+ * Returns `{ latex, kind, line, column, section }` where `kind` is one of
+ * `inline`, `block` or `blockquote`.
+ */
+export function extractFormulas(markdownText) {
+  const text = markdownText.replace(/\r\n/g, '\n');
+  const masked = maskCode(text);
+  const lines = text.split('\n');
+
+  // Offsets of line starts, and the section heading active at each line
+  const lineStarts = [];
+  const sections = [];
+  let offset = 0;
+  let section = '';
+  const maskedLines = masked.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    lineStarts.push(offset);
+    const headingMatch = maskedLines[i].match(HEADING_PATTERN);
+    if (headingMatch) section = headingMatch[2];
+    sections.push(section);
+    offset += lines[i].length + 1;
+  }
+
+  const lineIndexAt = (position) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= position) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  };
+
+  const formulas = [];
+  const pattern = /(?<!\\)\$\$([\s\S]+?)(?<!\\)\$\$|(?<![\\$])\$(?!\$)([^$\n]+?)(?<!\\)\$/g;
+  let match;
+  while ((match = pattern.exec(masked)) !== null) {
+    const lineIndex = lineIndexAt(match.index);
+    const isBlock = match[1] !== undefined;
+    const latex = text.substr(match.index + (isBlock ? 2 : 1), (isBlock ? match[1] : match[2]).length).trim();
+    if (!latex) continue;
+
+    let kind = 'inline';
+    if (isBlock) {
+      kind = lines[lineIndex].trimStart().startsWith('>') ? 'blockquote' : 'block';
+    }
+
+    formulas.push({
+      latex,
+      kind,
+      line: lineIndex + 1,
+      column: match.index - lineStarts[lineIndex] + 1,
+      section: sections[lineIndex]
+    });
+  }
+
+  return formulas;
+}
+
+/**
+ * Normalize a formula to a canonical form for comparison
+ *
+ * Unicode math symbols are mapped to LaTeX commands, font commands such as
+ * \mathbf{...} are unwrapped, and whitespace, braces and trailing punctuation
+ * are dropped, so `\mathbf{L ⊆ ℕ_0}` and `L \subseteq \mathbb{N}_0` compare equal.
+ */
+export function normalizeFormula(latex) {
+  let result = latex
+    .replace(/\\\{/g, '⦃')
+    .replace(/\\\}/g, '⦄')
+    .replace(/→/g, '\\to ')
+    .replace(/↦/g, '\\mapsto ')
+    .replace(/⊆/g, '\\subseteq ')
+    .replace(/∈/g, '\\in ')
+    .replace(/×/g, '\\times ')
+    .replace(/∪|⋃/g, '\\cup ')
+    .replace(/∅/g, '\\emptyset ')
+    .replace(/\\mathbb\{N\}/g, 'ℕ')
+    .replace(/[₀-₉]/g, digit => '_' + (digit.charCodeAt(0) - 0x2080))
+    .replace(/λ/g, '\\lambda ')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/ⁿ/g, '^n')
+    .replace(/\\rightarrow\b/g, '\\to')
+    .replace(/\\bigcup\b/g, '\\cup')
+    .replace(/\\(?:ldots|dots|cdots)\b/g, '...')
+    .replace(/\\(?:underbrace|overbrace|left|right)\b/g, '')
+    .replace(/\\(?:quad|qquad|,|;|!)/g, ' ');
+
+  // Unwrap font and text commands: \mathbf{X} -> X
+  let previous;
+  do {
+    previous = result;
+    result = result.replace(/\\(?:mathbf|textbf|mathrm|mathit|boldsymbol|text|textit|operatorname)\{((?:[^{}]|\{[^{}]*\})*)\}/g, '$1');
+  } while (result !== previous);
+
+  return result
+    .replace(/[{}]/g, '')
+    .replace(/⦃/g, '{')
+    .replace(/⦄/g, '}')
+    .replace(/\s+/g, '')
+    .replace(/[.,;]+$/, '');
+}
+
+/**
+ * Build the formula catalog of an article (the content of formulas.json)
+ *
+ * Formulas are numbered in document order; `counts` holds the number of
+ * formulas per kind.
+ */
+export function buildFormulaCatalog(article, markdownText, { markdownFile = article.markdownFile } = {}) {
+  const formulas = extractFormulas(markdownText).map((formula, index) => ({
+    id: index + 1,
+    ...formula
+  }));
+
+  const counts = { inline: 0, block: 0, blockquote: 0 };
+  for (const formula of formulas) {
+    counts[formula.kind]++;
+  }
+
+  return {
+    version: article.version,
+    title: article.title,
+    language: article.language,
+    url: article.url,
+    markdownFile,
+    total: formulas.length,
+    counts,
+    formulas
+  };
+}
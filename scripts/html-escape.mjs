@@ -0,0 +1,17 @@
+/**
+ * Escaping of text for HTML and XML output
+ *
+ * Shared by the HTML reports (diff, formula index, rendered Markdown) and the
+ * XML writers (JUnit reports, GraphML).
+ */
+
+/**
+ * Escape text for HTML or XML content and double-quoted attributes
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,290 @@
+/**
+ * Image metadata and image file checks
+ *
+ * `images/metadata.json` is an array with one entry per image:
+ *
+ *   { path, figure, caption, alt, sourceUrl, format, width, height, size, perceptualHash }
+ *
+ * `path` is relative to the archive folder (`images/figure-1.png`), `figure`
+ * the figure number from the page caption, `alt` the Markdown alt text,
+ * `format`/`width`/`height`/`size` what the file contained when it was
+ * recorded and `perceptualHash` its pHash (see perceptual-hash.mjs). Fields
+ * that are not known are null; `perceptualHash` is left out of the file until
+ * it is computed. Older files written by
+ * `download.mjs` (`figureNum`/`filename`/`caption`) and
+ * `download-markdown-images.mjs` (`index`/`originalUrl`/`altText`/`localPath`)
+ * are read into the same shape.
+ *
+ * Image headers are decoded without dependencies: PNG (IHDR) and JPEG (SOF
+ * segments). HTML error pages saved with an image extension are recognized.
+ */
+
+import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
+import { join, extname } from 'path';
+import { parseMarkdownBlocks } from './markdown-blocks.mjs';
+
+export const METADATA_FILE = 'metadata.json';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const IMAGE_EXTENSIONS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg' };
+const MARKDOWN_IMAGE_PATTERN = /!\[((?:[^\[\]]|\[[^\]]*\])*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+const HTML_PATTERN = /^\s*<(?:!doctype\s+html|html|head|body|!--)/i;
+
+/**
+ * Read an image entry of any metadata shape into the unified one
+ */
+export function normalizeImageEntry(entry, imagesDir = 'images') {
+  const path = entry.path ?? entry.localPath ?? (entry.filename ? `${imagesDir}/${entry.filename}` : null);
+  return {
+    path: path ? path.replace(/^\.\//, '') : null,
+    figure: entry.figure ?? entry.figureNum ?? null,
+    caption: entry.caption || null,
+    alt: entry.alt ?? entry.altText ?? null,
+    sourceUrl: entry.sourceUrl ?? entry.originalUrl ?? null,
+    format: entry.format ?? null,
+    width: entry.width ?? null,
+    height: entry.height ?? null,
+    size: entry.size ?? null,
+    perceptualHash: entry.perceptualHash ?? null
+  };
+}
+
+/**
+ * Read images/metadata.json of an archive folder (an empty list when missing)
+ */
+export function readImageMetadata(archiveDir, imagesDir = 'images') {
+  const metadataPath = join(archiveDir, imagesDir, METADATA_FILE);
+  if (!existsSync(metadataPath)) return [];
+
+  const data = JSON.parse(readFileSync(metadataPath, 'utf-8'));
+  if (!Array.isArray(data)) {
+    throw new Error(`${imagesDir}/${METADATA_FILE} is not a list of images`);
+  }
+  return data.map(entry => normalizeImageEntry(entry, imagesDir)).filter(entry => entry.path);
+}
+
+/**
+ * Merge metadata entries by path: known fields of `updates` replace the
+ * existing ones, new paths are appended
+ */
+export function mergeImageMetadata(entries, updates) {
+  const merged = entries.map(entry => ({ ...entry }));
+  for (const update of updates) {
+    const existing = merged.find(entry => entry.path === update.path);
+    const known = Object.fromEntries(Object.entries(update).filter(([, value]) => value !== null && value !== undefined));
+    if (existing) {
+      Object.assign(existing, known);
+    } else {
+      merged.push(normalizeImageEntry(known));
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge entries into images/metadata.json (written in the unified shape)
+ */
+export function writeImageMetadata(archiveDir, updates, imagesDir = 'images') {
+  const entries = mergeImageMetadata(readImageMetadata(archiveDir, imagesDir), updates);
+  // The hash is only written once computed; normalizeImageEntry reads it back as null
+  const written = entries.map(({ perceptualHash, ...entry }) => (perceptualHash === null ? entry : { ...entry, perceptualHash }));
+  writeFileSync(join(archiveDir, imagesDir, METADATA_FILE), JSON.stringify(written, null, 2) + '\n', 'utf-8');
+  return entries;
+}
+
+/**
+ * Dimensions from the first JPEG start-of-frame segment
+ */
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // Markers without a length: TEM, RSTn, SOI, EOI
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += 2;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const startOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (startOfFrame && offset + 9 <= buffer.length) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Decode the header of an image file
+ *
+ * Returns `{ format, width, height }` where `format` is `png`, `jpeg`, `html`
+ * (an HTML page, typically an error page) or null (unknown data); dimensions
+ * are null when they cannot be read.
+ */
+export function readImageHeader(buffer) {
+  if (buffer.length >= 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    const hasHeader = buffer.toString('latin1', 12, 16) === 'IHDR';
+    return {
+      format: 'png',
+      width: hasHeader ? buffer.readUInt32BE(16) : null,
+      height: hasHeader ? buffer.readUInt32BE(20) : null
+    };
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    const size = readJpegSize(buffer);
+    return { format: 'jpeg', width: size?.width ?? null, height: size?.height ?? null };
+  }
+  const text = buffer.toString('utf-8', 0, Math.min(buffer.length, 1024)).replace(/^\uFEFF/, '');
+  if (HTML_PATTERN.test(text)) {
+    return { format: 'html', width: null, height: null };
+  }
+  return { format: null, width: null, height: null };
+}
+
+/**
+ * Inspect an image file: `{ size, format, width, height }` (null when missing)
+ */
+export function inspectImage(filePath) {
+  if (!existsSync(filePath)) return null;
+  const buffer = readFileSync(filePath);
+  return { size: buffer.length, ...readImageHeader(buffer) };
+}
+
+/**
+ * Local image references of a Markdown file: `{ path, alt, line }`
+ * (code blocks are skipped)
+ */
+export function extractImageReferences(markdownText) {
+  const references = [];
+  const add = (src, alt, line) => {
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(src)) {
+      references.push({ path: decodeURI(src).replace(/^\.\//, ''), alt, line });
+    }
+  };
+
+  for (const block of parseMarkdownBlocks(markdownText)) {
+    if (block.type === 'figure') {
+      add(block.src, block.alt, block.line);
+    } else if (block.type !== 'code') {
+      block.content.split('\n').forEach((text, offset) => {
+        for (const match of text.matchAll(MARKDOWN_IMAGE_PATTERN)) add(match[2], match[1], block.line + offset);
+      });
+    }
+  }
+  return references;
+}
+
+/**
+ * Problems of a single image file; `recorded` is its metadata entry (if any)
+ */
+function checkImageFile(info, path, recorded) {
+  const problems = [];
+  const error = (message) => problems.push({ severity: 'error', message });
+
+  if (!info) {
+    error('file not found');
+    return problems;
+  }
+  if (info.size === 0) {
+    error('empty file');
+    return problems;
+  }
+  if (info.format === 'html') {
+    error('HTML page saved as an image (error page?)');
+    return problems;
+  }
+  if (!info.format) {
+    error('not a PNG or JPEG image');
+    return problems;
+  }
+
+  const expected = IMAGE_EXTENSIONS[extname(path).toLowerCase()];
+  if (expected && expected !== info.format) {
+    error(`extension ${extname(path)} but ${info.format.toUpperCase()} data`);
+  }
+  if (!info.width || !info.height) {
+    error('image has no dimensions');
+  }
+  if (recorded?.width && recorded?.height && (recorded.width !== info.width || recorded.height !== info.height)) {
+    error(`${info.width}x${info.height}, ${METADATA_FILE} records ${recorded.width}x${recorded.height}`);
+  }
+  if (recorded?.size && recorded.size !== info.size) {
+    error(`${info.size} bytes, ${METADATA_FILE} records ${recorded.size}`);
+  }
+  return problems;
+}
+
+/**
+ * Check the images of an archive folder against metadata.json and the Markdown
+ *
+ * Every image that is in the images folder, in metadata.json or referenced by
+ * `![...](images/...)` is decoded. Returns entries `{ path, lines, recorded,
+ * size, format, width, height, problems: [{ severity, message }] }`; errors are
+ * broken files and referenced files that do not exist, warnings are images
+ * missing from metadata.json and metadata entries that are neither on disk nor
+ * referenced.
+ */
+export function checkImages(archiveDir, markdownText, { imagesDir = 'images' } = {}) {
+  const metadata = readImageMetadata(archiveDir, imagesDir);
+  const references = extractImageReferences(markdownText);
+  const imagesPath = join(archiveDir, imagesDir);
+  const files = existsSync(imagesPath)
+    ? readdirSync(imagesPath).filter(name => IMAGE_EXTENSIONS[extname(name).toLowerCase()]).map(name => `${imagesDir}/${name}`)
+    : [];
+
+  const paths = [...new Set([...files, ...metadata.map(entry => entry.path), ...references.map(reference => reference.path)])]
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+
+  return paths.map(path => {
+    const recorded = metadata.find(entry => entry.path === path) || null;
+    const lines = references.filter(reference => reference.path === path).map(reference => reference.line);
+    const info = inspectImage(join(archiveDir, path));
+    const problems = checkImageFile(info, path, recorded);
+
+    if (!info && lines.length === 0) {
+      // Only metadata.json knows about this image
+      problems[0] = { severity: 'warning', message: `listed in ${METADATA_FILE} but not found` };
+    } else if (!recorded) {
+      problems.push({ severity: 'warning', message: `not listed in ${METADATA_FILE}` });
+    }
+
+    return {
+      path,
+      lines,
+      recorded: Boolean(recorded),
+      size: info?.size ?? null,
+      format: info?.format ?? null,
+      width: info?.width ?? null,
+      height: info?.height ?? null,
+      problems
+    };
+  });
+}
+
+/**
+ * Metadata entries describing the images of an archive folder as they are now
+ *
+ * Existing entries are kept (converted to the unified shape) and get the
+ * current format, dimensions and size; valid images missing from the metadata
+ * are added with the alt text of their first Markdown reference.
+ */
+export function describeImages(archiveDir, markdownText, { imagesDir = 'images' } = {}) {
+  const references = extractImageReferences(markdownText);
+  const updates = checkImages(archiveDir, markdownText, { imagesDir })
+    .filter(image => image.format === 'png' || image.format === 'jpeg')
+    .map(image => ({
+      path: image.path,
+      alt: references.find(reference => reference.path === image.path)?.alt || null,
+      format: image.format,
+      width: image.width,
+      height: image.height,
+      size: image.size
+    }));
+  return mergeImageMetadata(readImageMetadata(archiveDir, imagesDir), updates)
+    .sort((a, b) => a.path.localeCompare(b.path, 'en', { numeric: true }));
+}
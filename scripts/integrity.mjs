@@ -0,0 +1,215 @@
+/**
+ * Integrity manifests of archive versions
+ *
+ * A manifest (archive/<version>/manifest.json) lists every file of an archive
+ * version with its SHA-256 hash, byte size and, when known, the URL it was
+ * downloaded from. Checking a version against its manifest reports files that
+ * were modified, removed or added since the manifest was written.
+ *
+ * Files that git ignores (the archive patterns of .gitignore: generated
+ * reports, offline snapshots) are not part of the archive and are left out.
+ *
+ * Source URLs come from the article configuration (article.md, downloaded.md,
+ * the screenshot), images/metadata.json (`sourceUrl`/`path` entries, see
+ * image-metadata.mjs) and screenshots/index.json (tiles of the article page,
+ * see screenshot-tiles.mjs).
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative, sep } from 'path';
+import { readImageMetadata } from './image-metadata.mjs';
+import { SCREENSHOT_TILES_DIR, TILE_INDEX_FILE } from './screenshot-tiles.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+export const MANIFEST_FILE = 'manifest.json';
+
+const GITIGNORE_FILE = join(ROOT_DIR, '.gitignore');
+const ARCHIVE_PATTERN_PREFIX = 'archive/*/';
+
+/**
+ * Convert a .gitignore glob into a regular expression of relative paths
+ *
+ * `*` and `?` do not cross `/`, `**` does (and followed by `/` it also matches
+ * no directory at all); a pattern also matches everything below a directory of
+ * that name (a trailing `/` matches directories only).
+ */
+function globToRegExp(glob) {
+  const directoryOnly = glob.endsWith('/');
+  const source = glob.replace(/\/$/, '').replace(/\*\*\/|\*\*|[*?]|[.+^${}()|[\]\\]/g, token => {
+    if (token === '**/') return '(?:.*/)?';
+    if (token === '**') return '.*';
+    if (token === '*') return '[^/]*';
+    if (token === '?') return '[^/]';
+    return `\\${token}`;
+  });
+  return new RegExp(`^${source}${directoryOnly ? '/' : '(?:/|$)'}`);
+}
+
+/**
+ * Patterns of files ignored inside archive versions, read from the lines of a
+ * .gitignore file that start with ARCHIVE_PATTERN_PREFIX (any version)
+ *
+ * Negated (`!`) patterns are not supported and are skipped.
+ */
+export function readArchiveIgnorePatterns(gitignorePath = GITIGNORE_FILE) {
+  if (!existsSync(gitignorePath)) return [];
+  return readFileSync(gitignorePath, 'utf-8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith(ARCHIVE_PATTERN_PREFIX))
+    .map(line => globToRegExp(line.slice(ARCHIVE_PATTERN_PREFIX.length)));
+}
+
+const ARCHIVE_IGNORE_PATTERNS = readArchiveIgnorePatterns();
+
+/**
+ * Get the absolute archive directory of an article
+ */
+export function getArchiveDir(article) {
+  return join(ROOT_DIR, article.archivePath);
+}
+
+/**
+ * SHA-256 hash of a file (hex)
+ */
+export function hashFile(filePath) {
+  return createHash('sha256').update(readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * List archive files relative to the archive directory (forward slashes, sorted)
+ *
+ * The manifest itself and files matching `ignorePatterns` are left out.
+ */
+export function listArchiveFiles(archiveDir, ignorePatterns = ARCHIVE_IGNORE_PATTERNS) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile()) {
+        const path = relative(archiveDir, fullPath).split(sep).join('/');
+        if (path !== MANIFEST_FILE && !ignorePatterns.some(pattern => pattern.test(path))) files.push(path);
+      }
+    }
+  };
+  walk(archiveDir);
+  return files.sort();
+}
+
+/**
+ * Read a JSON file if it exists, returning null otherwise
+ */
+function readJsonIfExists(filePath) {
+  if (!existsSync(filePath)) return null;
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect known source URLs of archive files, keyed by relative path
+ */
+export function collectSourceUrls(article, archiveDir) {
+  const urls = new Map();
+  for (const file of ['article.md', 'downloaded.md', article.markdownFile, article.screenshotFile]) {
+    if (file) urls.set(file, article.url);
+  }
+
+  const imagesDir = article.imagesDir || 'images';
+  let imageMetadata = [];
+  try {
+    imageMetadata = readImageMetadata(archiveDir, imagesDir);
+  } catch {
+    // A malformed metadata file only means unknown source URLs
+  }
+  for (const entry of imageMetadata) {
+    if (entry.sourceUrl) urls.set(entry.path, entry.sourceUrl);
+  }
+
+  const tileIndex = readJsonIfExists(join(archiveDir, SCREENSHOT_TILES_DIR, TILE_INDEX_FILE));
+  if (tileIndex) {
+    for (const tile of tileIndex.tiles || []) {
+      urls.set(`${SCREENSHOT_TILES_DIR}/${tile.file}`, tileIndex.url);
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Build the manifest of an archive version
+ */
+export function buildManifest(article, archiveDir = getArchiveDir(article)) {
+  const sourceUrls = collectSourceUrls(article, archiveDir);
+  const files = listArchiveFiles(archiveDir).map(path => {
+    const fullPath = join(archiveDir, path);
+    const entry = {
+      path,
+      size: statSync(fullPath).size,
+      sha256: hashFile(fullPath)
+    };
+    if (sourceUrls.has(path)) entry.sourceUrl = sourceUrls.get(path);
+    return entry;
+  });
+
+  return {
+    version: article.version,
+    url: article.url,
+    algorithm: 'sha256',
+    files
+  };
+}
+
+/**
+ * Read the saved manifest of an archive version (null if there is none)
+ */
+export function readManifest(article, archiveDir = getArchiveDir(article)) {
+  const manifestPath = join(archiveDir, MANIFEST_FILE);
+  if (!existsSync(manifestPath)) return null;
+  return JSON.parse(readFileSync(manifestPath, 'utf-8'));
+}
+
+/**
+ * Check archive files against a manifest
+ *
+ * Returns `{ ok, checked, modified, missing, untracked }`: `modified` entries are
+ * `{ path, expected, actual }` with expected/actual `{ size, sha256 }`, `missing`
+ * lists manifest files that no longer exist and `untracked` files not in the manifest.
+ */
+export function checkIntegrity(manifest, archiveDir) {
+  const present = new Set(listArchiveFiles(archiveDir));
+  const modified = [];
+  const missing = [];
+
+  for (const entry of manifest.files) {
+    if (!present.has(entry.path)) {
+      missing.push(entry.path);
+      continue;
+    }
+    present.delete(entry.path);
+
+    const fullPath = join(archiveDir, entry.path);
+    const actual = { size: statSync(fullPath).size, sha256: hashFile(fullPath) };
+    if (actual.size !== entry.size || actual.sha256 !== entry.sha256) {
+      modified.push({ path: entry.path, expected: { size: entry.size, sha256: entry.sha256 }, actual });
+    }
+  }
+
+  const untracked = [...present];
+  return {
+    ok: modified.length === 0 && missing.length === 0 && untracked.length === 0,
+    checked: manifest.files.length,
+    modified,
+    missing,
+    untracked
+  };
+}
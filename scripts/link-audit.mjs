@@ -0,0 +1,193 @@
+/**
+ * Dead-link and citation audit of archived Markdown
+ *
+ * Every link of an article is classified by what it points to:
+ * - `anchor`    a heading or HTML anchor of the same file (`#...`)
+ * - `local`     a file next to the article (images, other versions)
+ * - `external`  any URL with a scheme
+ * and flagged as a citation when its text is a reference number (`[[1]](...)`).
+ *
+ * Anchors and local files are validated offline. External URLs are only checked
+ * with `auditExternalLinks`, through a fetch-compatible HTTP client (the global
+ * fetch by default, a fake one in tests); broken ones can get a suggested
+ * replacement from the Web Archive.
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { parseMarkdownBlocks } from './markdown-blocks.mjs';
+import { extractMarkdownLinks } from './content-alignment.mjs';
+import { findWaybackTimestamp, toWaybackUrl } from './source-adapters.mjs';
+
+const CITATION_PATTERN = /^\[\d+\]$/;
+const HTML_ANCHOR_PATTERN = /<a\s+[^>]*(?:id|name)="([^"]+)"/g;
+
+// Statuses that some servers answer to HEAD requests they do not support
+const HEAD_UNSUPPORTED = new Set([403, 405, 501]);
+
+/**
+ * Decode a percent-encoded href part (unchanged when it is malformed)
+ */
+function decode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * GitHub heading anchor of a heading text (without the duplicate suffix)
+ */
+export function githubSlug(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*`]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * All anchors a `#...` link can target: GitHub heading anchors (repeated
+ * headings get `-1`, `-2`, ... suffixes) and explicit HTML anchors
+ */
+export function collectAnchors(markdownText) {
+  const anchors = new Set();
+  const seen = new Map();
+  for (const block of parseMarkdownBlocks(markdownText)) {
+    if (block.type !== 'heading') continue;
+    const slug = githubSlug(block.content);
+    const count = seen.get(slug) || 0;
+    seen.set(slug, count + 1);
+    anchors.add(count === 0 ? slug : `${slug}-${count}`);
+  }
+  for (const match of markdownText.matchAll(HTML_ANCHOR_PATTERN)) {
+    anchors.add(match[1]);
+  }
+  return anchors;
+}
+
+/**
+ * Classify an href as anchor, local or external
+ */
+export function classifyHref(href) {
+  if (href.startsWith('#')) return 'anchor';
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return 'external';
+  return 'local';
+}
+
+/**
+ * Audit the links of a Markdown file offline
+ *
+ * Returns entries `{ text, href, line, section, kind, citation, status,
+ * details? }` where `status` is `ok`, `broken` or `unchecked` (external URLs).
+ * Local files are looked up in `archiveDir` when it is given.
+ */
+export function auditLinks(markdownText, { archiveDir = null } = {}) {
+  const anchors = collectAnchors(markdownText);
+
+  return extractMarkdownLinks(markdownText).map(link => {
+    const entry = {
+      text: link.text,
+      href: link.href,
+      line: link.line,
+      section: link.section,
+      kind: classifyHref(link.href),
+      citation: CITATION_PATTERN.test(link.text),
+      status: 'unchecked'
+    };
+
+    if (entry.kind === 'anchor') {
+      const anchor = decode(link.href.slice(1));
+      entry.status = anchors.has(anchor) ? 'ok' : 'broken';
+      if (entry.status === 'broken') entry.details = `no heading or anchor "${anchor}"`;
+    } else if (entry.kind === 'local' && archiveDir) {
+      const path = decode(link.href.replace(/[?#].*$/, ''));
+      entry.status = existsSync(join(archiveDir, path)) ? 'ok' : 'broken';
+      if (entry.status === 'broken') entry.details = `file not found: ${path}`;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Check whether a URL responds, with HEAD first and GET when HEAD is refused
+ *
+ * Returns `{ ok, status, error?, redirectedTo? }`; network errors and timeouts
+ * give `status: null`.
+ */
+export async function checkUrl(url, { fetch = globalThis.fetch, timeout = 15000 } = {}) {
+  let result = null;
+  for (const method of ['HEAD', 'GET']) {
+    try {
+      const response = await fetch(url, { method, redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+      await response.body?.cancel();
+      result = response.ok
+        ? { ok: true, status: response.status }
+        : { ok: false, status: response.status, error: `HTTP ${response.status}` };
+      if (response.ok && response.redirected && response.url) result.redirectedTo = response.url;
+      if (response.ok || !HEAD_UNSUPPORTED.has(response.status)) break;
+    } catch (error) {
+      result = { ok: false, status: null, error: error.message };
+    }
+  }
+  return result;
+}
+
+/**
+ * Check the external links of an audit online (entries are updated in place)
+ *
+ * Each distinct http(s) URL is requested once. With `wayback`, broken links
+ * that are not Web Archive captures get `suggestion`: the closest capture.
+ */
+export async function auditExternalLinks(entries, { fetch = globalThis.fetch, timeout = 15000, wayback = false, onProgress = null } = {}) {
+  const byUrl = new Map();
+  for (const entry of entries) {
+    if (entry.kind !== 'external' || !/^https?:/i.test(entry.href)) continue;
+    if (!byUrl.has(entry.href)) byUrl.set(entry.href, []);
+    byUrl.get(entry.href).push(entry);
+  }
+
+  for (const [url, urlEntries] of byUrl) {
+    const result = await checkUrl(url, { fetch, timeout });
+    let suggestion = null;
+    if (!result.ok && wayback && !/^https?:\/\/web\.archive\.org\//i.test(url)) {
+      try {
+        suggestion = toWaybackUrl(url, await findWaybackTimestamp(url, fetch));
+      } catch {
+        // No capture (or the availability API failed): nothing to suggest
+      }
+    }
+
+    for (const entry of urlEntries) {
+      entry.status = result.ok ? 'ok' : 'broken';
+      entry.httpStatus = result.status;
+      if (result.error) entry.details = result.error;
+      if (result.redirectedTo) entry.redirectedTo = result.redirectedTo;
+      if (suggestion) entry.suggestion = suggestion;
+    }
+    if (onProgress) onProgress(url, result, suggestion);
+  }
+  return entries;
+}
+
+/**
+ * Summarize an audit: counts per kind and per status
+ */
+export function summarizeAudit(entries) {
+  const summary = {
+    total: entries.length,
+    citations: entries.filter(entry => entry.citation).length,
+    kinds: { anchor: 0, local: 0, external: 0 },
+    ok: 0,
+    broken: 0,
+    unchecked: 0
+  };
+  for (const entry of entries) {
+    summary.kinds[entry.kind]++;
+    summary[entry.status]++;
+  }
+  return summary;
+}
@@ -0,0 +1,133 @@
+/**
+ * Link preservation between the original page and archived Markdown
+ *
+ * Every link of the page (`{ text, href, rawHref }`: the resolved URL and the
+ * `href` attribute as written) is matched in page order to a Markdown link with
+ * the same text, or failing that to an unused Markdown link with the same
+ * target. The target of each pair is then classified:
+ *
+ * - `preserved`   same href as on the page
+ * - `equivalent`  same target, written differently (encoding, trailing slash,
+ *                 host case) or absolute in Markdown where the page was relative
+ * - `relative`    relative in Markdown where the page link was absolute or
+ *                 pointed elsewhere: it no longer resolves from the archive
+ * - `rewritten`   different target
+ * - `dropped`     no matching Markdown link
+ *
+ * Only `preserved` and `equivalent` links pass.
+ */
+
+import { alignOrdered, extractMarkdownLinks, locateGap } from './content-alignment.mjs';
+
+export const PASSING_STATUSES = new Set(['preserved', 'equivalent']);
+
+/**
+ * Check whether an href is absolute (has a scheme such as https: or mailto:)
+ */
+export function isAbsoluteUrl(href) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(href);
+}
+
+/**
+ * Resolve an href against a base URL (unchanged when it cannot be parsed)
+ */
+export function resolveUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return href;
+  }
+}
+
+/**
+ * Comparable form of an absolute URL: decoded, without a trailing slash
+ */
+function comparableUrl(url) {
+  let comparable = url;
+  try {
+    comparable = decodeURI(new URL(url).href);
+  } catch {
+    // Keep URLs that cannot be parsed or decoded as they are
+  }
+  return comparable.replace(/\/(?=$|[?#])/, '');
+}
+
+/**
+ * Classify the Markdown target of a page link
+ *
+ * Returns `{ status, details? }` (see the module comment for the statuses).
+ */
+export function classifyLinkTarget(webLink, markdownHref, baseUrl) {
+  const pageHref = webLink.rawHref ?? webLink.href;
+  if (markdownHref === pageHref) {
+    return { status: 'preserved' };
+  }
+
+  const pageTarget = resolveUrl(webLink.href, baseUrl);
+  const markdownTarget = resolveUrl(markdownHref, baseUrl);
+  const markdownRelative = !isAbsoluteUrl(markdownHref) && !markdownHref.startsWith('#');
+
+  if (comparableUrl(markdownTarget) === comparableUrl(pageTarget)) {
+    if (markdownRelative && isAbsoluteUrl(pageHref)) {
+      return { status: 'relative', details: `relative in markdown, absolute on the page (${pageHref})` };
+    }
+    if (!isAbsoluteUrl(pageHref) && isAbsoluteUrl(markdownHref)) {
+      return { status: 'equivalent', details: `absolute in markdown, relative on the page (${pageHref})` };
+    }
+    return { status: 'equivalent', details: `same target written differently on the page (${pageHref})` };
+  }
+
+  if (markdownRelative) {
+    return { status: 'relative', details: `relative in markdown and resolves elsewhere (page: ${pageHref})` };
+  }
+  return { status: 'rewritten', details: `target rewritten (page: ${pageHref})` };
+}
+
+/**
+ * Check that every link of the page exists in the Markdown with the same target
+ *
+ * Returns checks `{ category: 'link', text, passed, matchRate, status, href,
+ * markdownHref?, line, section?, details? }` in page order; `line` is the
+ * Markdown line of the link or, for a dropped link, where it was expected.
+ */
+export function checkLinks(webLinks, markdownText, { baseUrl, threshold = 0.6 } = {}) {
+  const markdownLinks = extractMarkdownLinks(markdownText);
+  const alignment = alignOrdered(webLinks.map(link => link.text), markdownLinks.map(link => link.text), { threshold });
+  const used = new Set(alignment.map(match => match.unit).filter(unit => unit >= 0));
+
+  // Links whose text changed: match them by target among the unused Markdown links
+  alignment.forEach((match, index) => {
+    if (match.unit >= 0) return;
+    const target = comparableUrl(resolveUrl(webLinks[index].href, baseUrl));
+    const unit = markdownLinks.findIndex((link, candidate) =>
+      !used.has(candidate) && comparableUrl(resolveUrl(link.href, baseUrl)) === target
+    );
+    if (unit >= 0) {
+      used.add(unit);
+      match.byTarget = unit;
+    }
+  });
+
+  return alignment.map((match, index) => {
+    const webLink = webLinks[index];
+    const unit = match.unit >= 0 ? match.unit : match.byTarget ?? -1;
+    const check = { category: 'link', text: webLink.text, href: webLink.rawHref ?? webLink.href, matchRate: match.score };
+
+    if (unit < 0) {
+      const gap = locateGap(alignment, index, markdownLinks, { threshold });
+      return { ...check, passed: false, status: 'dropped', ...gap, details: `dropped: ${gap.details}` };
+    }
+
+    const markdownLink = markdownLinks[unit];
+    const { status, details } = classifyLinkTarget(webLink, markdownLink.href, baseUrl);
+    const notes = [details, match.unit < 0 && `link text changed to "${markdownLink.text}"`].filter(Boolean);
+    return {
+      ...check,
+      passed: PASSING_STATUSES.has(status),
+      status,
+      markdownHref: markdownLink.href,
+      line: markdownLink.line,
+      ...(notes.length > 0 && { details: notes.join('; ') })
+    };
+  });
+}
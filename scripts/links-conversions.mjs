@@ -0,0 +1,234 @@
+/**
+ * Conversions between associative network representations
+ *
+ * JavaScript versions of the Coq transformations in the "Функции
+ * преобразования ассоциативных сетей" section of 0.0.1 (the same code is in
+ * 0.0.2). Each function is named after its Coq definition with the first
+ * letter lowercased and underscores dropped (VnToNP → vnToNP, ANetDl_readNP
+ * → anetDlReadNP), and follows it case by case, including its edge cases.
+ *
+ * Representations (as in the Coq code):
+ * - Vn: a vector of n references, an array of length n;
+ * - NP: nested ordered pairs, a list of references (an array);
+ * - D: a doublet `[x, next]`;
+ * - ANetVf / ANetLf: a network as a function from reference to Vn / NP;
+ * - ANetVl / ANetLl / ANetDl: a network as a list of Vn / NP / D, the
+ *   reference of an element being its index.
+ *
+ * In an ANetDl each NP is a chain of doublets: `x` is an element of the NP and
+ * `next` the offset of the doublet with the following element; the last
+ * doublet of a chain refers to its own offset.
+ */
+
+import { LinksNetwork } from './links.mjs';
+
+/** Default reference (LDefault) */
+export const L_DEFAULT = 0;
+
+/**
+ * Default vector of length n (VnDefault)
+ */
+export function vnDefault(n) {
+  return new Array(n).fill(L_DEFAULT);
+}
+
+/**
+ * Vn → NP (VnToNP)
+ */
+export function vnToNP(vector) {
+  return [...vector];
+}
+
+/**
+ * ANetVf → ANetLf (ANetVfToANetLf)
+ */
+export function anetVfToANetLf(anet) {
+  return (id) => vnToNP(anet(id));
+}
+
+/**
+ * ANetVl → ANetLl (ANetVlToANetLl)
+ */
+export function anetVlToANetLl(anet) {
+  return anet.map(vnToNP);
+}
+
+/**
+ * NP → Vn, or null when the NP does not have n elements (NPToVnOption)
+ */
+export function npToVnOption(n, np) {
+  return np.length === n ? [...np] : null;
+}
+
+/**
+ * NP → Vn, VnDefault when the NP does not have n elements (NPToVn)
+ */
+export function npToVn(n, np) {
+  return npToVnOption(n, np) ?? vnDefault(n);
+}
+
+/**
+ * ANetLf → ANetVf (ANetLfToANetVf)
+ */
+export function anetLfToANetVf(n, anet) {
+  return (id) => npToVn(n, anet(id));
+}
+
+/**
+ * ANetLl → ANetVl (ANetLlToANetVl)
+ */
+export function anetLlToANetVl(n, anet) {
+  return anet.map(np => npToVn(n, np));
+}
+
+/**
+ * NP → ANetDl, the chain starting at `offset` (NPToANetDl_ and NPToANetDl)
+ *
+ * An empty NP has no doublets.
+ */
+export function npToANetDl(np, offset = 0) {
+  return np.map((x, index) => [x, index === np.length - 1 ? offset + index : offset + index + 1]);
+}
+
+/**
+ * Append an NP to the tail of an ANetDl (AddNPToANetDl)
+ */
+export function addNPToANetDl(anet, np) {
+  return [...anet, ...npToANetDl(np, anet.length)];
+}
+
+/**
+ * The tail of an ANetDl from `offset` (ANetDl_behead)
+ */
+export function anetDlBehead(anet, offset) {
+  return anet.slice(offset);
+}
+
+/**
+ * Read the NP whose chain starts at doublet `index` (ANetDl_readNP)
+ *
+ * Doublets are visited in order, so a chain can only lead forward.
+ */
+export function anetDlReadNP(anet, index) {
+  const np = [];
+  let expected = index;
+  anet.forEach(([x, next], offset) => {
+    if (offset === expected) {
+      np.push(x);
+      expected = next;
+    }
+  });
+  return np;
+}
+
+/**
+ * The first NP of an ANetDl (ANetDlToNP)
+ */
+export function anetDlToNP(anet) {
+  return anetDlReadNP(anet, 0);
+}
+
+/**
+ * Append the NPs of an ANetLl to an ANetDl (AddANetLlToANetDl)
+ */
+export function addANetLlToANetDl(anetd, anetl) {
+  return anetl.reduce(addNPToANetDl, anetd);
+}
+
+/**
+ * ANetLl → ANetDl (ANetLlToANetDl)
+ *
+ * NPs are stored one after another; empty NPs have no doublets and are lost.
+ */
+export function anetLlToANetDl(anetl) {
+  return addANetLlToANetDl([], anetl);
+}
+
+/**
+ * Offset of the chain of the NP with ordinal number `index` (ANetDl_offsetNP)
+ *
+ * Past the last NP this is the length of the ANetDl.
+ */
+export function anetDlOffsetNP(anet, index) {
+  let remaining = index;
+  for (let offset = 0; offset < anet.length; offset++) {
+    if (remaining === 0) return offset;
+    if (anet[offset][1] === offset) remaining--;
+  }
+  return anet.length;
+}
+
+/**
+ * ANetVl → ANetDl through ANetLl (ANetVlToANetDl)
+ */
+export function anetVlToANetDl(anetv) {
+  return anetLlToANetDl(anetVlToANetLl(anetv));
+}
+
+/**
+ * The ANetDl after its first NP (ANetDl_beheadNP)
+ */
+export function anetDlBeheadNP(anet, offset = 0) {
+  const end = anet.findIndex(([, next], index) => offset + index === next);
+  return end === -1 ? [] : anet.slice(end + 1);
+}
+
+/**
+ * ANetDl → ANetLl (ANetDlToANetLl)
+ *
+ * A chain that does not end (the last doublets do not refer to themselves)
+ * is dropped.
+ */
+export function anetDlToANetLl(anetd) {
+  const anetl = [];
+  let np = [];
+  anetd.forEach(([x, next], offset) => {
+    np.push(x);
+    if (offset === next) {
+      anetl.push(np);
+      np = [];
+    }
+  });
+  return anetl;
+}
+
+/**
+ * ANetDl → ANetVl through ANetLl (result_TuplesNet in the examples)
+ */
+export function anetDlToANetVl(n, anetd) {
+  return anetLlToANetVl(n, anetDlToANetLl(anetd));
+}
+
+/**
+ * Equivalence of two ANetVf on the given references (ANetVf_equiv)
+ *
+ * The Coq predicate quantifies over every reference; a function can only be
+ * compared on a finite set of them.
+ */
+export function anetVfEquiv(anet1, anet2, references) {
+  return references.every(id => {
+    const [a, b] = [anet1(id), anet2(id)];
+    return a.length === b.length && a.every((value, index) => value === b[index]);
+  });
+}
+
+/**
+ * ANetVl of a links network with vectors of length n (triplets for n = 3)
+ *
+ * The reference of a link is its index; references that are not in the
+ * network (0 included) get VnDefault, as in the Coq examples.
+ */
+export function networkToANetVl(network) {
+  if (network.arity === null) {
+    throw new Error('An ANetVl needs vectors of a fixed length');
+  }
+  const last = Math.max(-1, ...network.entries().map(([reference]) => reference));
+  return Array.from({ length: last + 1 }, (_, id) => network.get(id) ?? vnDefault(network.arity));
+}
+
+/**
+ * Links network of an ANetVl, every index being a link
+ */
+export function anetVlToNetwork(anetv, { arity } = {}) {
+  return LinksNetwork.from(anetv.map((vector, id) => [id, vector]), { arity });
+}
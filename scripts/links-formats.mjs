@@ -0,0 +1,486 @@
+/**
+ * Relational tables and directed graphs as links networks
+ *
+ * Imports a CSV table or a directed graph (edge list or GraphML) into a
+ * doublet or triplet network following the mappings of the archived articles,
+ * and exports it back:
+ *
+ * - Graphs (Figure 3 of 0.0.2): a vertex is a self-referential link (a
+ *   point), a directed edge a link from its source to its target and an
+ *   undirected edge a pair of links in opposite directions. With triplets the
+ *   middle reference is the edge type: a point named by the edge label, or the
+ *   edge itself when it has none.
+ * - Tables (Figure 1 of 0.0.2): every column name and cell value is a point,
+ *   named once and shared by all cells with the same text. With doublets a
+ *   row is its n-tuple of values as nested ordered pairs (a, (b, (c, d))),
+ *   so equal rows are the same link; with triplets a row is a point and each
+ *   cell a link (row, column, value), as in "an object, its property and its
+ *   value".
+ *
+ * Names are not links themselves: imports return them as a `names` map from
+ * reference to text, which exports take back.
+ */
+
+import { DOMParser } from 'linkedom';
+import { LinksNetwork, ITSELF } from './links.mjs';
+import { escapeHtml } from './html-escape.mjs';
+
+const GRAPHML_NAMESPACE = 'http://graphml.graphdrawing.org/xmlns';
+
+// The references linkedom leaves in XML attribute values
+const XML_ATTRIBUTE_ENTITIES = { amp: '&', lt: '<', gt: '>' };
+
+/**
+ * Check the arity of an import or export (doublets or triplets)
+ */
+function checkArity(arity) {
+  if (arity !== 2 && arity !== 3) {
+    throw new Error(`Tables and graphs map onto doublets (2) or triplets (3), not arity ${arity}`);
+  }
+}
+
+/**
+ * Create a point: a link that begins and ends in itself
+ */
+function createPoint(network) {
+  return network.create(new Array(network.arity).fill(ITSELF));
+}
+
+function isPoint(reference, vector) {
+  return vector.every(value => value === reference);
+}
+
+/**
+ * Points named by text, created on first use
+ */
+function namedPoints(network) {
+  const names = new Map();
+  const byName = new Map();
+  return {
+    names,
+    point(name) {
+      if (!byName.has(name)) {
+        const reference = createPoint(network);
+        names.set(reference, name);
+        byName.set(name, reference);
+      }
+      return byName.get(name);
+    }
+  };
+}
+
+function nameOf(names, reference) {
+  return names.has(reference) ? names.get(reference) : String(reference);
+}
+
+/**
+ * Parse CSV (RFC 4180: quoted fields, "" escapes, CRLF or LF) into rows of cells
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted CSV field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Write rows of cells as CSV, quoting cells that need it
+ */
+export function formatCsv(rows) {
+  const quote = (cell) => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+  return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
+
+/**
+ * The link of a sequence of references as nested ordered pairs, reusing an
+ * existing pair when there is one
+ */
+function sequenceLink(network, references) {
+  let reference = references[references.length - 1];
+  for (let i = references.length - 2; i >= 0; i--) {
+    const [existing] = network.query([references[i], reference]).filter(([link]) => !isPoint(link, [references[i], reference]));
+    reference = existing ? existing[0] : network.create([references[i], reference]);
+  }
+  return reference;
+}
+
+/**
+ * The references of a sequence of `length` elements stored as nested ordered pairs
+ */
+function sequenceReferences(network, reference, length) {
+  const references = [];
+  for (let i = 1; i < length; i++) {
+    const [first, rest] = network.get(reference);
+    references.push(first);
+    reference = rest;
+  }
+  references.push(reference);
+  return references;
+}
+
+/**
+ * Import a table (rows of cells, the first being the header) into a links network
+ *
+ * Returns `{ network, names, columns, rows }` where `columns` are the column
+ * points and `rows` the row links, in table order.
+ */
+export function importTable(table, { arity = 2 } = {}) {
+  checkArity(arity);
+  const [header, ...body] = table;
+  if (!header || header.length === 0) {
+    throw new Error('The table has no header row');
+  }
+  const duplicate = header.find((name, index) => header.indexOf(name) !== index);
+  if (duplicate !== undefined) {
+    throw new Error(`Column "${duplicate}" appears twice in the header`);
+  }
+  body.forEach((row, index) => {
+    if (row.length !== header.length) {
+      throw new Error(`Row ${index + 2} has ${row.length} cells, expected ${header.length}`);
+    }
+  });
+
+  const network = new LinksNetwork({ arity });
+  const { names, point } = namedPoints(network);
+  const columns = header.map(point);
+  const rows = body.map(row => {
+    const values = row.map(point);
+    if (arity === 2) {
+      return sequenceLink(network, values);
+    }
+    const reference = createPoint(network);
+    values.forEach((value, index) => network.create([reference, columns[index], value]));
+    return reference;
+  });
+
+  return { network, names, columns, rows };
+}
+
+/**
+ * Export a table imported with importTable() back to rows of cells
+ *
+ * A triplet row without a cell for a column gets an empty cell.
+ */
+export function exportTable({ network, names, columns, rows }) {
+  checkArity(network.arity);
+  const header = columns.map(column => nameOf(names, column));
+  const body = rows.map(row => {
+    if (network.arity === 2) {
+      return sequenceReferences(network, row, columns.length).map(value => nameOf(names, value));
+    }
+    return columns.map(column => {
+      const [cell] = network.query({ source: row, type: column });
+      return cell ? nameOf(names, cell[1][2]) : '';
+    });
+  });
+  return [header, ...body];
+}
+
+/**
+ * Split an edge list line into names, or null for a blank or comment line
+ *
+ * Names are separated by whitespace; a name with spaces, `#` or `"` is written
+ * in double quotes, with `""` for a quote inside. `#` outside quotes starts a
+ * comment.
+ */
+function splitEdgeLine(line, lineNumber) {
+  const tokens = [];
+  let position = 0;
+  while (position < line.length) {
+    if (/\s/.test(line[position])) {
+      position++;
+    } else if (line[position] === '#') {
+      break;
+    } else if (line[position] === '"') {
+      let token = '';
+      position++;
+      while (true) {
+        if (position >= line.length) throw new Error(`Line ${lineNumber}: unterminated quoted name`);
+        if (line[position] === '"') {
+          if (line[position + 1] !== '"') break;
+          position++;
+        }
+        token += line[position++];
+      }
+      position++;
+      tokens.push({ text: token, quoted: true });
+    } else {
+      const [token] = line.slice(position).match(/^[^\s#"]+/);
+      position += token.length;
+      tokens.push({ text: token, quoted: false });
+    }
+  }
+  return tokens.length > 0 ? tokens : null;
+}
+
+/**
+ * Quote a name for an edge list when it would not read back as one token
+ */
+function formatEdgeName(name) {
+  return /^[^\s#"]+$/.test(name) && name !== '->' && name !== '--' ? name : `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Parse an edge list into `{ vertices, edges }`
+ *
+ * One edge per line: `a b`, `a -> b` (directed) or `a -- b` (undirected),
+ * optionally followed by a label; a single name is a vertex. Plain `a b`
+ * edges are directed unless `directed` is false. Names are separated by
+ * whitespace only and quoted when they contain any (`"New York" -> Boston`,
+ * see splitEdgeLine). `#` starts a comment.
+ */
+export function parseEdgeList(text, { directed = true } = {}) {
+  const vertices = [];
+  const seen = new Set();
+  const vertex = (name) => {
+    if (!seen.has(name)) {
+      seen.add(name);
+      vertices.push(name);
+    }
+    return name;
+  };
+  const edges = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const tokens = splitEdgeLine(line, index + 1);
+    if (!tokens) return;
+    if (tokens.length === 1) {
+      vertex(tokens[0].text);
+      return;
+    }
+    const arrow = !tokens[1].quoted && (tokens[1].text === '->' || tokens[1].text === '--') ? tokens[1].text : null;
+    const [source, target, ...label] = (arrow ? [tokens[0], ...tokens.slice(2)] : tokens).map(token => token.text);
+    if (target === undefined) {
+      throw new Error(`Line ${index + 1}: edge without a target`);
+    }
+    edges.push({
+      source: vertex(source),
+      target: vertex(target),
+      directed: arrow ? arrow === '->' : directed,
+      label: label.length > 0 ? label.join(' ') : null
+    });
+  });
+
+  return { vertices, edges };
+}
+
+/**
+ * Write `{ vertices, edges }` as an edge list (see parseEdgeList)
+ */
+export function formatEdgeList({ vertices, edges }) {
+  const connected = new Set(edges.flatMap(edge => [edge.source, edge.target]));
+  const lines = [
+    ...vertices.filter(name => !connected.has(name)).map(formatEdgeName),
+    ...edges.map(edge => `${formatEdgeName(edge.source)} ${edge.directed ? '->' : '--'} ${formatEdgeName(edge.target)}${edge.label ? ` ${formatEdgeName(edge.label)}` : ''}`)
+  ];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Attribute of an XML element, or null
+ *
+ * linkedom decodes every reference in XML attributes and escapes `&`, `<` and
+ * `>` again, so those three are decoded here in a single pass (`&#38;lt;`
+ * stays `&lt;`).
+ */
+function attribute(element, name) {
+  const value = element.getAttribute(name);
+  return value === null ? null : value.replace(/&(amp|lt|gt);/g, (reference, entity) => XML_ATTRIBUTE_ENTITIES[entity]);
+}
+
+/**
+ * Parse a GraphML document into `{ vertices, edges }`
+ *
+ * Edge labels are read from the edge `<data>` whose key is named `label`.
+ */
+export function parseGraphML(xml) {
+  const document = new DOMParser().parseFromString(xml, 'text/xml');
+  const graph = document.getElementsByTagName('graph')[0];
+  if (!document.documentElement || document.documentElement.tagName !== 'graphml' || !graph) {
+    throw new Error('Not a GraphML document (no <graphml> with a <graph>)');
+  }
+
+  const labelKeys = new Set(
+    [...document.getElementsByTagName('key')]
+      .filter(key => attribute(key, 'attr.name') === 'label' && ['edge', 'all'].includes(attribute(key, 'for')))
+      .map(key => attribute(key, 'id'))
+  );
+  const edgeDefault = attribute(graph, 'edgedefault') !== 'undirected';
+
+  const vertices = [...graph.getElementsByTagName('node')].map(node => attribute(node, 'id'));
+  const known = new Set(vertices);
+  const edges = [...graph.getElementsByTagName('edge')].map(edge => {
+    const source = attribute(edge, 'source');
+    const target = attribute(edge, 'target');
+    for (const name of [source, target]) {
+      if (!known.has(name)) {
+        throw new Error(`Edge refers to unknown node "${name}"`);
+      }
+    }
+    const label = [...edge.getElementsByTagName('data')].find(data => labelKeys.has(attribute(data, 'key')));
+    const directed = attribute(edge, 'directed');
+    return {
+      source,
+      target,
+      directed: directed === null ? edgeDefault : directed === 'true',
+      label: label ? label.textContent : null
+    };
+  });
+
+  return { vertices, edges };
+}
+
+/**
+ * Write `{ vertices, edges }` as a GraphML document
+ */
+export function formatGraphML({ vertices, edges }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<graphml xmlns="${GRAPHML_NAMESPACE}">`,
+    '  <key id="label" for="edge" attr.name="label" attr.type="string"/>',
+    '  <graph id="G" edgedefault="directed">'
+  ];
+  for (const name of vertices) {
+    lines.push(`    <node id="${escapeHtml(name)}"/>`);
+  }
+  edges.forEach((edge, index) => {
+    const attributes = `id="e${index + 1}" source="${escapeHtml(edge.source)}" target="${escapeHtml(edge.target)}"${edge.directed ? '' : ' directed="false"'}`;
+    lines.push(edge.label === null || edge.label === undefined
+      ? `    <edge ${attributes}/>`
+      : `    <edge ${attributes}><data key="label">${escapeHtml(edge.label)}</data></edge>`);
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Import a graph `{ vertices, edges }` into a links network
+ *
+ * Vertices become points in order, then each edge one link (two for an
+ * undirected edge between different vertices). Edge labels need triplets.
+ * Returns `{ network, names }`.
+ */
+export function importGraph({ vertices, edges }, { arity = 2 } = {}) {
+  checkArity(arity);
+  if (arity === 2 && edges.some(edge => edge.label !== null && edge.label !== undefined)) {
+    throw new Error('Edge labels need triplets (arity 3)');
+  }
+
+  const network = new LinksNetwork({ arity });
+  const { names, point: vertex } = namedPoints(network);
+  vertices.forEach(vertex);
+
+  const labelNames = new Map();
+  const type = (label) => {
+    if (label === null || label === undefined) return ITSELF;
+    if (!labelNames.has(label)) {
+      const reference = createPoint(network);
+      names.set(reference, label);
+      labelNames.set(label, reference);
+    }
+    return labelNames.get(label);
+  };
+
+  for (const edge of edges) {
+    const ends = [[vertex(edge.source), vertex(edge.target)]];
+    // An undirected self-loop is a single link, as both directions are the same
+    if (!edge.directed && edge.source !== edge.target) ends.push([ends[0][1], ends[0][0]]);
+    for (const [source, target] of ends) {
+      network.create(arity === 2 ? [source, target] : [source, type(edge.label), target]);
+    }
+  }
+
+  return { network, names };
+}
+
+/**
+ * Export a doublet or triplet network as a graph
+ *
+ * Points are vertices (with triplets, except points used as edge types) and
+ * links between vertices are directed edges. With `mergeOpposite`, two links
+ * in opposite directions with the same label become one undirected edge, and
+ * a self-loop, its own opposite, is undirected.
+ * Returns `{ vertices, edges, skipped }` where `skipped` lists the links a
+ * graph cannot hold, such as links between links.
+ */
+export function exportGraph(network, names = new Map(), { mergeOpposite = false } = {}) {
+  checkArity(network.arity);
+  const entries = network.entries();
+  const points = entries.filter(([reference, vector]) => isPoint(reference, vector));
+  const links = entries.filter(([reference, vector]) => !isPoint(reference, vector));
+
+  const types = new Set(network.arity === 3
+    ? links.map(([reference, vector]) => vector[1]).filter(value => network.get(value) && isPoint(value, network.get(value)))
+    : []);
+  const vertices = new Set(points.map(([reference]) => reference).filter(reference => !types.has(reference)));
+
+  const edges = [];
+  const skipped = [];
+  for (const [reference, vector] of links) {
+    const [source, target] = [vector[0], vector[vector.length - 1]];
+    const edgeType = network.arity === 3 ? vector[1] : reference;
+    if (!vertices.has(source) || !vertices.has(target) || (edgeType !== reference && !types.has(edgeType))) {
+      skipped.push(reference);
+      continue;
+    }
+    edges.push({ source, target, directed: true, label: edgeType === reference ? null : nameOf(names, edgeType) });
+  }
+
+  if (mergeOpposite) {
+    for (let i = 0; i < edges.length; i++) {
+      const edge = edges[i];
+      if (!edge.directed) continue;
+      if (edge.source === edge.target) {
+        edge.directed = false;
+        continue;
+      }
+      const opposite = edges.findIndex((other, index) => index > i && other.directed &&
+        other.source === edge.target && other.target === edge.source && other.label === edge.label);
+      if (opposite !== -1) {
+        edge.directed = false;
+        edges.splice(opposite, 1);
+      }
+    }
+  }
+
+  return {
+    vertices: [...vertices].map(reference => nameOf(names, reference)),
+    edges: edges.map(edge => ({ ...edge, source: nameOf(names, edge.source), target: nameOf(names, edge.target) })),
+    skipped
+  };
+}
@@ -0,0 +1,356 @@
+/**
+ * Associative networks of links
+ *
+ * Reference implementation of the links networks defined in the archived
+ * articles: a network is a function λ: L → Lⁿ from references to vectors of
+ * references, doublets (λ: L → L²) and triplets (λ: L → L³) being the
+ * fixed-length cases and n-tuples of variable length the general one. Every
+ * reference in a vector must itself be in L, so the network is always closed.
+ *
+ * Networks are written the way the articles write them, either as a set of
+ * tuples (`λ = { (1, 1, 1), (2, 2, 2), (3, 1, 2) }`, or `(1, (2, 3))` for
+ * variable-length vectors) or as one mapping per link (`3 → (1, 2)`).
+ */
+
+/** Placeholder for the reference of the link being created or updated */
+export const ITSELF = Symbol('itself');
+
+const ARROW_PATTERN = /(?:→|->|\\to\b|\\rightarrow\b|\\mapsto\b)/;
+
+/**
+ * Check that a value is a reference (L ⊆ ℕ₀)
+ */
+function isReference(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Named positions of a vector: source (beginning) and target (end); triplets
+ * also have a type in the middle (Figure 9 of 0.0.2)
+ */
+function positionOf(name, length) {
+  if (name === 'source') return length > 0 ? 0 : -1;
+  if (name === 'target') return length - 1;
+  if (name === 'type') return length === 3 ? 1 : -1;
+  throw new Error(`Unknown link position "${name}"`);
+}
+
+/**
+ * All possible values of a link with `arity` references to `references`
+ * (the Cartesian power Lⁿ, Figures 4, 5, 7, 8 and 9)
+ */
+export function cartesianPower(references, arity) {
+  let vectors = [[]];
+  for (let i = 0; i < arity; i++) {
+    vectors = vectors.flatMap(vector => references.map(reference => [...vector, reference]));
+  }
+  return vectors;
+}
+
+/**
+ * A links network λ: L → Lⁿ
+ *
+ * `arity` is the length of every vector (2 for doublets, 3 for triplets), or
+ * null for vectors of any length.
+ */
+export class LinksNetwork {
+  #links = new Map();
+  #referrers = new Map();
+  #lowestFree = 1;
+
+  constructor({ arity = 2 } = {}) {
+    if (arity !== null && !(Number.isInteger(arity) && arity > 0)) {
+      throw new Error(`Invalid arity ${arity}`);
+    }
+    this.arity = arity;
+  }
+
+  /**
+   * Build a network from `[reference, vector]` entries (see parseNetwork)
+   *
+   * Vectors may refer to links defined later in the list. Without `arity`, it
+   * is the common vector length, or null when lengths differ.
+   */
+  static from(entries, { arity } = {}) {
+    entries = [...entries];
+    if (arity === undefined) {
+      const lengths = [...new Set(entries.map(([, vector]) => vector.length))];
+      arity = lengths.length === 1 && lengths[0] > 0 ? lengths[0] : null;
+    }
+
+    const network = new LinksNetwork({ arity });
+    for (const [reference, vector] of entries) {
+      if (!isReference(reference)) {
+        throw new Error(`Invalid reference ${String(reference)}`);
+      }
+      if (network.#links.has(reference)) {
+        throw new Error(`Link ${reference} is defined twice`);
+      }
+      network.#links.set(reference, network.#resolve(reference, vector, false));
+    }
+    for (const [reference, vector] of network.#links) {
+      network.#checkReferences(reference, vector);
+      network.#index(reference, vector);
+    }
+    return network;
+  }
+
+  /** Number of links (|L|) */
+  get size() {
+    return this.#links.size;
+  }
+
+  has(reference) {
+    return this.#links.has(reference);
+  }
+
+  /**
+   * The vector of a link, or null when the reference is not in L
+   */
+  get(reference) {
+    const vector = this.#links.get(reference);
+    return vector ? [...vector] : null;
+  }
+
+  /**
+   * Create a link and return its reference (the lowest unused one, from 1)
+   *
+   * `ITSELF` in the vector stands for the new reference, so
+   * `create([ITSELF, ITSELF])` creates a point (a self-referential link).
+   */
+  create(vector) {
+    while (this.#links.has(this.#lowestFree)) this.#lowestFree++;
+    const reference = this.#lowestFree;
+    const resolved = this.#resolve(reference, vector);
+    this.#links.set(reference, resolved);
+    this.#index(reference, resolved);
+    return reference;
+  }
+
+  /**
+   * Replace the vector of a link and return the previous one
+   */
+  update(reference, vector) {
+    const previous = this.#require(reference);
+    const resolved = this.#resolve(reference, vector);
+    this.#unindex(reference, previous);
+    this.#links.set(reference, resolved);
+    this.#index(reference, resolved);
+    return [...previous];
+  }
+
+  /**
+   * Delete a link and return its vector
+   *
+   * A link that other links still refer to cannot be deleted.
+   */
+  delete(reference) {
+    const vector = this.#require(reference);
+    const referrers = [...(this.#referrers.get(reference) || [])].filter(referrer => referrer !== reference);
+    if (referrers.length > 0) {
+      throw new Error(`Link ${reference} is referenced by ${referrers.sort((a, b) => a - b).join(', ')}`);
+    }
+    this.#unindex(reference, vector);
+    this.#links.delete(reference);
+    this.#lowestFree = Math.min(this.#lowestFree, Math.max(reference, 1));
+    return [...vector];
+  }
+
+  /**
+   * Find links by their references, as `[reference, vector]` entries in
+   * reference order
+   *
+   * `pattern` is either a vector where null/undefined matches any reference,
+   * or `{ id, source, type, target }` (omitted keys match anything).
+   */
+  query(pattern = {}) {
+    let id;
+    let length;
+    const conditions = [];
+    if (Array.isArray(pattern)) {
+      length = pattern.length;
+      pattern.forEach((value, index) => {
+        if (value !== null && value !== undefined) conditions.push({ position: () => index, value });
+      });
+    } else {
+      for (const [name, value] of Object.entries(pattern)) {
+        if (name !== 'id') positionOf(name, 0);
+        if (value === null || value === undefined) continue;
+        if (name === 'id') id = value;
+        else conditions.push({ position: vectorLength => positionOf(name, vectorLength), value });
+      }
+    }
+
+    let candidates = this.#links.keys();
+    if (id !== undefined) {
+      candidates = this.#links.has(id) ? [id] : [];
+    } else if (conditions.length > 0) {
+      candidates = this.#referrers.get(conditions[0].value) || [];
+    }
+
+    const results = [];
+    for (const reference of candidates) {
+      const vector = this.#links.get(reference);
+      const matches = (length === undefined || vector.length === length) &&
+        conditions.every(({ position, value }) => vector[position(vector.length)] === value);
+      if (matches) results.push([reference, [...vector]]);
+    }
+    return results.sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * `[reference, vector]` entries in reference order
+   */
+  entries() {
+    return [...this.#links.keys()].sort((a, b) => a - b).map(reference => [reference, [...this.#links.get(reference)]]);
+  }
+
+  [Symbol.iterator]() {
+    return this.entries()[Symbol.iterator]();
+  }
+
+  /**
+   * Write the network in the notation of the articles
+   *
+   * `set`: `λ = { (1, 1, 1), (3, 1, 2) }` (variable-length vectors nested as
+   * `(1, (2, 3))`); `mapping`: one `1 → (1, 1)` line per link.
+   */
+  format({ notation = 'set' } = {}) {
+    const entries = this.entries();
+    if (notation === 'mapping') {
+      return entries.map(([reference, vector]) => `${reference} → (${vector.join(', ')})`).join('\n');
+    }
+    if (notation !== 'set') {
+      throw new Error(`Unknown notation "${notation}"`);
+    }
+    const tuples = entries.map(([reference, vector]) =>
+      this.arity === null ? `(${reference}, (${vector.join(', ')}))` : `(${[reference, ...vector].join(', ')})`
+    );
+    return `λ = { ${tuples.join(', ')} }`;
+  }
+
+  toString() {
+    return this.format();
+  }
+
+  #require(reference) {
+    const vector = this.#links.get(reference);
+    if (!vector) {
+      throw new Error(`Link ${reference} does not exist`);
+    }
+    return vector;
+  }
+
+  /**
+   * Validate a vector for link `reference`, replacing ITSELF
+   */
+  #resolve(reference, vector, checkReferences = true) {
+    if (!Array.isArray(vector)) {
+      throw new Error(`Vector of link ${reference} must be an array`);
+    }
+    if (this.arity !== null && vector.length !== this.arity) {
+      throw new Error(`Vector of link ${reference} has ${vector.length} references, expected ${this.arity}`);
+    }
+    const resolved = vector.map(value => (value === ITSELF ? reference : value));
+    const invalid = resolved.find(value => !isReference(value));
+    if (invalid !== undefined) {
+      throw new Error(`Vector of link ${reference} contains an invalid reference ${String(invalid)}`);
+    }
+    if (checkReferences) this.#checkReferences(reference, resolved);
+    return resolved;
+  }
+
+  #checkReferences(reference, vector) {
+    const missing = vector.filter(value => value !== reference && !this.#links.has(value));
+    if (missing.length > 0) {
+      throw new Error(`Link ${reference} refers to ${[...new Set(missing)].join(', ')}, which ${missing.length > 1 ? 'are' : 'is'} not in L`);
+    }
+  }
+
+  #index(reference, vector) {
+    for (const value of vector) {
+      if (!this.#referrers.has(value)) this.#referrers.set(value, new Set());
+      this.#referrers.get(value).add(reference);
+    }
+  }
+
+  #unindex(reference, vector) {
+    for (const value of vector) {
+      const referrers = this.#referrers.get(value);
+      if (!referrers) continue;
+      referrers.delete(reference);
+      if (referrers.size === 0) this.#referrers.delete(value);
+    }
+  }
+}
+
+/**
+ * Read one tuple `( ... )` of references or nested tuples starting at `start`
+ */
+function readTuple(text, start) {
+  const items = [];
+  let i = start + 1;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === ')') return { items, end: i + 1 };
+    if (char === '(') {
+      const nested = readTuple(text, i);
+      items.push(nested.items);
+      i = nested.end;
+    } else if (/\d/.test(char)) {
+      const digits = text.slice(i).match(/^\d+/)[0];
+      items.push(Number(digits));
+      i += digits.length;
+    } else if (/[\s,]/.test(char)) {
+      i++;
+    } else {
+      throw new Error(`Unexpected "${char}" in tuple at offset ${i}`);
+    }
+  }
+  throw new Error(`Unclosed tuple at offset ${start}`);
+}
+
+/**
+ * Parse a network written as in the articles into `[reference, vector]`
+ * entries
+ *
+ * Accepts mappings (`1 → (1, 1)`, also `\to`, `\rightarrow` and `->`, one per
+ * link, inside LaTeX or not) and sets of tuples (`{ (1, 1, 1), (3, 1, 2) }`
+ * where the first element is the reference, or `(1, (2, 3))`). Use
+ * LinksNetwork.from() to check and query the result.
+ */
+export function parseNetwork(text) {
+  const entries = [];
+  const mapping = new RegExp(`(\\d+)\\s*${ARROW_PATTERN.source}\\s*(?=\\()`, 'g');
+
+  if (mapping.test(text)) {
+    mapping.lastIndex = 0;
+    let match;
+    while ((match = mapping.exec(text)) !== null) {
+      const { items, end } = readTuple(text, mapping.lastIndex);
+      if (items.some(Array.isArray)) {
+        throw new Error(`Nested tuple in the vector of link ${match[1]}`);
+      }
+      entries.push([Number(match[1]), items]);
+      mapping.lastIndex = end;
+    }
+    return entries;
+  }
+
+  for (let i = text.indexOf('('); i !== -1; i = text.indexOf('(', i)) {
+    const { items, end } = readTuple(text, i);
+    const [reference, ...rest] = items;
+    if (!isReference(reference)) {
+      throw new Error(`Tuple at offset ${i} does not start with a reference`);
+    }
+    if (rest.length === 1 && Array.isArray(rest[0])) {
+      entries.push([reference, rest[0]]);
+    } else if (rest.some(Array.isArray)) {
+      throw new Error(`Unexpected nested tuple in link ${reference}`);
+    } else {
+      entries.push([reference, rest]);
+    }
+    i = end;
+  }
+  return entries;
+}
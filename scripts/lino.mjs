@@ -0,0 +1,364 @@
+/**
+ * Links Notation (LiNo) export of article content
+ *
+ * Turns the element list of an article (`{ title, elements }` as produced by
+ * markdown-converter.mjs) into a Links Notation document, so the archive can be
+ * loaded into a links database. Every block is a link with an id, its type and
+ * its values:
+ *
+ *   (article: article "The Links Theory 0.0.2")
+ *   (heading_1: heading 2 Introduction)
+ *   (paragraph_1: paragraph "A relation $R$ [[1]](https://...)")
+ *   (formula_1: formula inline R)
+ *
+ * Relations between blocks are links without an id, `(source relation target)`:
+ * - `contains`  article → top-level blocks, heading → the blocks of its
+ *   section (subsections included), list → items, block → inline formulas
+ * - `cites`     block → bibliography entry `reference_<n>` of `[[n]](url)`
+ * - `links`     block or entry → heading of a `#anchor` link, or the URL of
+ *   other links
+ * - `mentions`  block → figure of "Figure 3" / "Рис. 3" in the text
+ *
+ * Links follow the order of the article, so `contains` links list the content
+ * of a section in order. Archived Markdown files are read into the same
+ * element list with markdownToContent().
+ */
+
+import { extractFormulas } from './formulas.mjs';
+import { extractBibliography } from './bibliography.mjs';
+import { githubSlug } from './link-audit.mjs';
+import { contentToMarkdown } from './markdown-converter.mjs';
+import { parseMarkdownBlocks } from './markdown-blocks.mjs';
+
+const LINK_PATTERN = /\[((?:[^\[\]]|\[[^\]]*\])*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\)/g;
+const IMAGE_PATTERN = /!\[(?:[^\[\]]|\[[^\]]*\])*\]\([^)\s]+(?:\s+"[^"]*")?\)/g;
+const CITATION_TEXT_PATTERN = /^\[(\d+)\]$/;
+const FIGURE_MENTION_PATTERN = /(?<!\p{L})(?:figure|fig\.|рисун(?:ок|ка|ке|ку)|рис\.)\s*(\d+)/giu;
+const QUOTES = ['"', '\'', '`'];
+
+// Element type → link type
+const BLOCK_TYPES = {
+  'heading': 'heading',
+  'paragraph': 'paragraph',
+  'code': 'code',
+  'blockquote': 'quote',
+  'blockquote-math': 'formula',
+  'math-block': 'formula',
+  'unordered-list': 'list',
+  'ordered-list': 'list',
+  'figure': 'figure',
+  'image': 'image',
+  'table': 'table',
+  'hr': 'rule'
+};
+
+/**
+ * Format a reference: as is when it is a plain word or number, quoted otherwise
+ *
+ * The quote is the first of `"`, `'` and `` ` `` that the text does not
+ * contain; when it contains all three, `"` is doubled inside `"..."`.
+ */
+export function formatLinoReference(value) {
+  const text = String(value);
+  if (/^[^\s():"'`]+$/.test(text)) return text;
+  const quote = QUOTES.find(q => !text.includes(q));
+  return quote ? `${quote}${text}${quote}` : `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Format a link `{ id, values }` (values are references or nested links)
+ */
+function formatLink({ id = null, values }) {
+  const parts = values.map(value => (typeof value === 'object' ? formatLink(value) : formatLinoReference(value)));
+  return `(${id === null ? '' : `${formatLinoReference(id)}: `}${parts.join(' ')})`;
+}
+
+/**
+ * Format links as a LiNo document, one link per line
+ */
+export function formatLino(links) {
+  return links.map(formatLink).join('\n') + '\n';
+}
+
+/**
+ * Parse a LiNo document of parenthesized links into `{ id, values }`
+ *
+ * References are returned as strings (`id` is null for links without one);
+ * nested links are `{ id, values }` objects. Quoted references may span lines.
+ */
+export function parseLino(text) {
+  let position = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, position).split('\n').length;
+    throw new Error(`LiNo line ${line}: ${message}`);
+  };
+  const skipSpace = () => {
+    while (position < text.length && /\s/.test(text[position])) position++;
+  };
+
+  const readReference = () => {
+    const quote = text[position];
+    if (QUOTES.includes(quote)) {
+      let value = '';
+      position++;
+      while (true) {
+        if (position >= text.length) fail(`unterminated ${quote}-quoted reference`);
+        if (text[position] === quote) {
+          if (text[position + 1] !== quote) break;
+          position++;
+        }
+        value += text[position++];
+      }
+      position++;
+      return value;
+    }
+    const match = text.slice(position).match(/^[^\s():"'`]+/);
+    if (!match) fail(`unexpected "${text[position]}"`);
+    position += match[0].length;
+    return match[0];
+  };
+
+  const readLink = () => {
+    position++;
+    let id = null;
+    const values = [];
+    while (true) {
+      skipSpace();
+      if (position >= text.length) fail('missing ")"');
+      if (text[position] === ')') {
+        position++;
+        return { id, values };
+      }
+      if (text[position] === '(') {
+        values.push(readLink());
+        continue;
+      }
+      const reference = readReference();
+      if (text[position] === ':') {
+        if (id !== null || values.length > 0) fail(`id "${reference}" must come first`);
+        position++;
+        id = reference;
+      } else {
+        values.push(reference);
+      }
+    }
+  };
+
+  const links = [];
+  skipSpace();
+  while (position < text.length) {
+    if (text[position] !== '(') fail(`expected "(", found "${text[position]}"`);
+    links.push(readLink());
+    skipSpace();
+  }
+  return links;
+}
+
+/**
+ * Convert a Markdown article into article content `{ title, elements }`
+ *
+ * Maps the blocks of markdown-blocks.mjs onto the elements of
+ * markdown-converter.mjs, so archived article.md files export like pages. A
+ * leading level 1 heading is the title; text after a `$$...$$` formula on the
+ * same line becomes a paragraph of its own.
+ */
+export function markdownToContent(markdownText) {
+  const blocks = parseMarkdownBlocks(markdownText);
+  const title = blocks[0]?.type === 'heading' && blocks[0].level === 1 ? blocks.shift().content : '';
+  const elements = [];
+  let figureIndex = 0;
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        elements.push({ type: 'heading', level: block.level, content: block.content });
+        break;
+      case 'paragraph':
+      case 'blockquote':
+      case 'table':
+        elements.push({ type: block.type, content: block.content });
+        break;
+      case 'formula':
+        elements.push({ type: block.kind === 'blockquote' ? 'blockquote-math' : 'math-block', content: block.content });
+        if (block.trailing) elements.push({ type: 'paragraph', content: block.trailing });
+        break;
+      case 'figure':
+        elements.push({ type: 'figure', index: ++figureIndex, src: block.src, alt: block.alt, caption: block.caption });
+        break;
+      case 'code':
+        elements.push({ type: 'code', language: block.language, content: block.content });
+        break;
+      case 'list':
+        elements.push({ type: block.ordered ? 'ordered-list' : 'unordered-list', items: block.items });
+        break;
+      case 'hr':
+        elements.push({ type: 'hr' });
+        break;
+    }
+  }
+
+  return { title, elements };
+}
+
+/**
+ * Figure number of a caption ("Рис. 1. ...", "**Figure 4.** ..."), or null
+ */
+function captionNumber(caption) {
+  const match = caption.replace(/[*_]/g, '').trim().match(new RegExp(`^${FIGURE_MENTION_PATTERN.source}`, 'iu'));
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Text of an element that can hold inline formulas, links and citations
+ */
+function inlineText(element) {
+  switch (element.type) {
+    case 'heading':
+    case 'paragraph':
+    case 'blockquote':
+    case 'table':
+      return element.content;
+    case 'figure':
+      return element.caption;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Convert article content into LiNo links
+ *
+ * Returns the links in document order: the article, the bibliography entries
+ * (parsed from the references section, see bibliography.mjs), then every block
+ * followed by its relations.
+ */
+export function articleToLinks(content) {
+  const links = [{ id: 'article', values: ['article', content.title ?? ''] }];
+  const counters = new Map();
+  const nextId = (type) => {
+    counters.set(type, (counters.get(type) ?? 0) + 1);
+    return `${type}_${counters.get(type)}`;
+  };
+  const relate = (source, relation, target) => links.push({ id: null, values: [source, relation, target] });
+
+  const { references } = extractBibliography(contentToMarkdown(content));
+  const referenceIds = new Map();
+  for (const reference of references) {
+    const id = `reference_${reference.number}`;
+    referenceIds.set(reference.number, id);
+    links.push({ id, values: ['reference', reference.number, reference.raw] });
+    if (reference.url) relate(id, 'links', reference.url);
+  }
+
+  // Ids of figures by number and of headings by anchor, for `mentions` and `links`
+  const figureIds = new Map();
+  const anchorIds = new Map();
+  const ids = content.elements.map(element => {
+    const type = BLOCK_TYPES[element.type];
+    if (!type) throw new Error(`Unknown element type "${element.type}"`);
+    const id = nextId(type);
+    if (element.type === 'figure') {
+      const number = captionNumber(element.caption) ?? element.index;
+      if (!figureIds.has(number)) figureIds.set(number, id);
+    }
+    if (element.type === 'heading') {
+      const slug = githubSlug(element.content);
+      if (!anchorIds.has(slug)) anchorIds.set(slug, id);
+    }
+    return id;
+  });
+
+  // Inline formulas, citations, links and figure mentions of a block
+  const relateInline = (id, text) => {
+    for (const formula of extractFormulas(text)) {
+      const formulaId = nextId('formula');
+      links.push({ id: formulaId, values: ['formula', formula.kind === 'inline' ? 'inline' : 'block', formula.latex] });
+      relate(id, 'contains', formulaId);
+    }
+
+    const targets = [];
+    for (const [, label, href] of text.replace(IMAGE_PATTERN, '').matchAll(LINK_PATTERN)) {
+      const citation = label.match(CITATION_TEXT_PATTERN);
+      if (citation && referenceIds.has(Number(citation[1]))) {
+        targets.push(['cites', referenceIds.get(Number(citation[1]))]);
+      } else if (href.startsWith('#') && anchorIds.has(decodeURIComponent(href.slice(1)))) {
+        targets.push(['links', anchorIds.get(decodeURIComponent(href.slice(1)))]);
+      } else {
+        targets.push(['links', href]);
+      }
+    }
+    for (const [, number] of text.matchAll(FIGURE_MENTION_PATTERN)) {
+      const figureId = figureIds.get(Number(number));
+      if (figureId && figureId !== id) targets.push(['mentions', figureId]);
+    }
+
+    const seen = new Set();
+    for (const [relation, target] of targets) {
+      const key = `${relation} ${target}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      relate(id, relation, target);
+    }
+  };
+
+  // Open sections: headings whose section the next block belongs to
+  const sections = [];
+  content.elements.forEach((element, index) => {
+    const id = ids[index];
+    if (element.type === 'heading') {
+      while (sections.length > 0 && sections[sections.length - 1].level >= element.level) sections.pop();
+    }
+    const parent = sections.length > 0 ? sections[sections.length - 1].id : 'article';
+
+    switch (element.type) {
+      case 'heading':
+        links.push({ id, values: ['heading', element.level, element.content] });
+        sections.push({ id, level: element.level });
+        break;
+      case 'paragraph':
+      case 'blockquote':
+      case 'table':
+        links.push({ id, values: [BLOCK_TYPES[element.type], element.content] });
+        break;
+      case 'code':
+        links.push({ id, values: ['code', element.language, element.content] });
+        break;
+      case 'blockquote-math':
+      case 'math-block':
+        links.push({ id, values: ['formula', element.type === 'math-block' ? 'block' : 'blockquote', element.content] });
+        break;
+      case 'unordered-list':
+      case 'ordered-list':
+        links.push({ id, values: ['list', element.type === 'ordered-list' ? 'ordered' : 'unordered'] });
+        break;
+      case 'figure':
+        links.push({ id, values: ['figure', element.index, element.src, element.alt, element.caption] });
+        break;
+      case 'image':
+        links.push({ id, values: ['image', element.src, element.alt] });
+        break;
+      case 'hr':
+        links.push({ id, values: ['rule'] });
+        break;
+    }
+    relate(parent, 'contains', id);
+    relateInline(id, inlineText(element));
+
+    for (const item of element.items ?? []) {
+      const itemId = nextId('item');
+      links.push({ id: itemId, values: ['item', item] });
+      relate(id, 'contains', itemId);
+      relateInline(itemId, item);
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Convert article content into a LiNo document
+ */
+export function articleToLino(content) {
+  return formatLino(articleToLinks(content));
+}
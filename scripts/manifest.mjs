@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Integrity manifest generator for archive versions
+ *
+ * Writes archive/<version>/manifest.json with the SHA-256 hash, byte size and
+ * source URL (when known) of every file in the archive version. Check the
+ * archive against the manifests with `node scripts/verify.mjs --all --integrity`.
+ *
+ * Usage:
+ *   node scripts/manifest.mjs [versions...] [options]
+ *   node scripts/manifest.mjs --all
+ *
+ * Examples:
+ *   node scripts/manifest.mjs 0.0.2            # Write archive/0.0.2/manifest.json
+ *   node scripts/manifest.mjs --all            # Write manifests for all versions
+ *   node scripts/manifest.mjs --all --dry-run  # Show what would change
+ */
+
+import { writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { runMain, isMainModule } from './cli.mjs';
+import { MANIFEST_FILE, getArchiveDir, buildManifest, readManifest, checkIntegrity } from './integrity.mjs';
+
+/**
+ * Generate the manifest of a single archive version
+ */
+function generateManifest(article, options) {
+  const archiveDir = getArchiveDir(article);
+  const manifestPath = join(archiveDir, MANIFEST_FILE);
+
+  console.log(`\n🔏 Manifest for ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+
+  if (!existsSync(archiveDir)) {
+    console.log(`   ❌ Archive directory not found: ${archiveDir}`);
+    return { success: false, details: 'Archive directory not found' };
+  }
+
+  const manifest = buildManifest(article, archiveDir);
+  const totalSize = manifest.files.reduce((sum, file) => sum + file.size, 0);
+  console.log(`   Files: ${manifest.files.length} (${(totalSize / 1024 / 1024).toFixed(1)} MB)`);
+
+  if (options.verbose) {
+    for (const file of manifest.files) {
+      console.log(`   ${file.sha256.substring(0, 12)}  ${String(file.size).padStart(9)}  ${file.path}`);
+    }
+  }
+
+  // Show what changed since the previous manifest
+  const previous = readManifest(article, archiveDir);
+  if (previous) {
+    const drift = checkIntegrity(previous, archiveDir);
+    if (drift.ok) {
+      console.log('   ✅ No changes since the previous manifest');
+    } else {
+      for (const file of drift.modified) console.log(`   ✏️  Modified: ${file.path}`);
+      for (const path of drift.missing) console.log(`   ➖ Removed: ${path}`);
+      for (const path of drift.untracked) console.log(`   ➕ Added: ${path}`);
+    }
+  }
+
+  if (options.dryRun) {
+    console.log(`   📝 [DRY RUN] Would save: ${manifestPath}`);
+  } else {
+    writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+    console.log(`   ✅ Manifest saved: ${manifestPath}`);
+  }
+
+  return { success: true, details: `${manifest.files.length} files` };
+}
+
+export const manifestCommand = {
+  name: 'manifest',
+  script: 'manifest.mjs',
+  description: `Write the SHA-256 integrity manifest (${MANIFEST_FILE}) of archive versions.`,
+  banner: '🚀 Integrity Manifest Script',
+  options: [],
+  examples: ['0.0.2', '--all', '--all --dry-run'],
+  runArticle: generateManifest
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(manifestCommand);
+}
@@ -0,0 +1,239 @@
+/**
+ * Block-level parser for archived Markdown articles
+ *
+ * Splits a Markdown document into a flat list of blocks, each annotated with its
+ * type, source line range and the section (nearest preceding heading) it belongs to.
+ * This is intentionally a small subset of Markdown: exactly what the converter and
+ * the hand-curated archive files produce.
+ *
+ * Block types:
+ * - heading     { level }
+ * - paragraph
+ * - formula     { kind: 'block' | 'blockquote' }  ($$...$$ on its own, or > $$...$$)
+ * - blockquote
+ * - figure      { src, alt, caption }              (![alt](src) with optional *caption* line)
+ * - code        { language }
+ * - list        { ordered, items }
+ * - table
+ * - hr
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^(```|~~~)\s*([\w+-]*)\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const IMAGE_LINE_PATTERN = /^!\[((?:[^\[\]]|\[[^\]]*\])*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)\s*$/;
+const HR_PATTERN = /^(?:-{3,}|\*{3,}|_{3,})\s*$/;
+
+/**
+ * Check whether a line starts a new block and so ends a paragraph
+ */
+function startsBlock(line) {
+  return HEADING_PATTERN.test(line) ||
+    FENCE_PATTERN.test(line) ||
+    LIST_ITEM_PATTERN.test(line) ||
+    IMAGE_LINE_PATTERN.test(line) ||
+    HR_PATTERN.test(line) ||
+    line.startsWith('>') ||
+    line.startsWith('|') ||
+    line.startsWith('$$');
+}
+
+/**
+ * Parse markdown text into blocks
+ */
+export function parseMarkdownBlocks(markdownText) {
+  const lines = markdownText.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let section = '';
+  let i = 0;
+
+  const push = (block, startIndex, endIndex) => {
+    blocks.push({
+      ...block,
+      line: startIndex + 1,
+      endLine: endIndex + 1,
+      section: block.type === 'heading' ? block.content : section
+    });
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    // Headings
+    const headingMatch = line.match(HEADING_PATTERN);
+    if (headingMatch) {
+      section = headingMatch[2];
+      push({ type: 'heading', level: headingMatch[1].length, content: headingMatch[2] }, i, i);
+      i++;
+      continue;
+    }
+
+    // Fenced code blocks
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      const start = i;
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith(fenceMatch[1])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      push({ type: 'code', language: fenceMatch[2] || '', content: codeLines.join('\n') }, start, Math.min(i, lines.length - 1));
+      i++;
+      continue;
+    }
+
+    // Block formulas ($$ ... $$, possibly spanning several lines)
+    if (line.startsWith('$$')) {
+      const start = i;
+      let text = line;
+      while ((text.match(/\$\$/g) || []).length < 2 && i + 1 < lines.length && lines[i + 1].trim() !== '') {
+        i++;
+        text += '\n' + lines[i];
+      }
+      const formulaMatch = text.trim().match(/^\$\$([\s\S]+?)\$\$(.*)$/);
+      if (formulaMatch) {
+        push({ type: 'formula', kind: 'block', content: formulaMatch[1].trim(), trailing: formulaMatch[2].trim() }, start, i);
+      } else {
+        push({ type: 'paragraph', content: text }, start, i);
+      }
+      i++;
+      continue;
+    }
+
+    // Blockquotes (a quote containing only $$formula$$ is a formula block)
+    if (line.startsWith('>')) {
+      const start = i;
+      const quoteLines = [];
+      while (i < lines.length && lines[i].startsWith('>')) {
+        quoteLines.push(lines[i].replace(/^>\s?/, ''));
+        i++;
+      }
+      const content = quoteLines.join('\n').trim();
+      const formulaMatch = content.match(/^\$\$([^$]+)\$\$$/);
+      if (formulaMatch) {
+        push({ type: 'formula', kind: 'blockquote', content: formulaMatch[1].trim() }, start, i - 1);
+      } else {
+        push({ type: 'blockquote', content }, start, i - 1);
+      }
+      continue;
+    }
+
+    // Figures: image line with an optional italic caption line right after it
+    const imageMatch = line.match(IMAGE_LINE_PATTERN);
+    if (imageMatch) {
+      const start = i;
+      let caption = '';
+      const next = lines[i + 1];
+      if (next && /^\*[^*].*\*$|^\*\*\*.*\*$/.test(next.trim())) {
+        caption = next.trim().replace(/^\*/, '').replace(/\*$/, '');
+        i++;
+      }
+      push({
+        type: 'figure',
+        alt: imageMatch[1],
+        src: imageMatch[2],
+        caption,
+        content: caption || imageMatch[1]
+      }, start, i);
+      i++;
+      continue;
+    }
+
+    // Horizontal rules
+    if (HR_PATTERN.test(line)) {
+      push({ type: 'hr', content: '' }, i, i);
+      i++;
+      continue;
+    }
+
+    // Tables
+    if (line.startsWith('|')) {
+      const start = i;
+      const tableLines = [];
+      while (i < lines.length && lines[i].startsWith('|')) {
+        tableLines.push(lines[i]);
+        i++;
+      }
+      push({ type: 'table', content: tableLines.join('\n') }, start, i - 1);
+      continue;
+    }
+
+    // Lists: consecutive items, with indented continuation lines
+    const listMatch = line.match(LIST_ITEM_PATTERN);
+    if (listMatch) {
+      const start = i;
+      const ordered = /\d/.test(listMatch[2]);
+      const items = [];
+      let end = i;
+      while (i < lines.length) {
+        const itemMatch = lines[i].match(LIST_ITEM_PATTERN);
+        if (itemMatch && itemMatch[1].length === 0) {
+          items.push(itemMatch[3]);
+          end = i;
+          i++;
+        } else if (items.length > 0 && lines[i].trim() !== '' && /^\s+/.test(lines[i])) {
+          items[items.length - 1] += '\n' + lines[i].trim();
+          end = i;
+          i++;
+        } else {
+          break;
+        }
+      }
+      push({ type: 'list', ordered, items, content: items.join('\n') }, start, end);
+      continue;
+    }
+
+    // Paragraphs: consecutive lines until a blank line or another block
+    const start = i;
+    const paragraphLines = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() !== '' && !startsBlock(lines[i])) {
+      paragraphLines.push(lines[i]);
+      i++;
+    }
+    push({ type: 'paragraph', content: paragraphLines.join('\n') }, start, i - 1);
+  }
+
+  return blocks;
+}
+
+/**
+ * Normalize block text for comparison (whitespace, emphasis markers, unicode spaces)
+ */
+export function normalizeBlockText(text) {
+  return text
+    .replace(/[\u00A0\u2000-\u200F\u2028-\u202F]/g, ' ')
+    .replace(/\*\*|__/g, '')
+    .replace(/(^|\s)\*(\S)/g, '$1$2')
+    .replace(/(\S)\*(\s|$)/g, '$1$2')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Get the key used to decide whether two blocks are identical
+ *
+ * Headings of different levels differ even with the same text.
+ */
+export function blockKey(block) {
+  if (block.type === 'heading') {
+    return `heading:${block.level}:${normalizeBlockText(block.content)}`;
+  }
+  if (block.type === 'figure') {
+    return `figure:${block.src}:${normalizeBlockText(block.content)}`;
+  }
+  if (block.type === 'code') {
+    return `code:${block.content.replace(/\s+/g, ' ').trim()}`;
+  }
+  if (block.type === 'formula') {
+    return `formula:${block.content.replace(/\s+/g, '')}`;
+  }
+  return `${block.type}:${normalizeBlockText(block.content)}`;
+}
@@ -0,0 +1,556 @@
+/**
+ * DOM-to-Markdown converter for Habr articles
+ *
+ * Converts the `.article-formatted-body` of an article into a flat list of
+ * elements (headings, paragraphs, code, lists, figures, formulas, ...) and
+ * renders that list to Markdown.
+ *
+ * The converter accepts any DOM implementation:
+ * - In a browser (Playwright), pass `browserExtractExpression()` to `page.evaluate`
+ * - In Node, use `extractArticleFromHtml(html)` (parsed with linkedom), or pass a
+ *   jsdom/linkedom `document` directly to `extractArticle`
+ *
+ * `extractArticle` is self-contained (no imports, no globals besides the DOM it
+ * receives) so that its source can be serialized and evaluated inside a page.
+ */
+
+/**
+ * Extract article title and content elements from a DOM document or element
+ */
+export function extractArticle(root, options = {}) {
+  const bodySelector = options.bodySelector || '.article-formatted-body';
+  const titleSelector = options.titleSelector || 'article h1';
+
+  // Node type constants (not every DOM implementation exposes a global `Node`)
+  const ELEMENT_NODE = 1;
+  const TEXT_NODE = 3;
+
+  const articleBody = root.matches && root.matches(bodySelector) ? root : root.querySelector(bodySelector);
+  if (!articleBody) return null;
+
+  const ownerDocument = articleBody.ownerDocument || root;
+
+  // Get article title
+  const titleEl = ownerDocument.querySelector(titleSelector);
+  const title = titleEl ? (titleEl.innerText ?? titleEl.textContent).trim() : '';
+
+  const getSrc = (img) => img.src || img.getAttribute('src') || '';
+
+  const childrenByTag = (node, tagName) =>
+    Array.from(node.children).filter(child => child.tagName.toLowerCase() === tagName);
+
+  /**
+   * Convert an HTML element to markdown, preserving links and formatting
+   */
+  function nodeToMarkdown(node) {
+    if (node.nodeType === TEXT_NODE) {
+      return node.textContent;
+    }
+
+    if (node.nodeType !== ELEMENT_NODE) return '';
+
+    const tag = node.tagName.toLowerCase();
+
+    // Skip script, style, etc.
+    if (['script', 'style', 'noscript', 'svg'].includes(tag)) return '';
+
+    // Handle links
+    if (tag === 'a') {
+      const href = node.getAttribute('href');
+      const text = nodeToMarkdownChildren(node);
+      if (href && text) {
+        return `[${text}](${href})`;
+      }
+      return text;
+    }
+
+    // Handle bold
+    if (tag === 'strong' || tag === 'b') {
+      const text = nodeToMarkdownChildren(node);
+      return text ? `**${text}**` : '';
+    }
+
+    // Handle italic
+    if (tag === 'em' || tag === 'i') {
+      const text = nodeToMarkdownChildren(node);
+      return text ? `*${text}*` : '';
+    }
+
+    // Handle inline code
+    if (tag === 'code' && !node.closest('pre')) {
+      const text = node.textContent;
+      return text ? `\`${text}\`` : '';
+    }
+
+    // Handle line breaks
+    if (tag === 'br') {
+      return '\n';
+    }
+
+    // Handle subscript/superscript (common in math)
+    if (tag === 'sub') {
+      return `₍${node.textContent}₎`;
+    }
+    if (tag === 'sup') {
+      return `^${node.textContent}`;
+    }
+
+    // Handle formula images (Habr stores LaTeX in `source` attribute)
+    if (tag === 'img' && node.classList.contains('formula')) {
+      const source = node.getAttribute('source');
+      if (source) {
+        // Inline formula - wrap in single $
+        return `$${source}$`;
+      }
+      // Fallback to alt text
+      const alt = node.getAttribute('alt');
+      if (alt) {
+        return `$${alt}$`;
+      }
+      return '';
+    }
+
+    // Handle nested lists inside list items: emit them on their own lines so that
+    // contentToMarkdown indents them under the parent item
+    if (tag === 'ul' || tag === 'ol') {
+      const items = childrenByTag(node, 'li')
+        .map(li => nodeToMarkdownChildren(li).trim())
+        .filter(item => item);
+      return '\n' + items.map((item, i) => {
+        const marker = tag === 'ol' ? `${i + 1}. ` : '- ';
+        const indent = ' '.repeat(marker.length);
+        return marker + item.split('\n').join('\n' + indent);
+      }).join('\n') + '\n';
+    }
+
+    // Handle math elements (KaTeX/MathJax)
+    if (node.classList.contains('katex') || node.classList.contains('math') ||
+        tag === 'mjx-container' || node.classList.contains('MathJax')) {
+      const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+      if (annotation) {
+        return annotation.textContent;
+      }
+      // Try to get the LaTeX from data attributes
+      const tex = node.getAttribute('data-tex') || node.getAttribute('data-latex');
+      if (tex) return tex;
+      // Fallback to text content cleaned up
+      return node.textContent.trim();
+    }
+
+    // Default: process children
+    return nodeToMarkdownChildren(node);
+  }
+
+  function nodeToMarkdownChildren(node) {
+    let result = '';
+    for (const child of node.childNodes) {
+      result += nodeToMarkdown(child);
+    }
+    return result;
+  }
+
+  // Process all elements in order
+  const elements = [];
+  let figureIndex = 0;
+
+  const processElement = (node) => {
+    if (node.nodeType !== ELEMENT_NODE) return;
+
+    const tag = node.tagName.toLowerCase();
+
+    // Skip certain elements
+    if (['script', 'style', 'noscript'].includes(tag)) return;
+
+    // Handle headings
+    if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag)) {
+      elements.push({
+        type: 'heading',
+        level: parseInt(tag[1]),
+        content: nodeToMarkdownChildren(node).trim()
+      });
+      return;
+    }
+
+    // Handle paragraphs
+    if (tag === 'p') {
+      const content = nodeToMarkdownChildren(node).trim();
+      if (content) {
+        elements.push({
+          type: 'paragraph',
+          content: content
+        });
+      }
+      return;
+    }
+
+    // Handle code blocks
+    if (tag === 'pre') {
+      const codeEl = node.querySelector('code');
+      // Get innerHTML and convert <br> to newlines, then strip remaining HTML
+      const codeHTML = codeEl ? codeEl.innerHTML : node.innerHTML;
+      // Convert <br> and <br/> to newlines
+      let code = codeHTML.replace(/<br\s*\/?>/gi, '\n');
+      // Strip remaining HTML tags
+      const temp = ownerDocument.createElement('div');
+      temp.innerHTML = code;
+      code = temp.textContent || temp.innerText || '';
+      const className = codeEl ? (codeEl.getAttribute('class') || '') : '';
+      const languageMatch = className.match(/language-(\w+)/);
+      elements.push({
+        type: 'code',
+        language: languageMatch ? languageMatch[1] : '',
+        content: code.trim()
+      });
+      return;
+    }
+
+    // Handle blockquotes
+    if (tag === 'blockquote') {
+      const content = nodeToMarkdownChildren(node).trim();
+
+      // Check if the blockquote contains only a formula (common pattern in articles)
+      // Pattern: starts and ends with $ and mostly contains LaTeX content
+      // Allow for some whitespace around the formula
+      const formulaOnlyMatch = content.match(/^\s*\$([^$]+)\$\s*$/);
+      if (formulaOnlyMatch) {
+        // This is a formula-only blockquote, preserve as blockquote with block formula
+        // Output will be: > $$formula$$
+        elements.push({
+          type: 'blockquote-math',
+          content: formulaOnlyMatch[1].trim()
+        });
+        return;
+      }
+
+      elements.push({
+        type: 'blockquote',
+        content: content
+      });
+      return;
+    }
+
+    // Handle unordered and ordered lists
+    if (tag === 'ul' || tag === 'ol') {
+      const items = childrenByTag(node, 'li').map(li =>
+        nodeToMarkdownChildren(li).trim()
+      );
+      elements.push({
+        type: tag === 'ul' ? 'unordered-list' : 'ordered-list',
+        items: items.filter(item => item)
+      });
+      return;
+    }
+
+    // Handle figures (images with captions)
+    if (tag === 'figure') {
+      figureIndex++;
+      const img = node.querySelector('img');
+      const figcaption = node.querySelector('figcaption');
+      if (img) {
+        elements.push({
+          type: 'figure',
+          index: figureIndex,
+          src: getSrc(img),
+          alt: img.getAttribute('alt') || '',
+          caption: figcaption ? nodeToMarkdownChildren(figcaption).trim() : ''
+        });
+      }
+      return;
+    }
+
+    // Handle standalone images (but not formula images - those are inline)
+    if (tag === 'img' && !node.closest('figure')) {
+      // Check if this is a formula image - handle as block formula if standalone
+      if (node.classList.contains('formula')) {
+        const source = node.getAttribute('source');
+        if (source) {
+          // Standalone formula - treat as block formula
+          elements.push({
+            type: 'math-block',
+            content: source
+          });
+          return;
+        }
+      }
+      // Regular image
+      elements.push({
+        type: 'image',
+        src: getSrc(node),
+        alt: node.getAttribute('alt') || ''
+      });
+      return;
+    }
+
+    // Handle horizontal rules
+    if (tag === 'hr') {
+      elements.push({ type: 'hr' });
+      return;
+    }
+
+    // Handle div elements that might contain math blocks
+    if (tag === 'div') {
+      // Check for math block
+      const mathEl = node.querySelector('.katex-display, .math-display, mjx-container[display="true"]');
+      if (mathEl) {
+        const annotation = mathEl.querySelector('annotation[encoding="application/x-tex"]');
+        const tex = annotation ? annotation.textContent :
+                   (mathEl.getAttribute('data-tex') || mathEl.textContent);
+        if (tex) {
+          elements.push({
+            type: 'math-block',
+            content: tex.trim()
+          });
+        }
+        return;
+      }
+
+      // For other divs, process children
+      for (const child of node.children) {
+        processElement(child);
+      }
+      return;
+    }
+
+    // For other block elements, try to process children
+    if (['section', 'article', 'main', 'aside', 'header', 'footer', 'details'].includes(tag)) {
+      for (const child of node.children) {
+        processElement(child);
+      }
+    }
+  };
+
+  for (const child of articleBody.children) {
+    processElement(child);
+  }
+
+  return { title, elements };
+}
+
+/**
+ * Build a `page.evaluate` expression that runs `extractArticle` on the page document
+ */
+export function browserExtractExpression(options = {}) {
+  return `(${extractArticle.toString()})(document, ${JSON.stringify(options)})`;
+}
+
+/**
+ * Parse an HTML string with linkedom and extract the article from it
+ */
+export async function extractArticleFromHtml(html, options = {}) {
+  const { parseHTML } = await import('linkedom');
+  const { document } = parseHTML(html);
+  return extractArticle(document, options);
+}
+
+/**
+ * Post-process markdown to fix formatting issues
+ */
+export function postProcessMarkdown(markdown) {
+  let result = markdown;
+
+  // Fix spacing around inline LaTeX formulas
+  // Pattern: word$formula$word should become word $formula$ word, and
+  // $formula1$$formula2$ (adjacent formula images) becomes $formula1$ $formula2$.
+  // Formulas are matched left to right, so the text between two formulas on a
+  // line is never taken for a formula; block formulas ($$...$$) are kept as is.
+  result = result.replace(/\$\$[^$\n]*\$\$|\$[^$\n]+\$/g, (formula, offset, text) => {
+    if (formula.startsWith('$$')) return formula;
+    const before = text[offset - 1] || '';
+    const after = text[offset + formula.length] || '';
+    const prefix = /[a-zA-Zа-яА-ЯёЁ]/.test(before) ? ' ' : '';
+    const suffix = /[a-zA-Zа-яА-ЯёЁ$]/.test(after) ? ' ' : '';
+    return prefix + formula + suffix;
+  });
+
+  // Note: We removed the "clean up whitespace inside formulas" regexes because they
+  // were incorrectly matching and removing spaces BETWEEN formula and adjacent text.
+  // The formulas from the source already have correct internal spacing.
+
+  // Fix double spaces between words (but not in fenced code blocks or indentation)
+  result = result
+    .split(/(^```[^\n]*\n[\s\S]*?^```$)/m)
+    .map((part, i) => i % 2 === 1 ? part : part.replace(/(\S)  +/g, '$1 '))
+    .join('');
+
+  // Fix stray standalone $ signs that might have been left from parsing
+  // Pattern: $\n\n$ or just a standalone $ on its own line should be removed
+  result = result.replace(/^\$\s*$/gm, '');
+
+  return result;
+}
+
+const FIGURE_NUMBER_PATTERN = /(?:Figure|Рис\.?|Рисунок)\s*(\d+)/i;
+
+/**
+ * Number of a figure from its caption ("Figure 2", "Рис. 2", "Рисунок 2"), or null
+ */
+export function captionFigureNumber(caption) {
+  const match = (caption || '').match(FIGURE_NUMBER_PATTERN);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Number the figures of an article from their captions
+ *
+ * A figure without a number in its caption gets the next number after the
+ * previous figure that no caption uses, so two figures never share a file.
+ */
+export function numberFigures(captions) {
+  const numbers = captions.map(captionFigureNumber);
+  const used = new Set(numbers.filter(number => number !== null));
+  let previous = 0;
+  return numbers.map(number => {
+    if (number === null) {
+      number = previous + 1;
+      while (used.has(number)) number++;
+      used.add(number);
+    }
+    previous = number;
+    return number;
+  });
+}
+
+/**
+ * Split text around inline formulas: odd parts are `$...$` formulas
+ */
+function splitFormulas(text) {
+  return text.split(/(\$[^$\n]+\$)/);
+}
+
+/**
+ * Check whether a caption has emphasis of its own (outside formulas)
+ */
+function hasEmphasis(caption) {
+  return splitFormulas(caption).some((part, i) => i % 2 === 0 && part.includes('*'));
+}
+
+/**
+ * Caption as plain alt text: links become their text, emphasis markers are dropped
+ */
+function captionAltText(caption) {
+  return splitFormulas(caption)
+    .map((part, i) => (i % 2 === 1 ? part : part.replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/\*/g, '')))
+    .join('')
+    .trim();
+}
+
+/**
+ * Convert extracted content to markdown
+ */
+export function contentToMarkdown(content) {
+  if (!content) return '';
+
+  const lines = [];
+
+  // Add title
+  if (content.title) {
+    lines.push(`# ${content.title}`);
+    lines.push('');
+  }
+
+  let imageIndex = 1;
+  let figurePosition = 0;
+  const figureNumbers = numberFigures(content.elements.filter(element => element.type === 'figure').map(element => element.caption));
+
+  for (const element of content.elements) {
+    switch (element.type) {
+      case 'heading': {
+        const prefix = '#'.repeat(element.level);
+        lines.push(`${prefix} ${element.content}`);
+        lines.push('');
+        break;
+      }
+
+      case 'paragraph':
+        if (element.content) {
+          lines.push(element.content);
+          lines.push('');
+        }
+        break;
+
+      case 'code':
+        lines.push('```' + (element.language || ''));
+        lines.push(element.content);
+        lines.push('```');
+        lines.push('');
+        break;
+
+      case 'blockquote': {
+        const quoteLines = element.content.split('\n');
+        for (const line of quoteLines) {
+          lines.push(`> ${line}`);
+        }
+        lines.push('');
+        break;
+      }
+
+      case 'unordered-list':
+        for (const item of element.items) {
+          // Handle multi-line list items
+          const itemLines = item.split('\n');
+          lines.push(`- ${itemLines[0]}`);
+          for (let i = 1; i < itemLines.length; i++) {
+            lines.push(`  ${itemLines[i]}`);
+          }
+        }
+        lines.push('');
+        break;
+
+      case 'ordered-list':
+        element.items.forEach((item, i) => {
+          const itemLines = item.split('\n');
+          lines.push(`${i + 1}. ${itemLines[0]}`);
+          for (let j = 1; j < itemLines.length; j++) {
+            lines.push(`   ${itemLines[j]}`);
+          }
+        });
+        lines.push('');
+        break;
+
+      case 'figure': {
+        // Use local image path with figure number
+        const figNum = figureNumbers[figurePosition++];
+        const ext = element.src.includes('.jpeg') || element.src.includes('.jpg') ? 'jpg' : 'png';
+
+        // Use alt text from caption if available
+        const altText = element.caption ? captionAltText(element.caption) : `Figure ${figNum}`;
+        lines.push(`![${altText}](images/figure-${figNum}.${ext})`);
+        if (element.caption) {
+          // Use italic for caption like the original articles, unless the caption
+          // has its own emphasis (nested markers would leave it unbalanced)
+          lines.push(hasEmphasis(element.caption) ? element.caption : `*${element.caption}*`);
+        }
+        lines.push('');
+        break;
+      }
+
+      case 'image': {
+        // Use local path format
+        const imgExt = element.src.includes('.jpeg') || element.src.includes('.jpg') ? 'jpg' : 'png';
+        lines.push(`![${element.alt}](images/image-${String(imageIndex).padStart(2, '0')}.${imgExt})`);
+        lines.push('');
+        imageIndex++;
+        break;
+      }
+
+      case 'math-block':
+        lines.push('$$' + element.content + '$$');
+        lines.push('');
+        break;
+
+      case 'blockquote-math':
+        // Formula in a blockquote - preserve blockquote formatting with block formula
+        lines.push('> $$' + element.content + '$$');
+        lines.push('');
+        break;
+
+      case 'hr':
+        lines.push('---');
+        lines.push('');
+        break;
+    }
+  }
+
+  const rawMarkdown = lines.join('\n').trim() + '\n';
+  return postProcessMarkdown(rawMarkdown);
+}
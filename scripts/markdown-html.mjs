@@ -0,0 +1,265 @@
+/**
+ * Markdown to HTML rendering of archived articles
+ *
+ * Renders the Markdown subset of markdown-blocks.mjs the way GitHub displays
+ * it: headings with GitHub anchors, paragraphs, lists, blockquotes, code,
+ * tables, figures with their italic captions, and `$...$` / `$$...$$` math
+ * rendered with KaTeX. Relative image paths are kept, so the page shows the
+ * local images when saved next to the Markdown file.
+ *
+ * The standalone document uses a GitHub-like stylesheet and the KaTeX
+ * stylesheet from node_modules (or any `katexStylesheet` URL).
+ */
+
+import katex from 'katex';
+import { parseMarkdownBlocks } from './markdown-blocks.mjs';
+import { githubSlug } from './link-audit.mjs';
+import { escapeHtml } from './html-escape.mjs';
+
+// Width of the rendered page: GitHub's 980px Markdown column plus its padding
+export const PAGE_WIDTH = 1012;
+
+const TABLE_SEPARATOR_PATTERN = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/;
+
+/**
+ * Render a LaTeX formula (KaTeX errors are shown in red instead of thrown)
+ */
+function renderMath(latex, displayMode) {
+  return katex.renderToString(latex, { displayMode, throwOnError: false, strict: 'ignore' });
+}
+
+/**
+ * Find the end of a bracketed span starting at `start` (nested pairs allowed)
+ *
+ * Returns the index of the closing bracket, or -1.
+ */
+function findClosing(text, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === open) {
+      depth++;
+    } else if (text[i] === close && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse a link or image at `start` (the `[`): `[text](href "title")`
+ *
+ * Returns `{ text, href, title, end }` or null.
+ */
+function parseLink(text, start) {
+  const textEnd = findClosing(text, start, '[', ']');
+  if (textEnd === -1 || text[textEnd + 1] !== '(') return null;
+  const targetEnd = findClosing(text, textEnd + 1, '(', ')');
+  if (targetEnd === -1) return null;
+
+  const target = text.slice(textEnd + 2, targetEnd).trim().match(/^<?([^\s>]*)>?(?:\s+"([^"]*)")?$/);
+  if (!target) return null;
+  return { text: text.slice(start + 1, textEnd), href: target[1], title: target[2] || '', end: targetEnd + 1 };
+}
+
+/**
+ * Render inline Markdown: code spans, math, links, images, emphasis and escapes
+ */
+export function renderInline(text) {
+  let html = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let match;
+
+    if ((match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+      html += `<code>${escapeHtml(match[2].replace(/\n/g, ' ').trim())}</code>`;
+    } else if ((match = rest.match(/^\$\$([\s\S]+?)\$\$/) || rest.match(/^\$(?!\$)([^$\n]+?)\$/))) {
+      html += renderMath(match[1].trim(), false);
+    } else if ((match = rest.match(/^\\([\\`*_{}[\]()#+\-.!|$<>~])/))) {
+      html += escapeHtml(match[1]);
+    } else if (rest.startsWith('![') && (match = parseLink(text, i + 1))) {
+      const title = match.title ? ` title="${escapeHtml(match.title)}"` : '';
+      html += `<img src="${escapeHtml(match.href)}" alt="${escapeHtml(match.text)}"${title}>`;
+      i = match.end;
+      continue;
+    } else if (rest.startsWith('[') && (match = parseLink(text, i))) {
+      const title = match.title ? ` title="${escapeHtml(match.title)}"` : '';
+      html += `<a href="${escapeHtml(match.href)}"${title}>${renderInline(match.text)}</a>`;
+      i = match.end;
+      continue;
+    } else if ((match = rest.match(/^<(https?:\/\/[^\s>]+)>/))) {
+      html += `<a href="${escapeHtml(match[1])}">${escapeHtml(match[1])}</a>`;
+    } else if ((match = rest.match(/^(\*\*|__)(?!\s)([\s\S]+?)(?<!\s)\1/))) {
+      html += `<strong>${renderInline(match[2])}</strong>`;
+    } else if ((match = rest.match(/^~~(?!\s)([\s\S]+?)(?<!\s)~~/))) {
+      html += `<del>${renderInline(match[1])}</del>`;
+    } else if ((match = rest.match(/^\*(?![\s*])([\s\S]+?)(?<![\s*])\*(?!\*)/)) ||
+      (!/\w/.test(text[i - 1] || '') && (match = rest.match(/^_(?![\s_])([\s\S]+?)(?<![\s_])_(?!\w)/)))) {
+      html += `<em>${renderInline(match[1])}</em>`;
+    } else if ((match = rest.match(/^(?: {2,}|\\)\n/))) {
+      html += '<br>\n';
+    } else {
+      html += escapeHtml(text[i]);
+      i++;
+      continue;
+    }
+    i += match[0].length;
+  }
+
+  return html;
+}
+
+/**
+ * Split a table row into its cells
+ */
+function splitTableRow(row) {
+  return row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+/**
+ * Render a pipe table (falls back to a paragraph without a separator row)
+ */
+function renderTable(content) {
+  const rows = content.split('\n');
+  if (rows.length < 2 || !TABLE_SEPARATOR_PATTERN.test(rows[1].trim())) {
+    return `<p>${renderInline(content)}</p>`;
+  }
+
+  const alignments = splitTableRow(rows[1]).map(cell =>
+    cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null
+  );
+  const renderRow = (row, tag) => '<tr>' + splitTableRow(row).map((cell, index) => {
+    const align = alignments[index] ? ` align="${alignments[index]}"` : '';
+    return `<${tag}${align}>${renderInline(cell)}</${tag}>`;
+  }).join('') + '</tr>';
+
+  const body = rows.slice(2).map(row => renderRow(row, 'td'));
+  return `<table>\n<thead>${renderRow(rows[0], 'th')}</thead>\n<tbody>\n${body.join('\n')}\n</tbody>\n</table>`;
+}
+
+/**
+ * Render a list item: inline text for a single paragraph, blocks otherwise
+ */
+function renderListItem(item, slugs) {
+  const blocks = parseMarkdownBlocks(item);
+  if (blocks.length === 1 && blocks[0].type === 'paragraph') {
+    return renderInline(blocks[0].content);
+  }
+  return renderBlocks(blocks, slugs);
+}
+
+/**
+ * Render parsed blocks (`slugs` counts heading anchors to number repeats)
+ */
+function renderBlocks(blocks, slugs) {
+  const html = [];
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading': {
+        const slug = githubSlug(block.content);
+        const count = slugs.get(slug) || 0;
+        slugs.set(slug, count + 1);
+        const id = count > 0 ? `${slug}-${count}` : slug;
+        html.push(`<h${block.level} id="${escapeHtml(id)}">${renderInline(block.content)}</h${block.level}>`);
+        break;
+      }
+      case 'formula': {
+        const rendered = renderMath(block.content, true);
+        const trailing = block.trailing ? `<p>${renderInline(block.trailing)}</p>` : '';
+        html.push(block.kind === 'blockquote'
+          ? `<blockquote>${rendered}</blockquote>`
+          : `<div class="math">${rendered}</div>${trailing}`);
+        break;
+      }
+      case 'blockquote':
+        html.push(`<blockquote>\n${renderBlocks(parseMarkdownBlocks(block.content), slugs)}\n</blockquote>`);
+        break;
+      case 'figure': {
+        html.push(`<p><img src="${escapeHtml(block.src)}" alt="${escapeHtml(block.alt)}"></p>`);
+        if (block.caption) {
+          html.push(`<p><em>${renderInline(block.caption)}</em></p>`);
+        }
+        break;
+      }
+      case 'code': {
+        const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+        html.push(`<pre><code${language}>${escapeHtml(block.content)}</code></pre>`);
+        break;
+      }
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const items = block.items.map(item => `<li>${renderListItem(item, slugs)}</li>`);
+        html.push(`<${tag}>\n${items.join('\n')}\n</${tag}>`);
+        break;
+      }
+      case 'table':
+        html.push(renderTable(block.content));
+        break;
+      case 'hr':
+        html.push('<hr>');
+        break;
+      default:
+        html.push(`<p>${renderInline(block.content)}</p>`);
+    }
+  }
+
+  return html.join('\n');
+}
+
+/**
+ * Render Markdown text to an HTML fragment
+ */
+export function renderMarkdown(markdownText) {
+  return renderBlocks(parseMarkdownBlocks(markdownText), new Map());
+}
+
+/**
+ * Render Markdown text to a standalone HTML document
+ */
+export function renderMarkdownDocument(markdownText, {
+  title = '',
+  lang = 'en',
+  katexStylesheet = import.meta.resolve('katex/dist/katex.min.css')
+} = {}) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${escapeHtml(katexStylesheet)}">
+<style>
+  body { margin: 0; background: #ffffff; color: #1f2328; }
+  .markdown-body { box-sizing: border-box; max-width: ${PAGE_WIDTH}px; margin: 0 auto; padding: 32px 16px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "Noto Sans", Helvetica, Arial, sans-serif; font-size: 16px; line-height: 1.5; word-wrap: break-word; }
+  .markdown-body h1, .markdown-body h2, .markdown-body h3, .markdown-body h4, .markdown-body h5, .markdown-body h6 { margin: 24px 0 16px; font-weight: 600; line-height: 1.25; }
+  .markdown-body h1 { font-size: 2em; padding-bottom: .3em; border-bottom: 1px solid #d1d9e0; }
+  .markdown-body h2 { font-size: 1.5em; padding-bottom: .3em; border-bottom: 1px solid #d1d9e0; }
+  .markdown-body h3 { font-size: 1.25em; }
+  .markdown-body h4 { font-size: 1em; }
+  .markdown-body p, .markdown-body blockquote, .markdown-body ul, .markdown-body ol, .markdown-body table, .markdown-body pre, .markdown-body .math { margin: 0 0 16px; }
+  .markdown-body a { color: #0969da; text-decoration: none; }
+  .markdown-body img { max-width: 100%; box-sizing: content-box; }
+  .markdown-body blockquote { padding: 0 1em; color: #59636e; border-left: .25em solid #d1d9e0; }
+  .markdown-body ul, .markdown-body ol { padding-left: 2em; }
+  .markdown-body li + li { margin-top: .25em; }
+  .markdown-body code { padding: .2em .4em; font-size: 85%; background: #818b981f; border-radius: 6px; font-family: ui-monospace, SFMono-Regular, "SF Mono", Menlo, Consolas, "Liberation Mono", monospace; }
+  .markdown-body pre { padding: 16px; overflow: auto; font-size: 85%; line-height: 1.45; background: #f6f8fa; border-radius: 6px; }
+  .markdown-body pre code { padding: 0; font-size: 100%; background: transparent; }
+  .markdown-body table { border-collapse: collapse; display: block; width: max-content; max-width: 100%; overflow: auto; }
+  .markdown-body th, .markdown-body td { padding: 6px 13px; border: 1px solid #d1d9e0; }
+  .markdown-body tr:nth-child(2n) { background: #f6f8fa; }
+  .markdown-body hr { height: .25em; margin: 24px 0; padding: 0; background: #d1d9e0; border: 0; }
+  .markdown-body .math { overflow-x: auto; }
+</style>
+</head>
+<body>
+<article class="markdown-body">
+${renderMarkdown(markdownText)}
+</article>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Unified command line interface for the archive scripts
+ *
+ * Every subcommand shares option parsing, version selection and exit codes
+ * (see cli.mjs); the standalone scripts keep working as before.
+ *
+ * Usage:
+ *   meta-theory <command> [versions...] [options]
+ *
+ * Examples:
+ *   meta-theory download --all --downloaded
+ *   meta-theory images 0.0.2
+ *   meta-theory screenshot 0.0.1
+ *   meta-theory verify --all --from-snapshot
+ *   meta-theory diff 0.0.2 --html
+ *   meta-theory links --all --online
+ *   meta-theory references --all
+ *   meta-theory verify-images --all
+ *   meta-theory compare-figures --all --from-snapshot
+ *   meta-theory render 0.0.2
+ *   meta-theory coq 0.0.1
+ *   meta-theory manifest --all
+ *   meta-theory verify-formulas --all --strict
+ *   meta-theory formulas --all --html
+ *   meta-theory evolution --all --output EVOLUTION.md
+ *   meta-theory markdown-images --all
+ *   meta-theory lino --all --from-markdown
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runCommand, EXIT_SUCCESS, EXIT_FAILURE, EXIT_USAGE } from './cli.mjs';
+import { downloadCommand } from './download-article.mjs';
+import { imagesCommand, screenshotCommand, snapshotCommand } from './download.mjs';
+import { markdownImagesCommand } from './download-markdown-images.mjs';
+import { verifyCommand } from './verify.mjs';
+import { manifestCommand } from './manifest.mjs';
+import { verifyFormulasCommand } from './verify-formulas.mjs';
+import { formulasCommand } from './formula-catalog.mjs';
+import { evolutionCommand } from './evolution.mjs';
+import { diffCommand } from './diff.mjs';
+import { linksCommand } from './audit-links.mjs';
+import { referencesCommand } from './references.mjs';
+import { verifyImagesCommand } from './verify-images.mjs';
+import { compareFiguresCommand } from './compare-figures.mjs';
+import { renderCommand } from './render-markdown.mjs';
+import { coqCommand } from './extract-coq.mjs';
+import { linoCommand } from './export-lino.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+const PROG = 'meta-theory';
+
+export const COMMANDS = [
+  downloadCommand,
+  imagesCommand,
+  screenshotCommand,
+  snapshotCommand,
+  markdownImagesCommand,
+  verifyCommand,
+  manifestCommand,
+  verifyImagesCommand,
+  verifyFormulasCommand,
+  formulasCommand,
+  compareFiguresCommand,
+  renderCommand,
+  diffCommand,
+  evolutionCommand,
+  linksCommand,
+  referencesCommand,
+  coqCommand,
+  linoCommand
+];
+
+/**
+ * Format the list of commands
+ */
+function formatUsage() {
+  const width = Math.max(...COMMANDS.map(command => command.name.length)) + 2;
+  return `
+Usage: ${PROG} <command> [versions...] [options]
+
+Commands:
+${COMMANDS.map(command => `  ${command.name.padEnd(width)}${command.description}`).join('\n')}
+
+Run "${PROG} <command> --help" for the options of a command.
+
+Exit codes: ${EXIT_SUCCESS} success, ${EXIT_FAILURE} an article failed, ${EXIT_USAGE} usage error
+`;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    console.log(formatUsage());
+    return name ? EXIT_SUCCESS : EXIT_USAGE;
+  }
+
+  if (name === '--version') {
+    const { version } = JSON.parse(readFileSync(join(ROOT_DIR, 'package.json'), 'utf-8'));
+    console.log(version);
+    return EXIT_SUCCESS;
+  }
+
+  const command = COMMANDS.find(c => c.name === name);
+  if (!command) {
+    console.error(`Error: Unknown command: ${name}`);
+    console.error(formatUsage());
+    return EXIT_USAGE;
+  }
+
+  return runCommand(command, args, { prog: `${PROG} ${command.name}` });
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Error:', error);
+    process.exit(EXIT_FAILURE);
+  });
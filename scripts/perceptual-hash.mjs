@@ -0,0 +1,169 @@
+/**
+ * Perceptual hashes of figure images
+ *
+ * A perceptual hash (pHash) summarizes what an image looks like in 64 bits:
+ * the image is reduced to 32x32 grayscale samples, transformed with a DCT and
+ * every one of the 8x8 lowest frequencies becomes a bit (above or below their
+ * median), as in the imagehash library. Re-encoded, rescaled or slightly
+ * recolored copies of a figure keep (nearly) the same hash; a different crop
+ * or drawing changes many bits. Hashes are compared by Hamming distance.
+ *
+ * Pixels are sampled in a Playwright page (canvas), so PNG, JPEG and any other
+ * format the browser decodes are supported without image libraries; the hash
+ * itself is computed here from the samples.
+ */
+
+import { readImageHeader } from './image-metadata.mjs';
+
+export const SAMPLE_SIZE = 32;
+export const HASH_BITS = 64;
+
+// Maximum Hamming distance for two hashes to count as the same figure
+export const DEFAULT_THRESHOLD = 10;
+
+const LOW_FREQUENCIES = 8;
+
+/**
+ * Luminance (ITU-R 601) of RGBA samples, composited over white
+ */
+export function toGrayscale(rgba) {
+  const gray = new Float64Array(rgba.length / 4);
+  for (let i = 0; i < gray.length; i++) {
+    const alpha = rgba[i * 4 + 3] / 255;
+    const luma = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+    gray[i] = luma * alpha + 255 * (1 - alpha);
+  }
+  return gray;
+}
+
+/**
+ * Perceptual hash of SAMPLE_SIZE x SAMPLE_SIZE grayscale samples (row-major),
+ * as 16 hex digits
+ */
+export function perceptualHash(gray, size = SAMPLE_SIZE) {
+  if (gray.length !== size * size) {
+    throw new Error(`Expected ${size}x${size} samples, got ${gray.length}`);
+  }
+
+  // Separable DCT-II, only for the low frequencies that make up the hash
+  const cosines = Array.from({ length: LOW_FREQUENCIES }, (_, k) =>
+    Array.from({ length: size }, (_, n) => Math.cos(((2 * n + 1) * k * Math.PI) / (2 * size)))
+  );
+  const rows = Array.from({ length: size }, (_, y) =>
+    cosines.map(cosine => cosine.reduce((sum, c, x) => sum + c * gray[y * size + x], 0))
+  );
+  const coefficients = [];
+  for (let v = 0; v < LOW_FREQUENCIES; v++) {
+    for (let u = 0; u < LOW_FREQUENCIES; u++) {
+      coefficients.push(cosines[v].reduce((sum, c, y) => sum + c * rows[y][u], 0));
+    }
+  }
+
+  const sorted = [...coefficients].sort((a, b) => a - b);
+  const median = (sorted[HASH_BITS / 2 - 1] + sorted[HASH_BITS / 2]) / 2;
+
+  let hex = '';
+  for (let i = 0; i < HASH_BITS; i += 4) {
+    let digit = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      digit = (digit << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hex += digit.toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+export function hammingDistance(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Hashes differ in length: ${a} and ${b}`);
+  }
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Sample an image to SAMPLE_SIZE x SAMPLE_SIZE RGBA pixels in a Playwright page
+ *
+ * The image is halved step by step before the final resize so that every
+ * pixel contributes. Returns `{ width, height, rgba }` with the natural size.
+ */
+export async function sampleImage(page, buffer, size = SAMPLE_SIZE) {
+  const format = readImageHeader(buffer).format;
+  const mimeType = format === 'png' || format === 'jpeg' ? `image/${format}` : 'application/octet-stream';
+  const dataUrl = `data:${mimeType};base64,${buffer.toString('base64')}`;
+
+  return page.evaluate(async ({ dataUrl, size }) => {
+    const img = new Image();
+    img.src = dataUrl;
+    await img.decode();
+
+    let source = img;
+    let width = img.naturalWidth;
+    let height = img.naturalHeight;
+    do {
+      width = Math.max(size, Math.floor(width / 2));
+      height = Math.max(size, Math.floor(height / 2));
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, width, height);
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(source, 0, 0, width, height);
+      source = canvas;
+    } while (width > size || height > size);
+
+    const data = source.getContext('2d').getImageData(0, 0, size, size).data;
+    return { width: img.naturalWidth, height: img.naturalHeight, rgba: Array.from(data) };
+  }, { dataUrl, size });
+}
+
+/**
+ * Perceptual hash of an image file's bytes: `{ hash, width, height }`
+ */
+export async function hashImage(page, buffer) {
+  const { width, height, rgba } = await sampleImage(page, buffer);
+  return { hash: perceptualHash(toGrayscale(rgba)), width, height };
+}
+
+/**
+ * Pair archived and fresh figures by number and compare their hashes
+ *
+ * Both lists hold `{ figure, hash, ... }` (`error` instead of `hash` when a
+ * figure could not be hashed). Returns `{ figure, status, distance, archived,
+ * fresh }` per figure number, where status is `same`, `changed`, `missing`
+ * (archived but not on the page), `new` (on the page but not archived) or
+ * `error`.
+ */
+export function compareFigureHashes(archived, fresh, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const numbers = [...new Set([...archived, ...fresh].map(figure => figure.figure))].sort((a, b) => a - b);
+
+  return numbers.map(figure => {
+    const archivedFigure = archived.find(entry => entry.figure === figure) || null;
+    const freshFigure = fresh.find(entry => entry.figure === figure) || null;
+    const result = { figure, status: null, distance: null, archived: archivedFigure, fresh: freshFigure };
+
+    if (!freshFigure) {
+      result.status = 'missing';
+    } else if (!archivedFigure) {
+      result.status = 'new';
+    } else if (!archivedFigure.hash || !freshFigure.hash) {
+      result.status = 'error';
+    } else {
+      result.distance = hammingDistance(archivedFigure.hash, freshFigure.hash);
+      result.status = result.distance <= threshold ? 'same' : 'changed';
+    }
+    return result;
+  });
+}
@@ -0,0 +1,183 @@
+/**
+ * Minimal PNG codec
+ *
+ * Decodes non-interlaced PNG files of any color type and bit depth into 8-bit
+ * RGBA pixels, and encodes RGBA pixels as PNG. Enough for comparing and
+ * composing screenshots (which Playwright writes as PNG) without an image
+ * library.
+ *
+ * An image is `{ width, height, data }` with `data` a Uint8Array of
+ * width * height * 4 bytes (RGBA, row-major).
+ */
+
+import { inflateSync, deflateSync, crc32 } from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per color type: grayscale, RGB, palette, grayscale + alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Paeth predictor of the PNG filter type 4
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceUp = Math.abs(estimate - up);
+  const distanceUpLeft = Math.abs(estimate - upLeft);
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+  return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+/**
+ * Undo the per-row filters of the inflated image data (in place)
+ */
+function unfilter(raw, height, rowBytes, bytesPerPixel) {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const start = y * (rowBytes + 1);
+    const filter = raw[start];
+    const row = raw.subarray(start + 1, start + 1 + rowBytes);
+    const previous = y > 0 ? rows[y - 1] : null;
+
+    for (let x = 0; x < rowBytes; x++) {
+      const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+      const up = previous ? previous[x] : 0;
+      const upLeft = previous && x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+      switch (filter) {
+        case 0: break;
+        case 1: row[x] = (row[x] + left) & 0xff; break;
+        case 2: row[x] = (row[x] + up) & 0xff; break;
+        case 3: row[x] = (row[x] + ((left + up) >> 1)) & 0xff; break;
+        case 4: row[x] = (row[x] + paeth(left, up, upLeft)) & 0xff; break;
+        default: throw new Error(`Invalid PNG filter type ${filter} on row ${y}`);
+      }
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Decode a PNG file into RGBA pixels
+ */
+export function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const chunks = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+  if (interlace) throw new Error('Interlaced PNG files are not supported');
+  if (colorType === 3 && !palette) throw new Error('Palette PNG without a PLTE chunk');
+
+  const bitsPerPixel = channels * bitDepth;
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  const rows = unfilter(inflateSync(Buffer.concat(chunks)), height, rowBytes, Math.max(1, bitsPerPixel >> 3));
+
+  // Read the n-th sample of a row as an 8-bit value (palette indices stay raw)
+  const maxValue = (1 << Math.min(bitDepth, 8)) - 1;
+  const sample = (row, index, raw = false) => {
+    if (bitDepth === 16) return row[index * 2];
+    if (bitDepth === 8) return row[index];
+    const bit = index * bitDepth;
+    const value = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    return raw ? value : Math.round((value * 255) / maxValue);
+  };
+
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = rows[y];
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const first = x * channels;
+      if (colorType === 3) {
+        const index = sample(row, first, true);
+        data[out] = palette[index * 3];
+        data[out + 1] = palette[index * 3 + 1];
+        data[out + 2] = palette[index * 3 + 2];
+        data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = sample(row, first);
+        data[out] = data[out + 1] = data[out + 2] = gray;
+        data[out + 3] = colorType === 4 ? sample(row, first + 1) : 255;
+      } else {
+        data[out] = sample(row, first);
+        data[out + 1] = sample(row, first + 1);
+        data[out + 2] = sample(row, first + 2);
+        data[out + 3] = colorType === 6 ? sample(row, first + 3) : 255;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC)
+ */
+function chunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG file (8-bit RGBA, no filtering)
+ */
+export function encodePng({ width, height, data }) {
+  if (data.length !== width * height * 4) {
+    throw new Error(`Expected ${width * height * 4} bytes of RGBA data, got ${data.length}`);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;   // bit depth
+  header[9] = 6;   // RGBA
+
+  const rowBytes = width * 4;
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
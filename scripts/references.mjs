@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Bibliography export for archived articles
+ *
+ * Parses the references section of each article.md, links every in-text
+ * citation `[[n]](url)` to its entry, reports unreferenced citations, unused
+ * references and citation URLs that differ from their entry, and writes the
+ * bibliography to archive/<version>/references.bib (BibTeX) and
+ * archive/<version>/references.json (CSL-JSON).
+ *
+ * Usage:
+ *   node scripts/references.mjs [versions...] [options]
+ *   node scripts/references.mjs --all
+ *
+ * Examples:
+ *   node scripts/references.mjs --all             # Export all bibliographies
+ *   node scripts/references.mjs 0.0.2 --verbose   # List entries and citations
+ *   node scripts/references.mjs --all --strict    # Fail on citation issues
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule } from './cli.mjs';
+import { extractBibliography, citationKeys, toBibTeX, toCslJson } from './bibliography.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+const BIBTEX_FILE = 'references.bib';
+const CSL_JSON_FILE = 'references.json';
+
+const ISSUE_ICONS = {
+  'unreferenced-citation': '❌',
+  'unused-reference': '⚠️ ',
+  'url-mismatch': '⚠️ '
+};
+
+/**
+ * Save an export file (or only report it with --dry-run)
+ */
+function saveFile(path, content, options) {
+  if (options.dryRun) {
+    console.log(`   📝 [DRY RUN] Would save: ${path}`);
+  } else {
+    writeFileSync(path, content, 'utf-8');
+    console.log(`   ✅ Saved: ${path}`);
+  }
+}
+
+/**
+ * Export the bibliography of a single article
+ */
+function exportArticle(article, options) {
+  const archivePath = join(ROOT_DIR, article.archivePath);
+  const markdownPath = join(archivePath, article.markdownFile);
+
+  console.log(`\n📚 Bibliography: ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+
+  if (!existsSync(markdownPath)) {
+    console.log(`   ❌ File not found: ${markdownPath}`);
+    return { success: false, details: 'File not found' };
+  }
+
+  const bibliography = extractBibliography(readFileSync(markdownPath, 'utf-8'));
+  if (!bibliography.section) {
+    console.log('   ⚠️  No references section found');
+  } else {
+    console.log(`   Section: "${bibliography.section.heading}" (line ${bibliography.section.line})`);
+  }
+  console.log(`   References: ${bibliography.references.length}, citations: ${bibliography.citations.length}`);
+
+  if (options.verbose) {
+    const keys = citationKeys(bibliography.references);
+    bibliography.references.forEach((reference, index) => {
+      const cited = reference.citedAt.length > 0
+        ? `cited on line${reference.citedAt.length > 1 ? 's' : ''} ${reference.citedAt.join(', ')}`
+        : 'not cited';
+      console.log(`   [${reference.number}] ${keys[index]}: ${reference.title || reference.raw} — ${cited}`);
+    });
+  }
+
+  for (const issue of bibliography.issues) {
+    console.log(`   ${ISSUE_ICONS[issue.type]} line ${issue.line}: ${issue.message}`);
+  }
+
+  if (bibliography.references.length > 0) {
+    saveFile(join(archivePath, BIBTEX_FILE), toBibTeX(bibliography.references, { version: article.version }), options);
+    saveFile(join(archivePath, CSL_JSON_FILE), JSON.stringify(toCslJson(bibliography.references), null, 2) + '\n', options);
+  }
+
+  const issueCount = bibliography.issues.length;
+  return {
+    success: !options.strict || issueCount === 0,
+    details: `${bibliography.references.length} references, ${bibliography.citations.length} citations, ${issueCount} issues`,
+    bibliography
+  };
+}
+
+export const referencesCommand = {
+  name: 'references',
+  script: 'references.mjs',
+  description: `Export the bibliography of archived articles as ${BIBTEX_FILE} and ${CSL_JSON_FILE}.`,
+  banner: '🚀 Bibliography Export Script',
+  options: [
+    { name: 'strict', type: 'boolean', description: 'Fail on unreferenced citations, unused references and URL mismatches' }
+  ],
+  examples: ['--all', '0.0.2 --verbose', '--all --strict'],
+  runArticle: exportArticle
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(referencesCommand);
+}
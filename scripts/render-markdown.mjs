@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Render archived Markdown and compare it visually with the original page
+ *
+ * Renders article.md (math with KaTeX, local images) to rendered.html with a
+ * GitHub-like stylesheet, captures it as rendered.png and composes
+ * side-by-side.png: the original page screenshot (article.png) on the left,
+ * the rendered archive on the right, both scaled to the same column width.
+ * All three files are review aids and are not part of the archive.
+ *
+ * Usage:
+ *   node scripts/render-markdown.mjs [versions...] [options]
+ *   node scripts/render-markdown.mjs --all
+ *
+ * Examples:
+ *   node scripts/render-markdown.mjs 0.0.2                     # Render, capture and compose
+ *   node scripts/render-markdown.mjs --all --html-only         # Only write rendered.html
+ *   node scripts/render-markdown.mjs 0.0.1 --column-width 1920 # Original screenshot at full size
+ */
+
+import { chromium } from 'playwright';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule, UsageError } from './cli.mjs';
+import { PAGE_WIDTH, renderMarkdownDocument } from './markdown-html.mjs';
+import { decodePng, encodePng } from './png.mjs';
+import { composeSideBySide } from './image-compose.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+const RENDERED_HTML_FILE = 'rendered.html';
+const RENDERED_SCREENSHOT_FILE = 'rendered.png';
+const SIDE_BY_SIDE_FILE = 'side-by-side.png';
+
+/**
+ * Capture a full-page screenshot of the rendered HTML
+ *
+ * Returns the `src` of images that failed to load.
+ */
+async function captureRenderedPage(htmlPath, screenshotPath) {
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const page = await browser.newPage({ viewport: { width: PAGE_WIDTH, height: 1080 } });
+    await page.goto(pathToFileURL(htmlPath).href, { waitUntil: 'load', timeout: 60000 });
+    await page.evaluate(() => document.fonts.ready);
+    const brokenImages = await page.evaluate(() =>
+      [...document.images].filter(image => image.naturalWidth === 0).map(image => image.getAttribute('src'))
+    );
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    return brokenImages;
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Render, capture and compose a single article
+ */
+async function renderArticle(article, options) {
+  const archivePath = join(ROOT_DIR, article.archivePath);
+  const markdownPath = join(archivePath, article.markdownFile);
+  const htmlPath = join(archivePath, RENDERED_HTML_FILE);
+  const renderedPath = join(archivePath, RENDERED_SCREENSHOT_FILE);
+  const screenshotPath = join(archivePath, article.screenshotFile);
+  const sideBySidePath = join(archivePath, SIDE_BY_SIDE_FILE);
+
+  console.log(`\n🖌️  Rendering ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+
+  if (!existsSync(markdownPath)) {
+    console.log(`   ❌ Markdown file not found: ${markdownPath}`);
+    return { success: false, details: 'markdown not found' };
+  }
+
+  const html = renderMarkdownDocument(readFileSync(markdownPath, 'utf8'), {
+    title: article.title,
+    lang: article.language
+  });
+  if (options.dryRun) {
+    console.log(`   📝 [DRY RUN] Would write ${RENDERED_HTML_FILE} (${(html.length / 1024).toFixed(1)} KB)`);
+    if (!options.htmlOnly) {
+      console.log(`   📝 [DRY RUN] Would capture ${RENDERED_SCREENSHOT_FILE} and compose ${SIDE_BY_SIDE_FILE}`);
+    }
+    return { success: true, details: 'dry run' };
+  }
+
+  writeFileSync(htmlPath, html);
+  console.log(`   ✅ HTML saved: ${htmlPath}`);
+  if (options.htmlOnly) {
+    return { success: true, details: RENDERED_HTML_FILE };
+  }
+
+  console.log('   Capturing the rendered page...');
+  const brokenImages = await captureRenderedPage(htmlPath, renderedPath);
+  console.log(`   ✅ Screenshot saved: ${renderedPath}`);
+  for (const src of brokenImages) {
+    console.log(`   ⚠️  Image did not load: ${src}`);
+  }
+
+  if (!existsSync(screenshotPath)) {
+    console.log(`   ⚠️  No ${article.screenshotFile} to compare with (capture it with: node scripts/download.mjs ${article.version} --screenshot)`);
+    return { success: brokenImages.length === 0, details: 'no original screenshot' };
+  }
+
+  console.log('   Composing side-by-side image...');
+  const original = decodePng(readFileSync(screenshotPath));
+  const rendered = decodePng(readFileSync(renderedPath));
+  const composite = composeSideBySide([original, rendered], { columnWidth: options.columnWidth });
+  writeFileSync(sideBySidePath, encodePng(composite));
+  console.log(`   Original ${original.width}x${original.height} (left), rendered ${rendered.width}x${rendered.height} (right)`);
+  console.log(`   ✅ Side-by-side image saved: ${sideBySidePath} (${composite.width}x${composite.height})`);
+
+  return {
+    success: brokenImages.length === 0,
+    details: brokenImages.length > 0 ? `${brokenImages.length} images did not load` : SIDE_BY_SIDE_FILE
+  };
+}
+
+export const renderCommand = {
+  name: 'render',
+  script: 'render-markdown.mjs',
+  description: 'Render the archived Markdown and compose it side by side with the page screenshot.',
+  banner: '🚀 Markdown Rendering Script',
+  options: [
+    { name: 'html-only', type: 'boolean', description: `Only write ${RENDERED_HTML_FILE} (no browser needed)` },
+    { name: 'column-width', type: 'number', value: '<px>', default: 960, description: `Width of each column in ${SIDE_BY_SIDE_FILE}` }
+  ],
+  examples: ['0.0.2', '--all --html-only', '0.0.1 --column-width 1920'],
+  validate(options) {
+    if (!Number.isInteger(options.columnWidth) || options.columnWidth < 1) {
+      throw new UsageError('--column-width must be a positive whole number');
+    }
+  },
+  runArticle: renderArticle
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(renderCommand);
+}
@@ -0,0 +1,125 @@
+/**
+ * Tiled and per-section screenshots of the article body
+ *
+ * A single full-page screenshot of a long article is a PNG of many megabytes
+ * that some viewers cannot open. Instead, the article body can be captured as
+ * fixed-height tiles (tile-001.png, ...) or as one screenshot per section,
+ * named by the section's GitHub heading anchor (03-relational-algebra.png;
+ * sections taller than a tile are split into -part-1, -part-2, ...). The text
+ * before the first heading is the `preamble` section.
+ *
+ * screenshots/index.json records the sections with their page positions and
+ * maps every tile to the sections it shows.
+ */
+
+import { githubSlug } from './link-audit.mjs';
+
+export const SCREENSHOT_TILES_DIR = 'screenshots';
+export const TILE_INDEX_FILE = 'index.json';
+export const DEFAULT_TILE_HEIGHT = 2000;
+
+const PREAMBLE_ANCHOR = 'preamble';
+const MAX_ANCHOR_LENGTH = 60;
+
+/**
+ * Split the article body into sections at its headings
+ *
+ * `layout` is `{ x, y, width, height, headings: [{ text, level, y }] }` in page
+ * pixels. Returns `{ anchor, title, level, y, height }` per section, the
+ * preamble (when not empty) included; repeated anchors get -1, -2, ... like
+ * GitHub heading anchors.
+ */
+export function findSections(layout) {
+  const bottom = layout.y + layout.height;
+  const headings = [...layout.headings]
+    .filter(heading => heading.y >= layout.y && heading.y < bottom)
+    .sort((a, b) => a.y - b.y);
+
+  const starts = [];
+  if (headings.length === 0 || headings[0].y > layout.y) {
+    starts.push({ anchor: PREAMBLE_ANCHOR, title: '', level: 0, y: layout.y });
+  }
+  const seen = new Map();
+  for (const heading of headings) {
+    const slug = githubSlug(heading.text) || 'section';
+    const count = seen.get(slug) || 0;
+    seen.set(slug, count + 1);
+    starts.push({ anchor: count > 0 ? `${slug}-${count}` : slug, title: heading.text.trim(), level: heading.level, y: heading.y });
+  }
+
+  return starts.map((section, index) => ({
+    ...section,
+    height: (index + 1 < starts.length ? starts[index + 1].y : bottom) - section.y
+  })).filter(section => section.height > 0);
+}
+
+/**
+ * Anchors of the sections overlapping the rows [y, y + height)
+ */
+function sectionsAt(sections, y, height) {
+  return sections
+    .filter(section => section.y < y + height && section.y + section.height > y)
+    .map(section => section.anchor);
+}
+
+/**
+ * Cut [y, y + height) into parts of at most `tileHeight` rows
+ */
+function splitRows(y, height, tileHeight) {
+  const parts = [];
+  for (let offset = 0; offset < height; offset += tileHeight) {
+    parts.push({ y: y + offset, height: Math.min(tileHeight, height - offset) });
+  }
+  return parts;
+}
+
+/**
+ * Plan the screenshots of the article body
+ *
+ * `mode` is `tiles` (fixed-height tiles) or `sections` (one screenshot per
+ * section, split when taller than `tileHeight`). Returns `{ sections, tiles }`
+ * where each tile is `{ file, x, y, width, height, sections }`.
+ */
+export function planTiles(layout, { mode = 'tiles', tileHeight = DEFAULT_TILE_HEIGHT } = {}) {
+  if (!['tiles', 'sections'].includes(mode)) {
+    throw new Error(`Unknown tile mode "${mode}"`);
+  }
+  if (!(tileHeight > 0)) {
+    throw new Error(`Invalid tile height ${tileHeight}`);
+  }
+
+  const sections = findSections(layout);
+  const { x, width } = layout;
+  const tiles = [];
+
+  if (mode === 'tiles') {
+    const parts = splitRows(layout.y, layout.height, tileHeight);
+    const digits = Math.max(3, String(parts.length).length);
+    parts.forEach((part, index) => {
+      tiles.push({
+        file: `tile-${String(index + 1).padStart(digits, '0')}.png`,
+        x,
+        ...part,
+        width,
+        sections: sectionsAt(sections, part.y, part.height)
+      });
+    });
+  } else {
+    const digits = Math.max(2, String(sections.length).length);
+    sections.forEach((section, index) => {
+      const name = `${String(index).padStart(digits, '0')}-${section.anchor.slice(0, MAX_ANCHOR_LENGTH).replace(/-+$/, '')}`;
+      const parts = splitRows(section.y, section.height, tileHeight);
+      parts.forEach((part, partIndex) => {
+        tiles.push({
+          file: parts.length > 1 ? `${name}-part-${partIndex + 1}.png` : `${name}.png`,
+          x,
+          ...part,
+          width,
+          sections: [section.anchor]
+        });
+      });
+    });
+  }
+
+  return { sections, tiles };
+}
@@ -0,0 +1,278 @@
+/**
+ * Offline HTML snapshots of archived articles
+ *
+ * A snapshot is the fully scrolled article body HTML (`.article-formatted-body` on Habr)
+ * together with every image it references, saved under the archive directory:
+ *
+ *   archive/<version>/snapshot/
+ *   ├── article.html      # Minimal page: <article><h1>…</h1><div class="article-formatted-body">…</div></article>
+ *   ├── metadata.json     # Source URL, capture date and asset map
+ *   └── assets/           # Referenced images (asset-01.png, asset-02.svg, ...)
+ *
+ * Scripts that accept `--from-snapshot` read the saved article.html (in Chromium,
+ * or directly in Node via markdown-converter.mjs) instead of navigating to the source,
+ * so extraction and verification run offline and give the same result every time.
+ */
+
+import { writeFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join, extname } from 'path';
+import { getSourceAdapter, getPageSelectors } from './source-adapters.mjs';
+import { numberFigures } from './markdown-converter.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+export const SNAPSHOT_DIR = 'snapshot';
+export const SNAPSHOT_HTML_FILE = 'article.html';
+export const SNAPSHOT_METADATA_FILE = 'metadata.json';
+export const SNAPSHOT_ASSETS_DIR = 'assets';
+
+/**
+ * Get the absolute path of the snapshot directory of an article
+ */
+export function getSnapshotDir(article) {
+  return join(ROOT_DIR, article.archivePath, SNAPSHOT_DIR);
+}
+
+/**
+ * Get the absolute path of the snapshot HTML file of an article
+ */
+export function getSnapshotHtmlPath(article) {
+  return join(getSnapshotDir(article), SNAPSHOT_HTML_FILE);
+}
+
+/**
+ * Check whether a snapshot has been captured for an article
+ */
+export function hasSnapshot(article) {
+  return existsSync(getSnapshotHtmlPath(article));
+}
+
+/**
+ * Read snapshot metadata (source URL, capture date, assets)
+ */
+export function readSnapshotMetadata(article) {
+  const metadataPath = join(getSnapshotDir(article), SNAPSHOT_METADATA_FILE);
+  if (!existsSync(metadataPath)) return null;
+  return JSON.parse(readFileSync(metadataPath, 'utf-8'));
+}
+
+/**
+ * Scroll through the page to trigger lazy loading
+ */
+export async function scrollToLoadLazyContent(page, delay = 100) {
+  await page.evaluate(async (stepDelay) => {
+    const scrollHeight = document.documentElement.scrollHeight;
+    const viewportHeight = window.innerHeight;
+    const scrollSteps = Math.ceil(scrollHeight / viewportHeight);
+
+    for (let i = 0; i < scrollSteps; i++) {
+      window.scrollTo(0, i * viewportHeight);
+      await new Promise(resolve => setTimeout(resolve, stepDelay));
+    }
+    window.scrollTo(0, 0);
+  }, delay);
+}
+
+/**
+ * Open an article in a Playwright page, either live or from its snapshot
+ *
+ * When `fromSnapshot` is set, the saved article.html is loaded from disk and no
+ * network request is made. Otherwise the URL resolved by the article's source
+ * adapter is loaded and scrolled so that lazy content is present. In both cases
+ * the page is ready for extraction once this resolves, to the URL it loaded.
+ */
+export async function openArticlePage(page, article, { fromSnapshot = false, verbose = false } = {}) {
+  const selectors = getPageSelectors(article);
+
+  if (fromSnapshot) {
+    const snapshotPath = getSnapshotHtmlPath(article);
+    if (!existsSync(snapshotPath)) {
+      throw new Error(`Snapshot not found: ${snapshotPath}. Capture it with: node scripts/download.mjs ${article.version} --snapshot`);
+    }
+    if (verbose) console.log('   Loading snapshot:', snapshotPath);
+    await page.goto(pathToFileURL(snapshotPath).href, { waitUntil: 'load' });
+    await page.waitForSelector(selectors.body, { timeout: 30000 });
+    return pathToFileURL(snapshotPath).href;
+  }
+
+  const url = await getSourceAdapter(article).resolveUrl(article);
+  if (verbose) console.log('   Loading web page:', url);
+
+  await page.goto(url, {
+    waitUntil: 'domcontentloaded',
+    timeout: 120000
+  });
+
+  // Wait for article body to appear
+  await page.waitForSelector(selectors.body, { timeout: 30000 });
+
+  await scrollToLoadLazyContent(page);
+
+  // Wait for dynamic content
+  await page.waitForTimeout(2000);
+  return url;
+}
+
+/**
+ * Extract the figure images of an opened article page
+ *
+ * Returns `{ figure, src, alt, caption }` for every `<figure>` with a raster
+ * image (SVG figures are skipped). `figure` is the number from the caption
+ * ("Figure 2", "Рис. 2", "Рисунок 2") or else the next number no caption uses
+ * (see numberFigures).
+ */
+export async function extractPageFigures(page, article) {
+  const figures = await page.$$eval(`${getPageSelectors(article).body} figure`, elements =>
+    elements.map(figure => {
+      const img = figure.querySelector('img');
+      const figcaption = figure.querySelector('figcaption');
+      if (!img) return null;
+
+      return {
+        src: img.src,
+        alt: img.alt,
+        caption: figcaption?.innerText || ''
+      };
+    }).filter(f => f !== null && f.src && !f.src.includes('.svg'))
+  );
+
+  // Use figure number from caption if available, otherwise the next free number
+  const numbers = numberFigures(figures.map(figure => figure.caption));
+  return figures.map((figure, index) => ({ figure: numbers[index], ...figure }));
+}
+
+/**
+ * Get file extension for a downloaded asset from its URL and content type
+ */
+function getAssetExtension(url, contentType = '') {
+  const ext = extname(new URL(url).pathname).toLowerCase();
+  if (['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'].includes(ext)) {
+    return ext;
+  }
+  if (contentType.includes('svg')) return '.svg';
+  if (contentType.includes('jpeg')) return '.jpg';
+  if (contentType.includes('gif')) return '.gif';
+  if (contentType.includes('webp')) return '.webp';
+  return '.png';
+}
+
+/**
+ * Capture a snapshot of an article: scrolled body HTML plus referenced images
+ *
+ * `page` must be a Playwright page whose context is used to fetch the assets,
+ * so that the same cookies and user agent apply as for the page itself.
+ */
+export async function captureSnapshot(page, article, { verbose = false } = {}) {
+  const snapshotDir = getSnapshotDir(article);
+  const assetsDir = join(snapshotDir, SNAPSHOT_ASSETS_DIR);
+
+  const pageUrl = await openArticlePage(page, article, { verbose });
+
+  const captured = await page.evaluate((selectors) => {
+    const articleBody = document.querySelector(selectors.body);
+    if (!articleBody) return null;
+
+    const titleEl = document.querySelector(selectors.title);
+    const title = titleEl ? titleEl.innerText.trim() : '';
+
+    // Resolve lazy-loaded sources so the saved HTML references the real image
+    const images = Array.from(articleBody.querySelectorAll('img'));
+    const sources = [];
+    for (const img of images) {
+      const src = img.currentSrc || img.src || img.getAttribute('data-src') || '';
+      if (src && !src.startsWith('data:')) {
+        img.setAttribute('src', src);
+        img.setAttribute('data-original-src', src);
+        sources.push(src);
+      }
+    }
+
+    return {
+      title,
+      lang: document.documentElement.lang || '',
+      html: articleBody.outerHTML,
+      sources: Array.from(new Set(sources))
+    };
+  }, getPageSelectors(article));
+
+  if (!captured) {
+    throw new Error('Failed to capture snapshot: article body not found');
+  }
+
+  if (!existsSync(assetsDir)) {
+    mkdirSync(assetsDir, { recursive: true });
+  }
+
+  // Download each referenced asset and map its URL to a local path
+  const assets = [];
+  let html = captured.html;
+  for (let i = 0; i < captured.sources.length; i++) {
+    const url = captured.sources[i];
+    try {
+      const response = await page.context().request.get(url, { timeout: 30000 });
+      if (!response.ok()) {
+        throw new Error(`HTTP ${response.status()}`);
+      }
+      const ext = getAssetExtension(url, response.headers()['content-type']);
+      const filename = `asset-${String(i + 1).padStart(2, '0')}${ext}`;
+      const localPath = `${SNAPSHOT_ASSETS_DIR}/${filename}`;
+      writeFileSync(join(assetsDir, filename), await response.body());
+
+      // Leading space keeps data-original-src pointing at the live URL
+      html = html.split(` src="${url.replace(/&/g, '&amp;')}"`).join(` src="${localPath}"`);
+      html = html.split(` src="${url}"`).join(` src="${localPath}"`);
+      assets.push({ url, localPath });
+      if (verbose) console.log(`     ✓ ${localPath}`);
+    } catch (err) {
+      console.error(`     ✗ Failed to download asset ${url}: ${err.message}`);
+      assets.push({ url, localPath: null, error: err.message });
+    }
+  }
+
+  // Drop srcset/loading attributes so the browser uses the local src
+  html = html
+    .replace(/\s(?:srcset|data-srcset)="[^"]*"/g, '')
+    .replace(/\sloading="lazy"/g, '');
+
+  const escapedTitle = captured.title
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const snapshotHtml = `<!DOCTYPE html>
+<html lang="${captured.lang || article.language}">
+<head>
+<meta charset="utf-8">
+<title>${escapedTitle}</title>
+</head>
+<body>
+<article>
+<h1>${escapedTitle}</h1>
+${html}
+</article>
+</body>
+</html>
+`;
+
+  writeFileSync(join(snapshotDir, SNAPSHOT_HTML_FILE), snapshotHtml, 'utf-8');
+
+  const metadata = {
+    version: article.version,
+    source: getSourceAdapter(article).name,
+    url: pageUrl,
+    title: captured.title,
+    capturedAt: new Date().toISOString(),
+    assets
+  };
+  writeFileSync(join(snapshotDir, SNAPSHOT_METADATA_FILE), JSON.stringify(metadata, null, 2));
+
+  return {
+    path: join(snapshotDir, SNAPSHOT_HTML_FILE),
+    size: Buffer.byteLength(snapshotHtml),
+    assets: assets.filter(a => a.localPath).length,
+    failedAssets: assets.filter(a => !a.localPath).length
+  };
+}
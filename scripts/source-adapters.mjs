@@ -0,0 +1,171 @@
+/**
+ * Source adapters: where an article is published and how its content is read
+ *
+ * Each entry in ARTICLES selects an adapter with its `source` field (default:
+ * `habr`). An adapter provides:
+ * - `selectors`: title and body selectors of the HTML page, used by every
+ *   browser-based script (verification, images, screenshots, snapshots), or null
+ *   when the source is not an HTML page
+ * - `usesBrowser`: whether extraction needs a rendered page (lazy-loaded content)
+ *   or can parse the fetched HTML/Markdown directly in Node
+ * - `resolveUrl(article, { fetch })`: the URL to load for an article
+ * - `extract(article, { page, fetch })`: the article content, either
+ *   `{ title, elements }` for the Markdown converter or `{ title, markdown }` when
+ *   the source already is Markdown
+ *
+ * `fetch` defaults to the global fetch and can be replaced (e.g. in tests).
+ */
+
+import { browserExtractExpression, extractArticleFromHtml } from './markdown-converter.mjs';
+
+export const DEFAULT_SOURCE = 'habr';
+
+const HABR_SELECTORS = {
+  title: 'article h1',
+  body: '.article-formatted-body'
+};
+
+const WAYBACK_URL = 'https://web.archive.org/web';
+const WAYBACK_AVAILABILITY_URL = 'https://archive.org/wayback/available';
+
+/**
+ * Fetch a URL as text, failing on HTTP errors
+ */
+async function fetchText(url, fetch) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+  return response.text();
+}
+
+/**
+ * Extract `{ title, elements }` from an HTML source, in a page or in Node
+ */
+async function extractFromHtml(adapter, article, { page = null, fetch = globalThis.fetch } = {}) {
+  const options = { bodySelector: adapter.selectors.body, titleSelector: adapter.selectors.title };
+  if (page) {
+    return page.evaluate(browserExtractExpression(options));
+  }
+  const html = await fetchText(await adapter.resolveUrl(article, { fetch }), fetch);
+  return extractArticleFromHtml(html, options);
+}
+
+/**
+ * Convert a github.com file URL to its raw.githubusercontent.com form
+ *
+ * Other URLs (including raw ones) are returned unchanged.
+ */
+export function toRawGithubUrl(url) {
+  const match = url.match(/^https?:\/\/github\.com\/([^/]+)\/([^/]+)\/(?:blob|raw)\/(.+)$/);
+  return match ? `https://raw.githubusercontent.com/${match[1]}/${match[2]}/${match[3]}` : url;
+}
+
+/**
+ * Web Archive URL of a capture
+ *
+ * With `raw`, the capture is served as it was saved, without the Web Archive
+ * toolbar or rewritten links.
+ */
+export function toWaybackUrl(url, timestamp, { raw = false } = {}) {
+  return `${WAYBACK_URL}/${timestamp}${raw ? 'id_' : ''}/${url}`;
+}
+
+/**
+ * Find the timestamp of the Web Archive capture closest to now
+ */
+export async function findWaybackTimestamp(url, fetch = globalThis.fetch) {
+  const response = await fetch(`${WAYBACK_AVAILABILITY_URL}?url=${encodeURIComponent(url)}`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from the Web Archive availability API`);
+  }
+  const data = await response.json();
+  const closest = data.archived_snapshots?.closest;
+  if (!closest || !closest.available) {
+    throw new Error(`No Web Archive capture found for ${url}`);
+  }
+  return closest.timestamp;
+}
+
+/**
+ * Habr article page (formulas are images with the LaTeX in `source`)
+ */
+const habr = {
+  name: 'habr',
+  description: 'Habr article page',
+  selectors: HABR_SELECTORS,
+  usesBrowser: true,
+  async resolveUrl(article) {
+    return article.url;
+  },
+  extract(article, options) {
+    return extractFromHtml(this, article, options);
+  }
+};
+
+/**
+ * Web Archive copy of a Habr page
+ *
+ * Uses `article.archiveTimestamp` when set, otherwise the closest capture. The
+ * `id_` URL flag serves the page as captured, without the Web Archive toolbar or
+ * rewritten links, so it is parsed like the original page.
+ */
+const webarchive = {
+  name: 'webarchive',
+  description: 'Web Archive (web.archive.org) copy of a Habr page',
+  selectors: HABR_SELECTORS,
+  usesBrowser: false,
+  async resolveUrl(article, { fetch = globalThis.fetch } = {}) {
+    const timestamp = article.archiveTimestamp || await findWaybackTimestamp(article.url, fetch);
+    return toWaybackUrl(article.url, timestamp, { raw: true });
+  },
+  extract(article, options) {
+    return extractFromHtml(this, article, options);
+  }
+};
+
+/**
+ * Markdown file, e.g. a file in a GitHub repository (blob URLs are read raw)
+ */
+const markdown = {
+  name: 'markdown',
+  description: 'Markdown file (GitHub or raw URL)',
+  selectors: null,
+  usesBrowser: false,
+  async resolveUrl(article) {
+    return toRawGithubUrl(article.url);
+  },
+  async extract(article, { fetch = globalThis.fetch } = {}) {
+    const text = (await fetchText(await this.resolveUrl(article), fetch)).replace(/\r\n/g, '\n');
+    const titleMatch = text.match(/^#\s+(.+?)\s*#*\s*$/m);
+    return {
+      title: titleMatch ? titleMatch[1] : article.title,
+      markdown: text.endsWith('\n') ? text : text + '\n'
+    };
+  }
+};
+
+export const SOURCE_ADAPTERS = { habr, webarchive, markdown };
+
+/**
+ * Get the source adapter of an article
+ */
+export function getSourceAdapter(article) {
+  const name = article.source || DEFAULT_SOURCE;
+  const adapter = SOURCE_ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown source "${name}" for article ${article.version}. Available: ${Object.keys(SOURCE_ADAPTERS).join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Get the HTML page selectors of an article, failing for non-HTML sources
+ */
+export function getPageSelectors(article) {
+  const adapter = getSourceAdapter(article);
+  if (!adapter.selectors) {
+    throw new Error(`Source "${adapter.name}" of article ${article.version} is not an HTML page`);
+  }
+  return adapter.selectors;
+}
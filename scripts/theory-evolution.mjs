@@ -0,0 +1,321 @@
+/**
+ * Cross-version comparison of archived articles
+ *
+ * The archive is a version history of the links theory, written partly in English
+ * and partly in Russian, so the comparison relies on language-independent features:
+ * - Sections are aligned by their formulas, link targets, Coq identifiers and
+ *   figure numbers (plus heading text when both versions share a language)
+ * - Definitions are formulas of the form `name: A → B`, `name = ...` or
+ *   `name ⊆ ...`, and Coq `Definition`/`Fixpoint`/`Lemma`/... declarations
+ */
+
+import { parseMarkdownBlocks } from './markdown-blocks.mjs';
+import { extractFormulas, normalizeFormula } from './formulas.mjs';
+import { textSimilarity } from './block-diff.mjs';
+
+const COQ_DECLARATION_PATTERN = /^\s*(Definition|Fixpoint|Inductive|Record|Lemma|Theorem|Corollary|Notation)\s+("[^"]*"|[\w']+)([\s\S]*?)(?=^\s*(?:Definition|Fixpoint|Inductive|Record|Lemma|Theorem|Corollary|Notation|Compute|Example|Proof|Qed|Require|Import|\(\*)\b|(?![\s\S]))/gm;
+const DEFINITION_NAME_PATTERN = /^\\?[A-Za-z]+(?:[_^][A-Za-z0-9]+)*$/;
+const MATH_CHARS_PATTERN = /[→⊆×∪⋃∈λ²ⁿ=]/;
+
+/**
+ * Split markdown into sections with language-independent fingerprints
+ */
+export function extractSections(markdownText) {
+  const blocks = parseMarkdownBlocks(markdownText);
+  const sections = [];
+  let current = { heading: '', level: 0, line: 1, blocks: [] };
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      sections.push(current);
+      current = { heading: block.content, level: block.level, line: block.line, blocks: [] };
+    } else {
+      current.blocks.push(block);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .filter(section => section.heading || section.blocks.length > 0)
+    .map(section => ({
+      heading: section.heading,
+      level: section.level,
+      line: section.line,
+      fingerprint: sectionFingerprint(section.blocks)
+    }));
+}
+
+/**
+ * Collect formulas, link targets, Coq identifiers and figure numbers of a section
+ */
+function sectionFingerprint(blocks) {
+  const tokens = new Set();
+  for (const block of blocks) {
+    const text = block.type === 'list' ? block.items.join('\n') : (block.content || '');
+
+    if (block.type === 'code') {
+      for (const declaration of extractCoqDeclarations(text)) {
+        tokens.add(`coq:${declaration.name}`);
+      }
+      continue;
+    }
+    if (block.type === 'formula') {
+      tokens.add(`formula:${normalizeFormula(block.content)}`);
+    }
+    if (block.type === 'figure') {
+      const figureMatch = `${block.src} ${block.content}`.match(/figure-(\d+)|(?:Figure|Рис\.?|Рисунок)\s*(\d+)/i);
+      if (figureMatch) tokens.add(`figure:${figureMatch[1] || figureMatch[2]}`);
+    }
+    for (const formula of extractFormulas(text)) {
+      tokens.add(`formula:${normalizeFormula(formula.latex)}`);
+    }
+    for (const link of text.matchAll(/\]\((https?:\/\/[^)\s]+)\)/g)) {
+      tokens.add(`link:${link[1].replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '')}`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Similarity of two sections (0..1)
+ */
+function sectionSimilarity(a, b, sameLanguage) {
+  let common = 0;
+  for (const token of a.fingerprint) {
+    if (b.fingerprint.has(token)) common++;
+  }
+  const total = a.fingerprint.size + b.fingerprint.size;
+  // Average of Dice and overlap coefficients: sparse sections (0.0.0 is mostly
+  // images) still match a richer counterpart that contains their only formula
+  const smaller = Math.min(a.fingerprint.size, b.fingerprint.size);
+  const fingerprintScore = total > 0 && smaller > 0
+    ? ((2 * common) / total + common / smaller) / 2
+    : 0;
+
+  if (!sameLanguage) return fingerprintScore;
+  const headingScore = textSimilarity(a.heading, b.heading);
+  return total > 0 ? (fingerprintScore + headingScore) / 2 : headingScore;
+}
+
+/**
+ * Align sections of two versions, preserving order (maximum total similarity)
+ */
+export function alignSections(oldSections, newSections, { sameLanguage = false, threshold = 0.2 } = {}) {
+  const n = oldSections.length;
+  const m = newSections.length;
+  const scores = oldSections.map(a => newSections.map(b => sectionSimilarity(a, b, sameLanguage)));
+  const table = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      const match = scores[i][j] >= threshold ? table[i + 1][j + 1] + scores[i][j] : -Infinity;
+      table[i][j] = Math.max(match, table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const matched = [];
+  const removed = [];
+  const added = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (scores[i][j] >= threshold && table[i][j] === table[i + 1][j + 1] + scores[i][j]) {
+      matched.push({ old: oldSections[i], new: newSections[j], similarity: scores[i][j] });
+      i++;
+      j++;
+    } else if (table[i][j] === table[i + 1][j]) {
+      removed.push(oldSections[i++]);
+    } else {
+      added.push(newSections[j++]);
+    }
+  }
+  removed.push(...oldSections.slice(i));
+  added.push(...newSections.slice(j));
+
+  return { matched, removed, added };
+}
+
+/**
+ * Extract Coq declarations (name, kind and normalized body) from code text
+ */
+export function extractCoqDeclarations(code) {
+  const declarations = [];
+  for (const match of code.matchAll(COQ_DECLARATION_PATTERN)) {
+    declarations.push({
+      kind: match[1],
+      name: match[2],
+      body: match[3].replace(/\(\*[\s\S]*?\*\)/g, '').replace(/\s+/g, ' ').trim()
+    });
+  }
+  return declarations;
+}
+
+/**
+ * Split a normalized formula into `name`, operator and right-hand side
+ */
+function splitDefinition(normalized) {
+  const match = normalized.match(/^(.+?)(:|=|\\subseteq)(.+)$/);
+  if (!match) return null;
+  const [, name, operator, rhs] = match;
+  if (!DEFINITION_NAME_PATTERN.test(name)) return null;
+  // `λ = {(1, 1, 1), ...}` is an example value, not a definition
+  if (operator === '=' && /^\(?[\d(]/.test(rhs)) return null;
+  return { name, operator, rhs };
+}
+
+/**
+ * Extract definitions from an article
+ *
+ * Returns `{ name, kind, signature, section, line, source }` with `kind` being
+ * `formula` or `coq`, deduplicated by name and signature (first occurrence wins).
+ */
+export function extractDefinitions(markdownText) {
+  const definitions = [];
+  const seen = new Set();
+  const add = (definition) => {
+    const key = `${definition.kind}:${definition.name}:${definition.signature}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    definitions.push(definition);
+  };
+
+  // Formula definitions written in LaTeX
+  const candidates = extractFormulas(markdownText).map(formula => ({
+    text: formula.latex,
+    line: formula.line,
+    section: formula.section
+  }));
+
+  // Formula definitions written in plain Unicode after a bold label ("**Label:** λ: L → L²")
+  const blocks = parseMarkdownBlocks(markdownText);
+  for (const block of blocks) {
+    if (block.type !== 'paragraph') continue;
+    const labelMatch = block.content.match(/^\*\*[^*]+?\*\*:?\s*([^$]+)$/);
+    if (labelMatch && MATH_CHARS_PATTERN.test(labelMatch[1])) {
+      candidates.push({ text: labelMatch[1].trim(), line: block.line, section: block.section });
+    }
+  }
+
+  candidates.sort((a, b) => a.line - b.line);
+  for (const candidate of candidates) {
+    // Multiple definitions can share a formula: "X = Y, where Z = ..."
+    for (const part of candidate.text.split(/,?\s*(?:\\textbf\{\s*,?\s*где\s*\}|where)\s*/)) {
+      const definition = splitDefinition(normalizeFormula(part));
+      if (!definition) continue;
+      add({
+        name: definition.name,
+        kind: 'formula',
+        signature: `${definition.operator}${definition.rhs}`,
+        section: candidate.section,
+        line: candidate.line,
+        source: part.trim()
+      });
+    }
+  }
+
+  // Coq declarations
+  for (const block of blocks) {
+    if (block.type !== 'code') continue;
+    for (const declaration of extractCoqDeclarations(block.content)) {
+      if (declaration.kind === 'Notation') continue;
+      add({
+        name: declaration.name,
+        kind: 'coq',
+        coqKind: declaration.kind,
+        signature: declaration.body,
+        section: block.section,
+        line: block.line,
+        source: `${declaration.kind} ${declaration.name}`
+      });
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * Compare definitions of two versions
+ *
+ * - kept: same name and signature
+ * - changed: same name, different signature (only when the name is unique on both sides)
+ * - renamed: same kind, different name, identical or very similar signature
+ * - introduced / dropped: everything else
+ */
+export function compareDefinitions(oldDefinitions, newDefinitions, { renameThreshold = 0.8 } = {}) {
+  const result = { kept: [], changed: [], renamed: [], introduced: [], dropped: [] };
+  const remainingOld = [...oldDefinitions];
+  const remainingNew = [];
+
+  const takeOld = (predicate) => {
+    const index = remainingOld.findIndex(predicate);
+    return index === -1 ? null : remainingOld.splice(index, 1)[0];
+  };
+
+  // Exact matches first
+  for (const definition of newDefinitions) {
+    const match = takeOld(old => old.kind === definition.kind && old.name === definition.name && old.signature === definition.signature);
+    if (match) {
+      result.kept.push({ old: match, new: definition });
+    } else {
+      remainingNew.push(definition);
+    }
+  }
+
+  // Same signature under a different name, or a similar body for Coq
+  const unmatchedNew = [];
+  for (const definition of remainingNew) {
+    const match = takeOld(old => old.kind === definition.kind && old.name !== definition.name && (
+      old.signature === definition.signature ||
+      (definition.kind === 'coq' && textSimilarity(old.signature, definition.signature) >= renameThreshold)
+    ));
+    if (match) {
+      result.renamed.push({ old: match, new: definition });
+    } else {
+      unmatchedNew.push(definition);
+    }
+  }
+
+  // Same name with a different signature
+  const countByName = (definitions, definition) =>
+    definitions.filter(d => d.kind === definition.kind && d.name === definition.name).length;
+  for (const definition of unmatchedNew) {
+    const unique = countByName(unmatchedNew, definition) === 1 && countByName(remainingOld, definition) === 1;
+    const match = unique ? takeOld(old => old.kind === definition.kind && old.name === definition.name) : null;
+    if (match) {
+      result.changed.push({ old: match, new: definition });
+    } else {
+      result.introduced.push(definition);
+    }
+  }
+
+  result.dropped.push(...remainingOld);
+  return result;
+}
+
+/**
+ * Compare the sets of formulas of two versions (by normalized form)
+ */
+export function compareFormulas(oldFormulas, newFormulas) {
+  const oldSet = new Map(oldFormulas.map(f => [normalizeFormula(f.latex), f]));
+  const newSet = new Map(newFormulas.map(f => [normalizeFormula(f.latex), f]));
+  return {
+    kept: [...newSet.keys()].filter(key => oldSet.has(key)).map(key => newSet.get(key)),
+    introduced: [...newSet.keys()].filter(key => !oldSet.has(key)).map(key => newSet.get(key)),
+    dropped: [...oldSet.keys()].filter(key => !newSet.has(key)).map(key => oldSet.get(key))
+  };
+}
+
+/**
+ * Compare two versions of the article
+ */
+export function compareVersions(oldArticle, oldMarkdown, newArticle, newMarkdown) {
+  const sameLanguage = oldArticle.language === newArticle.language;
+  return {
+    from: oldArticle.version,
+    to: newArticle.version,
+    sameLanguage,
+    sections: alignSections(extractSections(oldMarkdown), extractSections(newMarkdown), { sameLanguage }),
+    definitions: compareDefinitions(extractDefinitions(oldMarkdown), extractDefinitions(newMarkdown)),
+    formulas: compareFormulas(extractFormulas(oldMarkdown), extractFormulas(newMarkdown))
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Machine-readable verification reports
+ *
+ * Turns the per-article results of `verify.mjs` into a JSON report, a JUnit XML
+ * file or a TAP stream, so dashboards and test runners can consume them.
+ *
+ * Each article result is `{ article, success, details?, checks? }` where a check
+ * is `{ category, text, passed, matchRate?, details?, line?, section? }` (`line`
+ * is the Markdown line of the match or gap). An article without
+ * checks failed before anything could be compared (e.g. a missing file) and is
+ * reported as an error with its `details`.
+ */
+
+import { escapeHtml } from './html-escape.mjs';
+
+export const REPORT_FORMATS = ['json', 'junit', 'tap'];
+
+// Length of check names (the full text is kept in the report body)
+const NAME_LENGTH = 80;
+
+/**
+ * Short single-line name of a check
+ */
+function checkName(check) {
+  const text = check.text.replace(/\s+/g, ' ').trim();
+  return text.length > NAME_LENGTH ? text.substring(0, NAME_LENGTH - 3) + '...' : text;
+}
+
+/**
+ * Build the JSON report of a verification run
+ *
+ * `mode` is `content` (markdown against the original page) or `integrity`.
+ */
+export function buildReport(results, { mode = 'content' } = {}) {
+  const articles = results.map(result => {
+    const checks = result.checks || [];
+    const passed = checks.filter(check => check.passed).length;
+    const entry = {
+      version: result.article.version,
+      title: result.article.title,
+      url: result.article.url,
+      success: Boolean(result.success),
+      total: checks.length,
+      passed,
+      failed: checks.length - passed,
+      passRate: checks.length > 0 ? passed / checks.length : 0,
+      checks
+    };
+    if (!result.checks) entry.error = result.details || 'Verification failed';
+    return entry;
+  });
+
+  const total = articles.reduce((sum, article) => sum + article.total, 0);
+  const passed = articles.reduce((sum, article) => sum + article.passed, 0);
+
+  return {
+    mode,
+    success: articles.every(article => article.success),
+    summary: {
+      articles: articles.length,
+      total,
+      passed,
+      failed: total - passed,
+      errors: articles.filter(article => article.error).length
+    },
+    articles
+  };
+}
+
+/**
+ * Escape text for XML attributes and content (dropping characters XML forbids)
+ */
+function escapeXml(text) {
+  return escapeHtml(String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+}
+
+/**
+ * Describe a check: category, match rate and extra details
+ */
+function describeCheck(check) {
+  const parts = [check.category];
+  if (typeof check.matchRate === 'number') parts.push(`${(check.matchRate * 100).toFixed(0)}% match`);
+  if (check.details) parts.push(check.details);
+  return parts.join(', ');
+}
+
+/**
+ * Format a report as JUnit XML: one test suite per article, one test case per check
+ */
+export function formatJUnit(report) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<testsuites name="verify-${report.mode}" tests="${report.summary.total + report.summary.errors}" failures="${report.summary.failed}" errors="${report.summary.errors}">`);
+
+  for (const article of report.articles) {
+    const errors = article.error ? 1 : 0;
+    lines.push(`  <testsuite name="${escapeXml(article.version)}" tests="${article.total + errors}" failures="${article.failed}" errors="${errors}">`);
+    lines.push(`    <properties>`);
+    lines.push(`      <property name="title" value="${escapeXml(article.title)}"/>`);
+    lines.push(`      <property name="url" value="${escapeXml(article.url)}"/>`);
+    lines.push(`    </properties>`);
+
+    if (article.error) {
+      lines.push(`    <testcase classname="${escapeXml(article.version)}" name="verification">`);
+      lines.push(`      <error message="${escapeXml(article.error)}"/>`);
+      lines.push(`    </testcase>`);
+    }
+
+    for (const check of article.checks) {
+      const classname = `${article.version}.${check.category}`;
+      if (check.passed) {
+        lines.push(`    <testcase classname="${escapeXml(classname)}" name="${escapeXml(checkName(check))}"/>`);
+      } else {
+        lines.push(`    <testcase classname="${escapeXml(classname)}" name="${escapeXml(checkName(check))}">`);
+        lines.push(`      <failure type="${escapeXml(check.category)}" message="${escapeXml(describeCheck(check))}">${escapeXml(check.text)}</failure>`);
+        lines.push(`    </testcase>`);
+      }
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a report as TAP version 13, with YAML diagnostics for failed checks
+ */
+export function formatTap(report) {
+  const tests = [];
+  for (const article of report.articles) {
+    if (article.error) {
+      tests.push({ ok: false, name: `${article.version} verification`, diagnostics: { message: article.error } });
+    }
+    for (const check of article.checks) {
+      const diagnostics = { category: check.category };
+      if (typeof check.matchRate === 'number') diagnostics.matchRate = Number(check.matchRate.toFixed(3));
+      if (check.details) diagnostics.details = check.details;
+      if (check.line) diagnostics.line = check.line;
+      diagnostics.text = check.text;
+      tests.push({ ok: check.passed, name: `${article.version} ${check.category}: ${checkName(check)}`, diagnostics });
+    }
+  }
+
+  const lines = ['TAP version 13', `1..${tests.length}`];
+  tests.forEach((test, index) => {
+    // '#' would start a TAP directive in the description
+    lines.push(`${test.ok ? 'ok' : 'not ok'} ${index + 1} - ${test.name.replace(/#/g, '\\#')}`);
+    if (!test.ok) {
+      lines.push('  ---');
+      for (const [key, value] of Object.entries(test.diagnostics)) {
+        lines.push(`  ${key}: ${typeof value === 'string' ? JSON.stringify(value) : value}`);
+      }
+      lines.push('  ...');
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a report in one of REPORT_FORMATS
+ */
+export function formatReport(report, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(report, null, 2) + '\n';
+    case 'junit':
+      return formatJUnit(report);
+    case 'tap':
+      return formatTap(report);
+    default:
+      throw new Error(`Unknown report format: ${format}. Available: ${REPORT_FORMATS.join(', ')}`);
+  }
+}
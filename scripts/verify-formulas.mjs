@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Formula validation for archived articles
+ *
+ * Extracts every `$...$` and `$$...$$` formula from an article's Markdown file,
+ * renders it offline with KaTeX and reports parse errors with line numbers.
+ * Formulas using constructs that GitHub's math renderer does not support are
+ * flagged as well.
+ *
+ * Usage:
+ *   node scripts/verify-formulas.mjs [versions...] [options]
+ *   node scripts/verify-formulas.mjs --all
+ *
+ * Examples:
+ *   node scripts/verify-formulas.mjs 0.0.2              # Validate article.md
+ *   node scripts/verify-formulas.mjs --all --downloaded # Validate downloaded.md files
+ *   node scripts/verify-formulas.mjs --all --strict     # Also fail on GitHub issues
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule, SHARED_OPTIONS } from './cli.mjs';
+import { validateMarkdownFormulas, summarizeValidation } from './formula-validation.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * Shorten a formula for one-line console output
+ */
+function preview(latex, length = 60) {
+  const text = latex.replace(/\s+/g, ' ');
+  return text.length > length ? text.substring(0, length) + '...' : text;
+}
+
+/**
+ * Validate the formulas of a single article
+ */
+function verifyArticleFormulas(article, options) {
+  const markdownFile = options.downloaded ? 'downloaded.md' : article.markdownFile;
+  const markdownPath = join(ROOT_DIR, article.archivePath, markdownFile);
+
+  console.log(`\n🧮 Validating formulas: ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+  console.log(`   File: ${markdownPath}`);
+
+  if (!existsSync(markdownPath)) {
+    console.log(`   ❌ File not found: ${markdownPath}`);
+    return { success: false, details: 'File not found' };
+  }
+
+  const results = validateMarkdownFormulas(readFileSync(markdownPath, 'utf-8'));
+  const summary = summarizeValidation(results);
+
+  for (const result of results) {
+    if (result.error) {
+      console.log(`   ❌ Line ${result.error.line}: ${result.error.message}`);
+      console.log(`      ${result.kind}: ${preview(result.latex)}`);
+    }
+    for (const issue of result.github) {
+      console.log(`   ⚠️  Line ${result.line} [${issue.rule}]: ${issue.message}`);
+      if (options.verbose) {
+        console.log(`      ${result.kind}: ${preview(result.latex)}`);
+      }
+    }
+    if (options.verbose) {
+      for (const warning of result.warnings) {
+        console.log(`   ℹ️  Line ${result.line} [${warning.code}]: ${warning.message}`);
+      }
+    }
+  }
+
+  const byKind = {};
+  for (const result of results) {
+    byKind[result.kind] = (byKind[result.kind] || 0) + 1;
+  }
+
+  console.log('\n' + '─'.repeat(70));
+  console.log('📊 FORMULA SUMMARY');
+  console.log('─'.repeat(70));
+  console.log(`   Formulas: ${summary.total} (${Object.entries(byKind).map(([kind, count]) => `${count} ${kind}`).join(', ') || 'none'})`);
+  console.log(`   ${summary.errors === 0 ? '✅' : '❌'} KaTeX parse errors: ${summary.errors}`);
+  console.log(`   ${summary.github === 0 ? '✅' : '⚠️ '} GitHub compatibility issues: ${summary.github}`);
+  console.log(`   ℹ️  KaTeX warnings: ${summary.warnings}${options.verbose ? '' : ' (use --verbose to list)'}`);
+
+  const success = summary.errors === 0 && (!options.strict || summary.github === 0);
+  return { success, details: `${summary.total} formulas, ${summary.errors} errors, ${summary.github} GitHub issues`, summary };
+}
+
+export const verifyFormulasCommand = {
+  name: 'verify-formulas',
+  script: 'verify-formulas.mjs',
+  description: 'Render the formulas of archived articles with KaTeX and check GitHub math compatibility.',
+  banner: '🚀 Formula Validation Script',
+  options: [
+    { ...SHARED_OPTIONS.downloaded, description: 'Validate downloaded.md instead of article.md' },
+    { name: 'strict', type: 'boolean', description: 'Fail on GitHub compatibility issues, not only on parse errors' }
+  ],
+  examples: ['0.0.2', '--all', '--all --downloaded --strict'],
+  before(options) {
+    if (options.downloaded) {
+      console.log('📄 Validating downloaded.md files\n');
+    }
+  },
+  runArticle: verifyArticleFormulas
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(verifyFormulasCommand);
+}
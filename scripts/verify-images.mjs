@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Image integrity checks for archived articles
+ *
+ * Decodes the header of every image in archive/<version>/images, listed in
+ * images/metadata.json or referenced as `![...](images/...)` in the Markdown,
+ * and reports missing and empty files, HTML error pages saved as images,
+ * extensions that do not match the data and dimensions that differ from
+ * metadata.json. With --update, metadata.json is rewritten in the unified
+ * schema with the current format, dimensions and size of every image.
+ *
+ * Usage:
+ *   node scripts/verify-images.mjs [versions...] [options]
+ *   node scripts/verify-images.mjs --all
+ *
+ * Examples:
+ *   node scripts/verify-images.mjs --all              # Check all articles
+ *   node scripts/verify-images.mjs 0.0.2 --verbose    # List every image
+ *   node scripts/verify-images.mjs --all --update     # Record dimensions in metadata.json
+ *   node scripts/verify-images.mjs --all --strict     # Also fail on warnings
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runMain, isMainModule, SHARED_OPTIONS } from './cli.mjs';
+import { METADATA_FILE, checkImages, describeImages } from './image-metadata.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+/**
+ * Describe an image for console output: format, dimensions and references
+ */
+function describeImage(image) {
+  const dimensions = image.width && image.height ? ` ${image.width}x${image.height}` : '';
+  const format = image.format ? `${image.format.toUpperCase()}${dimensions}` : 'unknown';
+  const lines = image.lines.length > 0 ? `, line ${image.lines.join(', ')}` : '';
+  return `${image.path} (${format}${lines})`;
+}
+
+/**
+ * Check the images of a single article
+ */
+function verifyArticleImages(article, options) {
+  const archivePath = join(ROOT_DIR, article.archivePath);
+  const markdownFile = options.downloaded ? 'downloaded.md' : article.markdownFile;
+  const markdownPath = join(archivePath, markdownFile);
+
+  console.log(`\n🖼️  Checking images: ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
+
+  if (!existsSync(markdownPath)) {
+    console.log(`   ❌ File not found: ${markdownPath}`);
+    return { success: false, details: 'File not found' };
+  }
+
+  const markdownText = readFileSync(markdownPath, 'utf-8');
+  const images = checkImages(archivePath, markdownText, { imagesDir: article.imagesDir });
+  const referenced = images.filter(image => image.lines.length > 0).length;
+  console.log(`   Images: ${images.length} (${referenced} referenced in ${markdownFile}, ${images.filter(image => image.recorded).length} in ${METADATA_FILE})`);
+
+  let errors = 0;
+  let warnings = 0;
+  for (const image of images) {
+    if (image.problems.length === 0) {
+      if (options.verbose) console.log(`   ✅ ${describeImage(image)}`);
+      continue;
+    }
+    for (const problem of image.problems) {
+      if (problem.severity === 'error') errors++;
+      else warnings++;
+      console.log(`   ${problem.severity === 'error' ? '❌' : '⚠️ '} ${describeImage(image)}: ${problem.message}`);
+    }
+  }
+
+  if (options.update) {
+    const metadataPath = join(archivePath, article.imagesDir, METADATA_FILE);
+    const entries = describeImages(archivePath, markdownText, { imagesDir: article.imagesDir });
+    if (options.dryRun) {
+      console.log(`   📝 [DRY RUN] Would save ${entries.length} entries: ${metadataPath}`);
+    } else {
+      writeFileSync(metadataPath, JSON.stringify(entries, null, 2) + '\n', 'utf-8');
+      console.log(`   ✅ Metadata saved: ${metadataPath} (${entries.length} entries)`);
+    }
+  }
+
+  console.log(`   ${errors === 0 ? '✅' : '❌'} ${errors} errors, ${warnings} warnings`);
+
+  return {
+    success: errors === 0 && (!options.strict || warnings === 0),
+    details: `${images.length} images, ${errors} errors, ${warnings} warnings`,
+    images
+  };
+}
+
+export const verifyImagesCommand = {
+  name: 'verify-images',
+  script: 'verify-images.mjs',
+  description: `Check archived images against ${METADATA_FILE} and the markdown references.`,
+  banner: '🚀 Image Verification Script',
+  options: [
+    SHARED_OPTIONS.downloaded,
+    { name: 'update', type: 'boolean', description: `Rewrite ${METADATA_FILE} with the current format, dimensions and size of every image` },
+    { name: 'strict', type: 'boolean', description: 'Also fail on warnings (images missing from the metadata)' }
+  ],
+  examples: ['--all', '0.0.2 --verbose', '--all --update', '--all --strict'],
+  runArticle: verifyArticleImages
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(verifyImagesCommand);
+}
@@ -7,51 +7,35 @@
  * from the original web page.
  *
  * Usage:
- *   node scripts/verify.mjs [version]
+ *   node scripts/verify.mjs [versions...] [options]
  *   node scripts/verify.mjs --all
  *
  * Examples:
  *   node scripts/verify.mjs 0.0.2     # Verify 0.0.2 article
  *   node scripts/verify.mjs --all     # Verify all articles
+ *   node scripts/verify.mjs --all --from-snapshot  # Verify offline against saved snapshots
+ *   node scripts/verify.mjs --all --integrity      # Check files against manifest.json
+ *   node scripts/verify.mjs 0.0.1 --complete       # Check every paragraph, list item and caption
+ *   node scripts/verify.mjs 0.0.1 --complete --tolerance 0.05  # Allow 5% of the checks to fail
+ *   node scripts/verify.mjs --all --from-snapshot --format junit --output verify.xml
  */
 
 import { chromium } from 'playwright';
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { getArticle, getAllArticles } from './articles-config.mjs';
+import { runMain, isMainModule, SHARED_OPTIONS, UsageError } from './cli.mjs';
+import { openArticlePage } from './snapshot.mjs';
+import { getSourceAdapter, getPageSelectors } from './source-adapters.mjs';
+import { MANIFEST_FILE, getArchiveDir, readManifest, checkIntegrity } from './integrity.mjs';
+import { REPORT_FORMATS, buildReport, formatReport } from './verification-report.mjs';
+import { verifyCoverage } from './content-alignment.mjs';
+import { checkLinks } from './link-preservation.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, '..');
 
-/**
- * Parse command line arguments
- */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    version: null,
-    all: false,
-    verbose: false,
-    downloaded: false  // Verify downloaded.md instead of article.md
-  };
-
-  for (const arg of args) {
-    if (arg === '--all') {
-      options.all = true;
-    } else if (arg === '--verbose' || arg === '-v') {
-      options.verbose = true;
-    } else if (arg === '--downloaded') {
-      options.downloaded = true;
-    } else if (!arg.startsWith('-')) {
-      options.version = arg;
-    }
-  }
-
-  return options;
-}
-
 /**
  * Normalize text for comparison by removing extra whitespace and normalizing unicode
  */
@@ -98,139 +82,133 @@ function normalizeCode(text) {
 /**
  * Extract content from the web page
  */
-async function extractWebPageContent(article, verbose = false) {
-  if (verbose) console.log('🌐 Loading web page:', article.url);
-
-  const browser = await chromium.launch({ headless: true });
-  const page = await browser.newPage();
-
-  // Navigate to the page and wait for it to fully load
-  await page.goto(article.url, {
-    waitUntil: 'domcontentloaded',
-    timeout: 120000
-  });
-
-  // Wait for article body to appear
-  await page.waitForSelector('.article-formatted-body', { timeout: 30000 });
-
-  // Scroll through the page to trigger lazy loading
-  await page.evaluate(async () => {
-    const scrollHeight = document.documentElement.scrollHeight;
-    const viewportHeight = window.innerHeight;
-    const scrollSteps = Math.ceil(scrollHeight / viewportHeight);
-
-    for (let i = 0; i < scrollSteps; i++) {
-      window.scrollTo(0, i * viewportHeight);
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    window.scrollTo(0, 0);
-  });
-
-  // Wait for dynamic content
-  await page.waitForTimeout(2000);
-
-  const content = {
-    title: '',
-    headings: [],
-    paragraphs: [],
-    codeBlocks: [],
-    formulas: [],
-    blockquoteFormulas: [],  // Formulas inside blockquotes
-    listItems: [],
-    links: [],
-    figures: []
-  };
+export async function extractWebPageContent(article, verbose = false, fromSnapshot = false) {
+  if (verbose) {
+    console.log(fromSnapshot ? '💾 Loading snapshot of:' : '🌐 Loading web page:', fromSnapshot ? article.url : await getSourceAdapter(article).resolveUrl(article));
+  }
 
-  // Extract article title
-  const title = await page.$eval('article h1', el => el.innerText.trim()).catch(() => '');
-  content.title = title;
+  // Selectors of the article title and body for the article's source
+  const selectors = getPageSelectors(article);
+  const inBody = (...targets) => targets.map(target => `${selectors.body} ${target}`).join(', ');
 
-  // Extract headings from main article body
-  const headings = await page.$$eval('.article-formatted-body h2, .article-formatted-body h3, .article-formatted-body h4', elements => {
-    return elements
-      .map(el => ({
-        level: el.tagName.toLowerCase(),
-        text: el.innerText.trim()
-      }))
-      .filter(h => h.text.length > 0);
-  });
-  content.headings = headings;
-
-  // Extract paragraphs from article body
-  const paragraphs = await page.$$eval('.article-formatted-body p', elements =>
-    elements.map(el => el.innerText.trim())
-  );
-  content.paragraphs = paragraphs.filter(p => p.length > 10);
-
-  // Extract code blocks from article body
-  const codeBlocks = await page.$$eval('.article-formatted-body pre code, .article-formatted-body pre', elements =>
-    elements.map(el => el.innerText.trim())
-  );
-  content.codeBlocks = codeBlocks.filter(c => c.length > 0);
-
-  // Extract formulas (math content) from article body
-  const formulas = await page.$$eval('.article-formatted-body .math, .article-formatted-body [class*="formula"], .article-formatted-body .katex, .article-formatted-body mjx-container', elements =>
-    elements.map(el => el.innerText.trim())
-  );
-  content.formulas = formulas.filter(f => f.length > 0);
-
-  // Extract formulas inside blockquotes (important for correct formatting)
-  const blockquoteFormulas = await page.$$eval('.article-formatted-body blockquote', elements => {
-    const results = [];
-    for (const blockquote of elements) {
-      // Look for formula images inside blockquotes
-      const formulaImgs = blockquote.querySelectorAll('img.formula');
-      for (const img of formulaImgs) {
-        const source = img.getAttribute('source');
-        if (source) {
-          results.push(source);
+  const browser = await chromium.launch({ headless: true });
+  let content;
+  try {
+    const page = await browser.newPage();
+
+    // Load the live page, or the saved snapshot when running offline
+    await openArticlePage(page, article, { fromSnapshot });
+
+    content = {
+      title: '',
+      headings: [],
+      paragraphs: [],
+      codeBlocks: [],
+      formulas: [],
+      blockquoteFormulas: [],  // Formulas inside blockquotes
+      listItems: [],
+      links: [],
+      figures: [],
+      figureCaptions: []
+    };
+
+    // Extract article title
+    const title = await page.$eval(selectors.title, el => el.innerText.trim()).catch(() => '');
+    content.title = title;
+
+    // Extract headings from main article body
+    const headings = await page.$$eval(inBody('h2', 'h3', 'h4'), elements => {
+      return elements
+        .map(el => ({
+          level: el.tagName.toLowerCase(),
+          text: el.innerText.trim()
+        }))
+        .filter(h => h.text.length > 0);
+    });
+    content.headings = headings;
+
+    // Extract paragraphs from article body
+    const paragraphs = await page.$$eval(inBody('p'), elements =>
+      elements.map(el => el.innerText.trim())
+    );
+    content.paragraphs = paragraphs.filter(p => p.length > 10);
+
+    // Extract code blocks from article body
+    const codeBlocks = await page.$$eval(inBody('pre code', 'pre'), elements =>
+      elements.map(el => el.innerText.trim())
+    );
+    content.codeBlocks = codeBlocks.filter(c => c.length > 0);
+
+    // Extract formulas (math content) from article body
+    const formulas = await page.$$eval(inBody('.math', '[class*="formula"]', '.katex', 'mjx-container'), elements =>
+      elements.map(el => el.innerText.trim())
+    );
+    content.formulas = formulas.filter(f => f.length > 0);
+
+    // Extract formulas inside blockquotes (important for correct formatting)
+    const blockquoteFormulas = await page.$$eval(inBody('blockquote'), elements => {
+      const results = [];
+      for (const blockquote of elements) {
+        // Look for formula images inside blockquotes
+        const formulaImgs = blockquote.querySelectorAll('img.formula');
+        for (const img of formulaImgs) {
+          const source = img.getAttribute('source');
+          if (source) {
+            results.push(source);
+          }
         }
-      }
-      // Also check for KaTeX/MathJax inside blockquotes
-      const mathEls = blockquote.querySelectorAll('.katex, .math, mjx-container');
-      for (const mathEl of mathEls) {
-        const annotation = mathEl.querySelector('annotation[encoding="application/x-tex"]');
-        if (annotation) {
-          results.push(annotation.textContent.trim());
-        } else {
-          const tex = mathEl.getAttribute('data-tex') || mathEl.getAttribute('data-latex');
-          if (tex) results.push(tex);
+        // Also check for KaTeX/MathJax inside blockquotes
+        const mathEls = blockquote.querySelectorAll('.katex, .math, mjx-container');
+        for (const mathEl of mathEls) {
+          const annotation = mathEl.querySelector('annotation[encoding="application/x-tex"]');
+          if (annotation) {
+            results.push(annotation.textContent.trim());
+          } else {
+            const tex = mathEl.getAttribute('data-tex') || mathEl.getAttribute('data-latex');
+            if (tex) results.push(tex);
+          }
         }
       }
-    }
-    return results;
-  });
-  content.blockquoteFormulas = blockquoteFormulas.filter(f => f.length > 0);
-
-  // Extract list items from article body
-  const listItems = await page.$$eval('.article-formatted-body li', elements =>
-    elements.map(el => el.innerText.trim())
-  );
-  content.listItems = listItems.filter(li => li.length > 0);
-
-  // Extract important links from article body
-  const links = await page.$$eval('.article-formatted-body a[href]', elements =>
-    elements.map(el => ({
-      text: el.innerText.trim(),
-      href: el.href
-    }))
-  );
-  content.links = links.filter(l => l.text.length > 0);
-
-  // Extract figure count
-  const figures = await page.$$eval('.article-formatted-body figure', elements =>
-    elements.map(figure => {
-      const figcaption = figure.querySelector('figcaption');
-      const captionText = figcaption?.innerText || '';
-      // Match multiple languages: "Figure X", "Рис. X", "Рисунок X"
-      const figureMatch = captionText.match(/(?:Figure|Рис\.?|Рисунок)\s*(\d+)/i);
-      return figureMatch ? parseInt(figureMatch[1]) : null;
-    }).filter(f => f !== null)
-  );
-  content.figures = figures;
-
-  await browser.close();
+      return results;
+    });
+    content.blockquoteFormulas = blockquoteFormulas.filter(f => f.length > 0);
+
+    // Extract list items from article body
+    const listItems = await page.$$eval(inBody('li'), elements =>
+      elements.map(el => el.innerText.trim())
+    );
+    content.listItems = listItems.filter(li => li.length > 0);
+
+    // Extract important links from article body
+    const links = await page.$$eval(inBody('a[href]'), elements =>
+      elements.map(el => ({
+        text: el.innerText.trim(),
+        href: el.href,
+        rawHref: el.getAttribute('href')
+      }))
+    );
+    content.links = links.filter(l => l.text.length > 0);
+
+    // Extract figure count
+    const figures = await page.$$eval(inBody('figure'), elements =>
+      elements.map(figure => {
+        const figcaption = figure.querySelector('figcaption');
+        const captionText = figcaption?.innerText || '';
+        // Match multiple languages: "Figure X", "Рис. X", "Рисунок X"
+        const figureMatch = captionText.match(/(?:Figure|Рис\.?|Рисунок)\s*(\d+)/i);
+        return figureMatch ? parseInt(figureMatch[1]) : null;
+      }).filter(f => f !== null)
+    );
+    content.figures = figures;
+
+    // Extract figure captions (for complete verification)
+    const figureCaptions = await page.$$eval(inBody('figure figcaption'), elements =>
+      elements.map(el => el.innerText.trim())
+    );
+    content.figureCaptions = figureCaptions.filter(c => c.length > 0);
+  } finally {
+    await browser.close();
+  }
 
   if (verbose) {
     console.log('✅ Extracted content from web page:');
@@ -248,10 +226,16 @@ async function extractWebPageContent(article, verbose = false) {
   return content;
 }
 
+// Share of the sampled checks that must pass when some content is missing
+const SAMPLE_MIN_PASS_RATE = 0.85;
+
 /**
  * Verify that markdown contains the web page content
+ *
+ * Sampled checks pass with SAMPLE_MIN_PASS_RATE. In complete mode any missing
+ * content fails the article unless at most `tolerance` of the checks failed.
  */
-function verifyMarkdownContent(article, webContent, markdownText, verbose = false) {
+export function verifyMarkdownContent(article, webContent, markdownText, verbose = false, complete = false, tolerance = 0) {
   if (verbose) console.log('\n🔍 Verifying markdown content...\n');
 
   const normalizedMarkdown = normalizeText(markdownText);
@@ -263,8 +247,12 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
     formulas: [],
     blockquoteFormulas: [],  // Formulas inside blockquotes with incorrect formatting
     listItems: [],
+    links: [],           // Dropped links and links with a different target
+    figureCaptions: [],  // Complete mode only
     images: 0
   };
+  // Every check with its outcome, for machine-readable reports
+  const checks = [];
 
   let totalChecks = 0;
   let passedChecks = 0;
@@ -274,7 +262,9 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
   if (webContent.title) {
     totalChecks++;
     const normalizedTitle = normalizeText(webContent.title);
-    if (normalizedMarkdown.includes(normalizedTitle)) {
+    const found = normalizedMarkdown.includes(normalizedTitle);
+    checks.push({ category: 'title', text: webContent.title, passed: found, matchRate: found ? 1 : 0 });
+    if (found) {
       passedChecks++;
       if (verbose) console.log(`   ✅ Title found: "${webContent.title}"`);
     } else {
@@ -288,7 +278,9 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
   for (const heading of webContent.headings) {
     totalChecks++;
     const normalized = normalizeText(heading.text);
-    if (normalizedMarkdown.includes(normalized)) {
+    const found = normalizedMarkdown.includes(normalized);
+    checks.push({ category: 'heading', text: heading.text, passed: found, matchRate: found ? 1 : 0 });
+    if (found) {
       passedChecks++;
     } else {
       missing.headings.push(heading.text);
@@ -296,9 +288,9 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
     }
   }
 
-  // Check paragraphs (sample)
-  if (verbose) console.log('\n📄 Checking sample paragraphs (first 5 and last 5)...');
-  const paragraphsToCheck = [
+  // Check paragraphs (sample; complete mode aligns every paragraph below)
+  if (verbose && !complete) console.log('\n📄 Checking sample paragraphs (first 5 and last 5)...');
+  const paragraphsToCheck = complete ? [] : [
     ...webContent.paragraphs.slice(0, 5),
     ...webContent.paragraphs.slice(-5)
   ];
@@ -312,8 +304,10 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
 
     const substringMatch = normalized.length > 20 &&
       normalizedMarkdown.includes(normalized.substring(0, Math.min(50, normalized.length)));
+    const found = matchRate >= 0.6 || substringMatch;
+    checks.push({ category: 'paragraph', text: paragraph, passed: found, matchRate });
 
-    if (matchRate >= 0.6 || substringMatch) {
+    if (found) {
       passedChecks++;
     } else {
       missing.paragraphs.push(paragraph.substring(0, 100) + '...');
@@ -338,8 +332,10 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
     });
 
     const matchRate = lines.length > 0 ? matchingLines.length / lines.length : 1;
+    const found = matchRate >= 0.6 || normalizedMarkdownForCode.includes(normalizedCode);
+    checks.push({ category: 'code-block', text: code, passed: found, matchRate });
 
-    if (matchRate >= 0.6 || normalizedMarkdownForCode.includes(normalizedCode)) {
+    if (found) {
       passedChecks++;
     } else {
       missing.codeBlocks.push(code.substring(0, 100) + '...');
@@ -347,9 +343,9 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
     }
   }
 
-  // Check list items (sample)
-  if (verbose) console.log('\n📋 Checking sample list items (first 10)...');
-  const listItemsToCheck = webContent.listItems.slice(0, 10);
+  // Check list items (sample; complete mode aligns every list item below)
+  if (verbose && !complete) console.log('\n📋 Checking sample list items (first 10)...');
+  const listItemsToCheck = complete ? [] : webContent.listItems.slice(0, 10);
 
   for (const item of listItemsToCheck) {
     totalChecks++;
@@ -360,8 +356,10 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
 
     const substringMatch = normalized.length > 15 &&
       normalizedMarkdown.includes(normalized.substring(0, Math.min(40, normalized.length)));
+    const found = matchRate >= 0.6 || substringMatch;
+    checks.push({ category: 'list-item', text: item, passed: found, matchRate });
 
-    if (matchRate >= 0.6 || substringMatch) {
+    if (found) {
       passedChecks++;
     } else {
       missing.listItems.push(item.substring(0, 100) + '...');
@@ -369,6 +367,35 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
     }
   }
 
+  // Check links: every link of the page must keep its target
+  if (verbose) console.log('\n🔗 Checking links...');
+  for (const check of checkLinks(webContent.links, markdownText, { baseUrl: article.url })) {
+    totalChecks++;
+    checks.push(check);
+    if (check.passed) {
+      passedChecks++;
+    } else {
+      missing.links.push({ text: check.text, href: check.href, markdownHref: check.markdownHref || null, status: check.status });
+      if (verbose) console.log(`   ❌ Link ${check.status} near line ${check.line}: "${check.text.substring(0, 40)}" → ${check.href}`);
+    }
+  }
+
+  // Check every paragraph, list item and figure caption in page order
+  if (complete) {
+    if (verbose) console.log('\n🧭 Aligning all paragraphs, list items and figure captions...');
+    const missingKeys = { 'paragraph': 'paragraphs', 'list-item': 'listItems', 'figure-caption': 'figureCaptions' };
+    for (const check of verifyCoverage(webContent, markdownText)) {
+      totalChecks++;
+      checks.push(check);
+      if (check.passed) {
+        passedChecks++;
+      } else {
+        missing[missingKeys[check.category]].push(check.text.substring(0, 100) + '...');
+        if (verbose) console.log(`   ❌ Missing ${check.category} near line ${check.line}: "${check.text.substring(0, 60)}..."`);
+      }
+    }
+  }
+
   // Check blockquote formulas - verify they are properly formatted in blockquotes
   // Formulas in blockquotes should appear as either:
   // - > $$formula$$ (block formula in blockquote)
@@ -395,6 +422,7 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
 
       // Check if the formula appears in any blockquote line (with $ or $$)
       let foundInBlockquote = false;
+      let bestMatchRate = 0;
 
       // Extract all blockquote lines from markdown (lines starting with >)
       const blockquoteLines = markdownText.match(/^>.*$/gm) || [];
@@ -406,6 +434,9 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
           const matchingParts = keyParts.filter(part =>
             line.toLowerCase().includes(part.toLowerCase())
           );
+          if (keyParts.length > 0) {
+            bestMatchRate = Math.max(bestMatchRate, matchingParts.length / keyParts.length);
+          }
           // If we have key parts and at least some match, consider it found
           if (keyParts.length > 0 && matchingParts.length >= Math.min(2, keyParts.length)) {
             foundInBlockquote = true;
@@ -416,11 +447,19 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
               line.includes(formula) ||
               (formula.length < 20 && line.includes(formula.replace(/\s/g, '')))) {
             foundInBlockquote = true;
+            bestMatchRate = 1;
             break;
           }
         }
       }
 
+      checks.push({
+        category: 'blockquote-formula',
+        text: formula,
+        passed: foundInBlockquote,
+        matchRate: bestMatchRate
+      });
+
       if (foundInBlockquote) {
         passedChecks++;
         if (verbose) console.log(`   ✅ Blockquote formula found: "${formula.substring(0, 50)}..."`);
@@ -444,6 +483,13 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
       const figureMatches = markdownText.match(figurePattern) || [];
 
       totalChecks++;
+      checks.push({
+        category: 'images',
+        text: `${article.expectedFigures} figure images`,
+        passed: figureMatches.length >= article.expectedFigures,
+        matchRate: Math.min(1, figureMatches.length / article.expectedFigures),
+        details: `found ${figureMatches.length}/${article.expectedFigures}`
+      });
       if (figureMatches.length >= article.expectedFigures) {
         passedChecks++;
         if (verbose) console.log(`   ✅ All ${figureMatches.length} figure images found in markdown`);
@@ -459,6 +505,13 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
       const imageMatches = markdownText.match(imagePattern) || [];
 
       totalChecks++;
+      checks.push({
+        category: 'images',
+        text: `${article.expectedImages} local images`,
+        passed: imageMatches.length >= article.expectedImages,
+        matchRate: Math.min(1, imageMatches.length / article.expectedImages),
+        details: `found ${imageMatches.length}/${article.expectedImages}`
+      });
       if (imageMatches.length >= article.expectedImages) {
         passedChecks++;
         if (verbose) console.log(`   ✅ All ${imageMatches.length} local images found in markdown`);
@@ -474,6 +527,13 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
     const imageMatches = markdownText.match(imagePattern) || [];
 
     totalChecks++;
+    checks.push({
+      category: 'images',
+      text: 'external image references',
+      passed: imageMatches.length > 0,
+      matchRate: imageMatches.length > 0 ? 1 : 0,
+      details: `found ${imageMatches.length}`
+    });
     if (imageMatches.length > 0) {
       passedChecks++;
       if (verbose) console.log(`   ✅ Found ${imageMatches.length} external image references`);
@@ -486,21 +546,24 @@ function verifyMarkdownContent(article, webContent, markdownText, verbose = fals
   const passRate = totalChecks > 0 ? passedChecks / totalChecks : 0;
   const hasMissingContent = missing.title || missing.images > 0 ||
     Object.values(missing).some(arr => Array.isArray(arr) && arr.length > 0);
+  const minPassRate = complete ? 1 - tolerance : SAMPLE_MIN_PASS_RATE;
 
   return {
     totalChecks,
     passedChecks,
     passRate,
+    minPassRate,
     hasMissingContent,
     missing,
-    success: !hasMissingContent || passRate >= 0.85
+    checks,
+    success: !hasMissingContent || (minPassRate < 1 && passRate >= minPassRate)
   };
 }
 
 /**
  * Verify a single article
  */
-async function verifyArticle(article, verbose = false, verifyDownloaded = false) {
+async function verifyArticle(article, verbose = false, verifyDownloaded = false, fromSnapshot = false, complete = false, tolerance = 0) {
   const archivePath = join(ROOT_DIR, article.archivePath);
   const markdownFileName = verifyDownloaded ? 'downloaded.md' : article.markdownFile;
   const markdownPath = join(archivePath, markdownFileName);
@@ -511,11 +574,11 @@ async function verifyArticle(article, verbose = false, verifyDownloaded = false)
   // Check if markdown file exists
   if (!existsSync(markdownPath)) {
     console.log(`   ❌ Markdown file not found: ${markdownPath}`);
-    return false;
+    return { success: false, details: `Markdown file not found: ${markdownFileName}` };
   }
 
   // Extract content from web page
-  const webContent = await extractWebPageContent(article, verbose);
+  const webContent = await extractWebPageContent(article, verbose, fromSnapshot);
 
   // Read markdown file
   if (verbose) console.log('\n📖 Reading markdown file:', markdownPath);
@@ -523,7 +586,7 @@ async function verifyArticle(article, verbose = false, verifyDownloaded = false)
   if (verbose) console.log(`✅ Loaded markdown file (${markdownText.length} characters, ${markdownText.split('\n').length} lines)`);
 
   // Verify content
-  const result = verifyMarkdownContent(article, webContent, markdownText, verbose);
+  const result = verifyMarkdownContent(article, webContent, markdownText, verbose, complete, tolerance);
 
   // Print summary
   console.log('\n' + '─'.repeat(70));
@@ -539,13 +602,21 @@ async function verifyArticle(article, verbose = false, verifyDownloaded = false)
     console.log(`⚠️  Missing ${result.missing.headings.length} headings`);
   }
   if (result.missing.paragraphs.length > 0) {
-    console.log(`⚠️  Missing ${result.missing.paragraphs.length} paragraphs (from sample)`);
+    console.log(`⚠️  Missing ${result.missing.paragraphs.length} paragraphs${complete ? '' : ' (from sample)'}`);
   }
   if (result.missing.codeBlocks.length > 0) {
     console.log(`⚠️  Missing ${result.missing.codeBlocks.length} code blocks`);
   }
   if (result.missing.listItems.length > 0) {
-    console.log(`⚠️  Missing ${result.missing.listItems.length} list items (from sample)`);
+    console.log(`⚠️  Missing ${result.missing.listItems.length} list items${complete ? '' : ' (from sample)'}`);
+  }
+  if (result.missing.links.length > 0) {
+    const byStatus = {};
+    for (const link of result.missing.links) byStatus[link.status] = (byStatus[link.status] || 0) + 1;
+    console.log(`⚠️  ${result.missing.links.length} links not preserved (${Object.entries(byStatus).map(([status, count]) => `${count} ${status}`).join(', ')})`);
+  }
+  if (result.missing.figureCaptions.length > 0) {
+    console.log(`⚠️  Missing ${result.missing.figureCaptions.length} figure captions`);
   }
   if (result.missing.blockquoteFormulas && result.missing.blockquoteFormulas.length > 0) {
     console.log(`⚠️  Missing ${result.missing.blockquoteFormulas.length} blockquote formulas`);
@@ -554,86 +625,148 @@ async function verifyArticle(article, verbose = false, verifyDownloaded = false)
     console.log(`⚠️  Missing ${result.missing.images} figure images`);
   }
 
+  // Locate every gap found by the complete alignment
+  const gaps = result.checks.filter(check => !check.passed && check.category !== 'link' && check.details && check.details.startsWith('missing'));
+  if (gaps.length > 0) {
+    console.log('\n📍 Gaps in the markdown file:');
+    for (const gap of gaps) {
+      console.log(`   ${markdownFileName}:${gap.line} ${gap.category} "${gap.text.replace(/\s+/g, ' ').substring(0, 60)}..." — ${gap.details}`);
+    }
+  }
+
   if (!result.hasMissingContent) {
     console.log('\n🎉 SUCCESS! All checked content from the web page exists in the markdown file.');
-  } else if (result.passRate >= 0.85) {
-    console.log('\n✅ PASS! Main content is verified (pass rate >= 85%).');
+  } else if (result.success) {
+    console.log(`\n✅ PASS! Main content is verified (pass rate >= ${(result.minPassRate * 100).toFixed(0)}%).`);
   } else {
     console.log('\n❌ FAIL! Significant content appears to be missing from the markdown file.');
   }
 
-  return result.success;
+  return {
+    success: result.success,
+    details: `${result.passedChecks}/${result.totalChecks} checks passed`,
+    checks: result.checks
+  };
 }
 
 /**
- * Main function
+ * Verify archive files against the integrity manifest
  */
-async function main() {
-  const options = parseArgs();
-
-  // Show help if no version specified
-  if (!options.all && !options.version) {
-    console.log(`
-Usage: node scripts/verify.mjs [version] [options]
-
-Options:
-  --all         Verify all articles
-  --downloaded  Verify downloaded.md instead of article.md
-  --verbose     Show detailed verification output
-
-Examples:
-  node scripts/verify.mjs 0.0.2
-  node scripts/verify.mjs --all
-  node scripts/verify.mjs 0.0.2 --verbose
-  node scripts/verify.mjs --all --downloaded
-`);
-    process.exit(0);
-  }
+function verifyIntegrity(article, verbose = false) {
+  const archiveDir = getArchiveDir(article);
 
-  // Get articles to process
-  let articles = [];
-  if (options.all) {
-    articles = getAllArticles();
-  } else if (options.version) {
-    articles = [getArticle(options.version)];
-  }
+  console.log(`\n🔏 Checking integrity of ${article.title} (${article.version})`);
+  console.log('='.repeat(70));
 
-  console.log('🚀 Article Verification Script');
-  console.log('==============================');
-  if (options.downloaded) {
-    console.log('📄 Verifying downloaded.md files\n');
+  const manifest = readManifest(article, archiveDir);
+  if (!manifest) {
+    console.log(`   ❌ Manifest not found: ${join(archiveDir, MANIFEST_FILE)}`);
+    console.log(`      Create it with: node scripts/manifest.mjs ${article.version}`);
+    return { success: false, details: `Manifest not found: ${MANIFEST_FILE}` };
   }
 
-  let allPassed = true;
-  const results = [];
-
-  for (const article of articles) {
-    try {
-      const success = await verifyArticle(article, options.verbose, options.downloaded);
-      results.push({ article, success });
-      if (!success) allPassed = false;
-    } catch (error) {
-      console.error(`\n❌ Error verifying ${article.version}:`, error.message);
-      results.push({ article, success: false, error: error.message });
-      allPassed = false;
+  const result = checkIntegrity(manifest, archiveDir);
+  const modified = new Map(result.modified.map(file => [file.path, file]));
+  const missing = new Set(result.missing);
+  const checks = manifest.files.map(entry => {
+    const check = { category: 'integrity', text: entry.path, passed: !modified.has(entry.path) && !missing.has(entry.path) };
+    if (modified.has(entry.path)) {
+      const { expected, actual } = modified.get(entry.path);
+      check.details = `modified: expected ${expected.sha256} (${expected.size} bytes), got ${actual.sha256} (${actual.size} bytes)`;
+    } else if (missing.has(entry.path)) {
+      check.details = 'missing';
     }
+    return check;
+  });
+  for (const path of result.untracked) {
+    checks.push({ category: 'integrity', text: path, passed: false, details: 'not in manifest' });
   }
 
-  // Print overall summary
-  if (articles.length > 1) {
-    console.log('\n' + '='.repeat(70));
-    console.log('📊 OVERALL SUMMARY');
-    console.log('='.repeat(70));
-    for (const { article, success } of results) {
-      console.log(`   ${success ? '✅' : '❌'} ${article.version}: ${article.title}`);
+  for (const file of result.modified) {
+    console.log(`   ❌ Modified: ${file.path}`);
+    if (verbose) {
+      console.log(`      expected ${file.expected.sha256} (${file.expected.size} bytes)`);
+      console.log(`      actual   ${file.actual.sha256} (${file.actual.size} bytes)`);
     }
   }
+  for (const path of result.missing) {
+    console.log(`   ❌ Missing: ${path}`);
+  }
+  for (const path of result.untracked) {
+    console.log(`   ❌ Not in manifest: ${path}`);
+  }
 
-  console.log('\n' + '='.repeat(70));
-  process.exit(allPassed ? 0 : 1);
+  const intact = result.checked - result.modified.length - result.missing.length;
+  console.log(`   ${result.ok ? '✅' : '❌'} ${intact}/${result.checked} files match the manifest`);
+  if (!result.ok) {
+    console.log(`      If the changes are intended, update it with: node scripts/manifest.mjs ${article.version}`);
+  }
+
+  return { success: result.ok, details: `${intact}/${result.checked} files match the manifest`, checks };
 }
 
-main().catch(error => {
-  console.error('❌ Error during verification:', error);
-  process.exit(1);
-});
+export const verifyCommand = {
+  name: 'verify',
+  script: 'verify.mjs',
+  description: 'Verify that archived markdown contains the content of the original article.',
+  banner: '🚀 Article Verification Script',
+  options: [
+    SHARED_OPTIONS.downloaded,
+    SHARED_OPTIONS.fromSnapshot,
+    { name: 'integrity', type: 'boolean', description: 'Check archive files against manifest.json (offline)' },
+    { name: 'complete', type: 'boolean', description: 'Check every paragraph, list item and figure caption in order' },
+    { name: 'tolerance', type: 'number', value: '<rate>', default: 0, description: 'Share of --complete checks allowed to fail, from 0 to 1' },
+    { name: 'format', type: 'string', value: '<format>', choices: ['text', ...REPORT_FORMATS], default: 'text', description: 'Report format: text, json, junit or tap' },
+    { name: 'output', type: 'string', value: '<file>', description: 'Write the report to a file instead of stdout' }
+  ],
+  examples: ['0.0.2', '--all', '0.0.2 --verbose', '--all --downloaded', '--all --from-snapshot', '--all --integrity', '0.0.1 --complete', '0.0.1 --complete --tolerance 0.05', '--all --from-snapshot --format junit --output verify.xml', '--all --integrity --format tap'],
+  validate(options) {
+    if (options.output && options.format === 'text') {
+      throw new UsageError('--output requires --format json, junit or tap');
+    }
+    if (options.tolerance < 0 || options.tolerance >= 1) {
+      throw new UsageError('--tolerance must be at least 0 and below 1');
+    }
+    if (options.tolerance > 0 && !options.complete) {
+      throw new UsageError('--tolerance requires --complete');
+    }
+  },
+  writesToStdout(options) {
+    return options.format !== 'text' && !options.output;
+  },
+  before(options) {
+    if (options.downloaded) {
+      console.log('📄 Verifying downloaded.md files\n');
+    }
+    if (options.fromSnapshot) {
+      console.log('💾 Using saved HTML snapshots (offline)\n');
+    }
+    if (options.integrity) {
+      console.log('🔏 Checking archive integrity (offline)\n');
+    } else if (options.complete) {
+      console.log('🧭 Complete verification: every paragraph, list item and figure caption\n');
+    }
+  },
+  runArticle(article, options) {
+    return options.integrity
+      ? verifyIntegrity(article, options.verbose)
+      : verifyArticle(article, options.verbose, options.downloaded, options.fromSnapshot, options.complete, options.tolerance);
+  },
+  after(results, options) {
+    if (options.format === 'text') return;
+
+    const report = formatReport(buildReport(results, { mode: options.integrity ? 'integrity' : 'content' }), options.format);
+    if (!options.output) {
+      process.stdout.write(report);
+    } else if (options.dryRun) {
+      console.log(`📝 [DRY RUN] Would save ${options.format} report: ${options.output}`);
+    } else {
+      writeFileSync(options.output, report, 'utf-8');
+      console.log(`📝 ${options.format} report saved: ${options.output}`);
+    }
+  }
+};
+
+if (isMainModule(import.meta.url)) {
+  runMain(verifyCommand);
+}
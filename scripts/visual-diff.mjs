@@ -0,0 +1,154 @@
+/**
+ * Visual diff of screenshots
+ *
+ * Compares two RGBA images (see png.mjs) pixel by pixel. A pixel has changed
+ * when one of its channels differs by more than `tolerance` or when it lies
+ * outside one of the images (the page got longer or shorter). Changed pixels
+ * are grouped into blocks of `blockSize` pixels and adjacent changed blocks
+ * into regions, reported as bounding boxes from top to bottom.
+ *
+ * The diff image shows the new screenshot faded to light gray with changed
+ * pixels in red and every changed region outlined.
+ */
+
+export const DEFAULT_TOLERANCE = 32;
+export const DEFAULT_BLOCK_SIZE = 32;
+
+const CHANGED_COLOR = [255, 0, 0];
+const OUTLINE_COLOR = [255, 140, 0];
+const OUTLINE_WIDTH = 2;
+
+/**
+ * Compare two images
+ *
+ * Returns `{ width, height, sizeChanged, changedPixels, totalPixels,
+ * changedRatio, regions: [{ x, y, width, height, changedPixels }], mask }`
+ * where width/height cover both images and `mask` marks changed pixels.
+ */
+export function diffImages(before, after, { tolerance = DEFAULT_TOLERANCE, blockSize = DEFAULT_BLOCK_SIZE } = {}) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const columns = Math.ceil(width / blockSize);
+  const blockCounts = new Uint32Array(columns * Math.ceil(height / blockSize));
+  const mask = new Uint8Array(width * height);
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let changed = x >= before.width || y >= before.height || x >= after.width || y >= after.height;
+      if (!changed) {
+        const a = (y * before.width + x) * 4;
+        const b = (y * after.width + x) * 4;
+        for (let channel = 0; channel < 4 && !changed; channel++) {
+          changed = Math.abs(before.data[a + channel] - after.data[b + channel]) > tolerance;
+        }
+      }
+      if (changed) {
+        mask[y * width + x] = 1;
+        changedPixels++;
+        blockCounts[Math.floor(y / blockSize) * columns + Math.floor(x / blockSize)]++;
+      }
+    }
+  }
+
+  return {
+    width,
+    height,
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    changedPixels,
+    totalPixels: width * height,
+    changedRatio: width * height > 0 ? changedPixels / (width * height) : 0,
+    regions: findRegions(blockCounts, columns, { width, height, blockSize }),
+    mask
+  };
+}
+
+/**
+ * Group adjacent changed blocks into regions (bounding boxes in pixels)
+ */
+function findRegions(blockCounts, columns, { width, height, blockSize }) {
+  const rows = blockCounts.length / columns;
+  const visited = new Uint8Array(blockCounts.length);
+  const regions = [];
+
+  for (let start = 0; start < blockCounts.length; start++) {
+    if (!blockCounts[start] || visited[start]) continue;
+
+    let [minColumn, maxColumn, minRow, maxRow] = [Infinity, -1, Infinity, -1];
+    let changedPixels = 0;
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const block = stack.pop();
+      const row = Math.floor(block / columns);
+      const column = block % columns;
+      changedPixels += blockCounts[block];
+      minColumn = Math.min(minColumn, column);
+      maxColumn = Math.max(maxColumn, column);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      const neighbors = [
+        row > 0 && block - columns,
+        row < rows - 1 && block + columns,
+        column > 0 && block - 1,
+        column < columns - 1 && block + 1
+      ];
+      for (const neighbor of neighbors) {
+        if (neighbor !== false && blockCounts[neighbor] && !visited[neighbor]) {
+          visited[neighbor] = 1;
+          stack.push(neighbor);
+        }
+      }
+    }
+
+    const x = minColumn * blockSize;
+    const y = minRow * blockSize;
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxColumn + 1) * blockSize) - x,
+      height: Math.min(height, (maxRow + 1) * blockSize) - y,
+      changedPixels
+    });
+  }
+
+  return regions.sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Render the diff image: the new screenshot (the old one where the new one
+ * ends) faded, changed pixels in red, changed regions outlined
+ */
+export function renderDiffImage(before, after, diff) {
+  const { width, height, mask } = diff;
+  const data = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      if (mask[y * width + x]) {
+        data.set(CHANGED_COLOR, out);
+      } else {
+        const source = x < after.width && y < after.height ? after : before;
+        const i = (y * source.width + x) * 4;
+        const luma = 0.299 * source.data[i] + 0.587 * source.data[i + 1] + 0.114 * source.data[i + 2];
+        const faded = Math.round(255 - (255 - luma) * 0.3);
+        data[out] = data[out + 1] = data[out + 2] = faded;
+      }
+      data[out + 3] = 255;
+    }
+  }
+
+  for (const region of diff.regions) {
+    for (let y = region.y; y < region.y + region.height; y++) {
+      for (let x = region.x; x < region.x + region.width; x++) {
+        const border = x - region.x < OUTLINE_WIDTH || region.x + region.width - 1 - x < OUTLINE_WIDTH ||
+          y - region.y < OUTLINE_WIDTH || region.y + region.height - 1 - y < OUTLINE_WIDTH;
+        if (border && !mask[y * width + x]) data.set(OUTLINE_COLOR, (y * width + x) * 4);
+      }
+    }
+  }
+
+  return { width, height, data };
+}
@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findReferencesSection,
+  parseReference,
+  extractBibliography,
+  citationKeys,
+  toBibTeX,
+  toCslJson
+} from '../scripts/bibliography.mjs';
+
+const CODD_URL = 'https://dl.acm.org/doi/abs/10.1145/362384.362685';
+const BENDER_URL = 'https://books.google.com/books?id=vaXv_yhefG8C';
+
+const MARKDOWN = `# The Links Theory
+
+## Relational Algebra
+
+Relations [[1]](${CODD_URL}) and sequences [[2]](${BENDER_URL}).
+
+Unknown source [[5]](https://example.com/five) and [[1]](https://example.com/other).
+
+\`\`\`
+[[3]](https://example.com/code)
+\`\`\`
+
+### References
+
+- Edgar F. Codd, IBM Research Laboratory, San Jose, California, June 1970, [“Relational Model of Data for Large Shared Data Banks.”, paragraph 1.3., page 379](${CODD_URL})
+- Bender, Edward A.; Williamson, S. Gill (2010). [“Lists, Decisions and Graphs. With an Introduction to Probability.”, section 2, definition 6, page 161](${BENDER_URL})
+- Homan, J. V., & Kovacs, P. J. (2009). [A Comparison of the Relational Database Model and the Associative Database Model](https://example.com/homan)
+
+---
+
+*Source: archive*
+`;
+
+test('findReferencesSection stops at the horizontal rule', () => {
+  const section = findReferencesSection(MARKDOWN);
+  assert.equal(section.heading, 'References');
+  assert.equal(section.line, 13);
+  assert.equal(section.endLine, 18);
+});
+
+test('findReferencesSection recognizes Russian headings and missing sections', () => {
+  assert.equal(findReferencesSection('# Статья\n\nТекст\n\n### Ссылки\n\n- Источник\n').heading, 'Ссылки');
+  assert.equal(findReferencesSection('# Article\n\nText\n'), null);
+});
+
+test('parseReference reads author, date, title, locator and DOI', () => {
+  const reference = parseReference(`Edgar F. Codd, IBM Research Laboratory, San Jose, California, June 1970, [“Relational Model of Data for Large Shared Data Banks.”, paragraph 1.3., page 379](${CODD_URL})`);
+  assert.equal(reference.title, 'Relational Model of Data for Large Shared Data Banks');
+  assert.deepEqual(reference.authors, [{ family: 'Codd', given: 'Edgar F.' }]);
+  assert.equal(reference.year, 1970);
+  assert.equal(reference.month, 6);
+  assert.equal(reference.locator, 'paragraph 1.3., page 379');
+  assert.equal(reference.note, 'IBM Research Laboratory, San Jose, California');
+  assert.equal(reference.doi, '10.1145/362384.362685');
+  assert.equal(reference.type, 'article-journal');
+});
+
+test('parseReference reads "Family, Given (year)" author lists', () => {
+  const bender = parseReference(`Bender, Edward A.; Williamson, S. Gill (2010). [“Lists, Decisions and Graphs.”, section 2](${BENDER_URL})`);
+  assert.deepEqual(bender.authors, [{ family: 'Bender', given: 'Edward A.' }, { family: 'Williamson', given: 'S. Gill' }]);
+  assert.equal(bender.year, 2010);
+  assert.equal(bender.type, 'book');
+
+  const homan = parseReference('Homan, J. V., & Kovacs, P. J. (2009). [A Comparison](https://example.com/homan)');
+  assert.deepEqual(homan.authors, [{ family: 'Homan', given: 'J. V.' }, { family: 'Kovacs', given: 'P. J.' }]);
+  assert.equal(homan.title, 'A Comparison');
+  assert.equal(homan.type, 'document');
+});
+
+test('parseReference keeps a place after a "Given Family" author as a note', () => {
+  const reference = parseReference('Simon Williams, Great Britain (1988), [The Associative Model Of Data](https://example.com/amd.pdf)');
+  assert.deepEqual(reference.authors, [{ family: 'Williams', given: 'Simon' }]);
+  assert.equal(reference.year, 1988);
+  assert.equal(reference.note, 'Great Britain');
+});
+
+test('parseReference reads an entry without a link, title first', () => {
+  const reference = parseReference('"Relational Model of Data for Large Shared Data Banks.", paragraph 1.3., Edgar F. Codd, IBM Research Laboratory, San Jose, California, June 1970');
+  assert.equal(reference.title, 'Relational Model of Data for Large Shared Data Banks');
+  assert.deepEqual(reference.authors, [{ family: 'Codd', given: 'Edgar F.' }]);
+  assert.equal(reference.locator, 'paragraph 1.3');
+  assert.equal(reference.url, null);
+});
+
+test('extractBibliography links citations and reports issues', () => {
+  const bibliography = extractBibliography(MARKDOWN);
+
+  assert.deepEqual(bibliography.references.map(reference => [reference.number, reference.line, reference.citedAt]), [
+    [1, 15, [5, 7]],
+    [2, 16, [5]],
+    [3, 17, []]
+  ]);
+  // The citation in the code block is not counted
+  assert.deepEqual(bibliography.citations.map(citation => citation.number), [1, 2, 5, 1]);
+  assert.equal(bibliography.citations[0].section, 'Relational Algebra');
+
+  assert.deepEqual(bibliography.issues.map(issue => [issue.type, issue.number, issue.line]), [
+    ['unreferenced-citation', 5, 7],
+    ['url-mismatch', 1, 7],
+    ['unused-reference', 3, 17]
+  ]);
+});
+
+test('extractBibliography reads loose list items whose text is on the next line', () => {
+  const markdown = `Text [[1]](https://example.com/a).
+
+### Ссылки
+
+-
+
+Edgar F. Codd, June 1970, [“Relational Model.”](https://example.com/a)
+
+-
+
+Bender, Edward A.; Williamson, S. Gill (2010). [“Lists.”](https://example.com/b)
+`;
+  const { references, issues } = extractBibliography(markdown);
+  assert.deepEqual(references.map(reference => [reference.number, reference.line, reference.title]), [
+    [1, 7, 'Relational Model'],
+    [2, 11, 'Lists']
+  ]);
+  assert.deepEqual(issues.map(issue => issue.type), ['unused-reference']);
+});
+
+test('citationKeys disambiguates duplicate keys', () => {
+  const references = [
+    { number: 1, authors: [{ family: 'Codd', given: 'E. F.' }], year: 1970 },
+    { number: 2, authors: [{ family: 'Codd', given: 'E. F.' }], year: 1970 },
+    { number: 3, authors: [], year: null }
+  ];
+  assert.deepEqual(citationKeys(references), ['codd1970a', 'codd1970b', 'ref3']);
+});
+
+test('toBibTeX writes typed entries with escaped fields', () => {
+  const { references } = extractBibliography(MARKDOWN);
+  const bibtex = toBibTeX(references, { version: '0.0.2' });
+
+  assert.match(bibtex, /^% Bibliography of The Links Theory 0\.0\.2\n/);
+  assert.match(bibtex, /@article\{codd1970,\n {2}author = \{Codd, Edgar F\.\},\n {2}title = \{\{Relational Model of Data for Large Shared Data Banks\}\},\n {2}year = \{1970\},\n {2}month = jun,\n {2}doi = \{10\.1145\/362384\.362685\},/);
+  assert.match(bibtex, /@book\{bender2010,\n {2}author = \{Bender, Edward A\. and Williamson, S\. Gill\}/);
+  assert.match(bibtex, /@misc\{homan2009,/);
+  assert.equal(toBibTeX([{ number: 1, authors: [], title: 'R&D 100%', year: null, type: 'document' }]), '@misc{ref1,\n  title = {{R\\&D 100\\%}}\n}\n');
+  assert.equal(
+    toBibTeX([{ number: 1, authors: [], title: null, year: null, type: 'document', note: 'R&D', locator: 'section 2_1, 50%' }]),
+    '@misc{ref1,\n  note = {R\\&D; section 2\\_1, 50\\%}\n}\n'
+  );
+});
+
+test('toCslJson writes CSL items', () => {
+  const { references } = extractBibliography(MARKDOWN);
+  const [codd, bender] = toCslJson(references);
+
+  assert.deepEqual(codd, {
+    id: 'codd1970',
+    type: 'article-journal',
+    title: 'Relational Model of Data for Large Shared Data Banks',
+    author: [{ family: 'Codd', given: 'Edgar F.' }],
+    issued: { 'date-parts': [[1970, 6]] },
+    DOI: '10.1145/362384.362685',
+    URL: CODD_URL,
+    note: 'IBM Research Laboratory, San Jose, California; paragraph 1.3., page 379',
+    'citation-number': 1
+  });
+  assert.deepEqual(bender.issued, { 'date-parts': [[2010]] });
+});
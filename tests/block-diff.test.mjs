@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdownBlocks } from '../scripts/markdown-blocks.mjs';
+import { diffBlocks, summarizeDiff, groupBySection, textSimilarity } from '../scripts/block-diff.mjs';
+
+const LEFT = `## A
+
+Links are tuples of references to links.
+
+Removed paragraph about graphs.
+
+## B
+
+$$L \\to L^2$$
+`;
+
+const RIGHT = `## A
+
+Links are tuples of references to other links.
+
+## B
+
+New paragraph.
+
+$$L \\to L^2$$
+`;
+
+test('textSimilarity', () => {
+  assert.equal(textSimilarity('a b c', 'a b c'), 1);
+  assert.equal(textSimilarity('a b', 'c d'), 0);
+  assert.equal(textSimilarity('a b c d', 'a b c e'), 0.75);
+});
+
+test('reports equal, changed, removed and added blocks in order', () => {
+  const ops = diffBlocks(parseMarkdownBlocks(LEFT), parseMarkdownBlocks(RIGHT));
+  assert.deepEqual(ops.map(entry => [entry.op, (entry.left || entry.right).type]), [
+    ['equal', 'heading'],
+    ['changed', 'paragraph'],
+    ['removed', 'paragraph'],
+    ['equal', 'heading'],
+    ['added', 'paragraph'],
+    ['equal', 'formula']
+  ]);
+});
+
+test('summarizes and groups by section', () => {
+  const ops = diffBlocks(parseMarkdownBlocks(LEFT), parseMarkdownBlocks(RIGHT));
+  const summary = summarizeDiff(ops);
+  assert.deepEqual(summary.counts, { equal: 3, changed: 1, removed: 1, added: 1 });
+  assert.ok(summary.score > 0.7 && summary.score < 1);
+  assert.deepEqual(groupBySection(ops).map(section => [section.name, section.ops.length]), [['A', 3], ['B', 3]]);
+});
+
+test('identical documents score 1', () => {
+  const blocks = parseMarkdownBlocks(LEFT);
+  assert.equal(summarizeDiff(diffBlocks(blocks, blocks)).score, 1);
+});
+
+test('changed blocks keep the order of both documents', () => {
+  const left = parseMarkdownBlocks('First paragraph about links.\n\nSecond paragraph about doublets.\n');
+  const right = parseMarkdownBlocks('Second paragraph about doublets and triplets.\n\nFirst paragraph about links here.\n');
+  const ops = diffBlocks(left, right);
+
+  const leftLines = ops.filter(entry => entry.left).map(entry => entry.left.line);
+  const rightLines = ops.filter(entry => entry.right).map(entry => entry.right.line);
+  assert.deepEqual(leftLines, [...leftLines].sort((a, b) => a - b));
+  assert.deepEqual(rightLines, [...rightLines].sort((a, b) => a - b));
+  assert.deepEqual(ops.map(entry => entry.op), ['added', 'changed', 'removed']);
+});
+
+test('a heading whose level changed is not equal', () => {
+  const ops = diffBlocks(parseMarkdownBlocks('## Links\n'), parseMarkdownBlocks('### Links\n'));
+  assert.deepEqual(ops.map(entry => [entry.op, entry.left?.level, entry.right?.level]), [['changed', 2, 3]]);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  parseCommandArgs,
+  selectArticles,
+  formatHelp,
+  runCommand,
+  UsageError,
+  EXIT_SUCCESS,
+  EXIT_FAILURE,
+  EXIT_USAGE
+} from '../scripts/cli.mjs';
+
+const COMMAND = {
+  name: 'demo',
+  script: 'demo.mjs',
+  description: 'Demo command.',
+  banner: 'Demo',
+  options: [
+    { name: 'html', type: 'boolean', description: 'Write HTML' },
+    { name: 'left', type: 'string', value: '<file>', default: 'article.md', description: 'Left file' },
+    { name: 'threshold', type: 'number', default: 0.5, description: 'Threshold' },
+    { name: 'format', type: 'string', choices: ['text', 'json'], default: 'text', description: 'Format' }
+  ],
+  examples: ['0.0.2 --html'],
+  runArticle: (article) => ({ success: article.version !== '0.0.1', details: 'ok' })
+};
+
+test('parseCommandArgs reads versions, common and command options', () => {
+  const options = parseCommandArgs(['0.0.1', '0.0.2', '--html', '-v', '--left', 'x.md', '--threshold=0.8', '--dry-run'], COMMAND);
+  assert.deepEqual(options, {
+    versions: ['0.0.1', '0.0.2'],
+    all: false,
+    dryRun: true,
+    verbose: true,
+    help: false,
+    html: true,
+    left: 'x.md',
+    threshold: 0.8,
+    format: 'text'
+  });
+});
+
+test('parseCommandArgs rejects unknown options and bad values', () => {
+  assert.throws(() => parseCommandArgs(['--bogus'], COMMAND), UsageError);
+  assert.throws(() => parseCommandArgs(['--left'], COMMAND), /requires a value/);
+  assert.throws(() => parseCommandArgs(['--left', '--html'], COMMAND), /requires a value/);
+  assert.throws(() => parseCommandArgs(['--threshold', 'high'], COMMAND), /expects a number/);
+  assert.throws(() => parseCommandArgs(['--format', 'xml'], COMMAND), /must be one of: text, json/);
+});
+
+test('selectArticles resolves versions or all articles', () => {
+  assert.deepEqual(selectArticles({ all: false, versions: ['0.0.2'] }).map(a => a.version), ['0.0.2']);
+  assert.deepEqual(selectArticles({ all: true, versions: [] }).map(a => a.version), ['0.0.0', '0.0.1', '0.0.2']);
+  assert.throws(() => selectArticles({ all: false, versions: [] }), UsageError);
+  assert.throws(() => selectArticles({ all: false, versions: ['9.9.9'] }), UsageError);
+});
+
+test('formatHelp lists command and common options with defaults', () => {
+  const help = formatHelp(COMMAND, 'meta-theory demo');
+  assert.match(help, /Usage: meta-theory demo \[versions\.\.\.\] \[options\]/);
+  assert.match(help, /--left <file>\s+Left file \(default: article\.md\)/);
+  assert.match(help, /--verbose, -v/);
+  assert.match(help, /meta-theory demo 0\.0\.2 --html/);
+});
+
+test('runCommand returns the shared exit codes', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal(await runCommand(COMMAND, ['0.0.2']), EXIT_SUCCESS);
+  assert.equal(await runCommand(COMMAND, ['--all']), EXIT_FAILURE);
+  assert.equal(await runCommand(COMMAND, []), EXIT_USAGE);
+  assert.equal(await runCommand(COMMAND, ['--help']), EXIT_SUCCESS);
+  assert.equal(await runCommand({ ...COMMAND, runArticle: () => { throw new Error('boom'); } }, ['0.0.2']), EXIT_FAILURE);
+});
+
+test('runCommand sends progress to stderr for stdout reports and runs after()', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const error = t.mock.method(console, 'error', () => {});
+  let received = null;
+  const command = {
+    ...COMMAND,
+    writesToStdout: (options) => options.format === 'json',
+    after: (results) => { received = results; console.log('report'); }
+  };
+
+  assert.equal(await runCommand(command, ['0.0.2', '--format', 'json']), EXIT_SUCCESS);
+  assert.deepEqual(log.mock.calls.map(call => call.arguments[0]), ['report']);
+  assert.equal(error.mock.calls[0].arguments[0], 'Demo');
+  assert.deepEqual(received.map(r => [r.article.version, r.success, r.details]), [['0.0.2', true, 'ok']]);
+  assert.equal(console.log, log);
+});
+
+test('every standalone script is a meta-theory subcommand', () => {
+  const scriptsDir = fileURLToPath(new URL('../scripts/', import.meta.url));
+  const unified = readFileSync(`${scriptsDir}meta-theory.mjs`, 'utf-8');
+  const scripts = readdirSync(scriptsDir).filter(file => file.endsWith('.mjs') && file !== 'meta-theory.mjs');
+  for (const file of scripts) {
+    const source = readFileSync(`${scriptsDir}${file}`, 'utf-8');
+    if (!/^#!/.test(source)) continue;
+    assert.match(source, /runMain\(\w+Command\)/, `${file} parses its own arguments`);
+    assert.ok(unified.includes(`from './${file}'`), `${file} is not registered in meta-theory.mjs`);
+  }
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMarkdownUnits, extractMarkdownLinks, alignOrdered, verifyCoverage } from '../scripts/content-alignment.mjs';
+
+const MARKDOWN = `# Title
+
+## Links
+
+A **link network** is a set of [links](https://en.wikipedia.org/wiki/Link_(disambiguation)) between links.
+
+- First item about doublets
+- Second item about triplets
+  continued on the next line
+
+![Figure 1 with a [link](https://example.com/alt)](images/figure-1.png)
+*Figure 1. A network of three links.*
+
+## Sequences
+
+Sequences are stored as nested doublets, see [the paper](https://example.com/paper).
+`;
+
+test('buildMarkdownUnits splits lists into items and keeps line numbers', () => {
+  const units = buildMarkdownUnits(MARKDOWN);
+  assert.deepEqual(units.map(unit => [unit.type, unit.line, unit.endLine]), [
+    ['heading', 1, 1],
+    ['heading', 3, 3],
+    ['paragraph', 5, 5],
+    ['list-item', 7, 7],
+    ['list-item', 8, 9],
+    ['figure', 11, 12],
+    ['heading', 14, 14],
+    ['paragraph', 16, 16]
+  ]);
+  assert.equal(units[5].text, 'Figure 1. A network of three links.');
+  assert.equal(units[7].section, 'Sequences');
+});
+
+test('extractMarkdownLinks skips images and keeps parentheses in targets', () => {
+  assert.deepEqual(extractMarkdownLinks(MARKDOWN).map(link => [link.text, link.href, link.line]), [
+    ['links', 'https://en.wikipedia.org/wiki/Link_(disambiguation)', 5],
+    ['the paper', 'https://example.com/paper', 16]
+  ]);
+});
+
+test('alignOrdered keeps matches in order and can share units', () => {
+  const units = ['alpha beta gamma', 'delta epsilon', 'alpha beta gamma again'];
+
+  const strict = alignOrdered(['delta epsilon', 'alpha beta gamma'], units);
+  assert.deepEqual(strict.map(match => match.unit), [1, 2]);
+
+  const reordered = alignOrdered(['zeta eta', 'delta epsilon'], ['alpha beta', 'delta epsilon', 'zeta eta']);
+  assert.deepEqual(reordered.map(match => match.unit), [2, -1]);
+  assert.equal(reordered[1].bestUnit, 1);
+  assert.equal(reordered[1].bestScore, 1);
+
+  assert.deepEqual(alignOrdered(['alpha', 'beta'], units, { shared: true }).map(match => match.unit), [0, 0]);
+  assert.deepEqual(alignOrdered(['alpha', 'beta'], units).map(match => match.unit), [0, 2]);
+});
+
+test('verifyCoverage checks every item and locates gaps', () => {
+  const checks = verifyCoverage({
+    paragraphs: [
+      'A link network is a set of links between links.',
+      'This paragraph was lost during conversion entirely.',
+      'Sequences are stored as nested doublets, see the paper.'
+    ],
+    listItems: ['First item about doublets', 'Second item about triplets continued on the next line'],
+    figureCaptions: ['Figure 1. A network of three links.']
+  }, MARKDOWN);
+
+  assert.deepEqual(checks.map(check => [check.category, check.passed, check.line]), [
+    ['paragraph', true, 5],
+    ['paragraph', false, 6],
+    ['paragraph', true, 16],
+    ['list-item', true, 7],
+    ['list-item', true, 8],
+    ['figure-caption', true, 11]
+  ]);
+  assert.equal(checks[1].details, 'missing after line 5 and before line 16 (section "Links")');
+  assert.ok(checks[1].matchRate < 0.6);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractCoqBlocks,
+  buildCoqFile,
+  maskComments,
+  findCoqDeclarations,
+  lintCoqBlocks,
+  parseCoqErrors,
+  typeCheckCoq
+} from '../scripts/coq-blocks.mjs';
+
+const ARTICLE = [
+  '## Определения',
+  '',
+  '```',
+  '`L = { 1 , 2 }`',
+  '```',
+  '',
+  '```',
+  '`Require Import Coq. Init. Nat.',
+  'Definition L := nat.`',
+  '```',
+  '',
+  '## Леммы',
+  '',
+  '```coq',
+  '(* Лемма (* nested *) *)',
+  'Lemma id_L : forall x : L, x = x.',
+  'Proof.',
+  '  intros x. reflexivity.',
+  'Qed.',
+  '',
+  'Theorem broken : forall x : L, x = x idhttps://github.com/deep-foundation.',
+  'Proof. Admitted.',
+  '```'
+].join('\n');
+
+test('extractCoqBlocks finds Coq fences and removes the backtick wrapper', () => {
+  const blocks = extractCoqBlocks(ARTICLE);
+  assert.deepEqual(blocks.map(block => [block.line, block.endLine, block.section, block.wrapped]), [
+    [8, 9, 'Определения', true],
+    [15, 22, 'Леммы', false]
+  ]);
+  assert.equal(blocks[0].code, 'Require Import Coq. Init. Nat.\nDefinition L := nat.');
+});
+
+test('buildCoqFile maps .v lines back to article lines', () => {
+  const { text, lineMap } = buildCoqFile(extractCoqBlocks(ARTICLE), { title: 'Test' });
+  const lines = text.split('\n');
+  assert.match(lines[0], /^\(\* Coq code of "Test" \(article\.md\)/);
+  assert.equal(lines[3], '(* article.md, lines 8-9: Определения *)');
+  assert.equal(lines[4], 'Require Import Coq. Init. Nat.');
+  assert.equal(lineMap[4], 8);
+  assert.equal(lines[lineMap.indexOf(16)], 'Lemma id_L : forall x : L, x = x.');
+});
+
+test('maskComments blanks nested comments and strings', () => {
+  assert.equal(maskComments('a (* b (* c *) d *) e "(* s *)" f').text, 'a                   e "       " f');
+  assert.equal(maskComments('x (* open').unterminatedAt, 2);
+});
+
+test('findCoqDeclarations finds declarations and proof ranges', () => {
+  const text = extractCoqBlocks(ARTICLE)[1].code;
+  assert.deepEqual(findCoqDeclarations(text), [
+    { kind: 'Lemma', name: 'id_L', line: 2, endLine: 5, proof: { line: 3, endLine: 5, end: 'Qed' } },
+    { kind: 'Theorem', name: 'broken', line: 7, endLine: 8, proof: { line: 8, endLine: 8, end: 'Admitted' } }
+  ]);
+  assert.deepEqual(findCoqDeclarations('Require Import Coq.Init.Nat.\nCompute 1 + 1.').map(d => [d.kind, d.name]), [
+    ['Require', 'Import Coq.Init.Nat'],
+    ['Compute', '1 + 1']
+  ]);
+});
+
+test('lintCoqBlocks reports converter artifacts with article lines', () => {
+  const problems = lintCoqBlocks(extractCoqBlocks(ARTICLE));
+  assert.deepEqual(problems.map(problem => [problem.severity, problem.line, problem.message.split(':')[0]]), [
+    ['warning', 8, 'Code block is wrapped in backticks (converter artifact, removed in the .v file)'],
+    ['error', 8, 'Qualified name split by spaces'],
+    ['error', 21, 'URL inside Coq code (pasted link?)'],
+    ['warning', 21, 'Proof of broken is not complete (Admitted.)']
+  ]);
+});
+
+test('parseCoqErrors reads coqc error locations and skips warnings', () => {
+  const output = [
+    'File "./article.v", line 3, characters 0-10:',
+    'Warning: Notation overridden.',
+    'File "./article.v", line 12, characters 2-13:',
+    'Error:',
+    'In environment',
+    'x : nat',
+    'Unable to unify "x" with "S x".'
+  ].join('\n');
+  assert.deepEqual(parseCoqErrors(output), [
+    { line: 12, message: 'In environment x : nat Unable to unify "x" with "S x".' }
+  ]);
+});
+
+test('typeCheckCoq admits failing proofs and removes failing declarations', async () => {
+  const text = [
+    'Definition a := 1.',
+    'Definition b := oops.',
+    'Lemma uses_b : b = b.',
+    'Proof. reflexivity. Qed.',
+    'Lemma wrong : 1 = 2.',
+    'Proof.',
+    '  reflexivity.',
+    'Qed.'
+  ].join('\n');
+
+  // Stands in for coqc: fails at the first line that mentions an unknown name or a bad proof
+  const compiled = [];
+  const compile = async (source) => {
+    compiled.push(source);
+    const lines = source.split('\n');
+    const definesB = lines.some(line => line.startsWith('Definition b'));
+    const index = lines.findIndex(line =>
+      line.includes('oops') || (!definesB && line.includes('b = b')) || line.trim() === 'reflexivity.'
+    );
+    return index === -1 ? { ok: true, errors: [] } : { ok: false, errors: [{ line: index + 1, message: `error at ${index + 1}` }] };
+  };
+
+  const result = await typeCheckCoq(text, compile);
+  assert.equal(result.ok, false);
+  assert.equal(result.fatal, null);
+  assert.deepEqual(result.failures.map(failure => [failure.kind, failure.name, failure.line, failure.proof]), [
+    ['Definition', 'b', 2, false],
+    ['Lemma', 'uses_b', 3, false],
+    ['Lemma', 'wrong', 5, true]
+  ]);
+  assert.equal(compiled.at(-1).split('\n').length, 8);
+  assert.match(compiled.at(-1), /Lemma wrong : 1 = 2\.\nAdmitted\.\n\n$/);
+
+  assert.deepEqual(await typeCheckCoq('Definition a := 1.', compile), { ok: true, failures: [], fatal: null });
+});
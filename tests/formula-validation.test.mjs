@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  renderFormula,
+  checkGithubCompatibility,
+  validateMarkdownFormulas,
+  summarizeValidation
+} from '../scripts/formula-validation.mjs';
+
+test('renderFormula accepts valid LaTeX and reports parse errors', () => {
+  assert.deepEqual(renderFormula('L \\to L^2'), { error: null, warnings: [] });
+
+  const { error } = renderFormula('\\undefinedcommand x');
+  assert.match(error.message, /Undefined control sequence/);
+  assert.equal(error.position, 0);
+});
+
+test('renderFormula collects strict-mode warnings without failing', () => {
+  const { error, warnings } = renderFormula('A = ∅');
+  assert.equal(error, null);
+  assert.deepEqual(warnings.map(w => w.code), ['unknownSymbol']);
+});
+
+test('checkGithubCompatibility flags Markdown escapes and unsupported commands', () => {
+  const rules = (latex) => checkGithubCompatibility({ latex, kind: 'inline', column: 1 }).map(issue => issue.rule);
+  assert.deepEqual(rules('\\{a\\}'), ['markdown-escape']);
+  assert.deepEqual(rules('\\href{x}{y}'), ['unsupported-command']);
+  assert.deepEqual(rules('\\lbrace a \\rbrace'), []);
+});
+
+test('checkGithubCompatibility flags display formulas sharing a line with text', () => {
+  const formula = { latex: 'x', kind: 'block', column: 1 };
+  assert.deepEqual(checkGithubCompatibility(formula, '$$x$$'), []);
+  assert.deepEqual(checkGithubCompatibility({ ...formula, kind: 'blockquote', column: 3 }, '> $$x$$'), []);
+  assert.deepEqual(checkGithubCompatibility(formula, '$$x$$ [1](https://example.com)').map(i => i.rule), ['display-inline']);
+});
+
+test('validateMarkdownFormulas reports errors on the Markdown line they occur on', () => {
+  const markdown = 'Intro $a + b$.\n\n$$\nx +\n\\frac{1}\n$$\n';
+  const results = validateMarkdownFormulas(markdown);
+  assert.equal(results.length, 2);
+  assert.equal(results[0].error, null);
+  assert.equal(results[1].error.line, 5);
+  assert.deepEqual(summarizeValidation(results), { total: 2, errors: 1, warnings: 0, github: 0 });
+});
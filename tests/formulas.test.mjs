@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFormulas, normalizeFormula, buildFormulaCatalog } from '../scripts/formulas.mjs';
+
+const MARKDOWN = `# Title
+
+Inline $L \\to L^2$ and $x$.
+
+## Definitions
+
+> $$\\mathbf{L ⊆ ℕ₀}$$
+
+$$
+V_n = L^n
+$$
+
+\`$not a formula$\`
+
+\`\`\`coq
+Definition price := $5 and $6.
+\`\`\`
+`;
+
+test('extractFormulas finds inline, block and blockquote formulas with positions', () => {
+  const formulas = extractFormulas(MARKDOWN);
+  assert.deepEqual(formulas.map(f => [f.latex, f.kind, f.line, f.section]), [
+    ['L \\to L^2', 'inline', 3, 'Title'],
+    ['x', 'inline', 3, 'Title'],
+    ['\\mathbf{L ⊆ ℕ₀}', 'blockquote', 7, 'Definitions'],
+    ['V_n = L^n', 'block', 9, 'Definitions']
+  ]);
+  assert.equal(formulas[0].column, 8);
+});
+
+test('extractFormulas ignores escaped dollars', () => {
+  assert.deepEqual(extractFormulas('Costs \\$5 and \\$6.'), []);
+});
+
+test('normalizeFormula maps unicode and LaTeX spellings to one form', () => {
+  assert.equal(normalizeFormula('\\mathbf{L ⊆ ℕ₀}'), normalizeFormula('L \\subseteq \\mathbb{N}_0'));
+  assert.equal(normalizeFormula('λ: L → L²'), normalizeFormula('\\lambda : L \\rightarrow L^2'));
+  assert.equal(normalizeFormula('\\{1, \\dots\\}.'), '{1,...}');
+  assert.equal(normalizeFormula('\\left( a \\right)'), '(a)');
+});
+
+test('buildFormulaCatalog numbers formulas and counts them by kind', () => {
+  const article = { version: '0.0.9', title: 'Test', language: 'en', url: 'https://example.com', markdownFile: 'article.md' };
+  const catalog = buildFormulaCatalog(article, MARKDOWN);
+  assert.equal(catalog.version, '0.0.9');
+  assert.equal(catalog.markdownFile, 'article.md');
+  assert.equal(catalog.total, 4);
+  assert.deepEqual(catalog.counts, { inline: 2, block: 1, blockquote: 1 });
+  assert.deepEqual(catalog.formulas.map(f => f.id), [1, 2, 3, 4]);
+  assert.equal(catalog.formulas[2].section, 'Definitions');
+});
@@ -0,0 +1,49 @@
+/**
+ * Helpers shared by the test files
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+
+/**
+ * Wrap a body fragment into a minimal Habr-like page
+ */
+export function wrapFragment(fragment, title = '') {
+  return `<html><body><article>${title ? `<h1>${title}</h1>` : ''}<div class="article-formatted-body"><div>${fragment}</div></div></article></body></html>`;
+}
+
+/**
+ * Fake fetch that answers by URL (and method) and records requests
+ *
+ * A route is keyed by `METHOD url` or by the URL alone. An Error is thrown, a
+ * number is the HTTP status of an empty response, a string is the body and
+ * anything else is sent as JSON. Unknown URLs answer 404.
+ */
+export function fakeFetch(routes) {
+  const requests = [];
+  const fetch = async (url, { method = 'GET' } = {}) => {
+    requests.push(`${method} ${url}`);
+    const route = routes[`${method} ${url}`] ?? routes[url];
+    if (route instanceof Error) throw route;
+    if (route === undefined) return new Response('Not found', { status: 404 });
+    if (typeof route === 'number') return new Response(null, { status: route });
+    return new Response(typeof route === 'string' ? route : JSON.stringify(route));
+  };
+  return { fetch, requests };
+}
+
+/**
+ * Create an archive folder in a temporary directory
+ *
+ * `files` maps paths relative to the folder (e.g. `images/figure-1.png`) to
+ * their content; missing subdirectories are created.
+ */
+export function createArchive(files) {
+  const dir = mkdtempSync(join(tmpdir(), 'archive-'));
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, path)), { recursive: true });
+    writeFileSync(join(dir, path), content);
+  }
+  return dir;
+}
@@ -0,0 +1,9 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml } from '../scripts/html-escape.mjs';
+
+test('escapeHtml escapes markup and quotes once', () => {
+  assert.equal(escapeHtml('<a href="x">R&D</a>'), '&lt;a href=&quot;x&quot;&gt;R&amp;D&lt;/a&gt;');
+  assert.equal(escapeHtml('&lt;'), '&amp;lt;');
+  assert.equal(escapeHtml(42), '42');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resizeImage, composeSideBySide } from '../scripts/image-compose.mjs';
+
+/**
+ * Image from a function of the position returning [r, g, b, a]
+ */
+function image(width, height, color) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(color(x, y), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+test('resizeImage averages the pixels covered by each target pixel', () => {
+  const checkerboard = image(4, 2, (x, y) => ((x + y) % 2 ? [0, 0, 0, 255] : [200, 100, 50, 255]));
+  const half = resizeImage(checkerboard, 2, 1);
+  assert.deepEqual(Array.from(half.data), [100, 50, 25, 255, 100, 50, 25, 255]);
+
+  const stripes = image(4, 1, x => (x < 2 ? [255, 255, 255, 255] : [0, 0, 0, 255]));
+  assert.deepEqual(Array.from(resizeImage(stripes, 2, 1).data), [255, 255, 255, 255, 0, 0, 0, 255]);
+});
+
+test('resizeImage repeats pixels when enlarging', () => {
+  const pixels = image(2, 1, x => (x === 0 ? [10, 20, 30, 255] : [40, 50, 60, 255]));
+  const doubled = resizeImage(pixels, 4, 2);
+  assert.equal(doubled.width, 4);
+  assert.equal(doubled.height, 2);
+  assert.deepEqual(Array.from(doubled.data.subarray(0, 16)), [10, 20, 30, 255, 10, 20, 30, 255, 40, 50, 60, 255, 40, 50, 60, 255]);
+  assert.throws(() => resizeImage(pixels, 0, 1), /Invalid target size/);
+});
+
+test('composeSideBySide scales images to one column width and aligns them at the top', () => {
+  const red = image(8, 16, () => [255, 0, 0, 255]);
+  const blue = image(2, 2, () => [0, 0, 255, 255]);
+  const composite = composeSideBySide([red, blue], { columnWidth: 4, gap: 2, background: [0, 0, 0, 0] });
+
+  assert.equal(composite.width, 10);
+  assert.equal(composite.height, 8);
+  const pixel = (x, y) => Array.from(composite.data.subarray((y * 10 + x) * 4, (y * 10 + x) * 4 + 4));
+  assert.deepEqual(pixel(0, 7), [255, 0, 0, 255]);
+  assert.deepEqual(pixel(4, 0), [0, 0, 0, 0]);
+  assert.deepEqual(pixel(6, 3), [0, 0, 255, 255]);
+  assert.deepEqual(pixel(9, 4), [0, 0, 0, 0]);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import {
+  normalizeImageEntry,
+  readImageMetadata,
+  mergeImageMetadata,
+  writeImageMetadata,
+  readImageHeader,
+  extractImageReferences,
+  checkImages,
+  describeImages
+} from '../scripts/image-metadata.mjs';
+import { createArchive } from './helpers.mjs';
+
+/**
+ * Minimal PNG: signature and IHDR chunk
+ */
+function png(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+/**
+ * Minimal JPEG: SOI, an APP0 segment and a baseline SOF0 segment
+ */
+function jpeg(width, height) {
+  const app0 = [0xff, 0xe0, 0x00, 0x04, 0x4a, 0x46];
+  const sof0 = [0xff, 0xc0, 0x00, 0x0b, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x01, 0x01, 0x11, 0x00];
+  return Buffer.from([0xff, 0xd8, ...app0, ...sof0, 0xff, 0xd9]);
+}
+
+/**
+ * Create an archive folder with the given images and images/metadata.json
+ */
+function createImageArchive(images, metadata) {
+  const files = Object.fromEntries(Object.entries(images).map(([name, content]) => [`images/${name}`, content]));
+  return createArchive({ ...files, 'images/metadata.json': JSON.stringify(metadata) });
+}
+
+test('readImageHeader decodes PNG and JPEG dimensions', () => {
+  assert.deepEqual(readImageHeader(png(998, 82)), { format: 'png', width: 998, height: 82 });
+  assert.deepEqual(readImageHeader(jpeg(1032, 774)), { format: 'jpeg', width: 1032, height: 774 });
+});
+
+test('readImageHeader recognizes HTML pages and unknown data', () => {
+  assert.equal(readImageHeader(Buffer.from('\n<!DOCTYPE html><html><body>404</body></html>')).format, 'html');
+  assert.equal(readImageHeader(Buffer.from('<html lang="en">')).format, 'html');
+  assert.deepEqual(readImageHeader(Buffer.from('GIF89a')), { format: null, width: null, height: null });
+});
+
+test('normalizeImageEntry reads both legacy shapes', () => {
+  assert.deepEqual(normalizeImageEntry({ figureNum: 2, filename: 'figure-2.png', caption: 'Figure 2.' }), {
+    path: 'images/figure-2.png', figure: 2, caption: 'Figure 2.', alt: null, sourceUrl: null,
+    format: null, width: null, height: null, size: null, perceptualHash: null
+  });
+  assert.deepEqual(normalizeImageEntry({ index: 1, originalUrl: 'https://habrastorage.org/a.png', altText: 'A', localPath: './images/image-01.png' }), {
+    path: 'images/image-01.png', figure: null, caption: null, alt: 'A', sourceUrl: 'https://habrastorage.org/a.png',
+    format: null, width: null, height: null, size: null, perceptualHash: null
+  });
+});
+
+test('writeImageMetadata merges entries of both writers by path', (t) => {
+  const dir = createImageArchive({}, [{ figureNum: 1, filename: 'figure-1.png', caption: 'Figure 1.' }]);
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  writeImageMetadata(dir, [
+    { path: 'images/figure-1.png', sourceUrl: 'https://habrastorage.org/f1.png', caption: null },
+    { path: 'images/image-01.png', alt: 'Relation', sourceUrl: 'https://habrastorage.org/a.png' }
+  ]);
+
+  const entries = readImageMetadata(dir);
+  assert.deepEqual(entries.map(entry => [entry.path, entry.figure, entry.caption, entry.sourceUrl]), [
+    ['images/figure-1.png', 1, 'Figure 1.', 'https://habrastorage.org/f1.png'],
+    ['images/image-01.png', null, null, 'https://habrastorage.org/a.png']
+  ]);
+  const written = JSON.parse(readFileSync(join(dir, 'images', 'metadata.json'), 'utf-8'));
+  assert.ok(Array.isArray(written));
+  assert.ok(written.every(entry => !('perceptualHash' in entry)));
+  assert.deepEqual(mergeImageMetadata(entries, []), entries);
+});
+
+test('readImageMetadata rejects metadata that is not a list', (t) => {
+  const dir = createImageArchive({}, { images: [] });
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  assert.throws(() => readImageMetadata(dir), /not a list of images/);
+});
+
+test('extractImageReferences finds local figures and inline images outside code', () => {
+  const markdown = `# Title
+
+![Figure [1]](images/figure-1.png)
+*Figure 1.*
+
+Inline ![icon](./images/icon%201.png) and ![remote](https://example.com/a.png).
+
+\`\`\`
+![code](images/code.png)
+\`\`\`
+`;
+  assert.deepEqual(extractImageReferences(markdown), [
+    { path: 'images/figure-1.png', alt: 'Figure [1]', line: 3 },
+    { path: 'images/icon 1.png', alt: 'icon', line: 6 }
+  ]);
+});
+
+test('checkImages reports broken files, dimension drift and missing metadata', (t) => {
+  const dir = createImageArchive({
+    'figure-1.png': png(10, 20),
+    'figure-2.png': png(30, 40),
+    'figure-3.jpg': png(5, 5),
+    'error.png': '<!DOCTYPE html><title>Not Found</title>',
+    'empty.png': '',
+    'extra.jpeg': jpeg(7, 8)
+  }, [
+    { path: 'images/figure-1.png', width: 10, height: 20 },
+    { path: 'images/figure-2.png', width: 300, height: 400 },
+    { path: 'images/figure-3.jpg' },
+    { path: 'images/error.png' },
+    { path: 'images/empty.png' },
+    { path: 'images/gone.png' }
+  ]);
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const markdown = '![One](images/figure-1.png)\n\n![Missing](images/missing.png)\n';
+  const problems = Object.fromEntries(checkImages(dir, markdown).map(image => [image.path, image.problems.map(problem => `${problem.severity}: ${problem.message}`)]));
+
+  assert.deepEqual(problems, {
+    'images/empty.png': ['error: empty file'],
+    'images/error.png': ['error: HTML page saved as an image (error page?)'],
+    'images/extra.jpeg': ['warning: not listed in metadata.json'],
+    'images/figure-1.png': [],
+    'images/figure-2.png': ['error: 30x40, metadata.json records 300x400'],
+    'images/figure-3.jpg': ['error: extension .jpg but PNG data'],
+    'images/gone.png': ['warning: listed in metadata.json but not found'],
+    'images/missing.png': ['error: file not found', 'warning: not listed in metadata.json']
+  });
+});
+
+test('describeImages records current dimensions and adds referenced images', (t) => {
+  const dir = createImageArchive({ 'figure-1.png': png(10, 20), 'image-01.jpeg': jpeg(7, 8) }, [
+    { figureNum: 1, filename: 'figure-1.png', caption: 'Figure 1.' }
+  ]);
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const entries = describeImages(dir, '![Relation](images/image-01.jpeg)\n');
+  assert.deepEqual(entries, [
+    { path: 'images/figure-1.png', figure: 1, caption: 'Figure 1.', alt: null, sourceUrl: null, format: 'png', width: 10, height: 20, size: 33, perceptualHash: null },
+    { path: 'images/image-01.jpeg', figure: null, caption: null, alt: 'Relation', sourceUrl: null, format: 'jpeg', width: 7, height: 8, size: 23, perceptualHash: null }
+  ]);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { listArchiveFiles, readArchiveIgnorePatterns, buildManifest, checkIntegrity } from '../scripts/integrity.mjs';
+import { createArchive } from './helpers.mjs';
+
+const ARTICLE = {
+  version: '9.9.9',
+  url: 'https://habr.com/en/articles/1/',
+  markdownFile: 'article.md',
+  screenshotFile: 'article.png',
+  imagesDir: 'images'
+};
+
+// A small archive version
+const FILES = {
+  'article.md': '# Title\n',
+  'images/image-01.png': 'png',
+  'images/metadata.json': JSON.stringify([
+    { index: 1, originalUrl: 'https://habrastorage.org/a.png', localPath: 'images/image-01.png' }
+  ]),
+  'diff-report.html': '<html></html>'
+};
+
+test('buildManifest hashes every archive file and records source URLs', (t) => {
+  const dir = createArchive(FILES);
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  assert.deepEqual(listArchiveFiles(dir), ['article.md', 'images/image-01.png', 'images/metadata.json']);
+
+  const manifest = buildManifest(ARTICLE, dir);
+  assert.equal(manifest.version, '9.9.9');
+  assert.equal(manifest.algorithm, 'sha256');
+  assert.deepEqual(manifest.files[0], {
+    path: 'article.md',
+    size: 8,
+    sha256: 'e01b17ff9af77056792f67c57e3d1908795b9d1ae4cfe72421d0a2838991b740',
+    sourceUrl: ARTICLE.url
+  });
+  assert.equal(manifest.files[1].sourceUrl, 'https://habrastorage.org/a.png');
+  assert.equal(manifest.files[2].sourceUrl, undefined);
+});
+
+test('files ignored by .gitignore are not part of the archive', (t) => {
+  const dir = createArchive(FILES);
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  mkdirSync(join(dir, 'snapshot', 'assets'), { recursive: true });
+  writeFileSync(join(dir, 'snapshot', 'assets', 'asset-01.png'), 'png');
+  writeFileSync(join(dir, 'rendered.png'), 'png');
+  writeFileSync(join(dir, 'manifest.json'), '{}');
+  assert.deepEqual(listArchiveFiles(dir), ['article.md', 'images/image-01.png', 'images/metadata.json']);
+
+  const gitignorePath = join(dir, '.gitignore');
+  writeFileSync(gitignorePath, '# Reports\nnode_modules/\narchive/*/report-?.html\narchive/*/cache/\narchive/*/**/*.tmp\n!archive/*/keep.tmp\n');
+  const patterns = readArchiveIgnorePatterns(gitignorePath);
+  const ignored = (path) => patterns.some(pattern => pattern.test(path));
+  assert.equal(patterns.length, 3);
+  assert.equal(ignored('report-1.html'), true);
+  assert.equal(ignored('report-10.html'), false);
+  assert.equal(ignored('cache/a/b.json'), true);
+  assert.equal(ignored('cache'), false);
+  assert.equal(ignored('images/x.tmp'), true);
+  assert.equal(ignored('x.tmp'), true);
+  assert.equal(ignored('article.md'), false);
+  assert.deepEqual(readArchiveIgnorePatterns(join(dir, 'missing')), []);
+});
+
+test('checkIntegrity reports modified, missing and untracked files', (t) => {
+  const dir = createArchive(FILES);
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const manifest = buildManifest(ARTICLE, dir);
+  assert.equal(checkIntegrity(manifest, dir).ok, true);
+
+  writeFileSync(join(dir, 'article.md'), '# Edited\n');
+  rmSync(join(dir, 'images', 'image-01.png'));
+  writeFileSync(join(dir, 'notes.txt'), 'new');
+
+  const result = checkIntegrity(manifest, dir);
+  assert.equal(result.ok, false);
+  assert.equal(result.checked, 3);
+  assert.deepEqual(result.modified.map(file => file.path), ['article.md']);
+  assert.equal(result.modified[0].expected.size, 8);
+  assert.equal(result.modified[0].actual.size, 9);
+  assert.deepEqual(result.missing, ['images/image-01.png']);
+  assert.deepEqual(result.untracked, ['notes.txt']);
+});
+
+test('buildManifest takes the source URL of screenshot tiles from their index', (t) => {
+  const dir = createArchive(FILES);
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  mkdirSync(join(dir, 'screenshots'));
+  writeFileSync(join(dir, 'screenshots', 'tile-001.png'), 'png');
+  writeFileSync(join(dir, 'screenshots', 'index.json'), JSON.stringify({
+    url: ARTICLE.url,
+    tiles: [{ file: 'tile-001.png', sections: ['preamble'] }]
+  }));
+
+  const files = Object.fromEntries(buildManifest(ARTICLE, dir).files.map(file => [file.path, file.sourceUrl]));
+  assert.equal(files['screenshots/tile-001.png'], ARTICLE.url);
+  assert.equal(files['screenshots/index.json'], undefined);
+});
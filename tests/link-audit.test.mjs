@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'fs';
+import {
+  githubSlug,
+  collectAnchors,
+  classifyHref,
+  auditLinks,
+  checkUrl,
+  auditExternalLinks,
+  summarizeAudit
+} from '../scripts/link-audit.mjs';
+import { fakeFetch, createArchive } from './helpers.mjs';
+
+const MARKDOWN = `# The Links Theory
+
+## Relational Algebra
+
+A [relation](https://en.wikipedia.org/wiki/Relation_(database)) [[1]](https://dl.acm.org/doi/abs/10.1145/362384.362685).
+
+See [below](#the-links-theory-1), [the conclusion](#conclusion) and [Figure 1](images/figure-1.png).
+
+## The Links Theory
+
+Old [model](https://example.com/dead) and [missing](images/missing.png), [archived](https://web.archive.org/web/2018/http://sentences.com/docs/amd.pdf).
+
+\`\`\`
+[not a link](https://example.com/code)
+\`\`\`
+`;
+
+test('githubSlug and collectAnchors follow GitHub heading anchors', () => {
+  assert.equal(githubSlug('TL;DR (too long; didn\'t read)'), 'tldr-too-long-didnt-read');
+  assert.equal(githubSlug('Связи и **дуплеты**'), 'связи-и-дуплеты');
+  assert.deepEqual([...collectAnchors(MARKDOWN + '\n<a id="notes"></a>\n')], [
+    'the-links-theory',
+    'relational-algebra',
+    'the-links-theory-1',
+    'notes'
+  ]);
+});
+
+test('classifyHref tells anchors, local files and external URLs apart', () => {
+  assert.equal(classifyHref('#conclusion'), 'anchor');
+  assert.equal(classifyHref('images/figure-1.png'), 'local');
+  assert.equal(classifyHref('../0.0.1/article.md'), 'local');
+  assert.equal(classifyHref('https://doi.org/10.1145/362384.362685'), 'external');
+  assert.equal(classifyHref('mailto:someone@example.com'), 'external');
+});
+
+test('auditLinks validates anchors and local files offline', (t) => {
+  const dir = createArchive({ 'images/figure-1.png': 'png' });
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const entries = auditLinks(MARKDOWN, { archiveDir: dir });
+  assert.deepEqual(entries.map(entry => [entry.text, entry.kind, entry.citation, entry.status, entry.line]), [
+    ['relation', 'external', false, 'unchecked', 5],
+    ['[1]', 'external', true, 'unchecked', 5],
+    ['below', 'anchor', false, 'ok', 7],
+    ['the conclusion', 'anchor', false, 'broken', 7],
+    ['Figure 1', 'local', false, 'ok', 7],
+    ['model', 'external', false, 'unchecked', 11],
+    ['missing', 'local', false, 'broken', 11],
+    ['archived', 'external', false, 'unchecked', 11]
+  ]);
+  assert.equal(entries[3].details, 'no heading or anchor "conclusion"');
+  assert.equal(entries[6].section, 'The Links Theory');
+
+  assert.deepEqual(summarizeAudit(entries), {
+    total: 8,
+    citations: 1,
+    kinds: { anchor: 2, local: 2, external: 4 },
+    ok: 2,
+    broken: 2,
+    unchecked: 4
+  });
+});
+
+test('checkUrl falls back to GET when HEAD is refused and reports network errors', async () => {
+  const { fetch, requests } = fakeFetch({
+    'HEAD https://a.example/': 405,
+    'GET https://a.example/': 200,
+    'https://b.example/': new Error('getaddrinfo ENOTFOUND b.example')
+  });
+
+  assert.deepEqual(await checkUrl('https://a.example/', { fetch }), { ok: true, status: 200 });
+  assert.deepEqual(await checkUrl('https://b.example/', { fetch }), { ok: false, status: null, error: 'getaddrinfo ENOTFOUND b.example' });
+  assert.deepEqual(await checkUrl('https://c.example/', { fetch }), { ok: false, status: 404, error: 'HTTP 404' });
+  assert.deepEqual(requests, [
+    'HEAD https://a.example/',
+    'GET https://a.example/',
+    'HEAD https://b.example/',
+    'GET https://b.example/',
+    'HEAD https://c.example/'
+  ]);
+});
+
+test('auditExternalLinks checks each URL once and suggests Wayback captures', async () => {
+  const entries = auditLinks(MARKDOWN + '\nAgain [model](https://example.com/dead).\n');
+  const { fetch, requests } = fakeFetch({
+    'https://en.wikipedia.org/wiki/Relation_(database)': 200,
+    'https://dl.acm.org/doi/abs/10.1145/362384.362685': 200,
+    'https://archive.org/wayback/available?url=https%3A%2F%2Fexample.com%2Fdead': {
+      archived_snapshots: { closest: { available: true, timestamp: '20200101000000' } }
+    }
+  });
+
+  await auditExternalLinks(entries, { fetch, wayback: true });
+
+  const dead = entries.filter(entry => entry.href === 'https://example.com/dead');
+  assert.equal(dead.length, 2);
+  for (const entry of dead) {
+    assert.equal(entry.status, 'broken');
+    assert.equal(entry.httpStatus, 404);
+    assert.equal(entry.suggestion, 'https://web.archive.org/web/20200101000000/https://example.com/dead');
+  }
+
+  const archived = entries.find(entry => entry.text === 'archived');
+  assert.equal(archived.status, 'broken');
+  assert.equal(archived.suggestion, undefined);
+
+  assert.equal(entries.filter(entry => entry.status === 'ok' && entry.kind === 'external').length, 2);
+  assert.equal(requests.filter(request => request.endsWith('https://example.com/dead')).length, 1);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyLinkTarget, checkLinks, isAbsoluteUrl } from '../scripts/link-preservation.mjs';
+
+const BASE_URL = 'https://habr.com/ru/articles/804617/';
+
+const MARKDOWN = `# Links
+
+A [relation](https://en.wikipedia.org/wiki/Relation_(database)) is a [set](https://en.wikipedia.org/wiki/Set_(mathematics)/).
+
+See the [author](/ru/users/konard/) and [the repository](https://github.com/linksplatform/Data.Doublets).
+
+Read [the benchmark](https://github.com/linksplatform/Comparisons.PostgreSQLVSDoublets) and [notes](#notes).
+`;
+
+test('isAbsoluteUrl recognizes schemes', () => {
+  assert.equal(isAbsoluteUrl('https://habr.com/'), true);
+  assert.equal(isAbsoluteUrl('mailto:a@b.c'), true);
+  assert.equal(isAbsoluteUrl('/ru/users/konard/'), false);
+  assert.equal(isAbsoluteUrl('#notes'), false);
+});
+
+test('classifyLinkTarget tells preserved, equivalent, relative and rewritten targets apart', () => {
+  const link = { href: 'https://habr.com/ru/users/konard/', rawHref: '/ru/users/konard/' };
+  assert.deepEqual(classifyLinkTarget(link, '/ru/users/konard/', BASE_URL), { status: 'preserved' });
+  assert.equal(classifyLinkTarget(link, 'https://habr.com/ru/users/konard', BASE_URL).status, 'equivalent');
+  assert.match(classifyLinkTarget(link, 'https://habr.com/ru/users/konard/', BASE_URL).details, /absolute in markdown, relative on the page/);
+
+  const absolute = { href: 'https://habr.com/ru/users/konard/', rawHref: 'https://habr.com/ru/users/konard/' };
+  assert.equal(classifyLinkTarget(absolute, '/ru/users/konard/', BASE_URL).status, 'relative');
+
+  const encoded = { href: 'https://ru.wikipedia.org/wiki/%D0%A1%D0%B2%D1%8F%D0%B7%D1%8C' };
+  assert.equal(classifyLinkTarget(encoded, 'https://ru.wikipedia.org/wiki/Связь', BASE_URL).status, 'equivalent');
+
+  assert.equal(classifyLinkTarget(absolute, 'https://habr.com/en/users/konard/', BASE_URL).status, 'rewritten');
+});
+
+test('checkLinks matches page links in order and reports every difference', () => {
+  const checks = checkLinks([
+    { text: 'relation', href: 'https://en.wikipedia.org/wiki/Relation_(database)' },
+    { text: 'set', href: 'https://en.wikipedia.org/wiki/Set_(mathematics)' },
+    { text: 'author', href: 'https://habr.com/ru/users/konard/', rawHref: 'https://habr.com/ru/users/konard/' },
+    { text: 'the repository', href: 'https://github.com/linksplatform/Data.Doublets.Sequences' },
+    { text: 'benchmark results', href: 'https://github.com/linksplatform/Comparisons.PostgreSQLVSDoublets' },
+    { text: 'lost link', href: 'https://example.com/lost' },
+    { text: 'notes', href: 'https://habr.com/ru/articles/804617/#notes', rawHref: '#notes' }
+  ], MARKDOWN, { baseUrl: BASE_URL });
+
+  assert.deepEqual(checks.map(check => [check.text, check.status, check.passed, check.line]), [
+    ['relation', 'preserved', true, 3],
+    ['set', 'equivalent', true, 3],
+    ['author', 'relative', false, 5],
+    ['the repository', 'rewritten', false, 5],
+    ['benchmark results', 'preserved', true, 7],
+    ['lost link', 'dropped', false, 6],
+    ['notes', 'preserved', true, 7]
+  ]);
+  assert.match(checks[4].details, /link text changed to "the benchmark"/);
+  assert.equal(checks[5].details, 'dropped: missing after line 5 and before line 7 (section "Links")');
+  assert.equal(checks[3].markdownHref, 'https://github.com/linksplatform/Data.Doublets');
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  vnDefault,
+  vnToNP,
+  anetVfToANetLf,
+  npToVnOption,
+  npToVn,
+  anetLfToANetVf,
+  npToANetDl,
+  addNPToANetDl,
+  anetDlBehead,
+  anetDlReadNP,
+  anetDlToNP,
+  anetLlToANetDl,
+  anetDlOffsetNP,
+  anetVlToANetDl,
+  anetDlBeheadNP,
+  anetDlToANetLl,
+  anetDlToANetVl,
+  anetVfEquiv,
+  networkToANetVl,
+  anetVlToNetwork
+} from '../scripts/links-conversions.mjs';
+import { LinksNetwork, parseNetwork } from '../scripts/links.mjs';
+
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * A Coq list, vector or pair literal ({1, 2}, [1; 2], (1, 2)) as an array
+ */
+function coqValue(text) {
+  return JSON.parse(text.replace(/[{(]/g, '[').replace(/[})]/g, ']').replace(/;/g, ','));
+}
+
+/**
+ * The `Compute` commands of an article.v with the result their comment expects
+ */
+function computeExamples(version) {
+  const text = readFileSync(`${ROOT_DIR}archive/${version}/article.v`, 'utf-8');
+  const pattern = /^Compute ([^\n]*)\.\s*\(\*\s*(?:Ожидается результат|Должно вернуть|Expected result|Should return):([^*]*)\*\)/gm;
+  return [...text.matchAll(pattern)].map(match => ({ expression: match[1].trim(), expected: coqValue(match[2].trim()) }));
+}
+
+// The example networks of the article
+const complexExampleNet = (id) => [[0, 0, 0], [1, 1, 2], [2, 4, 0], [3, 0, 5], [4, 1, 1]][id] ?? [0, 0, 0];
+const testPairsNet = (id) => [[5, 0, 8], [7, 1, 2], [2, 4, 5], [3, 1, 5], [4, 2, 1]][id] ?? [0, 0, 0];
+const testAnetl = [[121, 21, 1343], [12, 23], [34], [121, 21, 1343], [12, 23], [34]];
+const testAnetv = [[0, 0, 0], [1, 1, 2], [2, 4, 0], [3, 0, 5], [4, 1, 1], [0, 0, 0]];
+const testAnetd = anetLlToANetDl(testAnetl);
+const testAnetdl = anetVlToANetDl(testAnetv);
+
+// Coq expression of each Compute → its JavaScript counterpart
+const EVALUATORS = [
+  [/^nestedPair(\d)$/, ([, n]) => vnToNP({ 0: [], 1: [0], 4: [3, 2, 1, 0] }[n])],
+  [/^\(ANetVfToANetLf complexExampleNet\) (\d+)$/, ([, id]) => anetVfToANetLf(complexExampleNet)(Number(id))],
+  [/^testTuplesNet (\d+)$/, ([, id]) => anetLfToANetVf(3, testPairsNet)(Number(id))],
+  [/^NPToANetDl (\{.*\})$/, ([, np]) => npToANetDl(coqValue(np))],
+  [/^AddNPToANetDl (\{.*\}) (\{.*?\})$/, ([, anet, np]) => addNPToANetDl(coqValue(anet), coqValue(np))],
+  [/^ANetDlToNP (\{.*\})$/, ([, anet]) => anetDlToNP(coqValue(anet))],
+  [/^ANetDl_readNP (\{.*\}) (\d+)$/, ([, anet, index]) => anetDlReadNP(coqValue(anet), Number(index))],
+  [/^test_anetd$/, () => testAnetd],
+  [/^ANetDlToANetLl test_anetd$/, () => anetDlToANetLl(testAnetd)],
+  [/^ANetDl_offsetNP test_anetd (\d+)$/, ([, index]) => anetDlOffsetNP(testAnetd, Number(index))],
+  [/^test_anetdl$/, () => testAnetdl],
+  [/^result_TuplesNet$/, () => anetDlToANetVl(3, testAnetdl)]
+];
+
+function evaluate(expression) {
+  for (const [pattern, evaluator] of EVALUATORS) {
+    const match = expression.match(pattern);
+    if (match) return evaluator(match);
+  }
+  throw new Error(`No evaluator for Compute ${expression}`);
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32), so property tests are reproducible
+ */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomVectors(next, count, length, maxReference = 20) {
+  return Array.from({ length: count }, () => Array.from({ length }, () => Math.floor(next() * maxReference)));
+}
+
+for (const version of ['0.0.1', '0.0.2']) {
+  test(`every Compute example of ${version} gives the expected result`, () => {
+    const examples = computeExamples(version);
+    assert.equal(examples.length, 33);
+    for (const { expression, expected } of examples) {
+      assert.deepEqual(evaluate(expression), expected, `Compute ${expression}`);
+    }
+  });
+}
+
+test('Vn ↔ NP: H_inverse and Vn_dim_preserved', () => {
+  const next = random(1);
+  for (let n = 0; n <= 6; n++) {
+    for (const vector of randomVectors(next, 20, n)) {
+      assert.equal(vnToNP(vector).length, n);
+      assert.deepEqual(npToVnOption(n, vnToNP(vector)), vector);
+    }
+  }
+  assert.equal(npToVnOption(2, [1, 2, 3]), null);
+  assert.deepEqual(npToVn(2, [1, 2, 3]), vnDefault(2));
+});
+
+test('anetf_equiv_after_transforms: ANetVf → ANetLf → ANetVf restores the network', () => {
+  const restored = anetLfToANetVf(3, anetVfToANetLf(complexExampleNet));
+  assert.equal(anetVfEquiv(complexExampleNet, restored, [0, 1, 2, 3, 4, 5, 100]), true);
+  assert.equal(anetVfEquiv(complexExampleNet, anetLfToANetVf(3, testPairsNet), [0, 1]), false);
+});
+
+test('NP ↔ ANetDl chains: NP_dim_preserved and reading at any offset', () => {
+  const next = random(2);
+  for (let length = 0; length <= 8; length++) {
+    const [np] = randomVectors(next, 1, length);
+    const offset = Math.floor(next() * 10);
+    assert.equal(npToANetDl(np, offset).length, length);
+
+    const anet = addNPToANetDl(randomVectors(next, 3, 2), np);
+    assert.deepEqual(anetDlReadNP(anet, 3), length > 0 ? np : []);
+  }
+
+  const anet = coqValue('{(121, 1), (21, 2), (1343, 2), (12, 4), (23, 5), (34, 5)}');
+  assert.deepEqual(anetDlBehead(anet, 3), anet.slice(3));
+  assert.deepEqual(anetDlBeheadNP(anet), anet.slice(3));
+  // Offsets stay absolute, so a tail is read with the offset it starts at
+  assert.deepEqual(anetDlBeheadNP(anet.slice(3), 3), []);
+  assert.deepEqual(anetDlToNP(anet.slice(3)), [12]);
+});
+
+test('ANetVl → ANetDl → ANetVl round trips for random networks', () => {
+  const next = random(3);
+  for (let n = 1; n <= 5; n++) {
+    const anetv = randomVectors(next, 1 + Math.floor(next() * 10), n);
+    const anetd = anetVlToANetDl(anetv);
+    assert.equal(anetd.length, anetv.length * n);
+    assert.deepEqual(anetDlToANetVl(n, anetd), anetv);
+    assert.equal(anetDlOffsetNP(anetd, anetv.length), anetd.length);
+  }
+
+  // Empty vectors have no doublets, so zero-length networks do not survive
+  assert.deepEqual(anetLlToANetDl([[1], [], [2]]), [[1, 0], [2, 1]]);
+  assert.deepEqual(anetDlToANetLl(anetLlToANetDl([[1], [], [2]])), [[1], [2]]);
+  // An unfinished chain is dropped
+  assert.deepEqual(anetDlToANetLl([[1, 1], [2, 1], [3, 3]]), [[1, 2]]);
+});
+
+test('Figure 10 triplet network converts to doublets and back', () => {
+  const triplets = LinksNetwork.from(parseNetwork('λ = { (1, 1, 1, 1), (2, 2, 3, 4), (3, 3, 1, 2), (4, 4, 2, 3) }'));
+  const anetv = networkToANetVl(triplets);
+  assert.deepEqual(anetv, [[0, 0, 0], [1, 1, 1], [2, 3, 4], [3, 1, 2], [4, 2, 3]]);
+
+  const doublets = anetVlToANetDl(anetv);
+  assert.equal(doublets.length, 15);
+  const restored = anetVlToNetwork(anetDlToANetVl(3, doublets));
+  assert.deepEqual(restored.entries().slice(1), triplets.entries());
+  assert.deepEqual(restored.get(0), [0, 0, 0]);
+
+  assert.throws(() => networkToANetVl(LinksNetwork.from(parseNetwork('1 → (1)\n2 → (2, 2)'))), /fixed length/);
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCsv,
+  formatCsv,
+  importTable,
+  exportTable,
+  parseEdgeList,
+  formatEdgeList,
+  parseGraphML,
+  formatGraphML,
+  importGraph,
+  exportGraph
+} from '../scripts/links-formats.mjs';
+
+// Figure 3 of 0.0.2: a → b, c → a and an undirected edge between b and c
+const FIGURE_3 = `# Figure 3
+a -> b
+c -> a
+b -- c
+`;
+
+// A table of 4 rows and 5 columns (S1 ... S5) with quoted cells and a repeated row
+const TABLE = [
+  'S1,S2,S3,S4,S5',
+  '1,a,x,"Links, theory",true',
+  '2,b,x,"say ""hi""",false',
+  '3,a,y,,true',
+  '2,b,x,"say ""hi""",false'
+].join('\r\n');
+
+test('parseCsv and formatCsv handle quoting', () => {
+  const rows = parseCsv(TABLE);
+  assert.equal(rows.length, 5);
+  assert.deepEqual(rows[1], ['1', 'a', 'x', 'Links, theory', 'true']);
+  assert.deepEqual(rows[2][3], 'say "hi"');
+  assert.deepEqual(rows[3], ['3', 'a', 'y', '', 'true']);
+  assert.deepEqual(parseCsv(formatCsv(rows)), rows);
+  assert.deepEqual(parseCsv('a,"b\nc"\n'), [['a', 'b\nc']]);
+  assert.throws(() => parseCsv('a,"b'), /Unterminated quoted CSV field/);
+});
+
+test('a table as doublets stores each row as nested ordered pairs', () => {
+  const table = parseCsv(TABLE);
+  const imported = importTable(table);
+  const { network, names, columns, rows } = imported;
+
+  assert.deepEqual(columns.map(column => names.get(column)), ['S1', 'S2', 'S3', 'S4', 'S5']);
+  // Row r = (1, (a, (x, ("Links, theory", true))))
+  const value = (name) => [...names].find(([, text]) => text === name)[0];
+  const [first, rest] = network.get(rows[0]);
+  assert.equal(first, value('1'));
+  assert.deepEqual(network.get(network.get(network.get(rest)[1])[1]), [value('Links, theory'), value('true')]);
+
+  // Equal rows are the same link, equal values the same point
+  assert.equal(rows[1], rows[3]);
+  assert.equal(names.size, new Set(table.flat()).size);
+  assert.deepEqual(exportTable(imported), table);
+
+  assert.throws(() => importTable([['a', 'a']]), /Column "a" appears twice/);
+  assert.throws(() => importTable([['a', 'b'], ['1']]), /Row 2 has 1 cells, expected 2/);
+  assert.throws(() => importTable([['a']], { arity: 4 }), /not arity 4/);
+});
+
+test('a table as triplets links each row, column and value', () => {
+  const table = parseCsv(TABLE);
+  const imported = importTable(table, { arity: 3 });
+  const { network, names, columns, rows } = imported;
+
+  // Column S_n of row r is the target of the link (r, S_n, value)
+  const [[, cell]] = network.query({ source: rows[2], type: columns[1] });
+  assert.equal(names.get(cell[2]), 'a');
+  // The column point itself is (S4, S4, S4)
+  assert.equal(network.query({ type: columns[3] }).filter(([link]) => link !== columns[3]).length, 4);
+  assert.notEqual(rows[1], rows[3]);
+  assert.deepEqual(exportTable(imported), table);
+});
+
+test('Figure 3: vertices are points, an undirected edge is two doublets', () => {
+  const graph = parseEdgeList(FIGURE_3);
+  assert.deepEqual(graph.vertices, ['a', 'b', 'c']);
+
+  const { network, names } = importGraph(graph);
+  assert.equal(network.format(), 'λ = { (1, 1, 1), (2, 2, 2), (3, 3, 3), (4, 1, 2), (5, 3, 1), (6, 2, 3), (7, 3, 2) }');
+  assert.deepEqual([...names.values()], ['a', 'b', 'c']);
+
+  const directed = exportGraph(network, names);
+  assert.equal(directed.edges.length, 4);
+  const merged = exportGraph(network, names, { mergeOpposite: true });
+  assert.deepEqual(merged, { ...graph, skipped: [] });
+  assert.equal(formatEdgeList(merged), 'a -> b\nc -> a\nb -- c\n');
+
+  // Figure 6 of 0.0.2 is the graph of a single edge
+  assert.equal(importGraph(parseEdgeList('1 2')).network.format(), 'λ = { (1, 1, 1), (2, 2, 2), (3, 1, 2) }');
+});
+
+test('edge list names and labels with spaces, commas or quotes are quoted', () => {
+  const text = '"#1" # comment\n"New York" -> Boston "2 h, by train"\n"Washington, D.C." -- "say ""hi"""\n';
+  const graph = parseEdgeList(text);
+  assert.deepEqual(graph, {
+    vertices: ['#1', 'New York', 'Boston', 'Washington, D.C.', 'say "hi"'],
+    edges: [
+      { source: 'New York', target: 'Boston', directed: true, label: '2 h, by train' },
+      { source: 'Washington, D.C.', target: 'say "hi"', directed: false, label: null }
+    ]
+  });
+  assert.equal(formatEdgeList(graph), text.replace(' # comment', ''));
+  assert.deepEqual(parseEdgeList(formatEdgeList({ vertices: ['->', ''], edges: [] })).vertices, ['->', '']);
+  assert.throws(() => parseEdgeList('a -> "b'), /Line 1: unterminated quoted name/);
+});
+
+test('an undirected self-loop is a single link', () => {
+  const graph = parseEdgeList('a -- a\na -- b');
+  const { network, names } = importGraph(graph);
+  assert.equal(network.format(), 'λ = { (1, 1, 1), (2, 2, 2), (3, 1, 1), (4, 1, 2), (5, 2, 1) }');
+  assert.deepEqual(exportGraph(network, names, { mergeOpposite: true }), { ...graph, skipped: [] });
+});
+
+test('links between links are not graph edges', () => {
+  const { network, names } = importGraph(parseEdgeList('a -> b'));
+  network.create([3, 1]);
+  const graph = exportGraph(network, names);
+  assert.deepEqual(graph.edges, [{ source: 'a', target: 'b', directed: true, label: null }]);
+  assert.deepEqual(graph.skipped, [4]);
+});
+
+test('labelled edges use the triplet type and survive GraphML', () => {
+  const graph = parseEdgeList('alice -> bob knows\nbob -> carol knows\ncarol -- alice\ndave');
+  assert.throws(() => importGraph(graph), /Edge labels need triplets/);
+
+  const { network, names } = importGraph(graph, { arity: 3 });
+  const knows = [...names].find(([, name]) => name === 'knows')[0];
+  assert.deepEqual(network.query({ type: knows }).map(([, vector]) => vector), [[knows, knows, knows], [1, knows, 2], [2, knows, 3]]);
+  // An unlabelled edge has itself as type
+  const [[edge]] = network.query({ source: 3, target: 1 });
+  assert.deepEqual(network.get(edge), [3, edge, 1]);
+
+  const exported = exportGraph(network, names, { mergeOpposite: true });
+  assert.deepEqual(exported.vertices, ['alice', 'bob', 'carol', 'dave']);
+  assert.deepEqual(exported.edges, graph.edges);
+
+  const xml = formatGraphML(exported);
+  assert.match(xml, /<edge id="e3" source="carol" target="alice" directed="false"\/>/);
+  assert.deepEqual(parseGraphML(xml), graph);
+});
+
+test('parseGraphML reads edge defaults, labels and rejects other XML', () => {
+  const xml = `<?xml version="1.0"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="d0" for="edge" attr.name="label" attr.type="string"/>
+  <key id="d1" for="node" attr.name="label" attr.type="string"/>
+  <graph id="G" edgedefault="undirected">
+    <node id="a &amp; b"><data key="d1">A</data></node>
+    <node id="&#38;lt; &amp;amp;"/>
+    <node id="c"/>
+    <edge source="a &amp; b" target="c"><data key="d0">x</data></edge>
+    <edge source="c" target="c" directed="true"/>
+  </graph>
+</graphml>`;
+  assert.deepEqual(parseGraphML(xml), {
+    vertices: ['a & b', '&lt; &amp;', 'c'],
+    edges: [
+      { source: 'a & b', target: 'c', directed: false, label: 'x' },
+      { source: 'c', target: 'c', directed: true, label: null }
+    ]
+  });
+  assert.throws(() => parseGraphML('<html><body/></html>'), /Not a GraphML document/);
+  assert.throws(() => parseGraphML(xml.replace('target="c"><data', 'target="z"><data')), /unknown node "z"/);
+  assert.equal(parseGraphML(formatGraphML({ vertices: ['&lt; &amp;'], edges: [] })).vertices[0], '&lt; &amp;');
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { LinksNetwork, ITSELF, cartesianPower, parseNetwork } from '../scripts/links.mjs';
+
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const readArticle = (version) => readFileSync(`${ROOT_DIR}archive/${version}/article.md`, 'utf-8');
+
+/**
+ * The `λ = { ... }` examples of the 0.0.2 article, in order
+ */
+function lambdaExamples(markdownText) {
+  return [...markdownText.matchAll(/^\$\$\\lambda = (.*)\$\$$/gm)].map(match => match[1]);
+}
+
+/**
+ * The text between two headings of an article
+ */
+function section(markdownText, heading, nextHeading) {
+  const start = markdownText.search(new RegExp(`^#+ ${heading}$`, 'm'));
+  const end = markdownText.search(new RegExp(`^#+ ${nextHeading}$`, 'm'));
+  return markdownText.slice(start, end);
+}
+
+test('Figure 6: a network of three doublet links', () => {
+  const network = new LinksNetwork();
+  assert.equal(network.create([ITSELF, ITSELF]), 1);
+  assert.equal(network.create([ITSELF, ITSELF]), 2);
+  assert.equal(network.create([1, 2]), 3);
+
+  const [doublets] = lambdaExamples(readArticle('0.0.2'));
+  assert.equal(network.format(), `λ = ${doublets}`);
+  assert.equal(network.format({ notation: 'mapping' }), '1 → (1, 1)\n2 → (2, 2)\n3 → (1, 2)');
+
+  // The same network in every archived version
+  const older = [section(readArticle('0.0.0'), 'Doublets', 'Triplets'), section(readArticle('0.0.1'), 'Дуплеты', 'Триплеты')];
+  for (const text of older) {
+    assert.deepEqual(LinksNetwork.from(parseNetwork(text)).entries(), network.entries());
+  }
+
+  assert.deepEqual(network.query({ source: 1 }), [[1, [1, 1]], [3, [1, 2]]]);
+  assert.deepEqual(network.query({ target: 2 }), [[2, [2, 2]], [3, [1, 2]]]);
+  assert.deepEqual(network.query([1, 2]), [[3, [1, 2]]]);
+  assert.deepEqual(network.query({ id: 2 }), [[2, [2, 2]]]);
+  assert.equal(network.query().length, 3);
+});
+
+test('Figures 4, 5 and 7: the selected values are a subset of L × L', () => {
+  assert.deepEqual(cartesianPower([1, 2], 2), [[1, 1], [1, 2], [2, 1], [2, 2]]);
+  assert.equal(cartesianPower([1, 2], 3).length, 8);
+
+  const network = LinksNetwork.from(parseNetwork('λ = { (1, 1, 1), (2, 2, 2), (3, 1, 2) }'));
+  const values = cartesianPower([1, 2, 3], 2);
+  assert.equal(values.length, 9);
+  const selected = values.filter(value => network.query(value).length > 0);
+  assert.deepEqual(selected, [[1, 1], [1, 2], [2, 2]]);
+});
+
+test('Figure 10: a triplet network queried by source, type and target', () => {
+  const [, triplets] = lambdaExamples(readArticle('0.0.2'));
+  const network = LinksNetwork.from(parseNetwork(triplets));
+  assert.equal(network.arity, 3);
+  assert.equal(network.size, 4);
+  assert.deepEqual(network.query({ type: 3 }), [[2, [2, 3, 4]]]);
+  assert.deepEqual(network.query({ source: 3, target: 2 }), [[3, [3, 1, 2]]]);
+  assert.deepEqual(network.query([null, 2, null]), [[4, [4, 2, 3]]]);
+
+  // 0.0.0 and 0.0.1 use a different triplet network
+  const older = LinksNetwork.from(parseNetwork(section(readArticle('0.0.1'), 'Триплеты', 'Вектора')));
+  assert.equal(older.format(), 'λ = { (1, 1, 1, 1), (2, 2, 2, 2), (3, 3, 3, 3), (4, 1, 2, 3) }');
+  assert.deepEqual(LinksNetwork.from(parseNetwork(section(readArticle('0.0.0'), 'Triplets', 'Sequences'))).entries(), older.entries());
+});
+
+test('n-tuple networks keep vectors of any length', () => {
+  const network = LinksNetwork.from(parseNetwork(section(readArticle('0.0.0'), 'Sequences', 'Conclusion')));
+  assert.equal(network.arity, null);
+  assert.equal(network.format(), 'λ = { (1, (1)), (2, (2, 2)), (3, (3, 3, 3)), (4, (1, 2, 3, 2, 1)) }');
+  assert.deepEqual(network.query({ source: 1, target: 1 }).map(([reference]) => reference), [1, 4]);
+
+  // The 0.0.2 example refers to link 4, which it does not define
+  const [, , sequences] = lambdaExamples(readArticle('0.0.2'));
+  assert.deepEqual(parseNetwork(sequences), [[1, [2, 3]], [2, [1]], [3, [1, 2, 3, 4]]]);
+  assert.throws(() => LinksNetwork.from(parseNetwork(sequences)), /Link 3 refers to 4, which is not in L/);
+});
+
+test('create, update and delete keep the network closed', () => {
+  const network = new LinksNetwork();
+  const point = network.create([ITSELF, ITSELF]);
+  const edge = network.create([point, point]);
+
+  assert.throws(() => network.create([point, 7]), /refers to 7, which is not in L/);
+  assert.throws(() => network.create([point]), /has 1 references, expected 2/);
+  assert.throws(() => network.delete(point), /Link 1 is referenced by 2/);
+  assert.throws(() => network.update(9, [1, 1]), /Link 9 does not exist/);
+
+  assert.deepEqual(network.update(edge, [edge, point]), [1, 1]);
+  assert.deepEqual(network.query({ source: edge }), [[2, [2, 1]]]);
+  assert.deepEqual(network.update(edge, [ITSELF, ITSELF]), [2, 1]);
+  assert.deepEqual(network.delete(point), [1, 1]);
+  assert.equal(network.get(point), null);
+  assert.deepEqual(network.query({ source: point }), []);
+
+  // Freed references are reused, lowest first
+  assert.equal(network.create([ITSELF, 2]), 1);
+  assert.equal(network.create([1, 2]), 3);
+  assert.throws(() => LinksNetwork.from([[1, [1, 1]], [1, [1, 1]]]), /Link 1 is defined twice/);
+  assert.throws(() => network.query({ color: 1 }), /Unknown link position "color"/);
+});
@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { extractArticleFromHtml } from '../scripts/markdown-converter.mjs';
+import { formatLinoReference, formatLino, parseLino, articleToLinks, articleToLino, markdownToContent } from '../scripts/lino.mjs';
+import { wrapFragment } from './helpers.mjs';
+
+const CONVERTER_DIR = fileURLToPath(new URL('fixtures/converter/', import.meta.url));
+const TITLE = 'The Links Theory';
+
+/**
+ * Relations `[source, relation, target]` of a list of links
+ */
+function relations(links, relation) {
+  return links.filter(link => link.id === null && link.values[1] === relation).map(link => link.values);
+}
+
+const ARTICLE = wrapFragment(`
+<p>Intro without a heading.</p>
+<h2>Relations</h2>
+<p>A relation<img class="formula inline" source="R \\subseteq D_1 \\times D_2">is a set of tuples <a href="https://dl.acm.org/doi/10.1145/362384.362685">[1]</a>, see Рис. 1 and <a href="#links">links</a>.</p>
+<figure><img src="https://habrastorage.org/a.png" alt="table"><figcaption>Рис. 1. Таблица <a href="https://dl.acm.org/doi/10.1145/362384.362685">[1]</a>.</figcaption></figure>
+<h3>Tables</h3>
+<ul><li>Rows and <a href="https://en.wikipedia.org/wiki/Column">columns</a></li><li>Values</li></ul>
+<h2>Links</h2>
+<blockquote><img class="formula" source="\\lambda: L \\to L^2"></blockquote>
+<pre><code class="language-coq">Definition L := nat.</code></pre>
+<h2>References</h2>
+<ol><li>Codd, E. F. (1970). <a href="https://dl.acm.org/doi/10.1145/362384.362685">“A Relational Model of Data”</a></li></ol>
+`, TITLE);
+
+test('formatLinoReference quotes only what needs quoting', () => {
+  assert.equal(formatLinoReference('heading_1'), 'heading_1');
+  assert.equal(formatLinoReference(2), '2');
+  assert.equal(formatLinoReference(''), '""');
+  assert.equal(formatLinoReference('a b'), '"a b"');
+  assert.equal(formatLinoReference('https://a.b'), '"https://a.b"');
+  assert.equal(formatLinoReference('say "hi"'), '\'say "hi"\'');
+  assert.equal(formatLinoReference('"it\'s"'), '`"it\'s"`');
+  assert.equal(formatLinoReference('"it\'s" `x`'), '"""it\'s"" `x`"');
+});
+
+test('parseLino reads back what formatLino writes', () => {
+  const links = [
+    { id: 'a', values: ['point', 'x y', ''] },
+    { id: null, values: ['a', 'contains', { id: null, values: ['b', { id: 'c', values: ['d'] }] }] },
+    { id: 'code_1', values: ['code', 'coq', 'Compute "a" \'b\' `c`.\n(* (x: y) *)'] }
+  ];
+  const text = formatLino(links);
+  assert.equal(text.split('\n')[0], '(a: point "x y" "")');
+  assert.deepEqual(parseLino(text), links);
+
+  assert.throws(() => parseLino('(a: b'), /LiNo line 1: missing "\)"/);
+  assert.throws(() => parseLino('(a b: c)'), /id "b" must come first/);
+  assert.throws(() => parseLino('\n\n(a "b)'), /LiNo line 3: unterminated "-quoted reference/);
+  assert.throws(() => parseLino('a b'), /expected "\(", found "a"/);
+});
+
+test('blocks are contained by the article and the sections of their headings', async () => {
+  const links = articleToLinks(await extractArticleFromHtml(ARTICLE));
+  const byId = new Map(links.filter(link => link.id !== null).map(link => [link.id, link.values]));
+
+  assert.deepEqual(byId.get('article'), ['article', 'The Links Theory']);
+  assert.deepEqual(byId.get('heading_2'), ['heading', 3, 'Tables']);
+  assert.deepEqual(byId.get('formula_1'), ['formula', 'blockquote', '\\lambda: L \\to L^2']);
+  assert.deepEqual(byId.get('code_1'), ['code', 'coq', 'Definition L := nat.']);
+  assert.deepEqual(byId.get('list_1'), ['list', 'unordered']);
+
+  assert.deepEqual(relations(links, 'contains').filter(([source]) => !source.startsWith('paragraph') && !source.startsWith('figure')), [
+    ['article', 'contains', 'paragraph_1'],
+    ['article', 'contains', 'heading_1'],
+    ['heading_1', 'contains', 'paragraph_2'],
+    ['heading_1', 'contains', 'figure_1'],
+    ['heading_1', 'contains', 'heading_2'],
+    ['heading_2', 'contains', 'list_1'],
+    ['list_1', 'contains', 'item_1'],
+    ['list_1', 'contains', 'item_2'],
+    ['article', 'contains', 'heading_3'],
+    ['heading_3', 'contains', 'formula_1'],
+    ['heading_3', 'contains', 'code_1'],
+    ['article', 'contains', 'heading_4'],
+    ['heading_4', 'contains', 'list_2'],
+    ['list_2', 'contains', 'item_3']
+  ]);
+  // Inline formulas are links of their own, numbered after the block formulas of the article
+  assert.deepEqual(relations(links, 'contains').filter(([source]) => source === 'paragraph_2'), [['paragraph_2', 'contains', 'formula_2']]);
+  assert.deepEqual(byId.get('formula_2'), ['formula', 'inline', 'R \\subseteq D_1 \\times D_2']);
+});
+
+test('citations, anchors, URLs and figure mentions are reference relations', async () => {
+  const links = articleToLinks(await extractArticleFromHtml(ARTICLE));
+  const entry = links.find(link => link.id === 'reference_1');
+  assert.deepEqual(entry.values.slice(0, 2), ['reference', 1]);
+
+  assert.deepEqual(relations(links, 'cites'), [
+    ['paragraph_2', 'cites', 'reference_1'],
+    ['figure_1', 'cites', 'reference_1']
+  ]);
+  assert.deepEqual(relations(links, 'mentions'), [['paragraph_2', 'mentions', 'figure_1']]);
+  assert.deepEqual(relations(links, 'links'), [
+    ['reference_1', 'links', 'https://dl.acm.org/doi/10.1145/362384.362685'],
+    ['paragraph_2', 'links', 'heading_3'],
+    ['item_1', 'links', 'https://en.wikipedia.org/wiki/Column'],
+    ['item_3', 'links', 'https://dl.acm.org/doi/10.1145/362384.362685']
+  ]);
+});
+
+test('figures are mentioned by their caption number', async () => {
+  const content = await extractArticleFromHtml(wrapFragment(readFileSync(`${CONVERTER_DIR}russian-figures.html`, 'utf-8'), TITLE));
+  content.elements.push({ type: 'paragraph', content: 'Рисунок 3 and Figure 4 compare them; figure 9 does not exist.' });
+  const links = articleToLinks(content);
+  assert.deepEqual(relations(links, 'mentions'), [
+    ['paragraph_1', 'mentions', 'figure_2'],
+    ['paragraph_1', 'mentions', 'figure_4']
+  ]);
+  assert.throws(() => articleToLinks({ title: '', elements: [{ type: 'video' }] }), /Unknown element type "video"/);
+});
+
+test('markdownToContent reads archived Markdown into the element list', () => {
+  const markdown = [
+    '# The Links Theory',
+    '',
+    '## Relations',
+    '',
+    'A relation $R$ [[1]](https://dl.acm.org/doi/10.1145/362384.362685), see Figure 1.',
+    '',
+    '![Figure 1](images/figure-1.png)',
+    '*Figure 1. A table*',
+    '',
+    '$$R \\subseteq D_1 \\times D_2$$ where $D$ is a domain',
+    '',
+    '> $$\\lambda: L \\to L^2$$',
+    '',
+    '| a | b |',
+    '|---|---|',
+    '',
+    '1. Codd',
+    '',
+    '---',
+    ''
+  ].join('\n');
+
+  const content = markdownToContent(markdown);
+  assert.equal(content.title, 'The Links Theory');
+  assert.deepEqual(content.elements.map(element => element.type), [
+    'heading', 'paragraph', 'figure', 'math-block', 'paragraph', 'blockquote-math', 'table', 'ordered-list', 'hr'
+  ]);
+  assert.deepEqual(content.elements[2], { type: 'figure', index: 1, src: 'images/figure-1.png', alt: 'Figure 1', caption: 'Figure 1. A table' });
+  assert.equal(content.elements[4].content, 'where $D$ is a domain');
+
+  const links = articleToLinks(content);
+  assert.deepEqual(relations(links, 'mentions'), [['paragraph_1', 'mentions', 'figure_1']]);
+  assert.deepEqual(links.find(link => link.id === 'table_1').values, ['table', '| a | b |\n|---|---|']);
+  assert.deepEqual(links.find(link => link.id === 'formula_1').values, ['formula', 'block', 'R \\subseteq D_1 \\times D_2']);
+});
+
+test('every converter fixture exports to LiNo that parses back to its blocks', async () => {
+  for (const file of readdirSync(CONVERTER_DIR).filter(name => name.endsWith('.html'))) {
+    const content = await extractArticleFromHtml(wrapFragment(readFileSync(`${CONVERTER_DIR}${file}`, 'utf-8'), TITLE));
+    const links = articleToLinks(content);
+    const parsed = parseLino(articleToLino(content));
+    assert.equal(parsed.length, links.length, file);
+    parsed.forEach((link, index) => {
+      assert.equal(link.id, links[index].id, file);
+      assert.deepEqual(link.values, links[index].values.map(String), file);
+    });
+  }
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdownBlocks, blockKey } from '../scripts/markdown-blocks.mjs';
+
+const SAMPLE = `# Title
+
+Intro paragraph
+spanning two lines.
+## Section
+
+> $$L \\to L^2$$
+
+$$\\lambda: L \\to L \\times L$$ [[1]](https://example.com)
+
+![Рис. 1. Caption](images/figure-1.png)
+*Рис. 1. Caption*
+
+- first
+  continued
+- second
+
+\`\`\`coq
+Definition a := 1.
+
+Definition b := 2.
+\`\`\`
+
+> Quote
+> more
+`;
+
+test('parses block types with lines and sections', () => {
+  const blocks = parseMarkdownBlocks(SAMPLE);
+  assert.deepEqual(blocks.map(b => [b.type, b.line, b.section]), [
+    ['heading', 1, 'Title'],
+    ['paragraph', 3, 'Title'],
+    ['heading', 5, 'Section'],
+    ['formula', 7, 'Section'],
+    ['formula', 9, 'Section'],
+    ['figure', 11, 'Section'],
+    ['list', 14, 'Section'],
+    ['code', 18, 'Section'],
+    ['blockquote', 24, 'Section']
+  ]);
+});
+
+test('keeps block details', () => {
+  const blocks = parseMarkdownBlocks(SAMPLE);
+  assert.equal(blocks[1].content, 'Intro paragraph\nspanning two lines.');
+  assert.deepEqual([blocks[3].kind, blocks[3].content], ['blockquote', 'L \\to L^2']);
+  assert.deepEqual([blocks[4].kind, blocks[4].trailing], ['block', '[[1]](https://example.com)']);
+  assert.deepEqual([blocks[5].src, blocks[5].caption, blocks[5].endLine], ['images/figure-1.png', 'Рис. 1. Caption', 12]);
+  assert.deepEqual(blocks[6].items, ['first\ncontinued', 'second']);
+  assert.equal(blocks[7].language, 'coq');
+  assert.equal(blocks[7].content, 'Definition a := 1.\n\nDefinition b := 2.');
+  assert.equal(blocks[8].content, 'Quote\nmore');
+});
+
+test('block keys ignore emphasis and whitespace differences', () => {
+  const [a] = parseMarkdownBlocks('**Figure 1.**  A   table');
+  const [b] = parseMarkdownBlocks('Figure 1. A table');
+  assert.equal(blockKey(a), blockKey(b));
+});
@@ -0,0 +1,103 @@
+/**
+ * Golden-file tests for the Habr-to-Markdown converter
+ *
+ * Each `fixtures/converter/<name>.html` is an `.article-formatted-body` fragment
+ * whose Markdown must equal `<name>.md`. Each `fixtures/post-process/<name>.input.md`
+ * must turn into `<name>.expected.md` after postProcessMarkdown.
+ *
+ * To regenerate the expected files after an intended converter change:
+ *   UPDATE_GOLDEN=1 npm test
+ * and review the diff before committing.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseHTML } from 'linkedom';
+import {
+  extractArticle,
+  extractArticleFromHtml,
+  browserExtractExpression,
+  contentToMarkdown,
+  postProcessMarkdown,
+  numberFigures
+} from '../scripts/markdown-converter.mjs';
+import { wrapFragment } from './helpers.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const FIXTURES_DIR = join(__dirname, 'fixtures');
+const UPDATE_GOLDEN = Boolean(process.env.UPDATE_GOLDEN);
+
+/**
+ * Compare actual output with a golden file, or rewrite it in update mode
+ */
+function assertGolden(actual, goldenPath) {
+  if (UPDATE_GOLDEN || !existsSync(goldenPath)) {
+    writeFileSync(goldenPath, actual, 'utf-8');
+    if (!UPDATE_GOLDEN) {
+      assert.fail(`Golden file was missing and has been created: ${goldenPath}`);
+    }
+    return;
+  }
+  assert.equal(actual, readFileSync(goldenPath, 'utf-8'));
+}
+
+describe('contentToMarkdown golden files', () => {
+  const dir = join(FIXTURES_DIR, 'converter');
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.html')).sort()) {
+    const name = file.replace(/\.html$/, '');
+    test(name, async () => {
+      const html = wrapFragment(readFileSync(join(dir, file), 'utf-8'));
+      const content = await extractArticleFromHtml(html);
+      assertGolden(contentToMarkdown(content), join(dir, `${name}.md`));
+    });
+  }
+});
+
+describe('postProcessMarkdown golden files', () => {
+  const dir = join(FIXTURES_DIR, 'post-process');
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.input.md')).sort()) {
+    const name = file.replace(/\.input\.md$/, '');
+    test(name, () => {
+      const input = readFileSync(join(dir, file), 'utf-8');
+      assertGolden(postProcessMarkdown(input), join(dir, `${name}.expected.md`));
+    });
+  }
+});
+
+describe('extractArticle', () => {
+  test('extracts the title from article h1', async () => {
+    const content = await extractArticleFromHtml(wrapFragment('<p>Body</p>', 'The Links Theory 0.0.2'));
+    assert.equal(content.title, 'The Links Theory 0.0.2');
+    assert.deepEqual(content.elements, [{ type: 'paragraph', content: 'Body' }]);
+  });
+
+  test('returns null when there is no article body', async () => {
+    assert.equal(await extractArticleFromHtml('<html><body><p>Nothing</p></body></html>'), null);
+  });
+
+  test('accepts a DOM element as root and custom selectors', () => {
+    const { document } = parseHTML('<html><body><main><h1>T</h1><section id="content"><h2>Heading</h2></section></main></body></html>');
+    const content = extractArticle(document.querySelector('main'), { bodySelector: '#content', titleSelector: 'main h1' });
+    assert.equal(content.title, 'T');
+    assert.deepEqual(content.elements, [{ type: 'heading', level: 2, content: 'Heading' }]);
+  });
+
+  test('builds a self-contained expression for page.evaluate', () => {
+    const expression = browserExtractExpression({ bodySelector: '.article-formatted-body' });
+    assert.match(expression, /^\(function extractArticle\(/);
+    assert.match(expression, /\)\(document, \{"bodySelector":"\.article-formatted-body"\}\)$/);
+  });
+});
+
+test('contentToMarkdown returns an empty string without content', () => {
+  assert.equal(contentToMarkdown(null), '');
+});
+
+test('numberFigures gives uncaptioned figures a number no caption uses', () => {
+  assert.deepEqual(numberFigures(['Рис. 1. Таблица', 'Рисунок 3.', '', '**Figure 4.** A matrix']), [1, 3, 5, 4]);
+  assert.deepEqual(numberFigures(['', '', 'Figure 2']), [1, 3, 2]);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderInline, renderMarkdown, renderMarkdownDocument } from '../scripts/markdown-html.mjs';
+
+test('renderInline handles links, emphasis, code and escapes', () => {
+  assert.equal(
+    renderInline('A [relation](https://en.wikipedia.org/wiki/Relation_(database)) is **a set** of *rows*'),
+    'A <a href="https://en.wikipedia.org/wiki/Relation_(database)">relation</a> is <strong>a set</strong> of <em>rows</em>'
+  );
+  assert.equal(renderInline('`a < b` and \\*not emphasis\\* or snake_case_name'), '<code>a &lt; b</code> and *not emphasis* or snake_case_name');
+  assert.equal(renderInline('[[1]](https://example.com/a)'), '<a href="https://example.com/a">[1]</a>');
+  assert.equal(renderInline('![Figure 1](images/figure-1.png)'), '<img src="images/figure-1.png" alt="Figure 1">');
+  assert.equal(renderInline('a * b * c'), 'a * b * c');
+});
+
+test('renderInline renders math with KaTeX', () => {
+  const html = renderInline('where $L \\to L^2$ holds');
+  assert.match(html, /^where <span class="katex">/);
+  assert.match(html, /<annotation encoding="application\/x-tex">L \\to L\^2<\/annotation>/);
+  assert.match(html, /holds$/);
+  assert.match(renderInline('`$not math$`'), /^<code>\$not math\$<\/code>$/);
+});
+
+test('renderMarkdown renders the block types of the archived articles', () => {
+  const html = renderMarkdown([
+    '# Title',
+    '',
+    '## Links',
+    '',
+    '> $$L \\to L^2$$',
+    '',
+    '$$\\lambda: L \\to L \\times L$$ [[1]](https://example.com)',
+    '',
+    '![Figure 1](images/figure-1.png)',
+    '*Figure 1. A **table**.*',
+    '',
+    '- **R** stands for relation;',
+    '- rows.',
+    '',
+    '```coq',
+    'Definition x := 1 < 2.',
+    '```',
+    '',
+    '| Name | Value |',
+    '|:-----|------:|',
+    '| a    | 1     |',
+    '',
+    '---',
+    '',
+    '## Links'
+  ].join('\n'));
+
+  assert.match(html, /<h1 id="title">Title<\/h1>/);
+  assert.match(html, /<h2 id="links">Links<\/h2>[\s\S]*<h2 id="links-1">Links<\/h2>/);
+  assert.match(html, /<blockquote><span class="katex-display">/);
+  assert.match(html, /<div class="math"><span class="katex-display">[\s\S]*<\/div><p><a href="https:\/\/example.com">\[1\]<\/a><\/p>/);
+  assert.match(html, /<p><img src="images\/figure-1.png" alt="Figure 1"><\/p>\n<p><em>Figure 1. A <strong>table<\/strong>.<\/em><\/p>/);
+  assert.match(html, /<ul>\n<li><strong>R<\/strong> stands for relation;<\/li>\n<li>rows.<\/li>\n<\/ul>/);
+  assert.match(html, /<pre><code class="language-coq">Definition x := 1 &lt; 2.<\/code><\/pre>/);
+  assert.match(html, /<th align="left">Name<\/th><th align="right">Value<\/th>/);
+  assert.match(html, /<td align="left">a<\/td><td align="right">1<\/td>/);
+  assert.match(html, /<hr>/);
+});
+
+test('renderMarkdownDocument wraps the article in a styled page', () => {
+  const html = renderMarkdownDocument('# Теория', { title: 'Теория <0.0.1>', lang: 'ru', katexStylesheet: 'katex.min.css' });
+  assert.match(html, /^<!DOCTYPE html>\n<html lang="ru">/);
+  assert.match(html, /<title>Теория &lt;0.0.1&gt;<\/title>/);
+  assert.match(html, /<link rel="stylesheet" href="katex.min.css">/);
+  assert.match(html, /<article class="markdown-body">\n<h1 id="теория">Теория<\/h1>\n<\/article>/);
+  assert.match(renderMarkdownDocument('x'), /href="file:\/\/[^"]*katex\.min\.css"/);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SAMPLE_SIZE,
+  toGrayscale,
+  perceptualHash,
+  hammingDistance,
+  compareFigureHashes
+} from '../scripts/perceptual-hash.mjs';
+
+/**
+ * Grayscale samples from a function of the position
+ */
+function samples(value) {
+  const gray = new Float64Array(SAMPLE_SIZE * SAMPLE_SIZE);
+  for (let y = 0; y < SAMPLE_SIZE; y++) {
+    for (let x = 0; x < SAMPLE_SIZE; x++) {
+      gray[y * SAMPLE_SIZE + x] = value(x, y);
+    }
+  }
+  return gray;
+}
+
+// A diagram-like picture: a dark box and a diagonal line on white
+const figure = (x, y) => (x >= 4 && x < 14 && y >= 6 && y < 20) || Math.abs(x - y) < 2 ? 20 : 240;
+
+test('toGrayscale weights channels and composites transparency over white', () => {
+  const gray = toGrayscale([255, 0, 0, 255, 0, 0, 0, 0, 0, 0, 0, 128]);
+  assert.ok(Math.abs(gray[0] - 76.245) < 1e-9);
+  assert.equal(gray[1], 255);
+  assert.ok(Math.abs(gray[2] - 127) < 1);
+});
+
+test('perceptualHash returns 64 bits as 16 hex digits', () => {
+  const hash = perceptualHash(samples(figure));
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.throws(() => perceptualHash(new Float64Array(10)), /Expected 32x32 samples/);
+});
+
+test('perceptualHash ignores brightness and contrast changes', () => {
+  const original = perceptualHash(samples(figure));
+  assert.equal(perceptualHash(samples((x, y) => figure(x, y) * 0.8 + 10)), original);
+});
+
+test('perceptualHash tolerates small changes and separates different figures', () => {
+  const original = perceptualHash(samples(figure));
+  const retouched = perceptualHash(samples((x, y) => (x === 30 && y === 2 ? 20 : figure(x, y))));
+  const different = perceptualHash(samples((x, y) => (x > 16 ? 20 : 240)));
+  const inverted = perceptualHash(samples((x, y) => 260 - figure(x, y)));
+
+  assert.ok(hammingDistance(original, retouched) <= 4);
+  assert.ok(hammingDistance(original, different) > 10);
+  assert.ok(hammingDistance(original, inverted) > 50);
+});
+
+test('hammingDistance counts differing bits', () => {
+  assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hammingDistance('f000000000000001', '0000000000000000'), 5);
+  assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+  assert.throws(() => hammingDistance('ff', 'fff'), /differ in length/);
+});
+
+test('compareFigureHashes pairs figures by number', () => {
+  const archived = [
+    { figure: 1, path: 'images/figure-1.png', hash: 'ffff000000000000' },
+    { figure: 2, path: 'images/figure-2.png', hash: 'ffff000000000000' },
+    { figure: 3, path: 'images/figure-3.png', hash: 'ffff000000000000' },
+    { figure: 5, path: 'images/figure-5.png', error: 'cannot decode' }
+  ];
+  const fresh = [
+    { figure: 1, src: 'a.png', hash: 'fffe000000000000' },
+    { figure: 2, src: 'b.png', hash: '0000ffff00000000' },
+    { figure: 4, src: 'd.png', hash: '0000000000000000' },
+    { figure: 5, src: 'e.png', hash: '0000000000000000' }
+  ];
+
+  const comparisons = compareFigureHashes(archived, fresh, { threshold: 10 });
+  assert.deepEqual(comparisons.map(comparison => [comparison.figure, comparison.status, comparison.distance]), [
+    [1, 'same', 1],
+    [2, 'changed', 32],
+    [3, 'missing', null],
+    [4, 'new', null],
+    [5, 'error', null]
+  ]);
+  assert.equal(comparisons[0].fresh.src, 'a.png');
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync, crc32 } from 'zlib';
+import { decodePng, encodePng } from '../scripts/png.mjs';
+
+/**
+ * Build a PNG chunk
+ */
+function chunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Forward PNG filter of a row (the inverse of what the decoder undoes)
+ */
+function filterRow(type, row, previous, bytesPerPixel) {
+  const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const [pa, pb, pc] = [Math.abs(p - a), Math.abs(p - b), Math.abs(p - c)];
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+  };
+  return row.map((value, x) => {
+    const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+    const up = previous ? previous[x] : 0;
+    const upLeft = previous && x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+    const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][type];
+    return (value - predictor) & 0xff;
+  });
+}
+
+/**
+ * Build a PNG from unfiltered rows of bytes, filtering row y with filters[y % filters.length]
+ */
+function buildPng({ width, height, bitDepth = 8, colorType, palette, transparency }, rows, filters = [0]) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  const bytesPerPixel = Math.max(1, ({ 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType] * bitDepth) >> 3);
+  const raw = rows.flatMap((row, y) => {
+    const type = filters[y % filters.length];
+    return [type, ...filterRow(type, row, rows[y - 1], bytesPerPixel)];
+  });
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    ...(palette ? [chunk('PLTE', Buffer.from(palette))] : []),
+    ...(transparency ? [chunk('tRNS', Buffer.from(transparency))] : []),
+    chunk('IDAT', deflateSync(Buffer.from(raw))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+test('encodePng output decodes to the same pixels', () => {
+  const image = { width: 3, height: 2, data: new Uint8Array([
+    255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0,
+    10, 20, 30, 255, 40, 50, 60, 255, 70, 80, 90, 255
+  ]) };
+  const decoded = decodePng(encodePng(image));
+  assert.equal(decoded.width, 3);
+  assert.equal(decoded.height, 2);
+  assert.deepEqual(Array.from(decoded.data), Array.from(image.data));
+  assert.throws(() => encodePng({ width: 2, height: 2, data: new Uint8Array(4) }), /Expected 16 bytes/);
+});
+
+test('decodePng undoes every filter type', () => {
+  const rows = Array.from({ length: 5 }, (_, y) => Array.from({ length: 4 * 3 }, (_, i) => (y * 37 + i * 53) % 256));
+  const expected = rows.flatMap(row => [row[0], row[1], row[2], 255, row[3], row[4], row[5], 255, row[6], row[7], row[8], 255, row[9], row[10], row[11], 255]);
+  const decoded = decodePng(buildPng({ width: 4, height: 5, colorType: 2 }, rows, [0, 1, 2, 3, 4]));
+  assert.deepEqual(Array.from(decoded.data), expected);
+});
+
+test('decodePng expands grayscale, 16-bit and palette images to RGBA', () => {
+  const gray = decodePng(buildPng({ width: 2, height: 1, colorType: 4 }, [[100, 200, 50, 255]]));
+  assert.deepEqual(Array.from(gray.data), [100, 100, 100, 200, 50, 50, 50, 255]);
+
+  const deep = decodePng(buildPng({ width: 1, height: 1, bitDepth: 16, colorType: 2 }, [[0x12, 0x34, 0xab, 0xcd, 0xff, 0xff]]));
+  assert.deepEqual(Array.from(deep.data), [0x12, 0xab, 0xff, 255]);
+
+  // 2-bit palette indices 0, 1, 2 packed into one byte; index 1 is transparent
+  const palette = decodePng(buildPng({
+    width: 3, height: 1, bitDepth: 2, colorType: 3,
+    palette: [255, 0, 0, 0, 255, 0, 0, 0, 255], transparency: [255, 0]
+  }, [[0b00011000]]));
+  assert.deepEqual(Array.from(palette.data), [255, 0, 0, 255, 0, 255, 0, 0, 0, 0, 255, 255]);
+
+  const bits = decodePng(buildPng({ width: 3, height: 1, bitDepth: 1, colorType: 0 }, [[0b10100000]]));
+  assert.deepEqual(Array.from(bits.data), [255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255]);
+});
+
+test('decodePng rejects files it cannot read', () => {
+  assert.throws(() => decodePng(Buffer.from('<html></html>')), /Not a PNG file/);
+  const interlaced = buildPng({ width: 1, height: 1, colorType: 0 }, [[0]]);
+  interlaced[28] = 1;
+  assert.throws(() => decodePng(interlaced), /Interlaced/);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSections, planTiles } from '../scripts/screenshot-tiles.mjs';
+
+const layout = {
+  x: 100,
+  y: 500,
+  width: 780,
+  height: 5000,
+  headings: [
+    { text: 'Relational Algebra', level: 3, y: 800 },
+    { text: 'Comparison of theories', level: 2, y: 600 },
+    { text: 'Links', level: 2, y: 2000 },
+    { text: 'Links', level: 3, y: 4700 }
+  ]
+};
+
+test('findSections splits the body at headings with GitHub anchors', () => {
+  assert.deepEqual(findSections(layout), [
+    { anchor: 'preamble', title: '', level: 0, y: 500, height: 100 },
+    { anchor: 'comparison-of-theories', title: 'Comparison of theories', level: 2, y: 600, height: 200 },
+    { anchor: 'relational-algebra', title: 'Relational Algebra', level: 3, y: 800, height: 1200 },
+    { anchor: 'links', title: 'Links', level: 2, y: 2000, height: 2700 },
+    { anchor: 'links-1', title: 'Links', level: 3, y: 4700, height: 800 }
+  ]);
+
+  const startsWithHeading = findSections({ ...layout, headings: [{ text: 'Глубокая теория', level: 2, y: 500 }] });
+  assert.deepEqual(startsWithHeading, [{ anchor: 'глубокая-теория', title: 'Глубокая теория', level: 2, y: 500, height: 5000 }]);
+});
+
+test('planTiles cuts the body into fixed-height tiles mapped to sections', () => {
+  const { tiles } = planTiles(layout, { mode: 'tiles', tileHeight: 2000 });
+  assert.deepEqual(tiles, [
+    { file: 'tile-001.png', x: 100, y: 500, height: 2000, width: 780, sections: ['preamble', 'comparison-of-theories', 'relational-algebra', 'links'] },
+    { file: 'tile-002.png', x: 100, y: 2500, height: 2000, width: 780, sections: ['links'] },
+    { file: 'tile-003.png', x: 100, y: 4500, height: 1000, width: 780, sections: ['links', 'links-1'] }
+  ]);
+});
+
+test('planTiles names section screenshots by anchor and splits tall sections', () => {
+  const { tiles } = planTiles(layout, { mode: 'sections', tileHeight: 2000 });
+  assert.deepEqual(tiles.map(tile => [tile.file, tile.y, tile.height]), [
+    ['00-preamble.png', 500, 100],
+    ['01-comparison-of-theories.png', 600, 200],
+    ['02-relational-algebra.png', 800, 1200],
+    ['03-links-part-1.png', 2000, 2000],
+    ['03-links-part-2.png', 4000, 700],
+    ['04-links-1.png', 4700, 800]
+  ]);
+  assert.deepEqual(tiles[3].sections, ['links']);
+});
+
+test('planTiles rejects unknown modes and tile heights', () => {
+  assert.throws(() => planTiles(layout, { mode: 'pages' }), /Unknown tile mode/);
+  assert.throws(() => planTiles(layout, { tileHeight: 0 }), /Invalid tile height/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Replay of a saved snapshot
+ *
+ * `fixtures/snapshot-archive/` is an archive folder with a captured
+ * `snapshot/` (article.html, metadata.json and one asset) and the `article.md`
+ * converted from it. The Node replay always runs; the browser replay needs the
+ * Playwright Chromium build (`npx playwright install chromium`) and is skipped
+ * without it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { chromium } from 'playwright';
+import {
+  getSnapshotHtmlPath,
+  hasSnapshot,
+  readSnapshotMetadata,
+  openArticlePage,
+  extractPageFigures
+} from '../scripts/snapshot.mjs';
+import { extractArticleContent } from '../scripts/download-article.mjs';
+import { extractWebPageContent } from '../scripts/verify.mjs';
+import { contentToMarkdown } from '../scripts/markdown-converter.mjs';
+
+const ARTICLE = {
+  version: '9.9.9',
+  title: 'The Links Theory 9.9.9',
+  url: 'https://habr.com/en/articles/999999/',
+  archivePath: 'tests/fixtures/snapshot-archive',
+  markdownFile: 'article.md',
+  imagesDir: 'images',
+  language: 'en'
+};
+
+const MISSING = { ...ARTICLE, version: '9.9.8', archivePath: 'tests/fixtures/no-snapshot' };
+
+const NO_BROWSER = existsSync(chromium.executablePath()) ? false : 'Playwright Chromium is not installed';
+
+/**
+ * Fail the test on any network request
+ */
+function forbidNetwork(t) {
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    throw new Error(`Unexpected request: ${url}`);
+  });
+}
+
+test('the fixture snapshot is found with its metadata', () => {
+  assert.equal(hasSnapshot(ARTICLE), true);
+  assert.equal(hasSnapshot(MISSING), false);
+  assert.deepEqual(readSnapshotMetadata(ARTICLE).assets, [
+    { url: 'https://habrastorage.org/getpro/habr/upload_files/1a2/b3c/doublets.png', localPath: 'assets/asset-01.png' }
+  ]);
+});
+
+test('extractArticleContent replays a snapshot offline into the archived markdown', async (t) => {
+  forbidNetwork(t);
+  const content = await extractArticleContent(ARTICLE, false, true);
+
+  assert.equal(content.title, ARTICLE.title);
+  const markdownPath = new URL('fixtures/snapshot-archive/article.md', import.meta.url);
+  assert.equal(contentToMarkdown(content), readFileSync(markdownPath, 'utf-8'));
+});
+
+test('a missing snapshot is an error, not a live download', async (t) => {
+  forbidNetwork(t);
+  await assert.rejects(extractArticleContent(MISSING, false, true), /Snapshot not found: .*no-snapshot/);
+});
+
+test('openArticlePage and extractWebPageContent replay a snapshot in the browser', { skip: NO_BROWSER }, async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const page = await browser.newPage();
+    // Only the snapshot and its assets may load
+    await page.route(/^https?:/, route => route.abort());
+
+    const url = await openArticlePage(page, ARTICLE, { fromSnapshot: true });
+    assert.equal(url, pathToFileURL(getSnapshotHtmlPath(ARTICLE)).href);
+    const [figure] = await extractPageFigures(page, ARTICLE);
+    assert.equal(figure.figure, 1);
+    assert.match(figure.src, /^file:.*\/snapshot\/assets\/asset-01\.png$/);
+
+    await assert.rejects(openArticlePage(page, MISSING, { fromSnapshot: true }), /Snapshot not found/);
+  } finally {
+    await browser.close();
+  }
+
+  const content = await extractWebPageContent(ARTICLE, false, true);
+  assert.equal(content.title, ARTICLE.title);
+  assert.deepEqual(content.headings, [{ level: 'h2', text: 'Introduction' }, { level: 'h3', text: 'Properties' }]);
+  assert.deepEqual(content.listItems, ['Every link has a reference.', 'A link may reference itself.']);
+  assert.deepEqual(content.figures, [1]);
+  assert.deepEqual(content.codeBlocks.slice(0, 1), ['Definition L := nat.']);
+  assert.equal(content.links[0].rawHref, 'https://en.wikipedia.org/wiki/Set_theory');
+});
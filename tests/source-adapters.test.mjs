@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SOURCE_ADAPTERS,
+  getSourceAdapter,
+  getPageSelectors,
+  toRawGithubUrl,
+  findWaybackTimestamp
+} from '../scripts/source-adapters.mjs';
+import { getAllArticles } from '../scripts/articles-config.mjs';
+import { fakeFetch } from './helpers.mjs';
+
+const HABR_PAGE = `<!DOCTYPE html><html><body><article>
+<h1>The Links Theory</h1>
+<div class="article-formatted-body"><div>
+<h2>Link</h2>
+<p>A link is <img class="formula inline" source="L \\to L^2" alt="L \\to L^2"> here.</p>
+</div></div>
+</article></body></html>`;
+
+test('every configured article has a known source', () => {
+  for (const article of getAllArticles()) {
+    assert.ok(SOURCE_ADAPTERS[article.source], `${article.version}: ${article.source}`);
+  }
+});
+
+test('getSourceAdapter defaults to habr and rejects unknown sources', () => {
+  assert.equal(getSourceAdapter({ version: '9.9.9' }).name, 'habr');
+  assert.equal(getSourceAdapter({ version: '9.9.9', source: 'markdown' }).name, 'markdown');
+  assert.throws(() => getSourceAdapter({ version: '9.9.9', source: 'medium' }), /Unknown source "medium"/);
+});
+
+test('getPageSelectors fails for sources that are not HTML pages', () => {
+  assert.deepEqual(getPageSelectors({ version: '9.9.9' }), { title: 'article h1', body: '.article-formatted-body' });
+  assert.throws(() => getPageSelectors({ version: '9.9.9', source: 'markdown' }), /not an HTML page/);
+});
+
+test('toRawGithubUrl converts blob URLs and keeps other URLs', () => {
+  assert.equal(
+    toRawGithubUrl('https://github.com/link-foundation/meta-theory/blob/main/archive/0.0.2/article.md'),
+    'https://raw.githubusercontent.com/link-foundation/meta-theory/main/archive/0.0.2/article.md'
+  );
+  assert.equal(toRawGithubUrl('https://example.com/theory.md'), 'https://example.com/theory.md');
+});
+
+test('markdown adapter fetches the raw file and reads the title', async () => {
+  const raw = 'https://raw.githubusercontent.com/o/r/main/theory.md';
+  const { fetch, requests } = fakeFetch({ [raw]: '# Links Theory 0.0.3\r\n\nText' });
+  const article = { version: '0.0.3', title: 'Fallback', source: 'markdown', url: 'https://github.com/o/r/blob/main/theory.md' };
+
+  const content = await SOURCE_ADAPTERS.markdown.extract(article, { fetch });
+  assert.deepEqual(requests, [`GET ${raw}`]);
+  assert.deepEqual(content, { title: 'Links Theory 0.0.3', markdown: '# Links Theory 0.0.3\n\nText\n' });
+});
+
+test('webarchive adapter resolves the closest capture and parses it like Habr', async () => {
+  const url = 'https://habr.com/en/articles/895896/';
+  const availability = `https://archive.org/wayback/available?url=${encodeURIComponent(url)}`;
+  const capture = `https://web.archive.org/web/20250401000000id_/${url}`;
+  const { fetch, requests } = fakeFetch({
+    [availability]: JSON.stringify({ archived_snapshots: { closest: { available: true, timestamp: '20250401000000' } } }),
+    [capture]: HABR_PAGE
+  });
+
+  const content = await SOURCE_ADAPTERS.webarchive.extract({ version: '0.0.2', source: 'webarchive', url }, { fetch });
+  assert.deepEqual(requests, [`GET ${availability}`, `GET ${capture}`]);
+  assert.equal(content.title, 'The Links Theory');
+  assert.deepEqual(content.elements.map(e => e.type), ['heading', 'paragraph']);
+  assert.match(content.elements[1].content, /\$L \\to L\^2\$/);
+});
+
+test('webarchive adapter uses a pinned timestamp without querying availability', async () => {
+  const { fetch, requests } = fakeFetch({});
+  const article = { version: '0.0.2', url: 'https://habr.com/a/', archiveTimestamp: '2024' };
+  assert.equal(await SOURCE_ADAPTERS.webarchive.resolveUrl(article, { fetch }), 'https://web.archive.org/web/2024id_/https://habr.com/a/');
+  assert.deepEqual(requests, []);
+});
+
+test('findWaybackTimestamp fails when there is no capture', async () => {
+  const { fetch } = fakeFetch({
+    [`https://archive.org/wayback/available?url=${encodeURIComponent('https://x.test/')}`]: '{"archived_snapshots":{}}'
+  });
+  await assert.rejects(findWaybackTimestamp('https://x.test/', fetch), /No Web Archive capture/);
+});
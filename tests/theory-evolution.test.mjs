@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractSections,
+  alignSections,
+  extractCoqDeclarations,
+  extractDefinitions,
+  compareDefinitions,
+  compareVersions
+} from '../scripts/theory-evolution.mjs';
+
+const OLD = `# Теория
+
+## Дуплеты
+
+Пары $L \\to L^2$:
+
+$$\\mathbf{anetd: L → L^2}$$
+
+## Вектора
+
+$$\\mathbf{V_n = L^n}$$
+
+\`\`\`coq
+Definition Vn := Fin.t n -> nat.
+Fixpoint VnToNP (v : Vn) : NP := nil.
+\`\`\`
+`;
+
+const NEW = `# Theory
+
+## Overview
+
+Nothing formal here.
+
+## Duplets
+
+**Duplet:** λ: L → L²
+
+Pairs $L → L²$.
+
+## Sequences
+
+\`\`\`coq
+Definition Vn := Fin.t n -> nat.
+Fixpoint VnToNP (v : Vn) : NP := cons.
+\`\`\`
+`;
+
+test('extractSections fingerprints sections by language-independent tokens', () => {
+  const sections = extractSections(OLD);
+  assert.deepEqual(sections.map(s => s.heading), ['Теория', 'Дуплеты', 'Вектора']);
+  assert.ok(sections[2].fingerprint.has('coq:Vn'));
+  assert.ok(sections[2].fingerprint.has('formula:V_n=L^n'));
+});
+
+test('alignSections matches translated sections in order', () => {
+  const { matched, added, removed } = alignSections(extractSections(OLD), extractSections(NEW));
+  assert.deepEqual(matched.map(m => [m.old.heading, m.new.heading]), [
+    ['Дуплеты', 'Duplets'],
+    ['Вектора', 'Sequences']
+  ]);
+  assert.deepEqual(added.map(s => s.heading), ['Theory', 'Overview']);
+  assert.deepEqual(removed.map(s => s.heading), ['Теория']);
+});
+
+test('extractCoqDeclarations returns names, kinds and bodies', () => {
+  const declarations = extractCoqDeclarations('Definition A := nat.\n(* note *)\nLemma B : True.\nProof. auto. Qed.\n');
+  assert.deepEqual(declarations.map(d => [d.kind, d.name, d.body]), [
+    ['Definition', 'A', ':= nat.'],
+    ['Lemma', 'B', ': True.']
+  ]);
+});
+
+test('extractDefinitions reads LaTeX, bold-label and Coq definitions', () => {
+  const names = extractDefinitions(NEW).map(d => `${d.kind}:${d.name}`);
+  assert.deepEqual(names, ['formula:\\lambda', 'coq:Vn', 'coq:VnToNP']);
+});
+
+test('compareDefinitions classifies kept, renamed, changed and dropped', () => {
+  const result = compareDefinitions(extractDefinitions(OLD), extractDefinitions(NEW));
+  assert.deepEqual(result.kept.map(k => k.new.name), ['Vn']);
+  assert.deepEqual(result.renamed.map(r => [r.old.name, r.new.name]), [['anetd', '\\lambda']]);
+  assert.deepEqual(result.changed.map(c => c.new.name), ['VnToNP']);
+  assert.deepEqual(result.dropped.map(d => d.name), ['V_n']);
+  assert.deepEqual(result.introduced, []);
+});
+
+test('compareVersions reports language and formula changes', () => {
+  const result = compareVersions(
+    { version: '0.0.1', language: 'ru' }, OLD,
+    { version: '0.0.2', language: 'en' }, NEW
+  );
+  assert.equal(result.from, '0.0.1');
+  assert.equal(result.to, '0.0.2');
+  assert.equal(result.sameLanguage, false);
+  assert.equal(result.formulas.dropped.length, 2);
+});
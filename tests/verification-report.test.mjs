@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport, formatJUnit, formatTap, formatReport } from '../scripts/verification-report.mjs';
+
+const ARTICLE = { version: '9.9.9', title: 'Demo & <Test>', url: 'https://habr.com/en/articles/1/' };
+
+const RESULTS = [
+  {
+    article: ARTICLE,
+    success: false,
+    details: '1/2 checks passed',
+    checks: [
+      { category: 'heading', text: 'Introduction', passed: true, matchRate: 1 },
+      { category: 'paragraph', text: 'A # missing "quoted" <paragraph>', passed: false, matchRate: 0.25 }
+    ]
+  },
+  { article: { ...ARTICLE, version: '9.9.8' }, success: false, details: 'Markdown file not found: article.md' }
+];
+
+test('buildReport summarizes checks per article and records errors', () => {
+  const report = buildReport(RESULTS);
+
+  assert.equal(report.mode, 'content');
+  assert.equal(report.success, false);
+  assert.deepEqual(report.summary, { articles: 2, total: 2, passed: 1, failed: 1, errors: 1 });
+  assert.equal(report.articles[0].passRate, 0.5);
+  assert.equal(report.articles[0].checks[1].text, 'A # missing "quoted" <paragraph>');
+  assert.equal(report.articles[0].error, undefined);
+  assert.equal(report.articles[1].error, 'Markdown file not found: article.md');
+  assert.deepEqual(report.articles[1].checks, []);
+});
+
+test('formatJUnit writes one testcase per check with escaped failures', () => {
+  const xml = formatJUnit(buildReport(RESULTS));
+
+  assert.match(xml, /<testsuites name="verify-content" tests="3" failures="1" errors="1">/);
+  assert.match(xml, /<property name="title" value="Demo &amp; &lt;Test&gt;"\/>/);
+  assert.match(xml, /<testcase classname="9\.9\.9\.heading" name="Introduction"\/>/);
+  assert.match(xml, /<failure type="paragraph" message="paragraph, 25% match">A # missing &quot;quoted&quot; &lt;paragraph&gt;<\/failure>/);
+  assert.match(xml, /<error message="Markdown file not found: article.md"\/>/);
+});
+
+test('formatTap numbers every check and adds YAML diagnostics to failures', () => {
+  const lines = formatTap(buildReport(RESULTS)).trimEnd().split('\n');
+
+  assert.deepEqual(lines, [
+    'TAP version 13',
+    '1..3',
+    'ok 1 - 9.9.9 heading: Introduction',
+    'not ok 2 - 9.9.9 paragraph: A \\# missing "quoted" <paragraph>',
+    '  ---',
+    '  category: "paragraph"',
+    '  matchRate: 0.25',
+    '  text: "A # missing \\"quoted\\" <paragraph>"',
+    '  ...',
+    'not ok 3 - 9.9.8 verification',
+    '  ---',
+    '  message: "Markdown file not found: article.md"',
+    '  ...'
+  ]);
+});
+
+test('formatReport supports json and rejects unknown formats', () => {
+  const report = buildReport(RESULTS, { mode: 'integrity' });
+  assert.deepEqual(JSON.parse(formatReport(report, 'json')), report);
+  assert.throws(() => formatReport(report, 'xml'), /Unknown report format: xml/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyMarkdownContent, verifyCommand } from '../scripts/verify.mjs';
+import { parseCommandArgs, UsageError } from '../scripts/cli.mjs';
+
+const ARTICLE = { version: '9.9.9', title: 'Demo' };
+
+// Twenty paragraphs; the markdown loses the one in the middle
+const PARAGRAPHS = Array.from({ length: 20 }, (_, i) => `Paragraph ${i + 1} describes links of kind ${String.fromCharCode(97 + i)}.`);
+PARAGRAPHS[9] = 'Sequences are stored as nested doublets of their elements.';
+const MARKDOWN = ['# Demo', ...PARAGRAPHS.filter((_, i) => i !== 9), '![Figure 1](https://example.com/figure-1.png)'].join('\n\n') + '\n';
+
+const WEB_CONTENT = {
+  title: 'Demo',
+  headings: [],
+  paragraphs: PARAGRAPHS,
+  codeBlocks: [],
+  formulas: [],
+  blockquoteFormulas: [],
+  listItems: [],
+  links: [],
+  figures: [],
+  figureCaptions: []
+};
+
+test('sampled verification tolerates content missing outside the sample', () => {
+  const result = verifyMarkdownContent(ARTICLE, WEB_CONTENT, MARKDOWN);
+  assert.equal(result.hasMissingContent, false);
+  assert.equal(result.success, true);
+});
+
+test('complete verification fails on a single missing paragraph', () => {
+  const result = verifyMarkdownContent(ARTICLE, WEB_CONTENT, MARKDOWN, false, true);
+  assert.deepEqual(result.missing.paragraphs, [PARAGRAPHS[9].substring(0, 100) + '...']);
+  assert.ok(result.passRate >= 0.9);
+  assert.equal(result.minPassRate, 1);
+  assert.equal(result.success, false);
+});
+
+test('complete verification passes within an explicit tolerance', () => {
+  assert.equal(verifyMarkdownContent(ARTICLE, WEB_CONTENT, MARKDOWN, false, true, 0.1).success, true);
+  assert.equal(verifyMarkdownContent(ARTICLE, WEB_CONTENT, MARKDOWN, false, true, 0.01).success, false);
+});
+
+test('--tolerance defaults to 0 and needs --complete', () => {
+  assert.equal(parseCommandArgs(['--all', '--complete'], verifyCommand).tolerance, 0);
+  assert.throws(() => verifyCommand.validate(parseCommandArgs(['--all', '--tolerance', '0.1'], verifyCommand)), UsageError);
+  assert.throws(() => verifyCommand.validate(parseCommandArgs(['--all', '--complete', '--tolerance', '1'], verifyCommand)), /at least 0 and below 1/);
+});
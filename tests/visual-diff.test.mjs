@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffImages, renderDiffImage } from '../scripts/visual-diff.mjs';
+
+/**
+ * Solid white image
+ */
+function blank(width, height) {
+  return { width, height, data: new Uint8Array(width * height * 4).fill(255) };
+}
+
+/**
+ * Paint a rectangle of an image (in place)
+ */
+function paint(image, { x, y, width, height }, color) {
+  for (let row = y; row < y + height; row++) {
+    for (let column = x; column < x + width; column++) {
+      image.data.set(color, (row * image.width + column) * 4);
+    }
+  }
+  return image;
+}
+
+test('diffImages reports no change for identical images and small color noise', () => {
+  const before = paint(blank(64, 64), { x: 10, y: 10, width: 5, height: 5 }, [0, 0, 0, 255]);
+  const after = paint(blank(64, 64), { x: 10, y: 10, width: 5, height: 5 }, [20, 20, 20, 255]);
+
+  const diff = diffImages(before, after, { tolerance: 32 });
+  assert.equal(diff.changedPixels, 0);
+  assert.equal(diff.changedRatio, 0);
+  assert.deepEqual(diff.regions, []);
+  assert.equal(diff.sizeChanged, false);
+});
+
+test('diffImages groups changed pixels into regions', () => {
+  const before = blank(64, 64);
+  const after = paint(paint(blank(64, 64), { x: 2, y: 2, width: 4, height: 2 }, [0, 0, 0, 255]), { x: 40, y: 40, width: 10, height: 10 }, [255, 0, 0, 255]);
+
+  const diff = diffImages(before, after, { blockSize: 16 });
+  assert.equal(diff.changedPixels, 108);
+  assert.equal(diff.changedRatio, 108 / 4096);
+  assert.deepEqual(diff.regions, [
+    { x: 0, y: 0, width: 16, height: 16, changedPixels: 8 },
+    { x: 32, y: 32, width: 32, height: 32, changedPixels: 100 }
+  ]);
+});
+
+test('diffImages counts the area outside the smaller image as changed', () => {
+  const diff = diffImages(blank(10, 10), blank(10, 15), { blockSize: 4 });
+  assert.equal(diff.sizeChanged, true);
+  assert.equal(diff.height, 15);
+  assert.equal(diff.changedPixels, 50);
+  assert.deepEqual(diff.regions, [{ x: 0, y: 8, width: 10, height: 7, changedPixels: 50 }]);
+});
+
+test('renderDiffImage fades unchanged pixels, marks changes and outlines regions', () => {
+  const before = blank(16, 16);
+  const after = paint(blank(16, 16), { x: 6, y: 6, width: 2, height: 2 }, [0, 0, 0, 255]);
+  const diff = diffImages(before, after, { blockSize: 16 });
+  const image = renderDiffImage(before, after, diff);
+
+  const pixel = (x, y) => Array.from(image.data.subarray((y * 16 + x) * 4, (y * 16 + x) * 4 + 4));
+  assert.deepEqual(pixel(6, 6), [255, 0, 0, 255]);
+  assert.deepEqual(pixel(0, 0), [255, 140, 0, 255]);
+  assert.deepEqual(pixel(4, 4), [255, 255, 255, 255]);
+});